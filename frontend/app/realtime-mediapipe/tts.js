@@ -7,6 +7,7 @@ let nativeLoadPromise = null;
 let nativeRawPlugin = null; // holds the Capacitor proxy directly
 let nativeDiagLogged = false;
 let speakQueue = Promise.resolve();
+let activeSpeechCount = 0; // speakOnce playback in progress (for ducking other app sounds)
 
 const fallbackLocales = ['en-US', 'ko-KR'];
 
@@ -533,6 +534,11 @@ const speakWithMode = (synth, text, rate, pitch, volume, voice, requestedLang, m
   });
 };
 
+// True while speakOnce is actually playing; WebAudio sounds (e.g. running metronome) poll this to duck.
+export function isSpeechActive() {
+  return activeSpeechCount > 0;
+}
+
 export async function speakOnce(text, rate, options = {}) {
   const runSpeak = async () => {
     // Uninterruptible policy: if another uninterruptible speech is active, skip this call (do not preempt)
@@ -565,6 +571,7 @@ export async function speakOnce(text, rate, options = {}) {
       return false;
     }
 
+    activeSpeechCount += 1;
     try {
       if (native) {
         const nativeResult = await speakNative(native, text, rate, { requestedLang, pitch, volume });
@@ -605,6 +612,7 @@ export async function speakOnce(text, rate, options = {}) {
       logTTS('speakOnce: all playback attempts failed');
       return false;
     } finally {
+      activeSpeechCount = Math.max(0, activeSpeechCount - 1);
       try { restoreDuck(); } catch {}
       try { await nativeDuckHelper.unduck(nativeDuck); } catch {}
     }
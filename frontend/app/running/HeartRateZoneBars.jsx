@@ -0,0 +1,46 @@
+'use client'
+
+import { formatClock } from '../utils/distance'
+
+// 존별 색 (Z1 회복 ~ Z5 최대)
+export const HR_ZONE_COLORS = [
+  'bg-sky-400',
+  'bg-emerald-400',
+  'bg-yellow-400',
+  'bg-orange-400',
+  'bg-rose-500',
+]
+
+/**
+ * 존별 시간 막대 (요약 / 기록 상세)
+ *
+ * @param {number[]} zoneTimeMs - Z1 ~ Z5 누적 시간 (ms)
+ */
+export default function HeartRateZoneBars({ zoneTimeMs, title }) {
+  if (!Array.isArray(zoneTimeMs)) return null
+  const totalMs = zoneTimeMs.reduce((sum, ms) => sum + (Number(ms) || 0), 0)
+  if (totalMs <= 0) return null
+
+  return (
+    <div className="rounded-lg md:rounded-xl border border-white/10 bg-black/20 px-2 md:px-4 py-1.5 md:py-3">
+      {title && (
+        <p className="text-[0.5rem] md:text-xs lg:text-sm uppercase tracking-wider text-white/60 font-bold mb-1 md:mb-2">{title}</p>
+      )}
+      <div className="space-y-0.5 md:space-y-1">
+        {zoneTimeMs.map((ms, idx) => {
+          const ratio = (Number(ms) || 0) / totalMs
+          return (
+            <div key={idx} className="flex items-center gap-1.5 md:gap-3 text-[0.55rem] md:text-xs lg:text-sm text-white/70">
+              <span className="w-5 md:w-7 font-bold text-white/80">{`Z${idx + 1}`}</span>
+              <div className="h-1.5 md:h-2.5 flex-1 overflow-hidden rounded-full bg-white/10">
+                <div className={`h-full rounded-full ${HR_ZONE_COLORS[idx]}`} style={{ width: `${ratio * 100}%` }} />
+              </div>
+              <span className="w-10 md:w-14 text-right tabular-nums">{formatClock(ms)}</span>
+              <span className="w-8 md:w-10 text-right tabular-nums text-white/50">{`${Math.round(ratio * 100)}%`}</span>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
@@ -1,13 +1,17 @@
 'use client'
 
 import { useEffect, useState } from 'react'
-import { formatClock, formatPaceLabel } from '../utils/distance'
+import { formatClock, formatDistanceLabel, formatPaceLabel } from '../utils/distance'
 
 export default function LapCompletionAlert({
   isVisible,
   lapNumber,
   lapDurationMs,
   lapPaceMs,
+  lapDistanceM = null,
+  markLabel = null, // 자동 랩이 끝난 지점 (예: "1.2km", "2 mi", "10:00"), 수동 랩이면 null
+  splitLabel = null, // 랩 단위로 표시한 구간 거리 (예: "402m", "1.01 mi")
+  trigger = 'distance',
   avgPaceMs = null,
   language = 'en',
   onDismiss,
@@ -41,7 +45,14 @@ export default function LapCompletionAlert({
 
   if (!isVisible) return null
 
-  const title = language === 'ko' ? `${lapNumber}km 완료!` : `${lapNumber}km Complete!`
+  // 자동 랩은 통과한 지점, 수동 랩은 랩 번호로 표시
+  const title = trigger !== 'manual' && markLabel
+    ? (language === 'ko' ? `${markLabel} 완료!` : `${markLabel} Complete!`)
+    : (language === 'ko' ? `${lapNumber}랩 완료!` : `Lap ${lapNumber} Complete!`)
+  const distanceText = splitLabel || (Number.isFinite(lapDistanceM) ? formatDistanceLabel(lapDistanceM, 2) : null)
+  const subtitle = distanceText
+    ? `${language === 'ko' ? `${lapNumber}랩` : `Lap ${lapNumber}`} · ${distanceText}`
+    : null
   const timeLabel = language === 'ko' ? '시간' : 'Time'
   const paceLabel = language === 'ko' ? '페이스' : 'Pace'
   const avgLabel = language === 'ko' ? '평균 페이스' : 'Avg Pace'
@@ -73,6 +84,9 @@ export default function LapCompletionAlert({
           <h3 className="text-3xl font-black bg-clip-text text-transparent bg-gradient-to-r from-white via-emerald-200 to-cyan-200">
             {title}
           </h3>
+          {subtitle && (
+            <p className="text-sm font-semibold text-white/70 -mt-2">{subtitle}</p>
+          )}
 
           <div className="grid grid-cols-2 gap-3">
             {/* Time */}
@@ -0,0 +1,38 @@
+'use client'
+
+import { SESSION_TEXT } from './locale'
+import { PACE_BASIS_OPTIONS } from './preferences'
+
+/**
+ * 평균 페이스 기준 선택 (경과 시간 / 이동 시간) - 요약 / 기록 오버레이 공용
+ */
+export default function PaceBasisToggle({ value = 'elapsed', language = 'en', onChange, className = '' }) {
+  if (typeof onChange !== 'function') return null
+  const summaryText = SESSION_TEXT[language]?.summary || SESSION_TEXT.en.summary
+  const labels = {
+    elapsed: summaryText.paceBasisElapsed,
+    moving: summaryText.paceBasisMoving,
+  }
+
+  return (
+    <div className={`flex items-center justify-between gap-2 ${className}`}>
+      <span className="text-[0.6rem] md:text-xs uppercase tracking-wider text-white/60 font-semibold">
+        {summaryText.paceBasis}
+      </span>
+      <div className="flex rounded-full border border-white/15 bg-white/5 p-0.5">
+        {PACE_BASIS_OPTIONS.map((option) => (
+          <button
+            key={option}
+            type="button"
+            onClick={() => onChange(option)}
+            className={`rounded-full px-2.5 py-0.5 text-[0.6rem] md:text-xs font-bold transition ${
+              value === option ? 'bg-emerald-500/80 text-white' : 'text-white/60'
+            }`}
+          >
+            {labels[option]}
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
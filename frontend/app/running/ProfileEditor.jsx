@@ -0,0 +1,192 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import { isImperialUnits } from '../utils/distance'
+import { SESSION_TEXT } from './locale'
+import { PROFILE_SEX_OPTIONS, normalizeProfile, resolveMaxHr } from './profile'
+import { HR_ZONE_METHODS, buildHeartRateZones } from './heart-rate-zones'
+import { HR_ZONE_COLORS } from './HeartRateZoneBars'
+
+const POUNDS_PER_KG = 2.20462
+const CM_PER_INCH = 2.54
+
+// 프로필(SI) → 입력 칸 문자열 (imperial이면 lb / in)
+const toDraft = (profile, imperial) => {
+  const format = (value, convert = (v) => v, digits = 0) => (
+    Number.isFinite(value) ? String(Number(convert(value).toFixed(digits))) : ''
+  )
+  return {
+    weight: format(profile.weightKg, imperial ? (kg) => kg * POUNDS_PER_KG : undefined, 1),
+    height: format(profile.heightCm, imperial ? (cm) => cm / CM_PER_INCH : undefined),
+    age: format(profile.age),
+    restingHr: format(profile.restingHr),
+    maxHr: format(profile.maxHr),
+  }
+}
+
+const fromDraft = (draft, sex, imperial) => {
+  const parse = (value, convert = (v) => v) => {
+    if (value === '' || value === null || value === undefined) return null
+    const num = Number(value)
+    return Number.isFinite(num) ? convert(num) : null
+  }
+  return normalizeProfile({
+    weightKg: parse(draft.weight, imperial ? (lb) => lb / POUNDS_PER_KG : undefined),
+    heightCm: parse(draft.height, imperial ? (inch) => inch * CM_PER_INCH : undefined),
+    age: parse(draft.age),
+    sex,
+    restingHr: parse(draft.restingHr),
+    maxHr: parse(draft.maxHr),
+  })
+}
+
+/**
+ * 사용자 프로필 입력 (세션 설정 화면)
+ *
+ * 값은 SI로 저장하고, 단위 설정이 imperial이면 체중 / 키를 lb / in으로 입력받는다.
+ * 저장된 심박 값으로 만든 심박 존(heart-rate-zones.js)도 여기서 보여준다.
+ */
+export default function ProfileEditor({
+  profile,
+  language = 'en',
+  onChange,
+  onRecalculate,
+  recalculating = false,
+  recalcCount = null,
+  zoneMethod = 'karvonen',
+  onZoneMethodChange,
+}) {
+  const text = SESSION_TEXT[language]?.profile || SESSION_TEXT.en.profile
+  const imperial = isImperialUnits()
+  const [draft, setDraft] = useState(() => toDraft(profile, imperial))
+  const [sex, setSex] = useState(profile.sex)
+
+  // 저장 / 단위 변경 시 입력 칸을 저장된 값으로 되돌림
+  useEffect(() => {
+    setDraft(toDraft(profile, imperial))
+    setSex(profile.sex)
+  }, [profile, imperial])
+
+  const nextProfile = fromDraft(draft, sex, imperial)
+  const dirty = JSON.stringify(nextProfile) !== JSON.stringify(normalizeProfile(profile))
+  const estimatedMaxHr = Number.isFinite(profile.maxHr) ? null : resolveMaxHr(profile)
+  const zoneModel = buildHeartRateZones(profile, zoneMethod)
+
+  const fields = [
+    { key: 'weight', label: text.weight, unit: imperial ? 'lb' : 'kg', decimal: true },
+    { key: 'height', label: text.height, unit: imperial ? 'in' : 'cm' },
+    { key: 'age', label: text.age, unit: '' },
+    { key: 'restingHr', label: text.restingHr, unit: 'bpm' },
+    {
+      key: 'maxHr',
+      label: text.maxHr,
+      unit: 'bpm',
+      placeholder: estimatedMaxHr ? `${estimatedMaxHr}` : '',
+    },
+  ]
+
+  return (
+    <div className="space-y-1.5 md:space-y-3">
+      <div className="grid grid-cols-2 gap-1.5 md:gap-3">
+        {fields.map((field) => (
+          <label key={field.key} className="flex flex-col gap-0.5">
+            <span className="text-[0.55rem] md:text-xs font-semibold text-white/50 uppercase tracking-wider">
+              {field.label}{field.unit ? ` (${field.unit})` : ''}
+            </span>
+            <input
+              type="number"
+              inputMode={field.decimal ? 'decimal' : 'numeric'}
+              value={draft[field.key]}
+              placeholder={field.placeholder || ''}
+              onChange={(e) => setDraft((prev) => ({ ...prev, [field.key]: e.target.value }))}
+              className="w-full rounded-xl border border-white/30 bg-white/10 px-2 md:px-4 py-1 md:py-2 text-[0.7rem] md:text-sm font-semibold text-white placeholder:text-white/30"
+            />
+          </label>
+        ))}
+        <div className="flex flex-col gap-0.5">
+          <span className="text-[0.55rem] md:text-xs font-semibold text-white/50 uppercase tracking-wider">{text.sex}</span>
+          <div className="grid grid-cols-2 gap-1">
+            {PROFILE_SEX_OPTIONS.map((option) => (
+              <button
+                key={option}
+                type="button"
+                onClick={() => setSex((prev) => (prev === option ? null : option))}
+                className={`rounded-xl border px-1 py-1 md:py-2 text-[0.65rem] md:text-sm font-bold transition-all duration-200 active:scale-95 ${
+                  sex === option
+                    ? 'border-emerald-400/70 bg-emerald-500/20 text-emerald-100'
+                    : 'border-white/30 bg-white/10 text-white/80 hover:border-white/50'
+                }`}
+              >
+                {text[option]}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {estimatedMaxHr && (
+        <p className="text-[0.55rem] md:text-xs text-white/50">{text.maxHrEstimated}</p>
+      )}
+
+      <div className="space-y-1 md:space-y-2">
+        <div className="flex items-center justify-between gap-1.5">
+          <span className="text-[0.55rem] md:text-xs font-semibold text-white/50 uppercase tracking-wider">{text.zoneMethod}</span>
+          <div className="grid grid-cols-2 gap-1">
+            {HR_ZONE_METHODS.map((method) => (
+              <button
+                key={method}
+                type="button"
+                onClick={() => onZoneMethodChange?.(method)}
+                className={`rounded-xl border px-2 py-0.5 md:py-1.5 text-[0.6rem] md:text-xs font-bold transition-all duration-200 active:scale-95 ${
+                  zoneMethod === method
+                    ? 'border-emerald-400/70 bg-emerald-500/20 text-emerald-100'
+                    : 'border-white/30 bg-white/10 text-white/80 hover:border-white/50'
+                }`}
+              >
+                {method === 'karvonen' ? text.zoneMethodKarvonen : text.zoneMethodMax}
+              </button>
+            ))}
+          </div>
+        </div>
+        {zoneModel ? (
+          <div className="grid grid-cols-5 gap-0.5 md:gap-1">
+            {zoneModel.zones.map((zone) => (
+              <div key={zone.zone} className="rounded-lg bg-white/5 px-0.5 py-0.5 md:py-1 text-center">
+                <div className={`mx-auto mb-0.5 h-1 w-4 md:w-6 rounded-full ${HR_ZONE_COLORS[zone.zone - 1]}`} />
+                <p className="text-[0.55rem] md:text-xs font-bold text-white/80">{`Z${zone.zone}`}</p>
+                <p className="text-[0.5rem] md:text-[0.65rem] text-white/60 tabular-nums">{`${zone.minBpm}–${zone.maxBpm}`}</p>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-[0.55rem] md:text-xs text-white/50">{text.zonesUnavailable}</p>
+        )}
+        {zoneModel && zoneMethod === 'karvonen' && zoneModel.method !== 'karvonen' && (
+          <p className="text-[0.55rem] md:text-xs text-white/50">{text.zoneMethodNeedsResting}</p>
+        )}
+      </div>
+
+      <div className="flex items-center gap-1.5 md:gap-3">
+        <button
+          type="button"
+          onClick={() => onChange?.(nextProfile)}
+          disabled={!dirty}
+          className="flex-1 rounded-xl border border-emerald-400/70 bg-emerald-500/20 px-3 md:px-4 py-1.5 md:py-2.5 text-[0.7rem] md:text-sm font-bold text-emerald-100 transition-all duration-200 active:scale-95 disabled:opacity-40"
+        >
+          {text.save}
+        </button>
+        <button
+          type="button"
+          onClick={() => onRecalculate?.()}
+          disabled={recalculating || dirty}
+          className="flex-1 rounded-xl border border-white/30 bg-white/10 px-3 md:px-4 py-1.5 md:py-2.5 text-[0.7rem] md:text-sm font-bold text-white/80 transition-all duration-200 active:scale-95 disabled:opacity-40"
+        >
+          {recalculating ? text.recalculating : text.recalculate}
+        </button>
+      </div>
+      {Number.isFinite(recalcCount) && !recalculating && (
+        <p className="text-[0.55rem] md:text-xs text-emerald-200/80">{text.recalculated} {recalcCount}</p>
+      )}
+    </div>
+  )
+}
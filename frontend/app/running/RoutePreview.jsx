@@ -0,0 +1,95 @@
+'use client'
+
+/**
+ * 경로 미리보기 (요약 / 기록 상세)
+ *
+ * highlight({ latitude, longitude })가 주어지면 차트에서 고른 지점을 경로 위에 표시한다.
+ */
+export default function RoutePreview({ points, highlight = null }) {
+  if (!Array.isArray(points) || points.length < 2) {
+    return null
+  }
+
+  const latitudes = points
+    .map((p) => (typeof p.latitude === 'number' ? p.latitude : p.lat))
+    .filter((v) => Number.isFinite(v))
+  const longitudes = points
+    .map((p) => (typeof p.longitude === 'number' ? p.longitude : p.lng))
+    .filter((v) => Number.isFinite(v))
+
+  if (!latitudes.length || !longitudes.length) return null
+
+  const minLat = Math.min(...latitudes)
+  const maxLat = Math.max(...latitudes)
+  const minLng = Math.min(...longitudes)
+  const maxLng = Math.max(...longitudes)
+
+  const spanLat = maxLat - minLat || 1
+  const spanLng = maxLng - minLng || 1
+
+  const padding = 12
+  const width = 300 - padding * 2
+  const height = 180 - padding * 2
+
+  const normalizedPoints = points
+    .map((p) => {
+      const lat = typeof p.latitude === 'number' ? p.latitude : p.lat
+      const lng = typeof p.longitude === 'number' ? p.longitude : p.lng
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null
+      const x = padding + ((lng - minLng) / spanLng) * width
+      const y = padding + ((maxLat - lat) / spanLat) * height
+      return { x, y }
+    })
+    .filter(Boolean)
+
+  if (normalizedPoints.length < 2) return null
+
+  const highlightLat = Number(highlight?.latitude)
+  const highlightLng = Number(highlight?.longitude)
+  const marker = Number.isFinite(highlightLat) && Number.isFinite(highlightLng)
+    ? {
+      x: padding + ((highlightLng - minLng) / spanLng) * width,
+      y: padding + ((maxLat - highlightLat) / spanLat) * height,
+    }
+    : null
+
+  const pathD = normalizedPoints.map((pt) => `${pt.x.toFixed(1)},${pt.y.toFixed(1)}`).join(' ')
+  const start = normalizedPoints[0]
+  const end = normalizedPoints[normalizedPoints.length - 1]
+
+  return (
+    <svg viewBox="0 0 300 180" className="h-40 w-full">
+      <defs>
+        <linearGradient id="routeBg" x1="0" y1="0" x2="1" y2="1">
+          <stop offset="0%" stopColor="#0f172a" />
+          <stop offset="100%" stopColor="#020617" />
+        </linearGradient>
+        <linearGradient id="routeLine" x1="0" y1="0" x2="1" y2="1">
+          <stop offset="0%" stopColor="#22c55e" />
+          <stop offset="100%" stopColor="#38bdf8" />
+        </linearGradient>
+      </defs>
+      <rect x="0" y="0" width="300" height="180" fill="url(#routeBg)" />
+      <g strokeWidth="0.5" stroke="rgba(148,163,184,0.25)">
+        <line x1="0" y1="60" x2="300" y2="60" />
+        <line x1="0" y1="120" x2="300" y2="120" />
+        <line x1="75" y1="0" x2="75" y2="180" />
+        <line x1="150" y1="0" x2="150" y2="180" />
+        <line x1="225" y1="0" x2="225" y2="180" />
+      </g>
+      <polyline
+        points={pathD}
+        fill="none"
+        stroke="url(#routeLine)"
+        strokeWidth="3"
+        strokeLinecap="round"
+        strokeLinejoin="round"
+      />
+      <circle cx={start.x} cy={start.y} r="5" fill="#22c55e" stroke="#bbf7d0" strokeWidth="2" />
+      <circle cx={end.x} cy={end.y} r="5" fill="#38bdf8" stroke="#e0f2fe" strokeWidth="2" />
+      {marker && (
+        <circle cx={marker.x} cy={marker.y} r="6" fill="#facc15" stroke="#fef9c3" strokeWidth="2" />
+      )}
+    </svg>
+  )
+}
@@ -0,0 +1,339 @@
+'use client'
+
+import { useMemo, useState } from 'react'
+import { formatDistanceLabel, formatElevationLabel, formatPaceLabel } from '../utils/distance'
+import { findNearestSample } from './run-charts'
+
+const CHART_TEXT = {
+  en: {
+    tabs: { pace: 'Pace', elevation: 'Elevation', splits: 'Splits', cadence: 'Cadence' },
+    hint: 'Tap or drag the chart to find the spot on the route.',
+    lap: 'Lap',
+    partial: 'partial',
+    target: 'Target',
+    gap: 'GAP',
+    status: { fast: 'Faster than target', target: 'On target', slow: 'Slower than target' },
+  },
+  ko: {
+    tabs: { pace: '페이스', elevation: '고도', splits: '스플릿', cadence: '케이던스' },
+    hint: '차트를 누르거나 끌어서 경로 위 위치를 확인하세요.',
+    lap: '랩',
+    partial: '일부',
+    target: '목표',
+    gap: '경사 보정',
+    status: { fast: '목표보다 빠름', target: '목표 페이스', slow: '목표보다 느림' },
+  },
+}
+
+const SERIES = {
+  pace: {
+    key: 'paceMs',
+    color: '#38bdf8',
+    // 경사 보정 페이스 (점선)
+    secondaryKey: 'gapMs',
+    // 빠를수록 위로
+    inverted: true,
+    minSpan: 30000,
+    format: (value) => formatPaceLabel(value),
+  },
+  elevation: {
+    key: 'altitude',
+    color: '#a3e635',
+    inverted: false,
+    minSpan: 10,
+    format: (value) => formatElevationLabel(value),
+  },
+  cadence: {
+    key: 'cadenceSpm',
+    color: '#f472b6',
+    inverted: false,
+    minSpan: 10,
+    format: (value) => `${Math.round(value)} spm`,
+  },
+}
+
+const SPLIT_FILL = {
+  fast: '#34d399',
+  target: '#38bdf8',
+  slow: '#fb7185',
+}
+const SPLIT_FILL_DEFAULT = '#a5b4fc'
+
+// viewBox 0~100 기준 여백
+const CHART = { left: 1, right: 99, top: 6, bottom: 94 }
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value))
+
+const buildLineChart = (samples, totalM, series, { targetPaceMs = null, withSecondary = false } = {}) => {
+  const secondaryKey = withSecondary ? series.secondaryKey : null
+  const values = samples.map((sample) => sample[series.key]).filter((value) => value !== null)
+  if (values.length < 2) return null
+  if (secondaryKey) {
+    values.push(...samples.map((sample) => sample[secondaryKey]).filter((value) => value !== null))
+  }
+  let minValue = Math.min(...values)
+  let maxValue = Math.max(...values)
+  if (series === SERIES.pace && targetPaceMs) {
+    minValue = Math.min(minValue, targetPaceMs)
+    maxValue = Math.max(maxValue, targetPaceMs)
+  }
+  const padding = Math.max(series.minSpan - (maxValue - minValue), 0) / 2 + (maxValue - minValue) * 0.05
+  minValue -= padding
+  maxValue += padding
+
+  const xOf = (distanceM) => CHART.left + ((CHART.right - CHART.left) * distanceM) / (totalM || 1)
+  const yOf = (value) => {
+    const ratio = (value - minValue) / (maxValue - minValue || 1)
+    return series.inverted
+      ? CHART.top + ratio * (CHART.bottom - CHART.top)
+      : CHART.bottom - ratio * (CHART.bottom - CHART.top)
+  }
+
+  // 값이 비는 구간(정지 / 고도 없음)은 선을 끊는다
+  const toSegments = (key) => {
+    const segments = []
+    let current = []
+    samples.forEach((sample) => {
+      const value = sample[key]
+      if (value === null) {
+        if (current.length > 1) segments.push(current.join(' '))
+        current = []
+        return
+      }
+      current.push(`${xOf(sample.distanceM).toFixed(2)},${yOf(value).toFixed(2)}`)
+    })
+    if (current.length > 1) segments.push(current.join(' '))
+    return segments
+  }
+
+  return {
+    segments: toSegments(series.key),
+    secondarySegments: secondaryKey ? toSegments(secondaryKey) : [],
+    xOf,
+    targetY: series === SERIES.pace && targetPaceMs ? yOf(targetPaceMs) : null,
+  }
+}
+
+const buildSplitBars = (splits, totalM) => {
+  if (!splits.length) return []
+  const speeds = splits.map((split) => 1 / split.paceMs)
+  const minSpeed = Math.min(...speeds)
+  const maxSpeed = Math.max(...speeds)
+  const totalSplitM = splits.reduce((acc, split) => acc + split.distanceM, 0) || totalM || 1
+  return splits.map((split, idx) => {
+    // 가장 느린 랩도 보이도록 30% 바닥을 둔다
+    const ratio = maxSpeed > minSpeed ? (speeds[idx] - minSpeed) / (maxSpeed - minSpeed) : 1
+    const height = (0.3 + 0.7 * ratio) * (CHART.bottom - CHART.top)
+    const x = CHART.left + ((CHART.right - CHART.left) * split.startM) / totalSplitM
+    const width = ((CHART.right - CHART.left) * split.distanceM) / totalSplitM
+    return {
+      x: x + Math.min(0.4, width * 0.1),
+      width: Math.max(0.4, width - Math.min(0.8, width * 0.2)),
+      y: CHART.bottom - height,
+      height,
+      fill: SPLIT_FILL[split.status] || SPLIT_FILL_DEFAULT,
+    }
+  })
+}
+
+/**
+ * 러닝 차트 (요약 / 기록 상세)
+ *
+ * 페이스 · 고도 · 스플릿 · 케이던스 탭. 차트를 누르거나 끌면 해당 지점의
+ * route 포인트를 onHighlight로 넘겨 경로 그림에 표시한다.
+ *
+ * @param {Object} props.data - buildRunChartData 결과
+ */
+export default function RunCharts({ data, language = 'en', onHighlight }) {
+  const text = CHART_TEXT[language] || CHART_TEXT.en
+  const [tab, setTab] = useState('pace')
+  const [activeSample, setActiveSample] = useState(null)
+  const [activeSplit, setActiveSplit] = useState(null)
+
+  const tabs = useMemo(() => {
+    if (!data) return []
+    return [
+      data.hasPace && 'pace',
+      data.hasElevation && 'elevation',
+      data.splits.length > 0 && 'splits',
+      data.hasCadence && 'cadence',
+    ].filter(Boolean)
+  }, [data])
+
+  const currentTab = tabs.includes(tab) ? tab : tabs[0]
+  const series = SERIES[currentTab] || null
+
+  const lineChart = useMemo(() => {
+    if (!data || !series) return null
+    return buildLineChart(data.samples, data.totalDistanceM, series, {
+      targetPaceMs: data.targetPaceMs,
+      withSecondary: Boolean(data.hasGap),
+    })
+  }, [data, series])
+
+  const splitBars = useMemo(() => (
+    data && currentTab === 'splits' ? buildSplitBars(data.splits, data.totalDistanceM) : []
+  ), [data, currentTab])
+
+  if (!data || !tabs.length) return null
+
+  const highlight = (sample) => {
+    setActiveSample(sample)
+    onHighlight?.(sample?.point || null)
+  }
+
+  const selectTab = (key) => {
+    setTab(key)
+    setActiveSplit(null)
+    highlight(null)
+  }
+
+  const handleScrub = (event) => {
+    if (event.pointerType === 'mouse' && event.type === 'pointermove' && !event.buttons) return
+    const rect = event.currentTarget.getBoundingClientRect()
+    if (!rect.width) return
+    const ratio = clamp(((event.clientX - rect.left) / rect.width * 100 - CHART.left) / (CHART.right - CHART.left), 0, 1)
+    highlight(findNearestSample(data.samples, ratio * data.totalDistanceM))
+  }
+
+  const handleSplitSelect = (idx) => {
+    const split = data.splits[idx]
+    setActiveSplit(idx)
+    highlight(findNearestSample(data.samples, split.startM + split.distanceM / 2))
+  }
+
+  let readout = text.hint
+  if (currentTab === 'splits' && activeSplit !== null && data.splits[activeSplit]) {
+    const split = data.splits[activeSplit]
+    readout = [
+      `${text.lap} ${split.index}${split.partial ? ` (${text.partial})` : ''}`,
+      formatDistanceLabel(split.distanceM, 2),
+      formatPaceLabel(split.paceMs),
+      split.status ? text.status[split.status] : null,
+    ].filter(Boolean).join(' · ')
+  } else if (series && activeSample) {
+    const value = activeSample[series.key]
+    readout = `${formatDistanceLabel(activeSample.distanceM, 2)} · ${value === null ? '--' : series.format(value)}`
+    const secondary = lineChart?.secondarySegments.length ? activeSample[series.secondaryKey] : null
+    if (Number.isFinite(secondary)) readout += ` · ${text.gap} ${series.format(secondary)}`
+  }
+
+  const markerX = lineChart && activeSample ? lineChart.xOf(activeSample.distanceM) : null
+
+  return (
+    <div className="rounded-xl md:rounded-2xl border border-white/10 bg-white/5 px-2 md:px-4 py-1.5 md:py-3">
+      <div className="flex items-center gap-1 md:gap-2">
+        {tabs.map((key) => (
+          <button
+            key={key}
+            type="button"
+            onClick={() => selectTab(key)}
+            className={`rounded-full border px-2 md:px-3 py-0.5 md:py-1 text-[0.55rem] md:text-xs font-semibold transition-all duration-200 ${
+              currentTab === key
+                ? 'border-sky-400/70 bg-sky-500/20 text-sky-100'
+                : 'border-white/20 bg-white/5 text-white/60 hover:border-white/40'
+            }`}
+          >
+            {text.tabs[key]}
+          </button>
+        ))}
+      </div>
+
+      <p className="mt-1 text-[0.55rem] md:text-xs text-white/70 tabular-nums truncate">{readout}</p>
+
+      <div className="relative mt-1 h-24 md:h-32 lg:h-40">
+        {currentTab === 'splits' ? (
+          <svg className="absolute inset-0 w-full h-full" viewBox="0 0 100 100" preserveAspectRatio="none">
+            {splitBars.map((bar, idx) => (
+              <rect
+                key={data.splits[idx].index}
+                x={bar.x}
+                y={bar.y}
+                width={bar.width}
+                height={bar.height}
+                fill={bar.fill}
+                fillOpacity={activeSplit === null || activeSplit === idx ? 0.85 : 0.35}
+                onClick={() => handleSplitSelect(idx)}
+                className="cursor-pointer"
+              />
+            ))}
+          </svg>
+        ) : lineChart && (
+          <svg
+            className="absolute inset-0 w-full h-full cursor-crosshair"
+            viewBox="0 0 100 100"
+            preserveAspectRatio="none"
+            style={{ touchAction: 'pan-y' }}
+            onPointerDown={handleScrub}
+            onPointerMove={handleScrub}
+          >
+            {lineChart.targetY !== null && (
+              <line
+                x1={CHART.left}
+                x2={CHART.right}
+                y1={lineChart.targetY}
+                y2={lineChart.targetY}
+                stroke="rgba(250,204,21,0.6)"
+                strokeWidth="1"
+                strokeDasharray="2 1.5"
+                vectorEffect="non-scaling-stroke"
+              />
+            )}
+            {lineChart.secondarySegments.map((points, idx) => (
+              <polyline
+                key={`secondary-${idx}`}
+                points={points}
+                fill="none"
+                stroke="rgba(216,180,254,0.85)"
+                strokeWidth="1.2"
+                strokeDasharray="3 2"
+                strokeLinejoin="round"
+                vectorEffect="non-scaling-stroke"
+              />
+            ))}
+            {lineChart.segments.map((points, idx) => (
+              <polyline
+                key={idx}
+                points={points}
+                fill="none"
+                stroke={series.color}
+                strokeWidth="1.5"
+                strokeLinejoin="round"
+                vectorEffect="non-scaling-stroke"
+              />
+            ))}
+            {markerX !== null && (
+              <line
+                x1={markerX}
+                x2={markerX}
+                y1={CHART.top}
+                y2={CHART.bottom}
+                stroke="rgba(250,204,21,0.9)"
+                strokeWidth="1"
+                vectorEffect="non-scaling-stroke"
+              />
+            )}
+          </svg>
+        )}
+      </div>
+
+      <div className="mt-0.5 flex items-center justify-between text-[0.5rem] md:text-[0.65rem] text-white/40 tabular-nums">
+        <span>0</span>
+        {currentTab === 'pace' && (data.targetPaceMs || data.hasGap) && (
+          <span className="flex gap-2">
+            {data.hasGap && <span className="text-purple-200/80">┅ {text.gap}</span>}
+            {data.targetPaceMs && <span className="text-amber-200/80">┅ {text.target} {formatPaceLabel(data.targetPaceMs)}</span>}
+          </span>
+        )}
+        {currentTab === 'splits' && data.targetPaceMs && (
+          <span className="flex gap-2">
+            <span className="text-emerald-300">▮ {text.status.fast}</span>
+            <span className="text-sky-300">▮ {text.status.target}</span>
+            <span className="text-rose-300">▮ {text.status.slow}</span>
+          </span>
+        )}
+        <span>{formatDistanceLabel(data.totalDistanceM, 1)}</span>
+      </div>
+    </div>
+  )
+}
@@ -1,9 +1,40 @@
 'use client'
 
-import { useState, useEffect, useMemo } from 'react'
+import { useState, useEffect, useMemo, useRef } from 'react'
 import { ChevronDown, ChevronUp, Minus } from 'lucide-react'
-import { formatClock, formatDistanceLabel, formatPaceLabel } from '../utils/distance'
+import {
+  formatClock,
+  formatDistanceLabel,
+  formatElevationLabel,
+  formatPaceLabel,
+  getDistanceUnitLabel,
+  getUnitSystem,
+  metersToDisplayDistance,
+} from '../utils/distance'
 import { MODE_LABELS, SESSION_TEXT } from './locale'
+import { listHistoryEntries, getGoalPeriodTotals, getHistoryEntry } from './history-store'
+import { exportRecordAsGpx } from './gpx-export'
+import { exportRecordAsTcx } from './tcx-export'
+import { exportRecordAsFit } from './fit-export'
+import { exportBackupArchive, exportRunsCsv, readBackupFile, restoreBackupArchive } from './backup'
+import { resolveRecordPaceMs } from './metrics'
+import { formatLapSettingLabel, formatLapSplitDistance } from './laps'
+import { calcCalories } from './energy'
+import { PR_DISTANCES, getPrDistanceLabel } from './personal-records'
+import { PREDICTION_LOOKBACK_DAYS, getRaceTargetLabel, predictRaceTimes } from './race-predictor'
+import { buildRunChartData } from './run-charts'
+import PaceBasisToggle from './PaceBasisToggle'
+import RoutePreview from './RoutePreview'
+import RunCharts from './RunCharts'
+import HeartRateZoneBars from './HeartRateZoneBars'
+import TrainingLoadPanel from './TrainingLoadPanel'
+import StepsDashboard from './StepsDashboard'
+
+const EXPORT_FORMATS = [
+  { key: 'gpx', exporter: exportRecordAsGpx },
+  { key: 'tcx', exporter: exportRecordAsTcx },
+  { key: 'fit', exporter: exportRecordAsFit },
+]
 
 const formatHistoryDate = (ts, language) => {
   if (!ts) return ''
@@ -54,7 +85,14 @@ const formatCalories = (kcal, language) => {
 
 const formatElevation = (gain, language) => {
   if (!Number.isFinite(gain)) return language === 'ko' ? '데이터 없음' : 'N/A'
-  return `${Math.max(0, gain).toFixed(0)} m`
+  return formatElevationLabel(Math.max(0, gain))
+}
+
+// 주간 / 월간 목표 진행 (목표는 km로 저장, 표시 단위로 변환)
+const formatGoalProgressLabel = (totalM, targetKm) => {
+  const total = metersToDisplayDistance(totalM).toFixed(1)
+  const target = metersToDisplayDistance(targetKm * 1000).toFixed(0)
+  return `${total}/${target}${getDistanceUnitLabel()}`
 }
 
 const formatGoalProgress = (progress, language) => {
@@ -66,35 +104,42 @@ const RUN_WEEKLY_DISTANCE_GOAL_KM_DEFAULT = 20
 const RUN_MONTHLY_DISTANCE_GOAL_KM_DEFAULT = 80
 const RUN_GOALS_STORAGE_KEY = 'running_run_goals_v1'
 
-const estimateCalories = (distanceM, durationMs, weightKg = 65) => {
-  if (!Number.isFinite(distanceM) || !Number.isFinite(durationMs) || durationMs <= 0) return null
-  const speedKmh = (distanceM / 1000) / (durationMs / 3600000)
-  if (!Number.isFinite(speedKmh) || speedKmh <= 0) return null
-  let met = 2.5
-  if (speedKmh < 3) met = 2.0
-  else if (speedKmh < 4.5) met = 2.8
-  else if (speedKmh < 5.5) met = 3.5
-  else met = 4.3
-  const minutes = durationMs / 60000
-  return met * 3.5 * weightKg / 200 * minutes
-}
-
 export default function RunningHistoryOverlay({
   isVisible,
   language = 'en',
-  entries,
+  revision = 0,
   onClose,
   onDeleteEntry,
   mode,
   onChallengeEntry,
+  onImportFile,
+  onBackupRestored,
+  onReplayEntry,
+  paceBasis = 'elapsed',
+  onPaceBasisChange,
   initialSortBy = 'recent',
   initialExpandedId = null,
+  profile = null,
+  personalRecords = null,
+  onApplyPrediction,
+  stepGoal,
+  onStepGoalChange,
 }) {
   const [expandedId, setExpandedId] = useState(initialExpandedId || null)
   const [filterPeriod, setFilterPeriod] = useState('week') // 'week' | 'month' | 'all'
   const [sortBy, setSortBy] = useState(initialSortBy) // 'recent' | 'record'
   const [helpKey, setHelpKey] = useState(null)
 	  const [runGoalConfig, setRunGoalConfig] = useState(null)
+  const [entries, setEntries] = useState([])
+  const [runGoalTotals, setRunGoalTotals] = useState(null)
+  const [predictionEntries, setPredictionEntries] = useState([])
+  const [exportState, setExportState] = useState(null) // { id, status: 'busy' | 'failed' | 'noRoute' }
+  const [importStatus, setImportStatus] = useState(null) // 'busy' | 'success' | failure reason
+  const importInputRef = useRef(null)
+  const unitSystem = getUnitSystem() // 단위가 바뀌면 거리 추이 그래프 다시 계산
+  const [backupStatus, setBackupStatus] = useState(null) // 'busy' | 'restored' | failure reason
+  const [pendingBackup, setPendingBackup] = useState(null)
+  const backupInputRef = useRef(null)
 
   // Update sortBy when initialSortBy changes
   useEffect(() => {
@@ -112,9 +157,60 @@ export default function RunningHistoryOverlay({
   useEffect(() => {
     if (!isVisible) {
       setExpandedId(null)
+      setImportStatus(null)
+      setBackupStatus(null)
+      setPendingBackup(null)
     }
   }, [isVisible])
 
+  // Load entries for the selected period from the history store (startedAt/mode index)
+  useEffect(() => {
+    if (!isVisible) return
+    let cancelled = false
+    const now = Date.now()
+    const since = filterPeriod === 'week'
+      ? now - 7 * 24 * 60 * 60 * 1000
+      : filterPeriod === 'month'
+        ? now - 30 * 24 * 60 * 60 * 1000
+        : undefined
+    listHistoryEntries({ mode, since })
+      .then((list) => {
+        if (!cancelled) setEntries(list)
+      })
+      .catch((err) => console.warn('[history] failed to load entries', err))
+    return () => {
+      cancelled = true
+    }
+  }, [isVisible, mode, filterPeriod, revision])
+
+  // Weekly / monthly totals are aggregated independently of the period filter
+  useEffect(() => {
+    if (!isVisible || mode !== 'run') return
+    let cancelled = false
+    getGoalPeriodTotals({ mode: 'run' })
+      .then((totals) => {
+        if (!cancelled) setRunGoalTotals(totals)
+      })
+      .catch((err) => console.warn('[history] failed to aggregate goals', err))
+    return () => {
+      cancelled = true
+    }
+  }, [isVisible, mode, revision])
+
+  // Race predictor uses recent runs independently of the period filter
+  useEffect(() => {
+    if (!isVisible || mode !== 'run') return
+    let cancelled = false
+    listHistoryEntries({ mode: 'run', since: Date.now() - PREDICTION_LOOKBACK_DAYS * 24 * 60 * 60 * 1000 })
+      .then((list) => {
+        if (!cancelled) setPredictionEntries(list)
+      })
+      .catch((err) => console.warn('[history] failed to load prediction entries', err))
+    return () => {
+      cancelled = true
+    }
+  }, [isVisible, mode, revision])
+
 	  // Load running weekly/monthly distance goals from localStorage (shared with RunningSession)
 	  useEffect(() => {
 	    if (typeof window === 'undefined') return
@@ -140,7 +236,8 @@ export default function RunningHistoryOverlay({
   const helpTexts = {
     ko: {
       distance: 'GPS로 기록된 전체 이동 거리입니다.',
-      totalTime: '운동한 총 시간입니다.',
+      totalTime: '일시정지를 뺀 운동 경과 시간입니다.',
+      movingTime: '멈춰 있던 구간까지 뺀 실제 이동 시간입니다.',
       avgPace: '전체 구간 평균 페이스입니다.',
       laps: '완료한 랩(구간) 수입니다.',
       steps: '세션 동안 기록된 총 걸음 수입니다.',
@@ -153,7 +250,8 @@ export default function RunningHistoryOverlay({
     },
     en: {
       distance: 'Total GPS-measured distance.',
-      totalTime: 'Total elapsed workout time.',
+      totalTime: 'Total elapsed workout time, excluding pauses.',
+      movingTime: 'Time actually spent moving, excluding stops.',
       avgPace: 'Average pace across the session.',
       laps: 'Number of completed laps/segments.',
       steps: 'Total steps counted in this session.',
@@ -212,25 +310,130 @@ export default function RunningHistoryOverlay({
     }
   }
 
-  // Filter entries based on selected period
-  const now = Date.now()
-  const oneWeekAgo = now - 7 * 24 * 60 * 60 * 1000
-  const oneMonthAgo = now - 30 * 24 * 60 * 60 * 1000
-
-  const filteredList = list.filter((entry) => {
-    if (filterPeriod === 'all') return true
-    const entryTime = entry.startedAt || entry.timestamp || 0
-    if (filterPeriod === 'week') return entryTime >= oneWeekAgo
-    if (filterPeriod === 'month') return entryTime >= oneMonthAgo
-    return true
-  })
+  const handleImportChange = async (event) => {
+    const file = event.target.files?.[0]
+    // 같은 파일을 다시 고를 수 있도록 초기화
+    event.target.value = ''
+    if (!file || !onImportFile) return
+    setImportStatus('busy')
+    try {
+      const result = await onImportFile(file)
+      if (result?.ok) {
+        setImportStatus('success')
+        setFilterPeriod('all')
+        setExpandedId(result.record?.id || null)
+      } else {
+        setImportStatus(result?.reason || 'failed')
+      }
+    } catch (err) {
+      console.warn('[history] import failed', err)
+      setImportStatus('failed')
+    }
+  }
+
+  const runBackupTask = async (task) => {
+    if (backupStatus === 'busy') return
+    setBackupStatus('busy')
+    try {
+      const result = await task()
+      setBackupStatus(result === false ? 'failed' : null)
+    } catch (err) {
+      console.warn('[history] backup failed', err)
+      setBackupStatus('failed')
+    }
+  }
+
+  const handleBackupFileChange = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+    setBackupStatus('busy')
+    const result = await readBackupFile(file)
+    if (!result.ok) {
+      setBackupStatus(result.reason)
+      return
+    }
+    setBackupStatus(null)
+    setPendingBackup(result.archive)
+  }
+
+  const handleRestoreBackup = async (strategy) => {
+    if (!pendingBackup) return
+    setBackupStatus('busy')
+    try {
+      const result = await restoreBackupArchive(pendingBackup, { strategy })
+      setPendingBackup(null)
+      if (!result.ok) {
+        setBackupStatus(result.reason)
+        return
+      }
+      setBackupStatus('restored')
+      if (onBackupRestored) onBackupRestored(result)
+    } catch (err) {
+      console.warn('[history] restore failed', err)
+      setBackupStatus('failed')
+    }
+  }
+
+  const backupStatusLabel = (() => {
+    const t = text.backup || {}
+    if (!backupStatus) return ''
+    if (backupStatus === 'busy') return t.working
+    if (backupStatus === 'restored') return t.restored
+    if (backupStatus === 'invalid_format') return t.invalid
+    if (backupStatus === 'newer_version') return t.newer
+    return t.failed
+  })()
 
-  // Sort entries
-  const sortedList = [...filteredList].sort((a, b) => {
+  const importStatusLabel = (() => {
+    const t = text.import || {}
+    if (!importStatus) return ''
+    if (importStatus === 'busy') return t.importing
+    if (importStatus === 'success') return t.success
+    if (importStatus === 'no_points') return t.noPoints
+    if (importStatus === 'no_timestamps') return t.noTimestamps
+    if (importStatus === 'unsupported_format') return t.unsupported
+    return t.failed
+  })()
+
+  const handleExport = async (entry, exporter) => {
+    if (!entry || exportState?.status === 'busy') return
+    setExportState({ id: entry.id, status: 'busy' })
+    try {
+      const result = await exporter(entry)
+      if (result === false) {
+        setExportState({ id: entry.id, status: entry.routePointCount ? 'failed' : 'noRoute' })
+        return
+      }
+      setExportState(null)
+    } catch (err) {
+      console.warn('[history] export failed', err)
+      setExportState({ id: entry.id, status: 'failed' })
+    }
+  }
+
+  // PR 표 (PR_DISTANCES 순서, 기록이 있는 거리만)
+  const personalRecordRows = PR_DISTANCES
+    .filter(({ key }) => Number.isFinite(personalRecords?.[key]?.durationMs))
+    .map(({ key }) => {
+      const pr = personalRecords[key]
+      return {
+        key,
+        runId: pr.runId,
+        label: getPrDistanceLabel(key, language),
+        time: formatClock(pr.durationMs, { showHours: pr.durationMs >= 3600000 }),
+        dateLabel: pr.startedAt
+          ? new Date(pr.startedAt).toLocaleDateString(language === 'ko' ? 'ko-KR' : 'en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+          : '',
+      }
+    })
+
+  // Sort entries (period filter is applied by the history store query)
+  const sortedList = [...list].sort((a, b) => {
     if (sortBy === 'record') {
       // Sort by average pace (faster is better, so ascending order)
-      const paceA = Number(a.avgPaceMs) || Infinity
-      const paceB = Number(b.avgPaceMs) || Infinity
+      const paceA = resolveRecordPaceMs(a, paceBasis) || Infinity
+      const paceB = resolveRecordPaceMs(b, paceBasis) || Infinity
       return paceA - paceB
     }
     // Default: sort by recent (descending timestamp)
@@ -257,7 +460,8 @@ export default function RunningHistoryOverlay({
   const distanceSeries = useMemo(() => {
     const series = sortedList
       .map((entry) => {
-        const distanceKm = Number(entry?.distanceM) / 1000
+        // km 필드는 표시 단위 거리 (km 또는 mi)
+        const distanceKm = Number.isFinite(Number(entry?.distanceM)) ? metersToDisplayDistance(Number(entry.distanceM)) : null
         const ts = entry.startedAt || entry.timestamp || 0
         return {
           km: Number.isFinite(distanceKm) ? distanceKm : null,
@@ -269,32 +473,18 @@ export default function RunningHistoryOverlay({
       .slice(0, 7)
       .reverse()
     return series
-  }, [sortedList, language])
+  }, [sortedList, language, unitSystem])
 
 	  // Weekly / Monthly running distance summary for goals (run mode only)
 	  const runDistanceGoalSummary = useMemo(() => {
 	    if (mode !== 'run') return null
-	    if (!Array.isArray(entries) || !entries.length) return null
+	    if (!runGoalTotals) return null
 	    const weeklyCfg = runGoalConfig?.weeklyDistanceKm
 	    const monthlyCfg = runGoalConfig?.monthlyDistanceKm
 	    const weeklyTargetKm = weeklyCfg?.target || RUN_WEEKLY_DISTANCE_GOAL_KM_DEFAULT
 	    const monthlyTargetKm = monthlyCfg?.target || RUN_MONTHLY_DISTANCE_GOAL_KM_DEFAULT
-	    const today = new Date()
-	    const weekStart = new Date(today)
-	    weekStart.setDate(today.getDate() - 6)
-	    let weekTotalM = 0
-	    let monthTotalM = 0
-	    for (const entry of entries) {
-	      if (!entry || entry.mode !== 'run') continue
-	      const distM = Number(entry.distanceM)
-	      if (!Number.isFinite(distM) || distM <= 0) continue
-	      const ts = entry.startedAt || entry.timestamp
-	      if (!ts) continue
-	      const d = new Date(ts)
-	      if (Number.isNaN(d.getTime()) || d > today) continue
-	      if (d >= weekStart) weekTotalM += distM
-	      if (d.getFullYear() === today.getFullYear() && d.getMonth() === today.getMonth()) monthTotalM += distM
-	    }
+	    const { weekTotalM, monthTotalM } = runGoalTotals
+	    if (!weekTotalM && !monthTotalM) return null
 	    const weeklyTargetM = weeklyTargetKm > 0 ? weeklyTargetKm * 1000 : 0
 	    const monthlyTargetM = monthlyTargetKm > 0 ? monthlyTargetKm * 1000 : 0
 	    const toPct = (val, target) => {
@@ -311,7 +501,32 @@ export default function RunningHistoryOverlay({
 	      weekPct: toPct(weekTotalM, weeklyTargetM),
 	      monthPct: toPct(monthTotalM, monthlyTargetM),
 	    }
-	  }, [mode, entries, runGoalConfig])
+	  }, [mode, runGoalTotals, runGoalConfig])
+
+  const racePrediction = useMemo(
+    () => (mode === 'run' ? predictRaceTimes(predictionEntries) : null),
+    [mode, predictionEntries],
+  )
+  const confidenceLabels = {
+    high: { en: 'High', ko: '높음', className: 'text-emerald-200' },
+    medium: { en: 'Medium', ko: '보통', className: 'text-amber-200' },
+    low: { en: 'Low', ko: '낮음', className: 'text-rose-200' },
+  }
+  const predictionSourceNote = racePrediction
+    ? (() => {
+      const { source } = racePrediction
+      const effortLabel = source.segment
+        ? getPrDistanceLabel(source.segment, language)
+        : formatDistanceLabel(source.distanceM, 1)
+      const timeLabel = formatClock(source.durationMs, { showHours: source.durationMs >= 3600000 })
+      if (language === 'ko') {
+        const ago = source.ageDays === 0 ? '오늘' : `${source.ageDays}일 전`
+        return `${ago} ${effortLabel} ${timeLabel} 기준`
+      }
+      const ago = source.ageDays === 0 ? 'today' : `${source.ageDays} day${source.ageDays === 1 ? '' : 's'} ago`
+      return `Based on ${effortLabel} in ${timeLabel}, ${ago}`
+    })()
+    : ''
 
   const distanceSummary = useMemo(() => {
     if (!distanceSeries.length) return null
@@ -404,6 +619,89 @@ export default function RunningHistoryOverlay({
             <h3 className="text-xl md:text-2xl lg:text-3xl font-black bg-clip-text text-transparent bg-gradient-to-r from-emerald-300 via-blue-300 to-cyan-300">
               {headerTitle}
             </h3>
+            {onImportFile && (
+              <div className="mt-1 flex items-center justify-center gap-2">
+                <input
+                  ref={importInputRef}
+                  type="file"
+                  accept=".gpx,.tcx,application/gpx+xml,application/vnd.garmin.tcx+xml,application/xml,text/xml"
+                  className="hidden"
+                  onChange={handleImportChange}
+                />
+                <button
+                  type="button"
+                  disabled={importStatus === 'busy'}
+                  onClick={() => importInputRef.current?.click()}
+                  className="rounded-lg md:rounded-xl border border-white/25 bg-white/5 px-2 md:px-3 py-0.5 md:py-1.5 text-[0.6rem] md:text-xs lg:text-sm font-bold text-white/75 transition-all duration-200 hover:border-white/50 active:scale-95 disabled:opacity-50"
+                >
+                  {text.import?.button || 'Import GPX/TCX'}
+                </button>
+                {importStatusLabel && (
+                  <span className={`text-[0.6rem] md:text-xs ${importStatus === 'success' || importStatus === 'busy' ? 'text-emerald-200' : 'text-rose-200'}`}>
+                    {importStatusLabel}
+                  </span>
+                )}
+              </div>
+            )}
+            <div className="mt-1 flex flex-wrap items-center justify-center gap-1 md:gap-2">
+              <input
+                ref={backupInputRef}
+                type="file"
+                accept=".json,application/json"
+                className="hidden"
+                onChange={handleBackupFileChange}
+              />
+              {[
+                { key: 'json', onClick: () => runBackupTask(exportBackupArchive) },
+                { key: 'csv', onClick: () => runBackupTask(exportRunsCsv) },
+                { key: 'restore', onClick: () => backupInputRef.current?.click() },
+              ].map((action) => (
+                <button
+                  key={action.key}
+                  type="button"
+                  disabled={backupStatus === 'busy'}
+                  onClick={action.onClick}
+                  className="rounded-lg md:rounded-xl border border-white/20 bg-white/5 px-2 md:px-3 py-0.5 md:py-1.5 text-[0.6rem] md:text-xs lg:text-sm font-bold text-white/70 transition-all duration-200 hover:border-white/40 active:scale-95 disabled:opacity-50"
+                >
+                  {text.backup?.[action.key]}
+                </button>
+              ))}
+              {backupStatusLabel && (
+                <span className={`text-[0.6rem] md:text-xs ${backupStatus === 'busy' || backupStatus === 'restored' ? 'text-emerald-200' : 'text-rose-200'}`}>
+                  {backupStatusLabel}
+                </span>
+              )}
+            </div>
+            {pendingBackup && (
+              <div className="mt-1.5 rounded-xl border border-amber-400/30 bg-amber-500/10 px-2 md:px-4 py-1.5 md:py-2">
+                <p className="text-[0.65rem] md:text-sm font-semibold text-amber-100">
+                  {`${text.backup?.restorePrompt} (${pendingBackup.history.length}${language === 'ko' ? '' : ' '}${text.backup?.runsLabel})`}
+                </p>
+                <div className="mt-1 flex items-center justify-center gap-1.5 md:gap-2">
+                  <button
+                    type="button"
+                    onClick={() => handleRestoreBackup('merge')}
+                    className="rounded-lg border border-emerald-400/50 bg-emerald-500/20 px-2 md:px-3 py-0.5 md:py-1.5 text-[0.6rem] md:text-xs font-bold text-emerald-100 active:scale-95"
+                  >
+                    {text.backup?.merge}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleRestoreBackup('replace')}
+                    className="rounded-lg border border-rose-400/50 bg-rose-500/20 px-2 md:px-3 py-0.5 md:py-1.5 text-[0.6rem] md:text-xs font-bold text-rose-100 active:scale-95"
+                  >
+                    {text.backup?.replace}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setPendingBackup(null)}
+                    className="rounded-lg border border-white/20 bg-white/5 px-2 md:px-3 py-0.5 md:py-1.5 text-[0.6rem] md:text-xs font-bold text-white/70 active:scale-95"
+                  >
+                    {text.backup?.cancel}
+                  </button>
+                </div>
+              </div>
+            )}
           </div>
 
 		          {mode === 'run' && runDistanceGoalSummary && (
@@ -418,7 +716,7 @@ export default function RunningHistoryOverlay({
 		                      {language === 'ko' ? '주간' : 'Week'}
 		                    </p>
 		                    <p className="text-xs md:text-sm lg:text-base font-bold">
-		                      {`${(runDistanceGoalSummary.weekTotalM / 1000).toFixed(1)}/${runDistanceGoalSummary.weekTargetKm.toFixed(0)}km`}
+		                      {formatGoalProgressLabel(runDistanceGoalSummary.weekTotalM, runDistanceGoalSummary.weekTargetKm)}
 		                    </p>
 		                  </div>
 		                  <div className="rounded-lg md:rounded-xl border border-sky-400/40 bg-sky-500/10 px-2 md:px-4 py-1 md:py-2">
@@ -426,13 +724,61 @@ export default function RunningHistoryOverlay({
 		                      {language === 'ko' ? '월간' : 'Month'}
 		                    </p>
 		                    <p className="text-xs md:text-sm lg:text-base font-bold">
-		                      {`${(runDistanceGoalSummary.monthTotalM / 1000).toFixed(1)}/${runDistanceGoalSummary.monthTargetKm.toFixed(0)}km`}
+		                      {formatGoalProgressLabel(runDistanceGoalSummary.monthTotalM, runDistanceGoalSummary.monthTargetKm)}
 		                    </p>
 		                  </div>
 		                </div>
 		              </div>
 		            </div>
 		          )}
+          {racePrediction && (
+            <div className="mb-2 md:mb-3 flex-shrink-0 rounded-xl md:rounded-2xl border border-violet-400/25 bg-gradient-to-br from-violet-500/10 via-sky-500/5 to-cyan-500/10 px-2 md:px-4 py-1.5 md:py-2.5">
+              <div className="flex items-center justify-between gap-2 mb-1 md:mb-2">
+                <p className="text-[0.55rem] md:text-xs lg:text-sm font-semibold uppercase tracking-wider text-violet-100">
+                  {language === 'ko' ? '레이스 예측' : 'Race predictor'}
+                </p>
+                <p className="text-[0.5rem] md:text-xs text-white/50 truncate">{predictionSourceNote}</p>
+              </div>
+              <div className="grid grid-cols-4 gap-1 md:gap-2">
+                {racePrediction.predictions.map((prediction) => {
+                  const confidence = confidenceLabels[prediction.confidence]
+                  return (
+                    <button
+                      key={prediction.key}
+                      type="button"
+                      disabled={!onApplyPrediction}
+                      onClick={() => onApplyPrediction?.(prediction)}
+                      className="rounded-lg md:rounded-xl border border-violet-400/30 bg-black/20 px-1.5 md:px-3 py-1 md:py-2 text-left transition-all duration-200 active:scale-95 hover:border-violet-300/60"
+                    >
+                      <p className="text-[0.5rem] md:text-xs uppercase tracking-wider text-violet-100 font-semibold">
+                        {getRaceTargetLabel(prediction.key, language)}
+                      </p>
+                      <p className="text-xs md:text-sm lg:text-base font-bold text-white tabular-nums">
+                        {formatClock(prediction.durationMs, { showHours: prediction.durationMs >= 3600000 })}
+                      </p>
+                      <p className="text-[0.5rem] md:text-xs text-white/60 tabular-nums">{formatPaceLabel(prediction.paceMs)}</p>
+                      <p className={`text-[0.5rem] md:text-xs font-semibold ${confidence.className}`}>
+                        {language === 'ko' ? confidence.ko : confidence.en}
+                      </p>
+                    </button>
+                  )
+                })}
+              </div>
+              {onApplyPrediction && (
+                <p className="mt-1 text-[0.5rem] md:text-xs text-white/40">
+                  {language === 'ko'
+                    ? '예측을 누르면 다음 러닝의 거리 목표와 페이스 가이드로 설정됩니다.'
+                    : 'Tap a prediction to use it as the next run\'s distance goal and pace guide.'}
+                </p>
+              )}
+            </div>
+          )}
+          {mode === 'run' && isVisible && (
+            <TrainingLoadPanel language={language} profile={profile} revision={revision} />
+          )}
+          {mode === 'walk' && isVisible && (
+            <StepsDashboard language={language} stepGoal={stepGoal} onStepGoalChange={onStepGoalChange} revision={revision} />
+          )}
 		          {/* Filter & Sort Buttons */}
           <div className="mb-2 md:mb-3 flex gap-1.5 md:gap-2 lg:gap-3 flex-shrink-0">
             {[
@@ -473,6 +819,38 @@ export default function RunningHistoryOverlay({
             ))}
           </div>
 
+          <PaceBasisToggle
+            value={paceBasis}
+            language={language}
+            onChange={onPaceBasisChange}
+            className="mb-2 md:mb-3 px-1"
+          />
+
+          {sortBy === 'record' && mode !== 'walk' && personalRecordRows.length > 0 && (
+            <div className="mb-2 md:mb-3 rounded-xl md:rounded-2xl border border-amber-400/30 bg-amber-500/5 px-2 md:px-4 py-1.5 md:py-3">
+              <p className="text-[0.55rem] md:text-xs lg:text-sm font-bold uppercase tracking-wider text-amber-100 mb-1 md:mb-2">
+                {language === 'ko' ? '개인 기록' : 'Personal records'}
+              </p>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-1 md:gap-2">
+                {personalRecordRows.map((row) => (
+                  <button
+                    key={row.key}
+                    type="button"
+                    onClick={() => {
+                      setFilterPeriod('all')
+                      setExpandedId(row.runId)
+                    }}
+                    className="rounded-lg border border-amber-400/20 bg-black/20 px-2 py-1 text-left transition-all duration-200 active:scale-95"
+                  >
+                    <p className="text-[0.5rem] md:text-xs uppercase tracking-wider text-amber-100/80 font-bold">{row.label}</p>
+                    <p className="text-xs md:text-sm font-bold text-white tabular-nums">{row.time}</p>
+                    {row.dateLabel && <p className="text-[0.5rem] md:text-xs text-white/50">{row.dateLabel}</p>}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
           {distanceBars?.bars?.length > 0 && (
             <div className="mb-2 md:mb-3 rounded-xl md:rounded-2xl border border-emerald-400/20 bg-gradient-to-br from-emerald-500/10 via-blue-500/5 to-cyan-500/10 px-2 md:px-4 py-1.5 md:py-3 backdrop-blur-sm">
               <div className="flex items-center justify-between mb-1 md:mb-2">
@@ -482,7 +860,7 @@ export default function RunningHistoryOverlay({
                 {distanceSummary && (
                   <div className="text-right">
                     <span className="text-sm md:text-lg lg:text-xl font-black text-white">
-                      {distanceSummary.latest.toFixed(1)} km
+                      {distanceSummary.latest.toFixed(1)} {getDistanceUnitLabel()}
                     </span>
                     <span className="text-[0.55rem] md:text-xs lg:text-sm text-white/60 ml-1">
                       {language === 'ko' ? `최고 ${distanceSummary.max.toFixed(1)}` : `Best ${distanceSummary.max.toFixed(1)}`}
@@ -514,7 +892,7 @@ export default function RunningHistoryOverlay({
                         fill="#9ca3af"
                         fontWeight="600"
                       >
-                        {tick.label} km
+                        {tick.label} {getDistanceUnitLabel()}
                       </text>
                     </g>
                   ))}
@@ -581,10 +959,19 @@ export default function RunningHistoryOverlay({
                     const durationLabel = formatClock(entry.durationMs, {
                       showHours: entry.durationMs >= 3600000,
                     })
-                    const paceLabel = entry.avgPaceMs ? formatPaceLabel(entry.avgPaceMs) : '--:-- /km'
+                    const entryPaceMs = resolveRecordPaceMs(entry, paceBasis)
+                    const paceLabel = formatPaceLabel(entryPaceMs)
+                    const movingTimeLabel = Number.isFinite(entry.movingTimeMs)
+                      ? formatClock(entry.movingTimeMs, { showHours: entry.movingTimeMs >= 3600000 })
+                      : null
                     const laps = Array.isArray(entry.laps) ? entry.laps : []
+                    // 경사 보정 페이스 (평지 코스면 페이스와 거의 같아서 표시하지 않음)
+                    const gapLabel = Number.isFinite(entry.avgGapMs) && entryPaceMs > 0 && Math.abs(entry.avgGapMs - entryPaceMs) / entryPaceMs > 0.01
+                      ? formatPaceLabel(entry.avgGapMs)
+                      : null
                     const goalLabel = entry.goal ? formatGoalLabel(entry.goal, language) : ''
-                    const lapDistanceLabel = entry.lapDistanceM ? formatDistanceLabel(entry.lapDistanceM, 2) : (language === 'ko' ? '데이터 없음' : 'N/A')
+                    const lapDistanceLabel = formatLapSettingLabel(entry, language)
+                      || (entry.lapDistanceM === 0 ? text.laps.autoOff : (language === 'ko' ? '데이터 없음' : 'N/A'))
                     const timeCueLabel = entry.timeCueMs
                       ? `${Math.round(entry.timeCueMs / 60000)}${language === 'ko' ? '분' : 'm'}`
                       : language === 'ko'
@@ -618,7 +1005,7 @@ export default function RunningHistoryOverlay({
                       : ''
                     const cadenceDisplay = Number.isFinite(entry.cadenceSpm) ? formatCadence(entry.cadenceSpm, language) : ''
                     const strideDisplay = Number.isFinite(entry.strideLengthM) ? formatStride(entry.strideLengthM, language) : ''
-                    const estCalories = estimateCalories(entry.distanceM, entry.durationMs)
+                    const estCalories = calcCalories({ distanceM: entry.distanceM, durationMs: entry.durationMs, mode: entry.mode, profile })
                     const caloriesDisplay = Number.isFinite(entry.calories)
                       ? formatCalories(entry.calories, language)
                       : formatCalories(estCalories || 0, language)
@@ -698,6 +1085,10 @@ export default function RunningHistoryOverlay({
 
                         {expanded && (
                           <div className="space-y-1.5 md:space-y-3 border-t border-white/15 bg-black/20 px-2 md:px-4 lg:px-5 py-2 md:py-4 text-sm md:text-base">
+                            {/* Route + charts (route가 있는 기록만) */}
+                            {entry.routePointCount > 1 && (
+                              <HistoryRunAnalysis entryId={entry.id} language={language} />
+                            )}
                             {/* Stats Grid - 2 columns */}
                             <div className="grid grid-cols-2 gap-1.5 md:gap-3">
                               {/* Row 1: Distance, Time */}
@@ -734,6 +1125,44 @@ export default function RunningHistoryOverlay({
                                   <p className="text-base md:text-xl lg:text-2xl font-black text-white">{stepsLabel}</p>
                                 </div>
                               )}
+                              {/* Optional: Moving time (이동 시간이 저장된 기록만) */}
+                              {movingTimeLabel && (
+                                <div className="rounded-lg md:rounded-xl bg-gradient-to-br from-cyan-500/15 to-cyan-500/5 px-2 md:px-4 py-1.5 md:py-3 text-center border border-cyan-400/20">
+                                  <p className="text-[0.55rem] md:text-xs lg:text-sm uppercase tracking-wider text-white/60 font-bold">{text.summary.movingTime}</p>
+                                  <p className="text-base md:text-xl lg:text-2xl font-black text-white">{movingTimeLabel}</p>
+                                </div>
+                              )}
+                              {/* Optional: GAP (고도 변화가 있던 기록만) */}
+                              {gapLabel && (
+                                <div className="rounded-lg md:rounded-xl bg-gradient-to-br from-purple-500/15 to-purple-500/5 px-2 md:px-4 py-1.5 md:py-3 text-center border border-purple-400/20">
+                                  <p className="text-[0.55rem] md:text-xs lg:text-sm uppercase tracking-wider text-white/60 font-bold">{text.summary.gap}</p>
+                                  <p className="text-base md:text-xl lg:text-2xl font-black text-white">{gapLabel}</p>
+                                </div>
+                              )}
+                              {/* Optional: Cadence / stride (걸음 소스가 있던 러닝 기록) */}
+                              {!hasSteps && cadenceDisplay && (
+                                <div className="rounded-lg md:rounded-xl bg-gradient-to-br from-cyan-500/15 to-cyan-500/5 px-2 md:px-4 py-1.5 md:py-3 text-center border border-cyan-400/20">
+                                  <p className="text-[0.55rem] md:text-xs lg:text-sm uppercase tracking-wider text-white/60 font-bold">{text.summary.cadence}</p>
+                                  <p className="text-base md:text-xl lg:text-2xl font-black text-white">
+                                    {cadenceDisplay}
+                                    {strideDisplay && (
+                                      <span className="ml-1 text-[0.6rem] md:text-sm font-bold text-white/50">{`· ${strideDisplay}`}</span>
+                                    )}
+                                  </p>
+                                </div>
+                              )}
+                              {/* Optional: Heart rate (심박 센서가 있던 기록만) */}
+                              {Number.isFinite(entry.avgHeartRate) && (
+                                <div className="rounded-lg md:rounded-xl bg-gradient-to-br from-rose-500/15 to-rose-500/5 px-2 md:px-4 py-1.5 md:py-3 text-center border border-rose-400/20">
+                                  <p className="text-[0.55rem] md:text-xs lg:text-sm uppercase tracking-wider text-white/60 font-bold">{text.summary.avgHeartRate}</p>
+                                  <p className="text-base md:text-xl lg:text-2xl font-black text-white">
+                                    {`${Math.round(entry.avgHeartRate)} bpm`}
+                                    {Number.isFinite(entry.maxHeartRate) && (
+                                      <span className="ml-1 text-[0.6rem] md:text-sm font-bold text-white/50">{`/ ${Math.round(entry.maxHeartRate)}`}</span>
+                                    )}
+                                  </p>
+                                </div>
+                              )}
                               {/* Optional: Laps count */}
                               {laps.length > 0 && (
                                 <div className="rounded-lg md:rounded-xl bg-gradient-to-br from-white/10 to-white/5 px-2 md:px-4 py-1.5 md:py-3 text-center border border-white/15">
@@ -760,6 +1189,8 @@ export default function RunningHistoryOverlay({
                             )}
 
                             {/* Lap Details - compact */}
+                            <HeartRateZoneBars zoneTimeMs={entry.hrZoneTimeMs} title={text.summary.hrZones} />
+
                             {laps.length > 0 && (
                               <div className="rounded-lg md:rounded-xl border border-white/10 bg-black/20 px-2 md:px-4 py-1 md:py-2">
                                 <p className="text-[0.5rem] md:text-xs lg:text-sm uppercase tracking-wider text-white/60 font-bold mb-1 md:mb-2">
@@ -772,14 +1203,58 @@ export default function RunningHistoryOverlay({
                                       className="flex items-center justify-between gap-1 md:gap-2 rounded md:rounded-lg bg-white/5 px-1.5 md:px-3 py-0.5 md:py-1.5"
                                     >
                                       <span className="font-bold text-white/80">{lap.index}</span>
-                                      <span>{formatDistanceLabel(lap.distanceM, 2)}</span>
+                                      <span>{formatLapSplitDistance(lap.distanceM, entry.lapDistanceM)}</span>
                                       <span>{formatClock(lap.durationMs)}</span>
                                       <span className="font-bold text-emerald-300">{formatPaceLabel(lap.paceMs)}</span>
+                                      {Number.isFinite(lap.cadenceSpm) && (
+                                        <span className="text-cyan-200/80">{`${lap.cadenceSpm} spm`}</span>
+                                      )}
+                                      {Number.isFinite(lap.avgHeartRate) && (
+                                        <span className="text-rose-200/80">{`${lap.avgHeartRate} bpm`}</span>
+                                      )}
+                                      {Number.isFinite(lap.gapMs) && lap.paceMs > 0 && Math.abs(lap.gapMs - lap.paceMs) / lap.paceMs > 0.01 && (
+                                        <span className="text-purple-200/80">GAP {formatPaceLabel(lap.gapMs, { withUnit: false })}</span>
+                                      )}
                                     </div>
                                   ))}
                                 </div>
                               </div>
                             )}
+
+                            {/* Export */}
+                            <div className="flex flex-wrap items-center gap-1 md:gap-2">
+                              <span className="text-[0.55rem] md:text-xs lg:text-sm uppercase tracking-wider text-white/60 font-bold">
+                                {text.export?.title || 'Export'}
+                              </span>
+                              {EXPORT_FORMATS.map((format) => (
+                                <button
+                                  key={format.key}
+                                  type="button"
+                                  disabled={exportState?.status === 'busy'}
+                                  onClick={() => handleExport(entry, format.exporter)}
+                                  className="rounded-lg md:rounded-xl border border-white/20 bg-white/10 px-2 md:px-3 py-0.5 md:py-1.5 text-[0.6rem] md:text-xs lg:text-sm font-bold text-white/80 transition-all duration-200 hover:border-white/40 active:scale-95 disabled:opacity-50"
+                                >
+                                  {text.export?.[format.key] || format.key.toUpperCase()}
+                                </button>
+                              ))}
+                              {onReplayEntry && (
+                                <button
+                                  type="button"
+                                  onClick={() => onReplayEntry(entry)}
+                                  className="rounded-lg md:rounded-xl border border-amber-400/40 bg-amber-500/10 px-2 md:px-3 py-0.5 md:py-1.5 text-[0.6rem] md:text-xs lg:text-sm font-bold text-amber-100 transition-all duration-200 active:scale-95"
+                                >
+                                  {language === 'ko' ? '재생' : 'Replay'}
+                                </button>
+                              )}
+                              {exportState?.id === entry.id && exportState.status !== 'busy' && (
+                                <span className="text-[0.55rem] md:text-xs text-rose-200">
+                                  {exportState.status === 'noRoute' ? text.export?.noRoute : text.export?.failed}
+                                </span>
+                              )}
+                              {exportState?.id === entry.id && exportState.status === 'busy' && (
+                                <span className="text-[0.55rem] md:text-xs text-white/50">{text.export?.exporting}</span>
+                              )}
+                            </div>
                           </div>
                         )}
                       </div>
@@ -809,3 +1284,39 @@ export default function RunningHistoryOverlay({
     </div>
   )
 }
+
+/**
+ * 펼친 기록의 경로 + 차트
+ * 목록 요약에는 route가 없어서 펼칠 때 전체 기록을 읽는다.
+ */
+function HistoryRunAnalysis({ entryId, language }) {
+  const [record, setRecord] = useState(null)
+  const [routeHighlight, setRouteHighlight] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    getHistoryEntry(entryId)
+      .then((full) => {
+        if (!cancelled) setRecord(full)
+      })
+      .catch((err) => console.warn('[history] failed to load run for charts', err))
+    return () => {
+      cancelled = true
+    }
+  }, [entryId])
+
+  const chartData = useMemo(() => (record ? buildRunChartData(record) : null), [record])
+
+  if (!record || !Array.isArray(record.route) || record.route.length < 2) return null
+
+  return (
+    <>
+      <div className="overflow-hidden rounded-lg md:rounded-xl border border-emerald-400/20">
+        <RoutePreview points={record.route} highlight={routeHighlight} />
+      </div>
+      {chartData && (
+        <RunCharts data={chartData} language={language} onHighlight={setRouteHighlight} />
+      )}
+    </>
+  )
+}
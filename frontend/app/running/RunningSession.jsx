@@ -4,9 +4,13 @@ import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import RunningSummaryOverlay from './RunningSummaryOverlay'
 import RunningHistoryOverlay from './RunningHistoryOverlay'
 import LapCompletionAlert from './LapCompletionAlert'
+import WorkoutBuilder from './WorkoutBuilder'
+import ProfileEditor from './ProfileEditor'
+import { HR_ZONE_COLORS } from './HeartRateZoneBars'
 import useNativeAppVisibility from '../hooks/useNativeAppVisibility'
 import useSafeAreaTop from '../hooks/useSafeAreaTop'
 import { ensureLocationPermission, watchLocation, getCurrentLocation } from '../utils/geolocation'
+import { createReplayClock, createReplayPlayer, isReplayAvailable } from '../utils/gps-replay'
 import {
   haversineDistanceMeters,
   formatClock,
@@ -16,16 +20,120 @@ import {
   formatSpokenPace,
   formatSpokenDistance,
   formatSpokenSpeed,
+  formatElevationLabel,
+  formatSpeedKmhLabel,
+  getDistanceUnitMeters,
+  getSpeedUnitLabel,
+  isImperialUnits,
+  metersToDisplayDistance,
+  displayPaceToPace,
+  paceToDisplayPace,
+  setUnitSystem,
+  METERS_PER_MILE,
 } from '../utils/distance'
 import { DistanceCalculator } from '../utils/DistanceCalculator'
-import { unlockTTS, speakOnce, stopAllTTS, forceUnduck } from '../realtime-mediapipe/tts'
+import { unlockTTS, speakOnce, stopAllTTS, forceUnduck, isSpeechActive } from '../realtime-mediapipe/tts'
+import { unlockAudio } from '../utils/bell-audio'
 import { requestWakeLock, releaseWakeLock, isWakeLockActive } from '../utils/wake-lock'
+import { barometer } from '../utils/barometer'
+import { heartRateMonitor } from '../utils/heart-rate'
+import { pedometer } from '../utils/pedometer'
+import { backgroundPedometer } from '../utils/background-pedometer'
+import { createHeartRateReplayPlayer } from '../utils/heart-rate-replay'
 import { ScreenOrientation } from '@capacitor/screen-orientation'
 import {
+  MODE_LABELS,
   SESSION_TEXT,
 } from './locale'
-import { createMetricsAccumulator } from './metrics'
-import { maybeRequestIgnoreBatteryOptimizations } from '../utils/activity-permissions'
+import { computeAvgPaceMs, createMetricsAccumulator } from './metrics'
+import {
+  readHeartRateTargetZone,
+  readHeartRateZoneMethod,
+  readMetronomeAdaptive,
+  readMetronomeSpm,
+  readPaceBasis,
+  readPaceCoachBasis,
+  readUnitSystem,
+  readWalkStepGoal,
+  writeHeartRateTargetZone,
+  writeHeartRateZoneMethod,
+  writeMetronomeAdaptive,
+  writeMetronomeSpm,
+  writePaceBasis,
+  writePaceCoachBasis,
+  writeUnitSystem,
+  writeWalkStepGoal,
+} from './preferences'
+import {
+  HR_ZONE_COUNT,
+  buildHeartRateZones,
+  compareToHeartRateZone,
+  createEmptyZoneTimes,
+  resolveHeartRateZone,
+} from './heart-rate-zones'
+import { adjustElapsedForGrade, calcGapMs, createGapTracker, toGradeAdjustedPace } from './gap'
+import {
+  METRONOME_ADAPT_INTERVAL_MS,
+  METRONOME_SPM_OPTIONS,
+  createMetronome,
+  resolveAdaptiveMetronomeSpm,
+} from './metronome'
+import {
+  STEP_DISTANCE_GPS_GAP_MS,
+  WALK_STEP_GOAL_OPTIONS,
+  createStepDistanceTracker,
+  estimateWalkStrideM,
+  mergeWalkDayTotals,
+} from './walking'
+import {
+  LAP_DISTANCE_PRESETS_M,
+  LAP_DISTANCE_STORAGE_KEY,
+  LAP_TIME_PRESETS_MS,
+  LAP_TIME_STORAGE_KEY,
+  MAX_LAP_DISTANCE_M,
+  MIN_LAP_DISTANCE_M,
+  formatLapMarkLabel,
+  formatLapSettingLabel,
+  formatLapSplitDistance,
+  formatSpokenLapLength,
+  normalizeLapDistance,
+  normalizeLapTime,
+  readLapSettings,
+} from './laps'
+import {
+  WORKOUT_PLAN_STORAGE_KEY,
+  buildIntervalWorkout,
+  createWorkoutRunner,
+  formatStepTargetLabel,
+  readWorkoutPlan,
+} from './workout'
+import {
+  AUTO_PAUSE_DELAY_OPTIONS_MS,
+  AUTO_PAUSE_STORAGE_KEY,
+  createAutoPauseDetector,
+  readAutoPauseDelay,
+} from './auto-pause'
+import { readProfile, writeProfile } from './profile'
+import { calcCalories, recomputeRecordCalories, resolveWeightKg } from './energy'
+import {
+  attachBestEfforts,
+  buildPersonalRecordSpeech,
+  createLiveBestEffortTracker,
+  diffPersonalRecords,
+  readPersonalRecords,
+  refreshPersonalRecords,
+} from './personal-records'
+import {
+  getHistoryEntry,
+  listHistoryEntries,
+  saveHistoryEntry,
+  saveHistoryEntries,
+  deleteHistoryEntry,
+  getGoalPeriodTotals,
+  toHistorySummary,
+} from './history-store'
+import { importRouteFile, parseGpx } from './route-import'
+import { ensurePedometerPermission, maybeRequestIgnoreBatteryOptimizations } from '../utils/activity-permissions'
 
 const MODE_META = {
   run: {
@@ -36,14 +144,32 @@ const MODE_META = {
     defaultTimeCueMs: 5 * 60 * 1000,
     defaultTargetPaceMs: 6.5 * 60 * 1000, // 6'30"
   },
+  walk: {
+    title: 'Walking530',
+    titleKo: 'Walking530',
+    gradient: 'from-amber-400/30 via-orange-500/20 to-yellow-500/30',
+    accentColor: 'amber',
+    defaultTimeCueMs: 10 * 60 * 1000,
+    defaultTargetPaceMs: 10 * 60 * 1000, // 10'00"
+  },
 }
 
-const HISTORY_KEY = 'running_history_v1'
 const CARRYOVER_STORAGE_KEY = 'running_carryover_v1'
-const LAP_DISTANCE_STORAGE_KEY = 'running_lap_distance_m'
+const MIN_LAP_PACE_DISTANCE_M = 10 // 이보다 짧은 수동 랩은 페이스를 내지 않음
 const TIME_CUE_STORAGE_KEY = 'running_time_cue_ms'
 const PACE_TARGET_STORAGE_KEY = 'running_target_pace_ms'
 const GOAL_STORAGE_KEY = 'running_goal_v1'
+// GPS 좌표 스무딩 방식 ('average' | 'kalman'). 같은 trace를 replay로 돌려 두 방식을 비교할 때 사용
+const GPS_SMOOTHING_STORAGE_KEY = 'running_gps_smoothing'
+
+const readGpsSmoothing = () => {
+  if (typeof window === 'undefined') return 'average'
+  try {
+    return localStorage.getItem(GPS_SMOOTHING_STORAGE_KEY) === 'kalman' ? 'kalman' : 'average'
+  } catch {
+    return 'average'
+  }
+}
 const MIN_DISTANCE_DELTA = 3.0 // 최소 거리 필터 강화: GPS Drift 방지 (이전: 0.7m → 3.0m)
 const CURRENT_PACE_WINDOW_MS = 20000
 const CURRENT_PACE_MIN_DISTANCE_M = 3
@@ -52,7 +178,6 @@ const ACCURACY_STRICT_REJECT_M = 50
 const UNKNOWN_ACCURACY_DELTA_CAP_M = 6
 const LOCATION_STALE_THRESHOLD_MS = 2 * 60 * 1000
 const RUN_MAX_SPEED_MPS = 11.1 // 런닝 최대 속도 현실화 (40km/h, 이전: 7.5m/s = 27km/h)
-const MAX_HISTORY_ITEMS = 20
 const MIN_AVG_PACE_DISTANCE_M = 100
 const IDLE_THRESHOLD_MS = 30000 // 30s of no movement -> pause high-accuracy watch
 const IDLE_POLL_INTERVAL_MS = 8000 // During idle, low-duty polling interval
@@ -62,8 +187,11 @@ const MIN_PACE_COACH_DELTA_MS = 15000 // 15s difference before coaching nags
 const PACE_COACH_COOLDOWN_MS = 90000
 const GHOST_DISTANCE_TOLERANCE_M = 500 // ±0.5km tolerance when finding a target run
 const MIN_GHOST_SPLITS = 1
-const DEFAULT_WEIGHT_KG = 65 // Fallback weight for calorie estimation
-const ELEVATION_NOISE_M = 1 // Ignore tiny altitude fluctuations
+// 기압계 값이 이보다 오래되면 GPS 고도만 사용
+const BARO_STALE_MS = 5000
+const HR_COACH_COOLDOWN_MS = 90000
+const HR_ZONE_TOLERANCE_BPM = 3 // 존 경계에서 오락가락할 때 알림이 반복되지 않도록
+const HR_COACH_WARMUP_MS = 3 * 60 * 1000 // 초반에는 심박이 올라오는 중이라 '낮음' 알림 생략
 
 // Running mode weekly/monthly distance goals (km 단위 기본값)
 const RUN_WEEKLY_DISTANCE_GOAL_KM_DEFAULT = 20 // 기본 주간 러닝 목표 거리 (20km)
@@ -125,29 +253,35 @@ const getDateKeyFromValue = (value) => {
 }
 
 
-const buildLapSpeech = (index, lapDuration, lapPace, avgPace, language) => {
+// lapLength: 자동 랩 단위 ("400 meters", "1 mile", "5 minutes"), 수동 랩이면 null
+const buildLapSpeech = (index, lapDuration, lapPace, avgPace, language, lapLength = null) => {
   const lapDurationText = formatSpokenDuration(lapDuration, language)
-  const lapPaceText = formatSpokenPace(lapPace, language)
+  // 아주 짧은 수동 랩은 페이스 없이 시간만 안내
+  const lapPaceText = Number.isFinite(lapPace) ? formatSpokenPace(lapPace, language) : null
   if (language === 'ko') {
-    return `${index}번째 구간 기록, ${lapDurationText}, 평균 페이스 ${lapPaceText}.`
+    const lapLabel = lapLength ? `${index}번째 ${lapLength} 구간 기록` : `${index}번째 구간 기록`
+    return lapPaceText
+      ? `${lapLabel}, ${lapDurationText}, 평균 페이스 ${lapPaceText}.`
+      : `${lapLabel}, ${lapDurationText}.`
   }
+  const lapLabel = lapLength ? `Lap ${index}, ${lapLength},` : `Lap ${index}`
+  if (!lapPaceText) return `${lapLabel} complete in ${lapDurationText}.`
   const lapSegment = `${lapPaceText} pace`
-  return `Lap ${index} complete in ${lapDurationText}. Lap pace ${lapSegment}.`
+  return `${lapLabel} complete in ${lapDurationText}. Lap pace ${lapSegment}.`
 }
 
 const formatSpeedLabel = (paceMs) => {
-  if (!paceMs || paceMs <= 0) return '--.- km/h'
-  const kmh = 3600000 / paceMs
-  if (!Number.isFinite(kmh)) return '--.- km/h'
-  return `${kmh.toFixed(1)} km/h`
+  if (!paceMs || paceMs <= 0) return formatSpeedKmhLabel(null)
+  return formatSpeedKmhLabel(3600000 / paceMs)
 }
 
-	// Compact km label for running distance goals (e.g. 12.3km / 20km)
+	// Compact distance label for running distance goals (e.g. 12.3km / 20km, 7.6 mi / 12 mi)
 	const formatKmLabel = (kmValue, language) => {
-	  if (!Number.isFinite(kmValue)) return language === 'ko' ? '0km' : '0 km'
-	  const v = Math.max(0, kmValue)
+	  const unit = isImperialUnits() ? 'mi' : 'km'
+	  if (!Number.isFinite(kmValue)) return language === 'ko' ? `0${unit}` : `0 ${unit}`
+	  const v = Math.max(0, metersToDisplayDistance(kmValue * 1000))
 	  const text = v >= 10 ? v.toFixed(0) : v.toFixed(1)
-	  return language === 'ko' ? `${text}km` : `${text} km`
+	  return language === 'ko' ? `${text}${unit}` : `${text} ${unit}`
 	}
 
 const buildTimeCueSpeech = (payload) => {
@@ -168,7 +302,7 @@ const buildTimeCueSpeech = (payload) => {
   let trendText = ''
   if (lastSnapshot && avgPaceMs && Number.isFinite(lastSnapshot.avgPaceMs)) {
     const paceDeltaMs = avgPaceMs - lastSnapshot.avgPaceMs
-    const paceDeltaSec = Math.round(Math.abs(paceDeltaMs) / 1000)
+    const paceDeltaSec = Math.round(Math.abs(paceToDisplayPace(paceDeltaMs)) / 1000) // 표시 단위(/km, /mi) 기준
     if (paceDeltaSec >= 5) {
       if (language === 'ko') {
         trendText = paceDeltaMs < 0
@@ -225,6 +359,26 @@ const buildPaceCoachSpeech = (direction, deltaSeconds, language, modeLabel) => {
   return `You're ${deltaLabel} faster than target pace. Ease off slightly.`
 }
 
+const buildHeartRateZoneSpeech = (position, targetZone, bpm, language) => {
+  const bpmText = Number.isFinite(bpm) ? Math.round(bpm) : null
+  if (language === 'ko') {
+    const current = bpmText ? `현재 심박 ${bpmText}. ` : ''
+    return position === 'high'
+      ? `${current}목표 ${targetZone}존보다 높습니다. 속도를 조금 줄여보세요.`
+      : `${current}목표 ${targetZone}존보다 낮습니다. 조금 더 힘을 내보세요.`
+  }
+  const current = bpmText ? `Heart rate ${bpmText}. ` : ''
+  return position === 'high'
+    ? `${current}You're above zone ${targetZone}. Ease off a little.`
+    : `${current}You're below zone ${targetZone}. Push a little harder.`
+}
+
+const buildStepGoalSpeech = (goal, language) => (
+  language === 'ko'
+    ? `오늘 걸음 목표 ${goal.toLocaleString()}보를 달성했습니다. 잘하셨어요!`
+    : `You've reached today's goal of ${goal.toLocaleString()} steps. Nice work!`
+)
+
 const buildGoalSpeech = (goal, elapsedMs, distanceM, avgPaceMs, language) => {
   if (!goal) return ''
   const distanceText = formatSpokenDistance(distanceM, language, 2)
@@ -244,20 +398,63 @@ const buildGoalSpeech = (goal, elapsedMs, distanceM, avgPaceMs, language) => {
   return `Time goal reached! ${durationText} elapsed. Distance ${distanceText}${avgText ? `, average pace ${avgText}` : ''}.`
 }
 
+const buildAutoPauseSpeech = (type, language) => {
+  if (type === 'pause') {
+    return language === 'ko' ? '자동 일시정지되었습니다.' : 'Auto-paused.'
+  }
+  return language === 'ko' ? '운동을 다시 시작합니다.' : 'Resumed.'
+}
+
+const formatSpokenStepTarget = (end, language) => {
+  if (end?.type === 'distance') {
+    if (end.value < 1000) return language === 'ko' ? `${Math.round(end.value)}미터` : `${Math.round(end.value)} meters`
+    return formatSpokenDistance(end.value, language, end.value % 1000 ? 1 : 0)
+  }
+  if (end?.type === 'time') return formatSpokenDuration(end.value, language)
+  return null
+}
+
+// 워크아웃 스텝 전환 안내 (step이 null이면 워크아웃 완료)
+const buildWorkoutStepSpeech = (step, language) => {
+  if (!step) {
+    return language === 'ko' ? '워크아웃 완료! 수고하셨어요.' : 'Workout complete. Great job!'
+  }
+  const workoutText = SESSION_TEXT[language]?.workout || SESSION_TEXT.en.workout
+  const kindLabel = workoutText.steps[step.kind] || step.kind
+  const targetText = formatSpokenStepTarget(step.end, language)
+  const parts = []
+  if (language === 'ko') {
+    parts.push(step.repeatIndex ? `${kindLabel} ${step.repeatCount}회 중 ${step.repeatIndex}회차.` : `${kindLabel} 시작.`)
+    parts.push(targetText ? `${targetText}.` : '끝나면 랩 버튼을 누르세요.')
+    if (step.pace) {
+      parts.push(`목표 페이스 ${formatSpokenPace(step.pace.minMs, 'ko')}에서 ${formatSpokenPace(step.pace.maxMs, 'ko')}.`)
+    }
+  } else {
+    parts.push(step.repeatIndex ? `${kindLabel} ${step.repeatIndex} of ${step.repeatCount}.` : `${kindLabel}.`)
+    parts.push(targetText ? `${targetText}.` : 'Press lap when done.')
+    if (step.pace) {
+      parts.push(`Target pace ${formatSpokenPace(step.pace.minMs, 'en')} to ${formatSpokenPace(step.pace.maxMs, 'en')}.`)
+    }
+  }
+  return parts.join(' ')
+}
+
 const formatGoalLabel = (goal, language) => {
   if (!goal) return ''
   if (goal.type === 'distance') {
-    return language === 'ko'
-      ? `${(goal.value / 1000).toFixed(1)}km 목표`
-      : `${(goal.value / 1000).toFixed(1)}km goal`
+    const distanceLabel = formatDistanceLabel(goal.value, 1)
+    return language === 'ko' ? `${distanceLabel} 목표` : `${distanceLabel} goal`
   }
   const label = formatClock(goal.value, { showHours: goal.value >= 3600000 })
   return language === 'ko' ? `${label} 목표` : `${label} goal`
 }
 
-const buildGhostDeltaSpeech = (kmIndex, diffSeconds, language) => {
+// unitIndex: 통과한 km (또는 마일) 지점
+const buildGhostDeltaSpeech = (unitIndex, diffSeconds, language) => {
   if (!Number.isFinite(diffSeconds)) return ''
-  const kmLabel = language === 'ko' ? `${kmIndex}킬로미터` : `Kilometer ${kmIndex}`
+  const kmLabel = isImperialUnits()
+    ? (language === 'ko' ? `${unitIndex}마일` : `Mile ${unitIndex}`)
+    : (language === 'ko' ? `${unitIndex}킬로미터` : `Kilometer ${unitIndex}`)
   const prefix = language === 'ko' ? `${kmLabel} 통과.` : `${kmLabel} mark.`
   const absText = formatSpokenDuration(Math.abs(diffSeconds) * 1000, language)
   if (Math.abs(diffSeconds) < 3) {
@@ -270,7 +467,7 @@ const buildGhostDeltaSpeech = (kmIndex, diffSeconds, language) => {
 }
 
 
-export default function RunningSession({ mode }) {
+export default function RunningSession({ mode, onModeChange }) {
   useNativeAppVisibility('running')
   const resolvedMode = MODE_META[mode] ? mode : 'run'
   const meta = MODE_META[resolvedMode]
@@ -281,9 +478,18 @@ export default function RunningSession({ mode }) {
   const [distanceM, setDistanceM] = useState(0)
   const [currentPaceMs, setCurrentPaceMs] = useState(null)
   const [avgPaceMs, setAvgPaceMs] = useState(null)
+  // 경사 보정 페이스 (gap.js)
+  const [currentGapMs, setCurrentGapMs] = useState(null)
+  const [avgGapMs, setAvgGapMs] = useState(null)
+  // 심박 (utils/heart-rate 플러그인 또는 replay), 없으면 null
+  const [heartRate, setHeartRate] = useState(null)
+  // 케이던스 / 보폭 (스텝 카운터 또는 가속도 걸음 검출, metrics.js)
+  const [cadenceSpm, setCadenceSpm] = useState(null)
+  const [strideLengthM, setStrideLengthM] = useState(null)
   const [laps, setLaps] = useState([])
   const [routePoints, setRoutePoints] = useState([])
   const [history, setHistory] = useState([])
+  const [historyRevision, setHistoryRevision] = useState(0)
   const [error, setError] = useState('')
   const [errorCode, setErrorCode] = useState(null)
   const [locationPermission, setLocationPermission] = useState('prompt')
@@ -325,17 +531,14 @@ export default function RunningSession({ mode }) {
     } catch {}
     return meta.defaultTargetPaceMs || null
   })
+  // 자동 랩: 거리(lapDistanceM) 또는 시간(lapTimeMs) 중 하나만 켜진다. 둘 다 0이면 수동 랩만
   const [lapDistanceM, setLapDistanceM] = useState(() => {
-    if (typeof window === 'undefined') return 1000
-    try {
-      const raw = localStorage.getItem(LAP_DISTANCE_STORAGE_KEY)
-      const parsed = Number(raw || '1000')
-      return parsed === 500 ? 500 : 1000
-    } catch {
-      return 1000
-    }
+    const settings = readLapSettings()
+    return settings.lapTimeMs > 0 ? 0 : settings.lapDistanceM
   })
+  const [lapTimeMs, setLapTimeMs] = useState(() => readLapSettings().lapTimeMs)
   const [lapDistanceDropdownOpen, setLapDistanceDropdownOpen] = useState(false)
+  const [customLapInput, setCustomLapInput] = useState(null) // 직접 입력 중인 랩 거리 (m), 닫혀 있으면 null
   const [timeCueDropdownOpen, setTimeCueDropdownOpen] = useState(false)
   const [paceTargetDropdownOpen, setPaceTargetDropdownOpen] = useState(false)
   const [goalDistanceDropdownOpen, setGoalDistanceDropdownOpen] = useState(false)
@@ -350,6 +553,27 @@ export default function RunningSession({ mode }) {
     const saved = localStorage.getItem('running_battery_saver')
     return saved === 'true'
   })
+  const [autoPauseMs, setAutoPauseMs] = useState(() => readAutoPauseDelay())
+  const [autoPaused, setAutoPaused] = useState(false)
+  const [paceBasis, setPaceBasis] = useState(() => readPaceBasis())
+  const [paceCoachBasis, setPaceCoachBasis] = useState(() => readPaceCoachBasis())
+  const [hrZoneMethod, setHrZoneMethod] = useState(() => readHeartRateZoneMethod())
+  const [hrTargetZone, setHrTargetZone] = useState(() => readHeartRateTargetZone())
+  const [metronomeSpm, setMetronomeSpm] = useState(() => readMetronomeSpm())
+  const [metronomeAdaptive, setMetronomeAdaptive] = useState(() => readMetronomeAdaptive())
+  const [metronomeTempo, setMetronomeTempo] = useState(null) // 지금 울리는 템포 (적응형이면 목표와 다를 수 있음)
+  const [walkStepGoal, setWalkStepGoal] = useState(() => readWalkStepGoal())
+  const [walkDayBase, setWalkDayBase] = useState(null) // 도보: 오늘 앞서 걸은 누적 (carryover)
+  const [sessionSteps, setSessionSteps] = useState(0)
+  const [unitSystem, setUnitSystemState] = useState(() => {
+    const system = readUnitSystem()
+    setUnitSystem(system) // 첫 렌더부터 format* 함수가 저장된 단위를 쓰도록
+    return system
+  })
+  const [profile, setProfile] = useState(() => readProfile())
+  const heartRateZones = useMemo(() => buildHeartRateZones(profile, hrZoneMethod), [profile, hrZoneMethod])
+  const [profileOpen, setProfileOpen] = useState(false)
+  const [personalRecords, setPersonalRecords] = useState(() => readPersonalRecords())
 	  const [runGoalConfig, setRunGoalConfig] = useState(() => {
 	    if (typeof window === 'undefined') return makeDefaultRunGoals()
 	    try {
@@ -393,6 +617,8 @@ export default function RunningSession({ mode }) {
 	    }
 		  })
 		  const [goalBanner, setGoalBanner] = useState(null)
+  const [workoutPlan, setWorkoutPlan] = useState(() => readWorkoutPlan(resolvedMode))
+  const [workoutStepIndex, setWorkoutStepIndex] = useState(-1) // 진행 중 스텝 (화면 갱신용)
 		  const [badgeBanner, setBadgeBanner] = useState(null)
 	  const [showGoalGuide, setShowGoalGuide] = useState(false)
   const [showSettingsGuide, setShowSettingsGuide] = useState(false)
@@ -442,31 +668,55 @@ export default function RunningSession({ mode }) {
 	  const watchStopRef = useRef(null)
   const lastPointRef = useRef(null)
   const routePointsRef = useRef([])
-  const lastAltitudeRef = useRef(null)
-  const elevationGainRef = useRef(0)
   const sessionStartRef = useRef(null)
   const pauseStartRef = useRef(0)
   const pausedAccumulatedRef = useRef(0)
   const totalDistanceRef = useRef(0)
   const distanceOffsetRef = useRef(0)
   const elapsedOffsetRef = useRef(0)
-  const lapTargetRef = useRef(lapDistanceM || 1000)
+  const lapTargetRef = useRef(lapDistanceM > 0 ? lapDistanceM : Infinity)
+  const lapTimeTargetRef = useRef(lapTimeMs > 0 ? lapTimeMs : Infinity) // 시간 랩: 다음 랩 경과 시간 (오프셋 제외)
   const lapStartTimeRef = useRef(null)
   const lapStartDistanceRef = useRef(0)
+  const lapStartElevationRef = useRef({ gainM: 0, lossM: 0 })
   const lapPauseStartRef = useRef(0)
   const lapPausedAccumulatedRef = useRef(0)
   const lapsRef = useRef([])
   const samplesRef = useRef([])
   const voiceEnabledRef = useRef(voiceEnabled)
+  const profileRef = useRef(profile) // 자동 저장 타이머에서 최신 프로필 사용
+  const personalRecordsRef = useRef(personalRecords)
+  const prBaselineRef = useRef({}) // 세션 시작 시점의 PR 표 (자동 저장분과 섞이지 않게)
+  const liveBestEffortRef = useRef(null) // createLiveBestEffortTracker 인스턴스 (러닝 세션 중)
   const nextTimeCueRef = useRef(null)
   const paceCoachRef = useRef({ ts: 0, direction: null })
   const goalRef = useRef(null)
+  const workoutRef = useRef(null) // 세션에서 실행 중인 workout 정의
+  const workoutRunnerRef = useRef(null)
   const goalReachedRef = useRef(false)
   const lastTimeCueRef = useRef(null)
   const smoothedSpeedRef = useRef(null) // Smoothed speed in m/s for better current pace
   const ghostSessionRef = useRef({ enabled: false, targetRun: null, lapsTimeline: [], nextKmIndex: 1 })
   const metricsRef = useRef(null)
   const pausedIntervalsRef = useRef([])
+  const autoPauseRef = useRef(null) // createAutoPauseDetector 인스턴스 (꺼져 있으면 null)
+  const autoPausedRef = useRef(false)
+  const paceBasisRef = useRef(paceBasis)
+  const paceCoachBasisRef = useRef(paceCoachBasis)
+  const gapTrackerRef = useRef(null)
+  const lapStartEquivalentRef = useRef(0) // 랩 시작 시점의 평지 환산 거리
+  const lapStartHeartRateRef = useRef({ beats: 0, timeMs: 0, zoneTimeMs: createEmptyZoneTimes() })
+  const hrCoachRef = useRef({ ts: 0, direction: null })
+  const metronomeRef = useRef(null)
+  const metronomeAdaptAtRef = useRef(0)
+  const lapStartStepsRef = useRef(0)
+  // 도보: 하루 누적 기준값 / 걸음 기반 거리 보충
+  const carryoverBaseRef = useRef(null)
+  const stepDistanceRef = useRef(null)
+  const stepDistanceOffsetRef = useRef(0) // 걸음으로 채운 거리 (DistanceCalculator 총거리에 더함)
+  const lastGpsDistanceAtRef = useRef(0)
+  const sessionStepsRef = useRef(0)
+  const stepGoalAnnouncedRef = useRef(false)
   const lastActiveTsRef = useRef(0)
   const idleModeRef = useRef(false)
   const idlePollTimerRef = useRef(null)
@@ -476,9 +726,28 @@ export default function RunningSession({ mode }) {
   const enterIdleModeRef = useRef(null)
   const prevDistanceRef = useRef(0)
   const motionStopRef = useRef(null)
+  const baroReadingRef = useRef(null) // 최근 기압계 고도 { altitude, receivedAt }
   const distanceCalculatorRef = useRef(null) // DistanceCalculator 인스턴스
+  // 세션 시계: 평소엔 Date.now, GPS replay 가속 재생 중엔 배속만큼 빠르게 흐르는 가상 시계
+  const clockRef = useRef(Date.now)
+  const replayPlayerRef = useRef(null)
+  const [replayConfig, setReplayConfig] = useState(null) // { points, speed, noise, label }
+  const hrReplayPlayerRef = useRef(null)
+  const [hrReplaySeries, setHrReplaySeries] = useState(null) // 심박 replay 시계열 (없으면 실제 플러그인)
+  const sessionNow = useCallback(() => clockRef.current(), [])
+
+  const reloadHistory = useCallback(async () => {
+    try {
+      const entries = await listHistoryEntries()
+      setHistory(entries)
+    } catch (err) {
+      console.warn('[running] failed to load history', err)
+    } finally {
+      setHistoryRevision((prev) => prev + 1)
+    }
+  }, [])
 
-  const upsertCarryoverHistory = useCallback((entry, reason = 'carryover') => {
+  const upsertCarryoverHistory = useCallback(async (entry, reason = 'carryover') => {
     if (!entry) return
     const dateKey = getDateKeyFromValue(entry.dateKey || entry.startedAt || entry.timestamp)
     if (!dateKey) return
@@ -493,6 +762,8 @@ export default function RunningSession({ mode }) {
       laps: Array.isArray(entry.laps) ? entry.laps : [],
       route: Array.isArray(entry.route) ? entry.route : [],
       steps: Number.isFinite(entry.steps) ? Math.max(0, entry.steps) : 0,
+      calories: Number.isFinite(entry.calories) ? entry.calories : undefined,
+      stepGoal: Number.isFinite(entry.stepGoal) ? entry.stepGoal : undefined,
       autoSaved: entry.autoSaved !== undefined ? entry.autoSaved : true,
       migratedFromCarryover: Boolean(entry.migratedFromCarryover || reason === 'carryover'),
       migratedFromReset: Boolean(entry.migratedFromReset || reason === 'reset'),
@@ -503,16 +774,17 @@ export default function RunningSession({ mode }) {
       normalized.avgPaceMs = normalized.durationMs / (normalized.distanceM / 1000)
     }
 
-    setHistory((prev) => {
-      const historyArr = Array.isArray(prev) ? [...prev] : []
-      const existingIdx = historyArr.findIndex((item) => {
-        if (item.mode && item.mode !== 'walk') return false
-        const itemDateKey = getDateKeyFromValue(item.startedAt || item.timestamp)
-        return itemDateKey === dateKey
-      })
-
-      if (existingIdx >= 0) {
-        const existing = historyArr[existingIdx]
+    try {
+      // 같은 날짜의 도보 기록이 있으면 병합
+      const walkEntries = await listHistoryEntries({ mode: normalized.mode })
+      const existing = walkEntries.find((item) => getDateKeyFromValue(item.startedAt || item.timestamp) === dateKey)
+
+      let record = normalized
+      if (existing) {
+        // 목록은 route 없는 요약이라 저장된 route는 전체 기록에서 읽는다
+        const existingFull = await getHistoryEntry(existing.id)
+        const existingRoute = Array.isArray(existingFull?.route) ? existingFull.route : []
+        const existingLaps = Array.isArray(existing.laps) ? existing.laps : []
         const merged = {
           ...existing,
           ...normalized,
@@ -521,33 +793,55 @@ export default function RunningSession({ mode }) {
           steps: Math.max(Number(existing.steps) || 0, normalized.steps || 0),
           distanceM: Math.max(Number(existing.distanceM) || 0, normalized.distanceM || 0),
           durationMs: Math.max(Number(existing.durationMs) || 0, normalized.durationMs || 0),
+          calories: Math.max(Number(existing.calories) || 0, normalized.calories || 0) || undefined,
+          // laps는 호출 측에서 이미 하루 누적(carryover + 이번 세션)으로 넘기므로 이어 붙이지 않고 더 긴 쪽을 쓴다
+          laps: normalized.laps.length >= existingLaps.length ? normalized.laps : existingLaps,
+          stepGoal: normalized.stepGoal ?? existing.stepGoal,
           autoSaved: existing.autoSaved && normalized.autoSaved,
           migratedFromCarryover: Boolean(existing.migratedFromCarryover || normalized.migratedFromCarryover),
           migratedFromReset: Boolean(existing.migratedFromReset || normalized.migratedFromReset),
         }
+        // 기존 route는 유지 (새 route가 있을 때만 교체, 같은 날 이어 걸은 세션이면 이어 붙임)
+        if (!normalized.route.length) merged.route = existingRoute
+        else if (reason === 'session') merged.route = [...existingRoute, ...normalized.route]
         const mergedDist = merged.distanceM
         const mergedDur = merged.durationMs
         const pace = mergedDist > 0 && mergedDur > 0
           ? mergedDur / (mergedDist / 1000)
           : (normalized.avgPaceMs ?? existing.avgPaceMs ?? null)
         merged.avgPaceMs = Number.isFinite(pace) ? pace : null
-        historyArr[existingIdx] = merged
-      } else {
-        historyArr.unshift(normalized)
-        if (historyArr.length > MAX_HISTORY_ITEMS) {
-          historyArr.splice(MAX_HISTORY_ITEMS)
-        }
+        record = merged
       }
 
-      try {
-        if (typeof window !== 'undefined') {
-          localStorage.setItem(HISTORY_KEY, JSON.stringify(historyArr))
-        }
-      } catch {}
+      await saveHistoryEntry(record)
+      await reloadHistory()
+      return record.id
+    } catch (err) {
+      console.warn('[running] failed to save carryover history', err)
+    }
+    await reloadHistory()
+    return null
+  }, [reloadHistory])
 
-      return historyArr
-    })
-  }, [])
+  // 체중 / 프로필 변경 후 지난 기록의 칼로리를 현재 프로필로 다시 계산
+  const [recalculatingCalories, setRecalculatingCalories] = useState(false)
+  const [caloriesRecalcCount, setCaloriesRecalcCount] = useState(null)
+  const recalculateHistoryCalories = useCallback(async () => {
+    setRecalculatingCalories(true)
+    try {
+      const entries = await listHistoryEntries()
+      const updated = entries
+        .map((entry) => recomputeRecordCalories(entry, profileRef.current))
+        .filter((entry, index) => entry !== entries[index])
+      await saveHistoryEntries(updated)
+      setCaloriesRecalcCount(updated.length)
+    } catch (err) {
+      console.warn('[running] failed to recalculate calories', err)
+    } finally {
+      setRecalculatingCalories(false)
+    }
+    await reloadHistory()
+  }, [reloadHistory])
 
   const loadCarryoverState = useCallback(() => {
     if (typeof window === 'undefined') return null
@@ -592,6 +886,41 @@ export default function RunningSession({ mode }) {
     try { localStorage.removeItem(CARRYOVER_STORAGE_KEY) } catch {}
   }, [])
 
+  const saveCarryoverState = useCallback((totals) => {
+    if (typeof window === 'undefined' || !totals?.dateKey) return
+    try {
+      localStorage.setItem(CARRYOVER_STORAGE_KEY, JSON.stringify(totals))
+    } catch (err) {
+      console.warn('[walking] failed to save carryover', err)
+    }
+  }, [])
+
+  // 세션 경과 시간 (끝난 일시정지와 진행 중인 일시정지 모두 제외) - finalizeSession과 같은 기준
+  const resolveActiveElapsedMs = useCallback((nowTs) => {
+    if (!sessionStartRef.current) return 0
+    const openPauseMs = pauseStartRef.current ? Math.max(0, nowTs - pauseStartRef.current) : 0
+    return Math.max(0, nowTs - sessionStartRef.current - pausedAccumulatedRef.current - openPauseMs)
+  }, [])
+
+  // 도보: 오늘 앞서 걸은 누적 + 진행 중인 세션 (날짜는 세션 시작일 기준)
+  const buildWalkDayTotals = useCallback((nowTs) => {
+    const metricsSnap = metricsRef.current?.getSnapshot(nowTs) || null
+    const elapsed = resolveActiveElapsedMs(nowTs)
+    return mergeWalkDayTotals(carryoverBaseRef.current, {
+      steps: metricsSnap?.steps || 0,
+      distanceM: Number.isFinite(totalDistanceRef.current) ? totalDistanceRef.current : 0,
+      elapsedMs: elapsed,
+      calories: Number.isFinite(metricsSnap?.calories) ? metricsSnap.calories : 0,
+      laps: lapsRef.current.map((lap) => ({ ...lap })),
+    }, getDateKeyFromValue(sessionStartRef.current) || getTodayKey())
+  }, [])
+
+  // 도보 화면 진입: 전날 carryover는 히스토리로 옮기고, 오늘 누적은 걸음 목표 진행률에 사용
+  useEffect(() => {
+    if (resolvedMode !== 'walk') return
+    setWalkDayBase(loadCarryoverState())
+  }, [resolvedMode, loadCarryoverState])
+
 
 
   const handleSelectGoalPreset = useCallback((preset) => {
@@ -607,6 +936,16 @@ export default function RunningSession({ mode }) {
     })
   }, [])
 
+  // 레이스 예측 → 다음 세션의 거리 목표 + 페이스 가이드
+  const handleApplyPrediction = useCallback((prediction) => {
+    if (!prediction?.distanceM || !Number.isFinite(prediction.paceMs)) return
+    setGoalPreset({ type: 'distance', value: Math.round(prediction.distanceM) })
+    setTargetPaceMs(Math.round(prediction.paceMs / 1000) * 1000)
+    setShowHistory(false)
+    setHistoryInitialSort('recent')
+    setHistoryExpandedId(null)
+  }, [])
+
   const resolveRecordDistance = useCallback((record) => {
     if (!record) return null
     if (record.goal?.type === 'distance' && Number.isFinite(record.goal.value)) {
@@ -630,12 +969,16 @@ export default function RunningSession({ mode }) {
     if (!record || !Array.isArray(record.laps)) return []
     let cumulativeDistance = 0
     let cumulativeElapsed = 0
+    // 모든 랩에 평지 환산 거리가 있을 때만 GAP 비교에 쓴다
+    const hasEquivalent = record.laps.every((lap) => Number.isFinite(lap.equivalentDistanceM))
+    let cumulativeEquivalent = 0
     return record.laps.map((lap) => {
       const dist = Number(lap.distanceM) || 0
       const duration = Number(lap.durationMs) || 0
       const elapsed = Number.isFinite(lap.elapsedMs) ? lap.elapsedMs : cumulativeElapsed + duration
       cumulativeElapsed = elapsed
       cumulativeDistance += dist
+      if (hasEquivalent) cumulativeEquivalent += lap.equivalentDistanceM
       return {
         index: lap.index,
         distanceM: dist,
@@ -643,6 +986,7 @@ export default function RunningSession({ mode }) {
         paceMs: lap.paceMs,
         elapsedMs: elapsed,
         cumulativeDistanceM: cumulativeDistance,
+        cumulativeEquivalentDistanceM: hasEquivalent ? cumulativeEquivalent : null,
       }
     }).filter((lap) => lap.distanceM > 0 && Number.isFinite(lap.elapsedMs))
   }, [])
@@ -692,35 +1036,39 @@ export default function RunningSession({ mode }) {
     parts.push(formatDistanceLabel(Number(distance), 2))
     if (Number.isFinite(duration)) parts.push(formatClock(duration, { showHours: duration >= 3600000 }))
     if (Number.isFinite(avgPace)) parts.push(formatPaceLabel(avgPace))
-    if (Number.isFinite(lapDistance)) parts.push(`${formatDistanceLabel(lapDistance, 2)} lap`)
+    const lapSetting = formatLapSettingLabel({ lapDistanceM: lapDistance, lapTimeMs: record.lapTimeMs })
+    if (lapSetting) parts.push(`${lapSetting} lap`)
     if (Number.isFinite(lapCount)) parts.push(`${lapCount} laps`)
     if (Number.isFinite(targetPace)) parts.push(formatPaceLabel(targetPace))
     if (Number.isFinite(steps)) parts.push(`${steps.toLocaleString()} steps`)
     return parts.join(' / ')
   }, [resolveRecordDistance, resolveRecordDuration])
 
-  const getGhostElapsedAtDistance = useCallback((distanceM) => {
+  // 고스트 랩 타임라인을 거리로 보간 (field: elapsedMs | cumulativeEquivalentDistanceM)
+  const getGhostValueAtDistance = useCallback((distanceM, field = 'elapsedMs') => {
     const timeline = ghostSessionRef.current?.lapsTimeline || []
     if (!timeline.length || !Number.isFinite(distanceM)) return null
     let prev = null
     for (let i = 0; i < timeline.length; i += 1) {
       const point = timeline[i]
       if (point.cumulativeDistanceM >= distanceM) {
-        const elapsed = Number(point.elapsedMs)
+        const value = Number(point[field])
         if (prev && point.cumulativeDistanceM > prev.cumulativeDistanceM) {
           const ratio = (distanceM - prev.cumulativeDistanceM) / (point.cumulativeDistanceM - prev.cumulativeDistanceM)
-          const prevElapsed = Number(prev.elapsedMs)
-          if (Number.isFinite(prevElapsed) && Number.isFinite(elapsed)) {
-            return prevElapsed + ratio * (elapsed - prevElapsed)
+          const prevValue = Number(prev[field])
+          if (Number.isFinite(prevValue) && Number.isFinite(value)) {
+            return prevValue + ratio * (value - prevValue)
           }
         }
-        return Number.isFinite(elapsed) ? elapsed : null
+        return Number.isFinite(value) ? value : null
       }
       prev = point
     }
     return null
   }, [])
 
+  const getGhostElapsedAtDistance = useCallback((distanceM) => getGhostValueAtDistance(distanceM), [getGhostValueAtDistance])
+
   const clearError = () => {
     setError('')
     setErrorCode(null)
@@ -745,8 +1093,10 @@ export default function RunningSession({ mode }) {
 
   const applyGhostTargetSettings = useCallback((targetRecord) => {
     if (!targetRecord) return
-    if (Number.isFinite(targetRecord.lapDistanceM)) {
-      setLapDistanceM(targetRecord.lapDistanceM === 500 ? 500 : 1000)
+    if (Number.isFinite(targetRecord.lapDistanceM) || Number.isFinite(targetRecord.lapTimeMs)) {
+      const nextLapTimeMs = normalizeLapTime(targetRecord.lapTimeMs)
+      setLapTimeMs(nextLapTimeMs)
+      setLapDistanceM(nextLapTimeMs > 0 ? 0 : normalizeLapDistance(targetRecord.lapDistanceM))
     }
     if (Number.isFinite(targetRecord.timeCueMs)) {
       setTimeCueMs(targetRecord.timeCueMs)
@@ -844,46 +1194,85 @@ export default function RunningSession({ mode }) {
     }
   }, [])
 
-  const persistHistory = useCallback((record) => {
+  const persistHistory = useCallback((input) => {
+    if (!input) return
+    // 러닝 기록은 저장할 때 구간 최고 기록(bestEfforts)을 계산해 둔다
+    const record = input.bestEfforts ? input : attachBestEfforts(input)
+    // 화면 상태에는 route를 뺀 요약만 유지 (route는 history store에 별도 저장)
+    const summary = toHistorySummary(record)
     setHistory((prev) => {
       // 동일 ID의 기존 기록 찾기 (자동 저장 덮어쓰기)
-      const existingIndex = prev.findIndex((item) => item.id === record.id)
+      const existingIndex = prev.findIndex((item) => item.id === summary.id)
 
-      let next
       if (existingIndex >= 0) {
         // 기존 기록 업데이트 (위치 유지)
-        next = [...prev]
-        next[existingIndex] = record
-        console.log('[persistHistory] Updated existing record:', record.id)
-      } else {
-        // 새 기록 추가
-        next = [record, ...prev].slice(0, MAX_HISTORY_ITEMS)
-        console.log('[persistHistory] Added new record:', record.id)
+        const next = [...prev]
+        next[existingIndex] = summary
+        console.log('[persistHistory] Updated existing record:', summary.id)
+        return next
       }
+      // 새 기록 추가
+      console.log('[persistHistory] Added new record:', summary.id)
+      return [summary, ...prev]
+    })
 
-      try {
-        if (typeof window !== 'undefined') {
-          localStorage.setItem(HISTORY_KEY, JSON.stringify(next))
-        }
-      } catch {}
-      return next
+    saveHistoryEntry(record)
+      .then(() => setHistoryRevision((prev) => prev + 1))
+      .catch((err) => console.warn('[persistHistory] failed to save record', err))
+  }, [])
+
+  // GPX/TCX 파일 → 일반 기록 (현재 랩 거리 기준으로 랩 재계산, 고스트 대상으로도 사용 가능)
+  const handleImportRouteFile = useCallback(async (file) => {
+    const result = await importRouteFile(file, { lapDistanceM, mode: resolvedMode })
+    if (result.ok) {
+      persistHistory(result.record)
+    } else {
+      console.warn('[running] route import rejected:', result.reason)
+    }
+    return result
+  }, [lapDistanceM, persistHistory, resolvedMode])
+
+  // GPS replay 소스 지정 (route 배열 또는 GPX 문자열). 다음 세션 시작 시 실제 GPS 대신 사용된다.
+  const loadReplaySource = useCallback((input, { speed = 1, noise = null, label = '' } = {}) => {
+    const points = typeof input === 'string' ? (parseGpx(input)?.points || []) : input
+    if (!Array.isArray(points) || points.length < 2) {
+      console.warn('[running] replay source needs at least 2 points')
+      return false
+    }
+    setReplayConfig({
+      points,
+      speed: Number(speed) > 0 ? Number(speed) : 1,
+      noise: noise || {},
+      label,
     })
+    // 심박이 같이 기록된 route면 심박도 같은 시간축으로 재생
+    const heartRateSeries = points.filter((point) => Number.isFinite(point?.heartRate))
+    if (heartRateSeries.length >= 2) setHrReplaySeries(heartRateSeries)
+    return true
   }, [])
 
+  const handleReplayEntry = useCallback(async (entry) => {
+    if (!entry?.id) return
+    const full = await getHistoryEntry(entry.id)
+    const label = formatDistanceLabel(Number(full?.distanceM) || 0, 2)
+    if (loadReplaySource(full?.route, { speed: replayConfig?.speed || 1, noise: replayConfig?.noise, label })) {
+      setShowHistory(false)
+    }
+  }, [loadReplaySource, replayConfig])
+
+  // 복원된 설정(목표, 랩 거리, 음성 등)은 마운트 시점에만 읽으므로 화면을 다시 불러온다
+  const handleBackupRestored = useCallback(() => {
+    reloadHistory()
+    if (typeof window !== 'undefined') {
+      setTimeout(() => window.location.reload(), 800)
+    }
+  }, [reloadHistory])
+
   const handleDeleteHistoryEntry = useCallback((id) => {
-    setHistory((prev) => {
-      const next = prev.filter((item) => item.id !== id)
-      try {
-        if (typeof window !== 'undefined') {
-          if (next.length) {
-            localStorage.setItem(HISTORY_KEY, JSON.stringify(next))
-          } else {
-            localStorage.removeItem(HISTORY_KEY)
-          }
-        }
-      } catch {}
-      return next
-    })
+    setHistory((prev) => prev.filter((item) => item.id !== id))
+    deleteHistoryEntry(id)
+      .then(() => setHistoryRevision((prev) => prev + 1))
+      .catch((err) => console.warn('[running] failed to delete history entry', err))
   }, [])
 
   const stopIdlePoll = useCallback(() => {
@@ -940,18 +1329,34 @@ export default function RunningSession({ mode }) {
 
   useEffect(() => {
     if (typeof window === 'undefined') return
-    try {
-      const raw = localStorage.getItem(HISTORY_KEY)
-      if (raw) {
-        const parsed = JSON.parse(raw)
-        if (Array.isArray(parsed)) {
-          setHistory(parsed)
-        }
-      }
-    } catch (err) {
-      console.warn('[running] failed to load history', err)
+    // 최초 로드 시 localStorage 기록은 history store에서 IndexedDB로 1회 마이그레이션된다
+    reloadHistory()
+  }, [reloadHistory])
+
+  // 개발/데모용 콘솔 훅: window.running530Replay.loadRoute(points, { speed: 10, noise: { jitterM: 3 } })
+  useEffect(() => {
+    if (typeof window === 'undefined' || !isReplayAvailable()) return undefined
+    window.running530Replay = {
+      loadRoute: (points, options) => loadReplaySource(points, options),
+      loadGpx: (gpxText, options) => loadReplaySource(String(gpxText || ''), options),
+      loadHistory: async (id, options) => {
+        const entry = await getHistoryEntry(id)
+        return loadReplaySource(entry?.route, { label: String(id), ...options })
+      },
+      // 심박 시계열만 따로 지정: [120, 125, ...] (1초 간격) 또는 [{ timestamp, bpm }]
+      loadHeartRate: (series) => {
+        setHrReplaySeries(Array.isArray(series) && series.length ? series : null)
+        return Array.isArray(series) && series.length > 0
+      },
+      clear: () => {
+        setReplayConfig(null)
+        setHrReplaySeries(null)
+      },
     }
-  }, [])
+    return () => {
+      delete window.running530Replay
+    }
+  }, [loadReplaySource])
 
 
   useEffect(() => {
@@ -978,30 +1383,6 @@ export default function RunningSession({ mode }) {
     return () => clearInterval(interval)
   }, [language])
 
-  // 테스트용 시드 데이터 정리: seed_12/06, seed_12/07 제거
-  useEffect(() => {
-    if (typeof window === 'undefined') return
-    try {
-      const raw = localStorage.getItem(HISTORY_KEY)
-      if (!raw) return
-      const arr = JSON.parse(raw)
-      if (!Array.isArray(arr)) return
-      const cleaned = arr.filter((entry) => {
-        const id = entry?.id || ''
-        const isSeed = entry?.seed === true
-        const isSeedId = typeof id === 'string' && id.startsWith('seed_')
-        return !isSeed && !isSeedId
-      })
-      if (cleaned.length !== arr.length) {
-        localStorage.setItem(HISTORY_KEY, JSON.stringify(cleaned))
-        setHistory(cleaned)
-        console.log('[running] Removed test seed history entries')
-      }
-    } catch (err) {
-      console.warn('[running] Failed to remove seed entries', err)
-    }
-  }, [])
-
   // 정기 자동 저장 (1분마다) - 데이터 손실 방지
   useEffect(() => {
     if (!sessionActive || !sessionStartRef.current) return undefined
@@ -1009,10 +1390,17 @@ export default function RunningSession({ mode }) {
     const AUTO_SAVE_INTERVAL_MS = 60 * 1000 // 1분
 
     const intervalId = setInterval(() => {
-      const currentTime = Date.now()
-      const duration = currentTime - sessionStartRef.current
+      const currentTime = sessionNow()
+      // 도보는 세션별 기록 대신 하루 누적(carryover)을 갱신하고, 종료 시 하루 기록으로 합친다
+      if (resolvedMode === 'walk') {
+        saveCarryoverState(buildWalkDayTotals(currentTime))
+        return
+      }
+      const duration = resolveActiveElapsedMs(currentTime)
       const distance = totalDistanceRef.current
       const avgPaceSafe = distance > 0 ? (duration / (distance / 1000)) : 0
+      const metricsSnap = metricsRef.current?.getSnapshot(currentTime) || null
+      const movingTime = metricsSnap?.movingTimeMs ?? null
 
       const lapSnapshot = lapsRef.current.map((lap) => ({ ...lap }))
       const routeSnapshot = routePointsRef.current.map((pt) => ({ ...pt }))
@@ -1022,19 +1410,9 @@ export default function RunningSession({ mode }) {
         duration,
       })
 
-      // 칼로리 계산 (caloriesLive 로직 복사)
-      const elapsedMinutes = duration > 0 ? duration / 60000 : 0
+      // 칼로리 계산 (프로필 기반, energy.js)
       const avgSpeedKmh = duration > 0 ? (distance / 1000) / (duration / 3600000) : null
-      const met = (() => {
-        if (!avgSpeedKmh) return null
-        if (avgSpeedKmh < 8) return 8.0  // 런닝
-        if (avgSpeedKmh < 10) return 9.8
-        if (avgSpeedKmh < 12) return 11.0
-        return 12.5
-      })()
-      const caloriesCalc = met && elapsedMinutes > 0
-        ? met * 3.5 * DEFAULT_WEIGHT_KG / 200 * elapsedMinutes
-        : null
+      const caloriesCalc = calcCalories({ distanceM: distance, durationMs: duration, mode: resolvedMode, profile: profileRef.current })
 
       // 임시 저장 (세션 재개 시 덮어쓰기 가능)
       persistHistory({
@@ -1042,16 +1420,20 @@ export default function RunningSession({ mode }) {
         mode: resolvedMode,
         startedAt: sessionStartRef.current,
         durationMs: duration,
+        elapsedMs: duration,
+        movingTimeMs: movingTime,
         distanceM: distance,
         avgPaceMs: avgPaceSafe,
         laps: lapSnapshot,
         route: routeSnapshot,
         lapDistanceM,
+        lapTimeMs,
         timeCueMs,
         targetPaceMs,
         goal: goalRef.current || null,
         voiceEnabled: voiceEnabledRef.current,
         calories: Number.isFinite(caloriesCalc) ? caloriesCalc : undefined,
+        caloriesWeightKg: Number.isFinite(caloriesCalc) ? resolveWeightKg(profileRef.current) : undefined,
         intensityLevel: (() => {
           if (!avgSpeedKmh) return null
           if (avgSpeedKmh < 8) return 'Easy'
@@ -1059,13 +1441,23 @@ export default function RunningSession({ mode }) {
           if (avgSpeedKmh < 12) return 'Tempo'
           return 'Sprint'
         })(),
-        elevationGainM: Number.isFinite(elevationGainRef.current) ? elevationGainRef.current : undefined,
+        elevationGainM: Number.isFinite(metricsSnap?.elevationGainM) ? metricsSnap.elevationGainM : undefined,
+        elevationLossM: Number.isFinite(metricsSnap?.elevationLossM) ? metricsSnap.elevationLossM : undefined,
+        elevationMaxM: Number.isFinite(metricsSnap?.elevationMaxM) ? metricsSnap.elevationMaxM : undefined,
+        elevationMinM: Number.isFinite(metricsSnap?.elevationMinM) ? metricsSnap.elevationMinM : undefined,
+        elevationSource: metricsSnap?.altitudeSource || undefined,
+        avgHeartRate: Number.isFinite(metricsSnap?.avgHeartRate) ? Math.round(metricsSnap.avgHeartRate) : undefined,
+        maxHeartRate: Number.isFinite(metricsSnap?.maxHeartRate) ? metricsSnap.maxHeartRate : undefined,
+        hrZoneTimeMs: metricsSnap?.heartRateTimeMs > 0 ? metricsSnap.hrZoneTimeMs || undefined : undefined,
+        steps: metricsSnap?.steps > 0 ? metricsSnap.steps : undefined,
+        cadenceSpm: metricsSnap?.steps > 0 && duration > 0 ? Math.round(metricsSnap.steps / (duration / 60000)) : undefined,
+        strideLengthM: Number.isFinite(metricsSnap?.strideLengthM) ? metricsSnap.strideLengthM : undefined,
         autoSaved: true, // 자동 저장 플래그
       })
     }, AUTO_SAVE_INTERVAL_MS)
 
     return () => clearInterval(intervalId)
-  }, [sessionActive, resolvedMode, lapDistanceM, timeCueMs, targetPaceMs])
+  }, [sessionActive, resolvedMode, lapDistanceM, lapTimeMs, timeCueMs, targetPaceMs])
 
   useEffect(() => {
     if (typeof document === 'undefined') return undefined
@@ -1075,28 +1467,22 @@ export default function RunningSession({ mode }) {
         forceUnduck().catch(() => {})
 
         // 백그라운드 진입 시 현재 세션 자동 저장 (데이터 손실 방지)
-        if (sessionActive && sessionStartRef.current) {
-          const currentTime = Date.now()
-          const duration = currentTime - sessionStartRef.current
+        if (sessionActive && sessionStartRef.current && resolvedMode === 'walk') {
+          saveCarryoverState(buildWalkDayTotals(sessionNow()))
+        } else if (sessionActive && sessionStartRef.current) {
+          const currentTime = sessionNow()
+          const duration = resolveActiveElapsedMs(currentTime)
           const distance = totalDistanceRef.current
           const avgPaceSafe = distance > 0 ? (duration / (distance / 1000)) : 0
+          const metricsSnap = metricsRef.current?.getSnapshot(currentTime) || null
+          const movingTime = metricsSnap?.movingTimeMs ?? null
 
           const lapSnapshot = lapsRef.current.map((lap) => ({ ...lap }))
           const routeSnapshot = routePointsRef.current.map((pt) => ({ ...pt }))
 
           // 칼로리 계산
-          const elapsedMinutes = duration > 0 ? duration / 60000 : 0
           const avgSpeedKmh = duration > 0 ? (distance / 1000) / (duration / 3600000) : null
-          const met = (() => {
-            if (!avgSpeedKmh) return null
-            if (avgSpeedKmh < 8) return 8.0  // 런닝
-            if (avgSpeedKmh < 10) return 9.8
-            if (avgSpeedKmh < 12) return 11.0
-            return 12.5
-          })()
-          const caloriesCalc = met && elapsedMinutes > 0
-            ? met * 3.5 * DEFAULT_WEIGHT_KG / 200 * elapsedMinutes
-            : null
+          const caloriesCalc = calcCalories({ distanceM: distance, durationMs: duration, mode: resolvedMode, profile: profileRef.current })
 
           // 임시 저장 (세션 재개 시 덮어쓰기 가능)
           persistHistory({
@@ -1104,16 +1490,20 @@ export default function RunningSession({ mode }) {
             mode: resolvedMode,
             startedAt: sessionStartRef.current,
             durationMs: duration,
+            elapsedMs: duration,
+            movingTimeMs: movingTime,
             distanceM: distance,
             avgPaceMs: avgPaceSafe,
             laps: lapSnapshot,
             route: routeSnapshot,
             lapDistanceM,
+            lapTimeMs,
             timeCueMs,
             targetPaceMs,
             goal: goalRef.current || null,
             voiceEnabled: voiceEnabledRef.current,
             calories: Number.isFinite(caloriesCalc) ? caloriesCalc : undefined,
+            caloriesWeightKg: Number.isFinite(caloriesCalc) ? resolveWeightKg(profileRef.current) : undefined,
             intensityLevel: (() => {
               if (!avgSpeedKmh) return null
               if (avgSpeedKmh < 8) return 'Easy'
@@ -1121,7 +1511,17 @@ export default function RunningSession({ mode }) {
               if (avgSpeedKmh < 12) return 'Tempo'
               return 'Sprint'
             })(),
-            elevationGainM: Number.isFinite(elevationGainRef.current) ? elevationGainRef.current : undefined,
+            elevationGainM: Number.isFinite(metricsSnap?.elevationGainM) ? metricsSnap.elevationGainM : undefined,
+            elevationLossM: Number.isFinite(metricsSnap?.elevationLossM) ? metricsSnap.elevationLossM : undefined,
+            elevationMaxM: Number.isFinite(metricsSnap?.elevationMaxM) ? metricsSnap.elevationMaxM : undefined,
+            elevationMinM: Number.isFinite(metricsSnap?.elevationMinM) ? metricsSnap.elevationMinM : undefined,
+            elevationSource: metricsSnap?.altitudeSource || undefined,
+            avgHeartRate: Number.isFinite(metricsSnap?.avgHeartRate) ? Math.round(metricsSnap.avgHeartRate) : undefined,
+            maxHeartRate: Number.isFinite(metricsSnap?.maxHeartRate) ? metricsSnap.maxHeartRate : undefined,
+            hrZoneTimeMs: metricsSnap?.heartRateTimeMs > 0 ? metricsSnap.hrZoneTimeMs || undefined : undefined,
+            steps: metricsSnap?.steps > 0 ? metricsSnap.steps : undefined,
+            cadenceSpm: metricsSnap?.steps > 0 && duration > 0 ? Math.round(metricsSnap.steps / (duration / 60000)) : undefined,
+            strideLengthM: Number.isFinite(metricsSnap?.strideLengthM) ? metricsSnap.strideLengthM : undefined,
             autoSaved: true, // 자동 저장 플래그
           })
         }
@@ -1129,7 +1529,7 @@ export default function RunningSession({ mode }) {
     }
     document.addEventListener('visibilitychange', handleVisibility)
     return () => document.removeEventListener('visibilitychange', handleVisibility)
-  }, [sessionActive, resolvedMode, lapDistanceM, timeCueMs, targetPaceMs])
+  }, [sessionActive, resolvedMode, lapDistanceM, lapTimeMs, timeCueMs, targetPaceMs])
 
   useEffect(() => {
     if (typeof window !== 'undefined') {
@@ -1181,6 +1581,13 @@ export default function RunningSession({ mode }) {
     } catch {}
   }, [goalPreset, resolvedMode])
 
+  useEffect(() => {
+    if (typeof window === 'undefined') return
+    try {
+      localStorage.setItem(`${WORKOUT_PLAN_STORAGE_KEY}_${resolvedMode}`, JSON.stringify(workoutPlan))
+    } catch {}
+  }, [workoutPlan, resolvedMode])
+
   useEffect(() => {
 	    if (typeof window === 'undefined') return
 	    try {
@@ -1228,6 +1635,59 @@ export default function RunningSession({ mode }) {
     }
   }, [batterySaver])
 
+  useEffect(() => {
+    if (typeof window !== 'undefined') {
+      localStorage.setItem(AUTO_PAUSE_STORAGE_KEY, String(autoPauseMs))
+    }
+  }, [autoPauseMs])
+
+  useEffect(() => {
+    paceBasisRef.current = paceBasis
+    writePaceBasis(paceBasis)
+  }, [paceBasis])
+
+  useEffect(() => {
+    paceCoachBasisRef.current = paceCoachBasis
+    writePaceCoachBasis(paceCoachBasis)
+  }, [paceCoachBasis])
+
+  useEffect(() => {
+    writeHeartRateZoneMethod(hrZoneMethod)
+  }, [hrZoneMethod])
+
+  useEffect(() => {
+    writeHeartRateTargetZone(hrTargetZone)
+  }, [hrTargetZone])
+
+  useEffect(() => {
+    writeMetronomeSpm(metronomeSpm)
+  }, [metronomeSpm])
+
+  useEffect(() => {
+    writeMetronomeAdaptive(metronomeAdaptive)
+  }, [metronomeAdaptive])
+
+  useEffect(() => {
+    writeWalkStepGoal(walkStepGoal)
+  }, [walkStepGoal])
+
+  // 하루 걸음 목표 순환 (설정 화면 / 기록 화면 일별 걸음 패널)
+  const cycleWalkStepGoal = useCallback(() => {
+    setWalkStepGoal((prev) => {
+      const idx = WALK_STEP_GOAL_OPTIONS.indexOf(prev)
+      return WALK_STEP_GOAL_OPTIONS[(idx + 1) % WALK_STEP_GOAL_OPTIONS.length]
+    })
+  }, [])
+
+  useEffect(() => {
+    writeUnitSystem(unitSystem)
+  }, [unitSystem])
+
+  useEffect(() => {
+    profileRef.current = profile
+    writeProfile(profile)
+  }, [profile])
+
   // Prevent page/body scroll when dropdowns are open
   useEffect(() => {
     if (typeof document === 'undefined') return undefined
@@ -1326,8 +1786,9 @@ export default function RunningSession({ mode }) {
   useEffect(() => {
     if (typeof window !== 'undefined') {
       localStorage.setItem(LAP_DISTANCE_STORAGE_KEY, String(lapDistanceM))
+      localStorage.setItem(LAP_TIME_STORAGE_KEY, String(lapTimeMs))
     }
-  }, [lapDistanceM])
+  }, [lapDistanceM, lapTimeMs])
 
   useEffect(() => {
     if (errorCode) {
@@ -1354,7 +1815,7 @@ export default function RunningSession({ mode }) {
   }, [sessionActive])
 
   useEffect(() => {
-    if (!sessionActive || isPaused) {
+    if (!sessionActive || (isPaused && !autoPaused)) {
       releaseWakeLock().catch(() => {})
       return
     }
@@ -1372,7 +1833,7 @@ export default function RunningSession({ mode }) {
       document.removeEventListener('visibilitychange', onVisibility)
       releaseWakeLock().catch(() => {})
     }
-  }, [sessionActive, isPaused])
+  }, [sessionActive, isPaused, autoPaused])
 
   useEffect(() => {
     return () => {
@@ -1387,7 +1848,7 @@ export default function RunningSession({ mode }) {
     if (batterySaver) {
       const interval = setInterval(() => {
         if (sessionStartRef.current) {
-          const now = Date.now()
+          const now = sessionNow()
           const base = now - sessionStartRef.current - pausedAccumulatedRef.current
           const elapsed = (elapsedOffsetRef.current || 0) + base
           setElapsedMs(elapsed)
@@ -1399,7 +1860,7 @@ export default function RunningSession({ mode }) {
     let raf = 0
     const tick = () => {
       if (sessionStartRef.current) {
-        const now = Date.now()
+        const now = sessionNow()
         const base = now - sessionStartRef.current - pausedAccumulatedRef.current
         const elapsed = (elapsedOffsetRef.current || 0) + base
         setElapsedMs(elapsed)
@@ -1451,23 +1912,32 @@ export default function RunningSession({ mode }) {
   useEffect(() => {
     if (!sessionActive || isPaused) return
     if (!voiceEnabledRef.current) return
-    if (!targetPaceMs || targetPaceMs <= 0) return
-    if (!currentPaceMs || currentPaceMs <= 0) return
-    const delta = currentPaceMs - targetPaceMs
-    const direction = delta > MIN_PACE_COACH_DELTA_MS
-      ? 'slow'
-      : delta < -MIN_PACE_COACH_DELTA_MS
-        ? 'fast'
-        : 'ok'
+    // 워크아웃 중에는 현재 스텝의 페이스 범위가 목표 (범위가 없는 스텝은 코칭 안 함)
+    const workoutRunner = workoutRunnerRef.current
+    const paceRange = workoutRunner && !workoutRunner.finished
+      ? workoutRunner.currentStep?.pace
+      : (targetPaceMs > 0
+        ? { minMs: targetPaceMs - MIN_PACE_COACH_DELTA_MS, maxMs: targetPaceMs + MIN_PACE_COACH_DELTA_MS }
+        : null)
+    if (!paceRange) return
+    // 경사 보정 기준이면 오르막에서 느려진 만큼은 봐준다
+    const coachPaceMs = paceCoachBasis === 'gap' && Number.isFinite(currentGapMs) ? currentGapMs : currentPaceMs
+    if (!coachPaceMs || coachPaceMs <= 0) return
+    const delta = coachPaceMs > paceRange.maxMs
+      ? coachPaceMs - paceRange.maxMs
+      : coachPaceMs < paceRange.minMs
+        ? coachPaceMs - paceRange.minMs
+        : 0
+    const direction = delta > 0 ? 'slow' : delta < 0 ? 'fast' : 'ok'
     if (direction === 'ok') {
       paceCoachRef.current = { ts: paceCoachRef.current?.ts || 0, direction: null }
       return
     }
-    const now = Date.now()
+    const now = sessionNow()
     const last = paceCoachRef.current || { ts: 0, direction: null }
     const changedDirection = last.direction !== direction
     if (!changedDirection && now - (last.ts || 0) < PACE_COACH_COOLDOWN_MS) return
-    const deltaSeconds = Math.max(1, Math.round(Math.abs(delta) / 1000))
+    const deltaSeconds = Math.max(1, Math.round(Math.abs(paceToDisplayPace(delta)) / 1000))
     const script = buildPaceCoachSpeech(
       direction,
       deltaSeconds,
@@ -1477,7 +1947,68 @@ export default function RunningSession({ mode }) {
     const speechLocale = language === 'ko' ? 'ko-KR' : 'en-US'
     speakOnce(script, language === 'ko' ? 1.05 : 1.02, { lang: speechLocale, delayMs: 0 }).catch(() => {})
     paceCoachRef.current = { ts: now, direction }
-  }, [currentPaceMs, targetPaceMs, sessionActive, isPaused, language, meta.title, meta.titleKo])
+  }, [currentPaceMs, currentGapMs, paceCoachBasis, targetPaceMs, workoutStepIndex, sessionActive, isPaused, language, meta.title, meta.titleKo])
+
+  // 심박 존 코칭: 목표 존을 벗어나는 순간 한 번, 계속 벗어나 있으면 쿨다운마다 다시 안내
+  useEffect(() => {
+    if (!sessionActive || isPaused) return
+    if (!voiceEnabledRef.current || !(hrTargetZone > 0)) return
+    const position = compareToHeartRateZone(heartRate, heartRateZones, hrTargetZone, HR_ZONE_TOLERANCE_BPM)
+    if (!position) return
+    if (position === 'in') {
+      hrCoachRef.current = { ts: hrCoachRef.current?.ts || 0, direction: null }
+      return
+    }
+    const now = sessionNow()
+    if (position === 'low' && now - (sessionStartRef.current || now) < HR_COACH_WARMUP_MS) return
+    const last = hrCoachRef.current || { ts: 0, direction: null }
+    if (last.direction === position && now - (last.ts || 0) < HR_COACH_COOLDOWN_MS) return
+    const speechLocale = language === 'ko' ? 'ko-KR' : 'en-US'
+    speakOnce(buildHeartRateZoneSpeech(position, hrTargetZone, heartRate, language), language === 'ko' ? 1.05 : 1.02, { lang: speechLocale, delayMs: 0 }).catch(() => {})
+    hrCoachRef.current = { ts: now, direction: position }
+  }, [heartRate, heartRateZones, hrTargetZone, sessionActive, isPaused, language, sessionNow])
+
+  // 도보 걸음 목표: 오늘 누적 걸음이 목표를 넘는 순간 한 번 안내
+  useEffect(() => {
+    if (resolvedMode !== 'walk' || !sessionActive || stepGoalAnnouncedRef.current) return
+    const todaySteps = (carryoverBaseRef.current?.steps || 0) + sessionSteps
+    if (!(walkStepGoal > 0) || todaySteps < walkStepGoal) return
+    stepGoalAnnouncedRef.current = true
+    if (!voiceEnabledRef.current) return
+    const speechLocale = language === 'ko' ? 'ko-KR' : 'en-US'
+    speakOnce(buildStepGoalSpeech(walkStepGoal, language), language === 'ko' ? 1.05 : 1.02, { lang: speechLocale, delayMs: 0 }).catch(() => {})
+  }, [sessionSteps, walkStepGoal, sessionActive, resolvedMode, language])
+
+  // 메트로놈: 진행 중에만 울리고 일시정지 / 자동 일시정지 동안 멈춤. TTS 안내 중에는 클릭 볼륨을 낮춘다
+  useEffect(() => {
+    if (!sessionActive || isPaused || !(metronomeSpm > 0)) {
+      metronomeRef.current?.stop()
+      setMetronomeTempo(null)
+      return undefined
+    }
+    if (!metronomeRef.current) metronomeRef.current = createMetronome({ isDucked: isSpeechActive })
+    const metronome = metronomeRef.current
+    metronome.start(metronomeSpm)
+    metronomeAdaptAtRef.current = sessionNow()
+    setMetronomeTempo(metronome.spm)
+    return () => metronome.stop()
+  }, [sessionActive, isPaused, metronomeSpm, sessionNow])
+
+  // 적응형 템포: 케이던스가 목표에서 벗어나 있으면 METRONOME_ADAPT_INTERVAL_MS마다 목표 쪽으로 조금씩
+  useEffect(() => {
+    const metronome = metronomeRef.current
+    if (!metronome?.running || !(metronomeSpm > 0)) return
+    let next = metronomeSpm
+    if (metronomeAdaptive) {
+      const now = sessionNow()
+      if (now - metronomeAdaptAtRef.current < METRONOME_ADAPT_INTERVAL_MS) return
+      metronomeAdaptAtRef.current = now
+      next = resolveAdaptiveMetronomeSpm({ targetSpm: metronomeSpm, liveSpm: cadenceSpm, currentSpm: metronome.spm })
+    }
+    if (next === metronome.spm) return
+    metronome.setTempo(next)
+    setMetronomeTempo(metronome.spm)
+  }, [cadenceSpm, metronomeAdaptive, metronomeSpm, sessionNow])
 
   useEffect(() => {
     if (!sessionActive || isPaused) return
@@ -1511,13 +2042,224 @@ export default function RunningSession({ mode }) {
     return () => clearTimeout(timer)
   }, [goalBanner])
 
+  const announceWorkoutStep = useCallback((step) => {
+    if (!voiceEnabledRef.current) return
+    const script = buildWorkoutStepSpeech(step, language)
+    const speechLocale = language === 'ko' ? 'ko-KR' : 'en-US'
+    speakOnce(script, language === 'ko' ? 1.05 : 1.02, { lang: speechLocale, delayMs: 0 }).catch(() => {})
+  }, [language])
+
+  const applyWorkoutTransition = useCallback((transition) => {
+    if (!transition) return
+    // 스텝이 바뀌면 페이스 코칭을 새 범위 기준으로 다시 시작
+    paceCoachRef.current = { ts: 0, direction: null }
+    setWorkoutStepIndex(transition.step ? transition.step.index : -1)
+    announceWorkoutStep(transition.step)
+    if (transition.type === 'complete' && transition.completed) {
+      const workoutText = SESSION_TEXT[language]?.workout || SESSION_TEXT.en.workout
+      const totalMs = transition.completed.startElapsedMs + transition.completed.durationMs
+      setGoalBanner({ title: workoutText.complete, detail: formatClock(totalMs, { showHours: totalMs >= 3600000 }) })
+    }
+  }, [announceWorkoutStep, language])
+
+  // 워크아웃 스텝 진행: 거리 / 시간 종료 조건
+  useEffect(() => {
+    if (!sessionActive || isPaused) return
+    const runner = workoutRunnerRef.current
+    if (!runner || runner.finished) return
+    applyWorkoutTransition(runner.update({ distanceM, elapsedMs }))
+  }, [distanceM, elapsedMs, sessionActive, isPaused, applyWorkoutTransition])
+
+
+  // 일시정지 / 재개 공통 처리 (수동 버튼, 자동 일시정지 모두 사용)
+  const pauseSessionAt = useCallback((ts) => {
+    pauseStartRef.current = ts
+    lapPauseStartRef.current = ts
+    setIsPaused(true)
+    lastIdleProbeRef.current = null
+    stopIdlePoll()
+    idleModeRef.current = false
+  }, [stopIdlePoll])
+
+  const resumeSessionAt = useCallback((ts) => {
+    pausedAccumulatedRef.current += ts - (pauseStartRef.current || ts)
+    if (lapPauseStartRef.current) {
+      lapPausedAccumulatedRef.current += ts - lapPauseStartRef.current
+    }
+    if (pauseStartRef.current) {
+      pausedIntervalsRef.current.push({ start: pauseStartRef.current, end: ts })
+    }
+    lapPauseStartRef.current = 0
+    pauseStartRef.current = 0
+    setIsPaused(false)
+    const currentTotal = Number.isFinite(totalDistanceRef.current) ? totalDistanceRef.current : 0
+    samplesRef.current = [{ t: ts, d: currentTotal }]
+    setCurrentPaceMs(null)
+    setCurrentGapMs(null)
+    lastPointRef.current = null
+    smoothedSpeedRef.current = null // Reset speed smoothing after pause
+    if (distanceCalculatorRef.current) {
+      distanceCalculatorRef.current = new DistanceCalculator({
+        mode: 'run',
+        enableSmoothing: true,
+        smoothing: readGpsSmoothing(),
+        initialDistance: currentTotal,
+        now: sessionNow,
+      })
+    }
+    paceCoachRef.current = { ts: 0, direction: null }
+    lastActiveTsRef.current = ts
+    idleModeRef.current = false
+  }, [sessionNow])
+
+  const announceAutoPause = useCallback((type) => {
+    if (!voiceEnabledRef.current) return
+    const speechLocale = language === 'ko' ? 'ko-KR' : 'en-US'
+    speakOnce(buildAutoPauseSpeech(type, language), language === 'ko' ? 1.05 : 1.02, { lang: speechLocale, delayMs: 0 }).catch(() => {})
+  }, [language])
+
+  // 자동 일시정지: 정지가 시작된 시점(at)으로 소급해서 멈춘다 → 타이머도 그 시점 값으로 고정
+  const applyAutoPause = useCallback((at, nowTs) => {
+    const pauseAt = Math.min(at, nowTs)
+    autoPausedRef.current = true
+    setAutoPaused(true)
+    pauseSessionAt(pauseAt)
+    if (sessionStartRef.current) {
+      const frozen = (elapsedOffsetRef.current || 0) + pauseAt - sessionStartRef.current - pausedAccumulatedRef.current
+      setElapsedMs(Math.max(0, frozen))
+    }
+    announceAutoPause('pause')
+  }, [announceAutoPause, pauseSessionAt])
+
+  // 자동 재개: 다시 움직이기 시작한 시점(at)부터 시간이 흐른다
+  const applyAutoResume = useCallback((at, nowTs) => {
+    const resumeAt = Math.max(pauseStartRef.current || 0, Math.min(at, nowTs))
+    autoPausedRef.current = false
+    setAutoPaused(false)
+    resumeSessionAt(resumeAt)
+    announceAutoPause('resume')
+  }, [announceAutoPause, resumeSessionAt])
+
+  // 랩 기록 공통 처리 (거리 / 시간 자동 랩, 수동 랩)
+  const closeLap = useCallback(({ nowTs, elapsedMs: lapElapsedMs, avgPace, trigger, speak = true }) => {
+    const lapIndex = lapsRef.current.length + 1
+    const lapDistance = Math.max(0, totalDistanceRef.current - lapStartDistanceRef.current)
+    const lapDuration = lapStartTimeRef.current
+      ? nowTs - lapStartTimeRef.current - lapPausedAccumulatedRef.current
+      : lapElapsedMs
+    const lapPace = lapDistance >= MIN_LAP_PACE_DISTANCE_M ? lapDuration / (lapDistance / 1000) : null
+    const markLabel = formatLapMarkLabel({
+      trigger,
+      distanceMarkM: lapTargetRef.current,
+      timeMarkMs: lapTimeTargetRef.current,
+    })
+    const lapMetricsSnap = metricsRef.current?.getSnapshot(nowTs) || null
+    const lapElevationStart = lapStartElevationRef.current
+    const equivalentNow = gapTrackerRef.current?.getEquivalentDistanceM()
+    const lapEquivalentM = Number.isFinite(equivalentNow) ? equivalentNow - lapStartEquivalentRef.current : null
+    // 랩 심박: 누적 박동 수 / 존별 시간의 랩 시작 시점 대비 차이
+    const lapHeartRateStart = lapStartHeartRateRef.current
+    const lapHeartRateTimeMs = (lapMetricsSnap?.heartRateTimeMs || 0) - lapHeartRateStart.timeMs
+    // 랩 걸음: 걸음 소스가 없던 세션이면 저장하지 않음
+    const lapSteps = Number.isFinite(lapMetricsSnap?.steps) ? lapMetricsSnap.steps - lapStartStepsRef.current : 0
+    const lapStepStats = lapSteps > 0 && lapDuration > 0
+      ? {
+        steps: lapSteps,
+        cadenceSpm: Math.round(lapSteps / (lapDuration / 60000)),
+        strideLengthM: lapDistance > 0 ? lapDistance / lapSteps : null,
+      }
+      : {}
+    const lapZoneTimeMs = Array.isArray(lapMetricsSnap?.hrZoneTimeMs)
+      ? lapMetricsSnap.hrZoneTimeMs.map((ms, idx) => ms - (lapHeartRateStart.zoneTimeMs[idx] || 0))
+      : null
+    const lap = {
+      index: lapIndex,
+      durationMs: lapDuration,
+      paceMs: lapPace,
+      distanceM: lapDistance,
+      timestamp: nowTs,
+      elapsedMs: lapElapsedMs,
+      trigger,
+      elevationGainM: Number.isFinite(lapMetricsSnap?.elevationGainM) ? lapMetricsSnap.elevationGainM - lapElevationStart.gainM : null,
+      elevationLossM: Number.isFinite(lapMetricsSnap?.elevationLossM) ? lapMetricsSnap.elevationLossM - lapElevationStart.lossM : null,
+      equivalentDistanceM: lapEquivalentM,
+      gapMs: lapDistance >= MIN_LAP_PACE_DISTANCE_M ? calcGapMs(lapDuration, lapEquivalentM) : null,
+      avgHeartRate: lapHeartRateTimeMs > 0
+        ? Math.round(((lapMetricsSnap.heartBeats || 0) - lapHeartRateStart.beats) / (lapHeartRateTimeMs / 60000))
+        : null,
+      hrZoneTimeMs: lapHeartRateTimeMs > 0 ? lapZoneTimeMs : null,
+      ...lapStepStats,
+    }
+    lapStartStepsRef.current = Number.isFinite(lapMetricsSnap?.steps) ? lapMetricsSnap.steps : lapStartStepsRef.current
+    lapStartHeartRateRef.current = {
+      beats: lapMetricsSnap?.heartBeats || 0,
+      timeMs: lapMetricsSnap?.heartRateTimeMs || 0,
+      zoneTimeMs: Array.isArray(lapMetricsSnap?.hrZoneTimeMs) ? lapMetricsSnap.hrZoneTimeMs : createEmptyZoneTimes(),
+    }
+    if (Number.isFinite(equivalentNow)) lapStartEquivalentRef.current = equivalentNow
+    lapStartElevationRef.current = {
+      gainM: Number.isFinite(lapMetricsSnap?.elevationGainM) ? lapMetricsSnap.elevationGainM : lapElevationStart.gainM,
+      lossM: Number.isFinite(lapMetricsSnap?.elevationLossM) ? lapMetricsSnap.elevationLossM : lapElevationStart.lossM,
+    }
+    lapsRef.current = [...lapsRef.current, lap]
+    setLaps(lapsRef.current)
+    lapStartTimeRef.current = nowTs
+    lapStartDistanceRef.current = totalDistanceRef.current
+    // 수동 랩 뒤에는 자동 랩 거리 / 시간을 그 지점부터 다시 센다
+    if (lapDistanceM > 0) {
+      lapTargetRef.current = trigger === 'manual'
+        ? totalDistanceRef.current + lapDistanceM
+        : lapTargetRef.current + lapDistanceM
+    } else {
+      lapTargetRef.current = Infinity
+    }
+    if (lapTimeMs > 0) {
+      lapTimeTargetRef.current = trigger === 'manual'
+        ? lapElapsedMs + lapTimeMs
+        : lapTimeTargetRef.current + lapTimeMs
+    } else {
+      lapTimeTargetRef.current = Infinity
+    }
+    lapPausedAccumulatedRef.current = 0
+    lapPauseStartRef.current = 0
+
+    // Show lap completion alert
+    setLapAlert({
+      lapNumber: lapIndex,
+      lapDurationMs: lapDuration,
+      lapPaceMs: lapPace,
+      lapDistanceM: lapDistance,
+      markLabel,
+      splitLabel: formatLapSplitDistance(lapDistance, lapDistanceM),
+      trigger,
+      avgPaceMs: avgPace,
+    })
+
+    if (speak && voiceEnabledRef.current) {
+      const speechLocale = language === 'ko' ? 'ko-KR' : 'en-US'
+      const lapLength = formatSpokenLapLength({ trigger, lapDistanceM, lapTimeMs }, language)
+      const script = buildLapSpeech(lapIndex, lapDuration, lapPace, avgPace, language, lapLength)
+      speakOnce(script, language === 'ko' ? 1.08 : 1.04, { lang: speechLocale, delayMs: 0 }).catch(() => {})
+    }
+  }, [lapDistanceM, lapTimeMs, language])
+
+  // 시간 자동 랩 (lapTimeMs = 0이면 lapTimeTargetRef = Infinity)
+  useEffect(() => {
+    if (!sessionActive || isPaused || !sessionStartRef.current) return
+    const lapElapsed = elapsedMs - (elapsedOffsetRef.current || 0)
+    if (lapElapsed < lapTimeTargetRef.current) return
+    closeLap({ nowTs: sessionNow(), elapsedMs: lapElapsed, avgPace: avgPaceMs, trigger: 'time' })
+  }, [elapsedMs, sessionActive, isPaused, avgPaceMs, closeLap])
+
   // Location handling - GPS distance tracking
   const handleLocation = useCallback((position) => {
-    if (!sessionActive || isPaused) return
+    if (!sessionActive) return
+    // 수동 일시정지 중에는 무시, 자동 일시정지 중에는 재개 판단만 한다
+    if (isPaused && !autoPausedRef.current) return
 
     // 1. 초기 처리
     const nowTsRaw = Number(position?.timestamp)
-    const nowTs = Number.isFinite(nowTsRaw) ? nowTsRaw : Date.now()
+    const nowTs = Number.isFinite(nowTsRaw) ? nowTsRaw : sessionNow()
     const accuracyRaw = Number.isFinite(position?.accuracy)
       ? Number(position.accuracy)
       : Number.isFinite(position?.coords?.accuracy)
@@ -1526,6 +2268,9 @@ export default function RunningSession({ mode }) {
     const gpsSpeedRaw = Number.isFinite(position?.coords?.speed)
       ? Number(position.coords.speed)
       : (Number.isFinite(position?.speed) ? Number(position.speed) : null)
+    const gpsHeadingRaw = Number.isFinite(position?.coords?.heading)
+      ? Number(position.coords.heading)
+      : (Number.isFinite(position?.heading) ? Number(position.heading) : null)
 
     setLatestAccuracy(Number.isFinite(accuracyRaw) ? Math.round(accuracyRaw) : null)
 
@@ -1535,6 +2280,19 @@ export default function RunningSession({ mode }) {
       return
     }
 
+    if (isPaused) {
+      const transition = autoPauseRef.current?.update({
+        timestamp: nowTs,
+        gpsSpeedMps: gpsSpeedRaw,
+        motionRms: metricsRef.current?.getSnapshot(nowTs)?.motionRms,
+        location: { latitude, longitude, accuracy: accuracyRaw },
+      })
+      if (transition?.type === 'resume') {
+        applyAutoResume(transition.at, nowTs)
+      }
+      return
+    }
+
     // 2. Create currentPoint
     const currentPoint = {
       latitude,
@@ -1555,6 +2313,7 @@ export default function RunningSession({ mode }) {
     let total = prevTotalDistance
     let deltaM = 0
     let shouldUpdateAnchor = true
+    let calculatorReason = null
 
     // DistanceCalculator를 사용한 거리 계산
     if (distanceCalculatorRef.current) {
@@ -1563,12 +2322,25 @@ export default function RunningSession({ mode }) {
         longitude: currentPoint.longitude,
         timestamp: nowTs,
         accuracy: currentPoint.horizontalAccuracy,
-        speed: gpsSpeedRaw
+        speed: gpsSpeedRaw,
+        heading: gpsHeadingRaw
       })
+      calculatorReason = result.reason
+
+      // kalman 모드: route에는 필터를 거친 좌표를 기록
+      if (result.filteredLocation) {
+        currentPoint.latitude = result.filteredLocation.latitude
+        currentPoint.longitude = result.filteredLocation.longitude
+      }
 
       if (result.accepted && result.deltaDistance > 0) {
         deltaM = result.deltaDistance
-        total = distanceCalculatorRef.current.getTotalDistance()
+        // 도보: 걸음으로 채운 구간을 GPS가 다시 덮으면 겹친 만큼 빼서 두 번 세지 않는다
+        if (stepDistanceRef.current) {
+          stepDistanceOffsetRef.current -= stepDistanceRef.current.noteGps(sessionStepsRef.current, deltaM)
+          lastGpsDistanceAtRef.current = nowTs
+        }
+        total = distanceCalculatorRef.current.getTotalDistance() + stepDistanceOffsetRef.current
         shouldUpdateAnchor = true
       } else {
         deltaM = 0
@@ -1661,12 +2433,8 @@ export default function RunningSession({ mode }) {
       return Math.max(prev, elapsedWithOffset)
     })
 
-    const avgPace = safeDistance >= MIN_AVG_PACE_DISTANCE_M && elapsedWithOffset > 0
-      ? elapsedWithOffset / (safeDistance / 1000)
-      : null
-    setAvgPaceMs(Number.isFinite(avgPace) ? avgPace : null)
-
     // 5. Current pace calculation (recent N seconds window)
+    let currentPace = null
     if (Number.isFinite(safeDistance)) {
       samplesRef.current.push({ t: nowTs, d: safeDistance })
       const windowStart = nowTs - CURRENT_PACE_WINDOW_MS
@@ -1674,7 +2442,6 @@ export default function RunningSession({ mode }) {
         samplesRef.current.shift()
       }
 
-      let currentPace = null
       if (samplesRef.current.length >= 2) {
         const first = samplesRef.current[0]
         const distDelta = safeDistance - first.d
@@ -1689,24 +2456,82 @@ export default function RunningSession({ mode }) {
     }
 
     // 6. metricsAccumulator for auxiliary data
-    const snap = metricsRef.current?.addSample(currentPoint) || null
+    // moving: DistanceCalculator 판정을 이동 시간 계산에 그대로 사용
+    const movingHint = calculatorReason === 'accepted' ? true : (calculatorReason === 'stationary' ? false : undefined)
+    const baroReading = baroReadingRef.current
+    const baroAltitude = baroReading && Date.now() - baroReading.receivedAt <= BARO_STALE_MS ? baroReading.altitude : null
+    const snap = metricsRef.current?.addSample({ ...currentPoint, moving: movingHint, baroAltitude }) || null
+    // route 포인트에 보정된 고도 기록 (altitude는 GPS 원본 그대로)
+    if (Number.isFinite(snap?.altitudeM)) currentPoint.elevationM = Math.round(snap.altitudeM * 10) / 10
+    // 심박도 route 포인트에 남겨 차트 / replay에서 다시 쓴다 (센서가 끊기면 null → 표시도 지움)
+    if (snap) setHeartRate(snap.heartRate)
+    if (resolvedMode === 'walk' && Number.isFinite(snap?.steps)) {
+      sessionStepsRef.current = snap.steps
+      setSessionSteps(snap.steps)
+      applyStepDistance(snap.steps, nowTs)
+    }
+    if (Number.isFinite(snap?.heartRate)) currentPoint.heartRate = Math.round(snap.heartRate)
+    if (snap) {
+      setCadenceSpm(Number.isFinite(snap.cadenceSpm) ? snap.cadenceSpm : null)
+      setStrideLengthM(Number.isFinite(snap.strideLengthM) ? snap.strideLengthM : null)
+    }
+    if (Number.isFinite(snap?.cadenceSpm)) currentPoint.cadenceSpm = Math.round(snap.cadenceSpm)
+
+    // 평균 페이스: 설정에 따라 경과 시간 또는 이동 시간 기준
+    const paceDurationMs = paceBasisRef.current === 'moving' && Number.isFinite(snap?.movingTimeMs)
+      ? (elapsedOffsetRef.current || 0) + snap.movingTimeMs
+      : elapsedWithOffset
+    const avgPace = computeAvgPaceMs(safeDistance, paceDurationMs)
+    setAvgPaceMs(avgPace)
+
+    // 경사 보정 페이스: 보정 고도로 평지 환산 거리를 누적
+    const gapTracker = gapTrackerRef.current
+    if (gapTracker) {
+      gapTracker.addSample({ distanceM: safeDistance, elevationM: snap?.altitudeM, source: snap?.altitudeSource })
+      setAvgGapMs(avgPace ? calcGapMs(paceDurationMs, gapTracker.getEquivalentDistanceM()) : null)
+      setCurrentGapMs(Number.isFinite(currentPace) ? toGradeAdjustedPace(currentPace, gapTracker.getRecentFactor()) : null)
+    }
 
-    // Activity markers
-    lastActivityDistanceRef.current = safeDistance
-    lastActiveTsRef.current = Number.isFinite(nowTs) ? nowTs : lastActiveTsRef.current
+    // Auto-pause: DistanceCalculator stationary 판정 + GPS speed + 가속도 동작 에너지
+    const autoPauseTransition = autoPauseRef.current?.update({
+      timestamp: nowTs,
+      reason: calculatorReason,
+      gpsSpeedMps: gpsSpeedRaw,
+      motionRms: snap?.motionRms,
+      location: { latitude, longitude, accuracy: accuracyRaw },
+    })
+    if (autoPauseTransition?.type === 'pause') {
+      applyAutoPause(autoPauseTransition.at, nowTs)
+    }
+
+    // Activity markers
+    lastActivityDistanceRef.current = safeDistance
+    lastActiveTsRef.current = Number.isFinite(nowTs) ? nowTs : lastActiveTsRef.current
 
     // 7. Ghost mode / lap logic
     const elapsedForGhost = safeElapsed
 
-    // Ghost comparison at each kilometer mark
+    // Ghost comparison at each kilometer (or mile) mark
     if (ghostSessionRef.current?.enabled) {
+      const unitM = getDistanceUnitMeters()
       let nextKm = ghostSessionRef.current.nextKmIndex || 1
       const lastGhostLap = ghostSessionRef.current.lapsTimeline?.[ghostSessionRef.current.lapsTimeline.length - 1]
-      const ghostMaxKm = lastGhostLap ? Math.ceil((Number(lastGhostLap.cumulativeDistanceM) || 0) / 1000) : Infinity
-      while (totalDistanceRef.current >= nextKm * 1000 && nextKm <= ghostMaxKm + 1) {
-        const ghostElapsed = getGhostElapsedAtDistance(nextKm * 1000)
+      const ghostMaxKm = lastGhostLap ? Math.ceil((Number(lastGhostLap.cumulativeDistanceM) || 0) / unitM) : Infinity
+      while (totalDistanceRef.current >= nextKm * unitM && nextKm <= ghostMaxKm + 1) {
+        const markM = nextKm * unitM
+        let ghostElapsed = getGhostElapsedAtDistance(markM)
+        let runnerElapsed = elapsedForGhost
+        // 경사 보정 기준: 양쪽 모두 "평지였다면 걸렸을 시간"으로 비교 (고스트 랩에 평지 환산 거리가 있을 때만)
+        const ghostEquivalent = paceCoachBasisRef.current === 'gap'
+          ? getGhostValueAtDistance(markM, 'cumulativeEquivalentDistanceM')
+          : null
+        const runnerEquivalent = gapTrackerRef.current?.getEquivalentDistanceM()
+        if (ghostElapsed != null && Number.isFinite(ghostEquivalent) && Number.isFinite(runnerEquivalent)) {
+          ghostElapsed = adjustElapsedForGrade(ghostElapsed, markM, ghostEquivalent)
+          runnerElapsed = adjustElapsedForGrade(elapsedForGhost, totalDistanceRef.current, runnerEquivalent)
+        }
         if (ghostElapsed != null && voiceEnabledRef.current) {
-          const diffSeconds = Math.round((elapsedForGhost - ghostElapsed) / 1000)
+          const diffSeconds = Math.round((runnerElapsed - ghostElapsed) / 1000)
           const script = buildGhostDeltaSpeech(nextKm, diffSeconds, language)
           if (script) {
             const speechLocale = language === 'ko' ? 'ko-KR' : 'en-US'
@@ -1718,44 +2543,20 @@ export default function RunningSession({ mode }) {
       }
     }
 
-    if (totalDistanceRef.current >= lapTargetRef.current) {
-      const lapIndex = lapsRef.current.length + 1
-      const lapDistance = totalDistanceRef.current - lapStartDistanceRef.current
-      const lapDuration = lapStartTimeRef.current
-        ? nowTs - lapStartTimeRef.current - lapPausedAccumulatedRef.current
-        : elapsedForGhost
-      const lapPace = lapDuration / (lapDistance / 1000)
-      const lap = {
-        index: lapIndex,
-        durationMs: lapDuration,
-        paceMs: lapPace,
-        distanceM: lapDistance,
-        timestamp: nowTs,
-        elapsedMs: elapsedForGhost,
-      }
-      lapsRef.current = [...lapsRef.current, lap]
-      setLaps(lapsRef.current)
-      lapStartTimeRef.current = nowTs
-      lapStartDistanceRef.current = totalDistanceRef.current
-      lapTargetRef.current += lapDistanceM
-      lapPausedAccumulatedRef.current = 0
-      lapPauseStartRef.current = 0
-
-      // Show lap completion alert
-      setLapAlert({
-        lapNumber: lapIndex,
-        lapDurationMs: lapDuration,
-        lapPaceMs: lapPace,
-        avgPaceMs: avgPace,
+    // 세션 중 PR 경신 (기존 PR이 있는 거리만, 거리마다 한 번)
+    const brokenRecords = liveBestEffortRef.current?.addSample({ elapsedMs: safeElapsed, distanceM: safeDistance }) || []
+    if (brokenRecords.length && voiceEnabledRef.current) {
+      const speechLocale = language === 'ko' ? 'ko-KR' : 'en-US'
+      brokenRecords.forEach((pr) => {
+        speakOnce(buildPersonalRecordSpeech(pr, language), language === 'ko' ? 1.05 : 1.02, { lang: speechLocale, delayMs: 0 }).catch(() => {})
       })
+    }
 
-      if (voiceEnabledRef.current) {
-        const speechLocale = language === 'ko' ? 'ko-KR' : 'en-US'
-        const script = buildLapSpeech(lapIndex, lapDuration, lapPace, avgPace, language)
-        speakOnce(script, language === 'ko' ? 1.08 : 1.04, { lang: speechLocale, delayMs: 0 }).catch(() => {})
-      }
+    // 자동 랩 (lapDistanceM = 0이면 lapTargetRef = Infinity → 수동 랩만)
+    if (totalDistanceRef.current >= lapTargetRef.current) {
+      closeLap({ nowTs, elapsedMs: elapsedForGhost, avgPace, trigger: 'distance' })
     }
-  }, [getGhostElapsedAtDistance, isPaused, lapDistanceM, language, resolvedMode, sessionActive, enterIdleMode, exitIdleMode])
+  }, [applyAutoPause, applyAutoResume, applyStepDistance, closeLap, getGhostElapsedAtDistance, getGhostValueAtDistance, isPaused, language, resolvedMode, sessionActive, enterIdleMode, exitIdleMode])
 
   // keep latest handleLocation in ref for idle polling
   useEffect(() => {
@@ -1764,7 +2565,8 @@ export default function RunningSession({ mode }) {
 
   useEffect(() => {
     // Accelerometer stream (fallback when no step sensor). Only runs when session is active.
-    if (!sessionActive || isPaused) {
+    // 자동 일시정지 중에도 재개 판단(motionRms)을 위해 계속 받는다
+    if (!sessionActive || (isPaused && !autoPaused)) {
       if (motionStopRef.current) {
         try { motionStopRef.current() } catch {}
         motionStopRef.current = null
@@ -1782,7 +2584,7 @@ export default function RunningSession({ mode }) {
         const z = Number.isFinite(accel.z) ? accel.z : accelG.z
         if (!metricsRef.current) return
         metricsRef.current.addSample({
-          timestamp: Date.now(),
+          timestamp: sessionNow(),
           accelX: Number.isFinite(x) ? x : null,
           accelY: Number.isFinite(y) ? y : null,
           accelZ: Number.isFinite(z) ? z : null,
@@ -1805,7 +2607,7 @@ export default function RunningSession({ mode }) {
           const y = Number.isFinite(accel.y) ? accel.y : accelG.y
           const z = Number.isFinite(accel.z) ? accel.z : accelG.z
           metricsRef.current.addSample({
-            timestamp: Date.now(),
+            timestamp: sessionNow(),
             accelX: Number.isFinite(x) ? x : null,
             accelY: Number.isFinite(y) ? y : null,
             accelZ: Number.isFinite(z) ? z : null,
@@ -1823,23 +2625,144 @@ export default function RunningSession({ mode }) {
       try { motionStopRef.current?.() } catch {}
       motionStopRef.current = null
     }
-  }, [sessionActive, isPaused])
+  }, [sessionActive, isPaused, autoPaused])
 
+  // 기압계 고도 (플러그인이 있는 기기만). 최근 값만 보관하고 위치 샘플마다 metrics로 넘긴다
   useEffect(() => {
-    if (!sessionActive || isPaused) {
+    if (!sessionActive) return undefined
+    let cancelled = false
+    ;(async () => {
+      const available = await barometer.isAvailable()
+      if (!available || cancelled) return
+      try {
+        await barometer.startUpdates((reading) => {
+          baroReadingRef.current = { altitude: reading.altitude, receivedAt: Date.now() }
+        })
+        if (cancelled) barometer.stopUpdates().catch(() => {})
+      } catch (err) {
+        console.warn('[running] barometer unavailable, using GPS altitude', err)
+      }
+    })()
+    return () => {
+      cancelled = true
+      baroReadingRef.current = null
+      barometer.stopUpdates().catch(() => {})
+    }
+  }, [sessionActive])
+
+  // 심박: 플러그인(BLE 스트랩 / 워치) 또는 replay 시계열을 metrics 샘플 채널로 넘긴다
+  useEffect(() => {
+    if (!sessionActive) return undefined
+    let cancelled = false
+    let stopReplay = null
+    const handleReading = (reading) => {
+      if (cancelled || !Number.isFinite(reading?.bpm)) return
+      setHeartRate(reading.bpm)
+      // 일시정지 중 심박은 존 / 평균 집계에서 뺀다 (화면 표시만)
+      if (pauseStartRef.current || !metricsRef.current) return
+      metricsRef.current.addSample({ timestamp: sessionNow(), heartRate: reading.bpm })
+    }
+    if (hrReplayPlayerRef.current) {
+      stopReplay = hrReplayPlayerRef.current.watch(handleReading)
+    } else {
+      ;(async () => {
+        const available = await heartRateMonitor.isAvailable()
+        if (!available || cancelled) return
+        try {
+          await heartRateMonitor.startUpdates(handleReading)
+          if (cancelled) heartRateMonitor.stopUpdates().catch(() => {})
+        } catch (err) {
+          console.warn('[running] heart rate monitor unavailable', err)
+        }
+      })()
+    }
+    return () => {
+      cancelled = true
+      if (stopReplay) {
+        try { stopReplay() } catch {}
+      } else {
+        heartRateMonitor.stopUpdates().catch(() => {})
+      }
+    }
+  }, [sessionActive, sessionNow])
+
+  // 도보: GPS 거리가 STEP_DISTANCE_GPS_GAP_MS 이상 끊기면 (실내 / 고가 아래 등) 걸음 × 보폭으로 거리를 채운다
+  const applyStepDistance = useCallback((steps, nowTs) => {
+    const tracker = stepDistanceRef.current
+    if (!tracker || !Number.isFinite(steps)) return
+    if (nowTs - lastGpsDistanceAtRef.current < STEP_DISTANCE_GPS_GAP_MS) return
+    const filledM = tracker.fill(steps)
+    if (!(filledM > 0)) return
+    stepDistanceOffsetRef.current += filledM
+    totalDistanceRef.current = (Number.isFinite(totalDistanceRef.current) ? totalDistanceRef.current : 0) + filledM
+    setDistanceM(totalDistanceRef.current)
+  }, [])
+
+  // 스텝 카운터 (pedometer 플러그인): 누적 걸음 값을 metrics에 넘기고, 없으면 가속도 걸음 검출로 대체된다
+  // 도보는 앱이 백그라운드로 가거나 종료돼도 세는 background pedometer를 우선 사용
+  useEffect(() => {
+    if (!sessionActive) return undefined
+    let cancelled = false
+    let lastRaw = null
+    let pausedSteps = 0 // 일시정지 중 늘어난 걸음 (세션 걸음에서 뺀다)
+    let source = pedometer
+    ;(async () => {
+      if (resolvedMode === 'walk' && await backgroundPedometer.isAvailable()) {
+        const status = await backgroundPedometer.requestPermission()
+        if (cancelled) return
+        if (status !== 'denied') source = backgroundPedometer
+      }
+      if (source === pedometer) {
+        const available = await pedometer.isAvailable()
+        if (!available || cancelled) return
+        const permitted = await ensurePedometerPermission()
+        if (!permitted || cancelled) return
+      }
+      try {
+        await source.startUpdates((reading) => {
+          if (cancelled || !metricsRef.current) return
+          if (pauseStartRef.current && lastRaw !== null) pausedSteps += Math.max(0, reading.steps - lastRaw)
+          lastRaw = reading.steps
+          if (pauseStartRef.current) return
+          const nowTs = sessionNow()
+          const snap = metricsRef.current.addSample({ timestamp: nowTs, stepCounter: reading.steps - pausedSteps })
+          if (resolvedMode === 'walk' && Number.isFinite(snap?.steps)) {
+            sessionStepsRef.current = snap.steps
+            setSessionSteps(snap.steps)
+            applyStepDistance(snap.steps, nowTs)
+          }
+        })
+        if (cancelled) source.stopUpdates().catch(() => {})
+      } catch (err) {
+        console.warn('[running] pedometer unavailable, using accelerometer steps', err)
+      }
+    })()
+    return () => {
+      cancelled = true
+      source.stopUpdates().catch(() => {})
+    }
+  }, [sessionActive, sessionNow, resolvedMode, applyStepDistance])
+
+  useEffect(() => {
+    // 자동 일시정지 중에는 재개 판단을 위해 GPS 구독 유지
+    if (!sessionActive || (isPaused && !autoPaused)) {
       stopTracking()
       return undefined
     }
-    const stop = watchLocation(
-      { enableHighAccuracy: true, timeout: 20000, maximumAge: 1000 },
-      handleLocation,
-      (err) => {
-        console.warn('[running] location error', err)
-        // Transient watch errors (e.g. backgrounding / temporary unavailability)
-        // are common on mobile. We log them for debugging but avoid showing a
-        // persistent error banner above the content.
-      },
-    )
+    const handleWatchError = (err) => {
+      console.warn('[running] location error', err)
+      // Transient watch errors (e.g. backgrounding / temporary unavailability)
+      // are common on mobile. We log them for debugging but avoid showing a
+      // persistent error banner above the content.
+    }
+    // GPS replay가 준비되어 있으면 실제 GPS 대신 재생 소스를 구독 (재개 시 이어서 재생)
+    const stop = replayPlayerRef.current
+      ? replayPlayerRef.current.watch(handleLocation, handleWatchError)
+      : watchLocation(
+        { enableHighAccuracy: true, timeout: 20000, maximumAge: 1000 },
+        handleLocation,
+        handleWatchError,
+      )
     watchStopRef.current = stop
     return () => {
       try { stop?.() } catch {}
@@ -1847,19 +2770,22 @@ export default function RunningSession({ mode }) {
         watchStopRef.current = null
       }
     }
-  }, [sessionActive, isPaused, handleLocation, stopTracking])
+  }, [sessionActive, isPaused, autoPaused, handleLocation, stopTracking])
 
   const handleStartSession = async () => {
     if (starting || sessionActive) return
     clearError()
     setStarting(true)
     try {
-      const permission = await ensureLocationPermission()
-      setLocationPermission(permission)
-      const locationOk = permission === 'granted' || permission === 'limited'
-      if (!locationOk) {
-        pushError('permission')
-        return
+      const replay = replayConfig
+      if (!replay) {
+        const permission = await ensureLocationPermission()
+        setLocationPermission(permission)
+        const locationOk = permission === 'granted' || permission === 'limited'
+        if (!locationOk) {
+          pushError('permission')
+          return
+        }
       }
       const platform = capPlatform || resolveCapacitorPlatform()
       if (platform === 'android') {
@@ -1872,25 +2798,75 @@ export default function RunningSession({ mode }) {
           console.warn('[running] TTS unlock failed', err)
         }
       }
+      if (metronomeSpm > 0) {
+        // 사용자 제스처 안에서 AudioContext를 깨워둬야 메트로놈 클릭이 나온다
+        try {
+          await unlockAudio()
+        } catch {}
+      }
       prepareGhostSession()
 
-      sessionStartRef.current = Date.now()
+      if (replay) {
+        clockRef.current = createReplayClock(replay.speed)
+        replayPlayerRef.current = createReplayPlayer(replay.points, {
+          clock: clockRef.current,
+          speed: replay.speed,
+          noise: replay.noise,
+          onDone: () => console.log('[running] GPS replay finished'),
+        })
+      } else {
+        clockRef.current = Date.now
+        replayPlayerRef.current = null
+      }
+      // 심박 replay는 GPS replay가 없어도 단독으로 쓸 수 있다 (같은 세션 시계 기준)
+      hrReplayPlayerRef.current = hrReplaySeries
+        ? createHeartRateReplayPlayer(hrReplaySeries, {
+          clock: clockRef.current,
+          speed: replay?.speed || 1,
+          onDone: () => console.log('[running] heart rate replay finished'),
+        })
+        : null
+
+      sessionStartRef.current = sessionNow()
       lapStartTimeRef.current = sessionStartRef.current
       lapStartDistanceRef.current = 0
       lapPausedAccumulatedRef.current = 0
       lapPauseStartRef.current = 0
       pausedAccumulatedRef.current = 0
       pausedIntervalsRef.current.length = 0
-      lapTargetRef.current = lapDistanceM
+      prBaselineRef.current = personalRecordsRef.current
+      liveBestEffortRef.current = resolvedMode === 'run' ? createLiveBestEffortTracker(prBaselineRef.current) : null
+      lapTargetRef.current = lapDistanceM > 0 ? lapDistanceM : Infinity
+      lapTimeTargetRef.current = lapTimeMs > 0 ? lapTimeMs : Infinity
       lastPointRef.current = null
       routePointsRef.current = []
-      lastAltitudeRef.current = null
-      elevationGainRef.current = 0
+      lapStartElevationRef.current = { gainM: 0, lossM: 0 }
+      lapStartEquivalentRef.current = 0
+      gapTrackerRef.current = createGapTracker()
+      lapStartHeartRateRef.current = { beats: 0, timeMs: 0, zoneTimeMs: createEmptyZoneTimes() }
+      lapStartStepsRef.current = 0
+      hrCoachRef.current = { ts: 0, direction: null }
+      // 도보: 오늘 앞서 걸은 누적을 기준으로 걸음 목표 진행 (전날 carryover는 여기서 히스토리로 옮겨진다)
+      carryoverBaseRef.current = resolvedMode === 'walk' ? loadCarryoverState() : null
+      setWalkDayBase(carryoverBaseRef.current)
+      stepDistanceRef.current = resolvedMode === 'walk'
+        ? createStepDistanceTracker({ fallbackStrideM: estimateWalkStrideM(profileRef.current) })
+        : null
+      stepDistanceOffsetRef.current = 0
+      lastGpsDistanceAtRef.current = sessionStartRef.current
+      sessionStepsRef.current = 0
+      stepGoalAnnouncedRef.current = (carryoverBaseRef.current?.steps || 0) >= walkStepGoal
+      setSessionSteps(0)
+      baroReadingRef.current = null
       samplesRef.current = []
       lapsRef.current = []
       smoothedSpeedRef.current = null
       goalRef.current = goalPreset
       goalReachedRef.current = false
+      workoutRef.current = workoutPlan.enabled ? buildIntervalWorkout(workoutPlan) : null
+      workoutRunnerRef.current = workoutRef.current ? createWorkoutRunner(workoutRef.current) : null
+      const firstWorkoutStep = workoutRunnerRef.current?.start({ distanceM: 0, elapsedMs: 0 }) || null
+      setWorkoutStepIndex(firstWorkoutStep ? firstWorkoutStep.index : -1)
       lastTimeCueRef.current = null
       distanceOffsetRef.current = 0
       elapsedOffsetRef.current = 0
@@ -1908,6 +2884,11 @@ export default function RunningSession({ mode }) {
       setElapsedMs(0)
       setAvgPaceMs(null)
       setCurrentPaceMs(null)
+      setAvgGapMs(null)
+      setCurrentGapMs(null)
+      setHeartRate(null)
+      setCadenceSpm(null)
+      setStrideLengthM(null)
       setLatestAccuracy(null)
       setShowStats(false)
       setWorkoutStats(null)
@@ -1918,20 +2899,32 @@ export default function RunningSession({ mode }) {
       idleModeRef.current = false
 
       metricsRef.current = createMetricsAccumulator({
-        mode: 'running',
-        userWeightKg: DEFAULT_WEIGHT_KG,
+        mode: resolvedMode === 'walk' ? 'walking' : 'running',
+        profile: profileRef.current,
+        userStepGoal: walkStepGoal,
+        heartRateZones,
         sessionStartTime: sessionStartRef.current,
         pausedIntervals: pausedIntervalsRef.current,
       })
 
       // DistanceCalculator 초기화
       distanceCalculatorRef.current = new DistanceCalculator({
-        mode: 'run',
+        mode: resolvedMode,
         enableSmoothing: true,
-        initialDistance: 0
+        smoothing: readGpsSmoothing(),
+        initialDistance: 0,
+        now: sessionNow,
       })
 
+      // 자동 일시정지 (설정에서 꺼져 있으면 null)
+      autoPauseRef.current = autoPauseMs > 0
+        ? createAutoPauseDetector({ stopDelayMs: autoPauseMs, mode: resolvedMode })
+        : null
+      autoPausedRef.current = false
+      setAutoPaused(false)
+
       samplesRef.current.push({ t: sessionStartRef.current, d: 0 })
+      if (firstWorkoutStep) announceWorkoutStep(firstWorkoutStep)
     } catch (err) {
       pushError('generic', err?.message)
     } finally {
@@ -1939,52 +2932,39 @@ export default function RunningSession({ mode }) {
     }
   }
 
+  // 수동 랩: 현재 랩을 바로 닫고, 워크아웃 중이면 현재 스텝도 끝낸다
+  const handleManualLap = () => {
+    if (!sessionActive || isPaused || !sessionStartRef.current) return
+    const nowTs = sessionNow()
+    const lapElapsed = Math.max(0, nowTs - sessionStartRef.current - pausedAccumulatedRef.current)
+    const runner = workoutRunnerRef.current
+    const workoutActive = !!runner && !runner.finished
+    closeLap({ nowTs, elapsedMs: lapElapsed, avgPace: avgPaceMs, trigger: 'manual', speak: !workoutActive })
+    if (workoutActive) {
+      const distance = Number.isFinite(totalDistanceRef.current) ? totalDistanceRef.current : distanceM
+      applyWorkoutTransition(runner.lap({ distanceM: distance, elapsedMs: (elapsedOffsetRef.current || 0) + lapElapsed }))
+    }
+  }
+
   const handlePause = () => {
     if (!sessionActive || isPaused) return
-    const now = Date.now()
-    pauseStartRef.current = now
-    lapPauseStartRef.current = pauseStartRef.current
-    setIsPaused(true)
-    lastIdleProbeRef.current = null
-    stopIdlePoll()
-    idleModeRef.current = false
+    autoPauseRef.current?.reset()
+    pauseSessionAt(sessionNow())
   }
 
   const handleResume = () => {
     if (!sessionActive || !isPaused) return
-    const now = Date.now()
-    pausedAccumulatedRef.current += now - (pauseStartRef.current || now)
-    if (lapPauseStartRef.current) {
-      lapPausedAccumulatedRef.current += now - lapPauseStartRef.current
-    }
-    if (pauseStartRef.current) {
-      pausedIntervalsRef.current.push({ start: pauseStartRef.current, end: now })
-    }
-    lapPauseStartRef.current = 0
-    pauseStartRef.current = 0
-    setIsPaused(false)
-    const currentTotal = Number.isFinite(totalDistanceRef.current) ? totalDistanceRef.current : 0
-    samplesRef.current = [{ t: now, d: currentTotal }]
-    setCurrentPaceMs(null)
-    lastPointRef.current = null
-    smoothedSpeedRef.current = null // Reset speed smoothing after pause
-    if (distanceCalculatorRef.current) {
-      distanceCalculatorRef.current = new DistanceCalculator({
-        mode: 'run',
-        enableSmoothing: true,
-        initialDistance: currentTotal,
-      })
-    }
-    paceCoachRef.current = { ts: 0, direction: null }
-    lastActiveTsRef.current = now
-    idleModeRef.current = false
+    autoPauseRef.current?.reset()
+    autoPausedRef.current = false
+    setAutoPaused(false)
+    resumeSessionAt(sessionNow())
   }
 
   const finalizeSession = useCallback(() => {
     stopTracking()
     stopIdlePoll()
     idleModeRef.current = false
-    const endTs = Date.now()
+    const endTs = sessionNow()
     if (pauseStartRef.current) {
       pausedIntervalsRef.current.push({ start: pauseStartRef.current, end: endTs })
     }
@@ -2007,14 +2987,34 @@ export default function RunningSession({ mode }) {
       ? duration / (distance / 1000)
       : null
     const avgPaceSafe = Number.isFinite(avgPace) ? avgPace : null
+    // 이동 시간: 정지 구간(신호 대기 등)까지 제외. avgPaceMs는 기존 기록과 같은 경과 시간 기준 유지
+    const movingTime = Number.isFinite(snapshot?.movingTimeMs) ? Math.min(duration, snapshot.movingTimeMs) : null
+    const movingPace = computeAvgPaceMs(distance, movingTime)
     const calories = Number.isFinite(snapshot?.calories) ? snapshot.calories : 0
-    const elevationGain = Number.isFinite(snapshot?.elevationGainM)
-      ? snapshot.elevationGainM
-      : (Number.isFinite(elevationGainRef.current) ? elevationGainRef.current : 0)
+    const elevationGain = Number.isFinite(snapshot?.elevationGainM) ? snapshot.elevationGainM : 0
+    const elevationLoss = Number.isFinite(snapshot?.elevationLossM) ? snapshot.elevationLossM : 0
+    const elevationMax = Number.isFinite(snapshot?.elevationMaxM) ? snapshot.elevationMaxM : null
+    const elevationMin = Number.isFinite(snapshot?.elevationMinM) ? snapshot.elevationMinM : null
+    const equivalentDistance = gapTrackerRef.current ? gapTrackerRef.current.getEquivalentDistanceM() : null
+    const avgGap = avgPaceSafe ? calcGapMs(duration, equivalentDistance) : null
+    // 심박: 기록에 avgHeartRate가 있으면 훈련 부하(training-load)가 TRIMP 기준으로 계산된다
+    const hasHeartRate = snapshot?.heartRateTimeMs > 0
+    const avgHeartRate = hasHeartRate && Number.isFinite(snapshot.avgHeartRate) ? Math.round(snapshot.avgHeartRate) : null
+    const maxHeartRate = hasHeartRate && Number.isFinite(snapshot.maxHeartRate) ? snapshot.maxHeartRate : null
+    const hrZoneTimeMs = hasHeartRate ? snapshot.hrZoneTimeMs : null
+    // 걸음: 평균 케이던스는 이동 시간 기준 (신호 대기 중에는 걸음이 없으므로)
+    const steps = snapshot?.steps > 0 ? snapshot.steps : null
+    const cadenceMinutes = (Number.isFinite(movingTime) && movingTime > 0 ? movingTime : duration) / 60000
+    const avgCadence = steps && cadenceMinutes > 0 ? Math.round(steps / cadenceMinutes) : null
+    const strideLength = steps && distance > 0 ? distance / steps : null
     const intensityLevel = snapshot?.intensity ?? snapshot?.intensityLevel ?? null
 
     const lapSnapshot = lapsRef.current.map((lap) => ({ ...lap }))
     const routeSnapshot = routePointsRef.current.map((pt) => ({ ...pt }))
+    const workoutSnapshot = workoutRef.current
+    const workoutSteps = workoutRunnerRef.current
+      ? workoutRunnerRef.current.finish({ distanceM: distance, elapsedMs: (elapsedOffsetRef.current || 0) + duration })
+      : null
 
     let ghostResult = null
     if (ghostSessionRef.current?.enabled && ghostSessionRef.current.targetRun) {
@@ -2044,58 +3044,156 @@ export default function RunningSession({ mode }) {
     }
 
     // Save session to history
-    persistHistory({
+    const finalRecord = attachBestEfforts({
       id: `${sessionStartRef.current}`,
       mode: resolvedMode,
       startedAt: sessionStartRef.current,
       durationMs: duration,
+      elapsedMs: duration,
+      movingTimeMs: movingTime,
       distanceM: distance,
       avgPaceMs: avgPaceSafe,
+      movingPaceMs: movingPace,
       laps: lapSnapshot,
       route: routeSnapshot,
       lapDistanceM,
+      lapTimeMs,
       timeCueMs,
       targetPaceMs,
       goal: goalRef.current || null,
       voiceEnabled: voiceEnabledRef.current,
       ghostResult,
       calories,
+      caloriesWeightKg: resolveWeightKg(profileRef.current),
       intensityLevel,
       elevationGainM: elevationGain,
+      elevationLossM: elevationLoss,
+      elevationMaxM: elevationMax,
+      elevationMinM: elevationMin,
+      elevationSource: snapshot?.altitudeSource || null,
+      equivalentDistanceM: equivalentDistance,
+      avgGapMs: avgGap,
+      avgHeartRate,
+      maxHeartRate,
+      hrZoneTimeMs,
+      hrZoneMethod: hrZoneTimeMs ? heartRateZones?.method || null : null,
+      steps,
+      cadenceSpm: avgCadence,
+      strideLengthM: strideLength,
+      stepSource: steps ? snapshot?.stepSource || null : null,
+      workout: workoutSnapshot,
+      workoutSteps,
+      pausedIntervals: pausedIntervalsRef.current.map((pause) => ({ ...pause })),
       autoSaved: false,
     })
+    // 도보: 오늘 누적(carryover)에 더하고 같은 날 도보 기록 하나로 합친다
+    const walkDayTotals = resolvedMode === 'walk'
+      ? mergeWalkDayTotals(carryoverBaseRef.current, { steps, distanceM: distance, elapsedMs: duration, calories, laps: lapSnapshot }, getDateKeyFromValue(sessionStartRef.current) || getTodayKey())
+      : null
+    if (walkDayTotals) {
+      saveCarryoverState(walkDayTotals)
+      setWalkDayBase(walkDayTotals)
+      upsertCarryoverHistory({
+        ...finalRecord,
+        dateKey: walkDayTotals.dateKey,
+        steps: walkDayTotals.steps,
+        distanceM: walkDayTotals.distanceM,
+        durationMs: walkDayTotals.elapsedMs,
+        avgPaceMs: null,
+        calories: walkDayTotals.calories,
+        laps: walkDayTotals.laps,
+        stepGoal: walkStepGoal,
+        autoSaved: false,
+      }, 'session').then((historyId) => {
+        if (historyId) setSummaryMeta((prev) => (prev ? { ...prev, historyId } : prev))
+      })
+    } else {
+      persistHistory(finalRecord)
+    }
+    // 세션 시작 전 PR 표와 비교 (자동 저장된 이번 기록은 기준에 들어가지 않음)
+    const newPersonalRecords = resolvedMode === 'run' ? diffPersonalRecords(prBaselineRef.current, finalRecord.bestEfforts) : []
+    liveBestEffortRef.current = null
 
     const summaryText = SESSION_TEXT[language]?.summary || SESSION_TEXT.en.summary
     const caloriesValue = Number.isFinite(calories) ? calories : 0
     setWorkoutStats({
       totalTime: { value: formatClock(duration, { showHours: duration >= 3600000 }), label: summaryText.totalTime },
+      ...(Number.isFinite(movingTime)
+        ? { movingTime: { value: formatClock(movingTime, { showHours: movingTime >= 3600000 }), label: summaryText.movingTime } }
+        : {}),
       totalDistance: { value: formatDistanceLabel(distance, 2), label: summaryText.distance },
-      avgPace: { value: Number.isFinite(avgPaceSafe) ? formatPaceLabel(avgPaceSafe) : '--:-- /km', label: summaryText.avgPace },
+      avgPace: { value: formatPaceLabel(avgPaceSafe), label: summaryText.avgPace },
       laps: { value: `${lapSnapshot.length}`, label: summaryText.laps },
       calories: { value: Number.isFinite(caloriesValue) ? `${caloriesValue.toFixed(0)} kcal` : '-- kcal', label: summaryText.calories || 'Calories' },
       ...(Number.isFinite(elevationGain)
-        ? { elevation: { value: `${elevationGain.toFixed(0)} m`, label: summaryText.elevation || 'Elevation Gain' } }
+        ? { elevation: { value: formatElevationLabel(elevationGain), label: summaryText.elevation || 'Elevation Gain' } }
+        : {}),
+      ...(elevationLoss > 0
+        ? { elevationLoss: { value: formatElevationLabel(elevationLoss), label: summaryText.elevationLoss } }
+        : {}),
+      // 평지 코스면 GAP가 평균 페이스와 같아서 생략
+      ...(Number.isFinite(avgGap) && Math.abs(avgGap - avgPaceSafe) / avgPaceSafe > 0.01
+        ? { gap: { value: formatPaceLabel(avgGap), label: summaryText.gap } }
+        : {}),
+      ...(avgHeartRate
+        ? { avgHeartRate: { value: `${avgHeartRate} bpm`, label: summaryText.avgHeartRate } }
+        : {}),
+      ...(maxHeartRate
+        ? { maxHeartRate: { value: `${maxHeartRate} bpm`, label: summaryText.maxHeartRate } }
+        : {}),
+      ...(walkDayTotals && steps
+        ? { steps: { value: steps.toLocaleString(), label: summaryText.steps } }
+        : {}),
+      ...(walkDayTotals
+        ? { todaySteps: { value: `${walkDayTotals.steps.toLocaleString()} / ${walkStepGoal.toLocaleString()}`, label: summaryText.todaySteps } }
+        : {}),
+      ...(avgCadence
+        ? { cadence: { value: `${avgCadence} spm`, label: summaryText.cadence } }
+        : {}),
+      ...(strideLength
+        ? { stride: { value: `${strideLength.toFixed(2)} m`, label: summaryText.stride } }
         : {}),
       ...(intensityLevel
         ? { intensity: { value: intensityLevel, label: summaryText.intensity || 'Intensity' } }
         : {}),
     })
     setSummaryMeta({
+      historyId: walkDayTotals ? null : `${sessionStartRef.current}`, // 도보는 하루 기록 id를 저장 후 채움
       startedAt: sessionStartRef.current,
       mode: resolvedMode,
       goal: goalRef.current || null,
       lapDistanceM,
+      lapTimeMs,
       timeCueMs,
       targetPaceMs,
       voiceEnabled: voiceEnabledRef.current,
       distanceM: distance,
       durationMs: duration,
+      elapsedMs: duration,
+      movingTimeMs: movingTime,
       avgPaceMs: avgPaceSafe,
+      movingPaceMs: movingPace,
       lapCount: lapSnapshot.length,
+      laps: lapSnapshot,
+      pausedIntervals: finalRecord.pausedIntervals,
+      workoutSteps,
       ghostResult,
+      personalRecords: newPersonalRecords,
       calories,
       intensityLevel,
       elevationGainM: elevationGain,
+      elevationLossM: elevationLoss,
+      elevationMaxM: elevationMax,
+      elevationMinM: elevationMin,
+      avgGapMs: avgGap,
+      avgHeartRate,
+      maxHeartRate,
+      hrZoneTimeMs,
+      steps,
+      stepGoal: walkDayTotals ? walkStepGoal : null,
+      todaySteps: walkDayTotals ? walkDayTotals.steps : null,
+      cadenceSpm: avgCadence,
+      strideLengthM: strideLength,
       runWeeklyTotalDistanceM,
       runMonthlyTotalDistanceM,
       runWeeklyGoalProgress,
@@ -2116,7 +3214,18 @@ export default function RunningSession({ mode }) {
     setGhostEnabled(false)
     setGhostTarget(null)
     setGhostMessage('')
-  }, [language, lapDistanceM, persistHistory, resolvedMode, resetGhostSession, resolveRecordDistance, stopTracking, stopIdlePoll, timeCueMs, targetPaceMs])
+    autoPauseRef.current = null
+    autoPausedRef.current = false
+    setAutoPaused(false)
+    workoutRef.current = null
+    workoutRunnerRef.current = null
+    setWorkoutStepIndex(-1)
+    // replay 세션 종료 → 실제 시계로 복귀
+    replayPlayerRef.current = null
+    hrReplayPlayerRef.current = null
+    stepDistanceRef.current = null
+    clockRef.current = Date.now
+  }, [heartRateZones, language, lapDistanceM, lapTimeMs, persistHistory, resolvedMode, resetGhostSession, resolveRecordDistance, saveCarryoverState, sessionNow, stopTracking, stopIdlePoll, timeCueMs, targetPaceMs, upsertCarryoverHistory, walkStepGoal])
 
   const handleEndSession = () => {
     if (!sessionActive) return
@@ -2131,6 +3240,14 @@ export default function RunningSession({ mode }) {
 
 
   const nextLapMeters = Math.max(0, lapTargetRef.current - totalDistanceRef.current)
+  const liveHeartRateZone = resolveHeartRateZone(heartRate, heartRateZones)
+  const currentLapMeters = Math.max(0, totalDistanceRef.current - lapStartDistanceRef.current)
+  const nextLapRemainingMs = lapTimeMs > 0
+    ? Math.max(0, lapTimeTargetRef.current - (elapsedMs - (elapsedOffsetRef.current || 0)))
+    : null
+  const lapProgressRatio = lapTimeMs > 0
+    ? (lapTimeMs - nextLapRemainingMs) / lapTimeMs
+    : lapDistanceM > 0 ? (lapDistanceM - nextLapMeters) / lapDistanceM : 0
   const startButtonLabel = language === 'ko'
     ? `${modeTitle}${text.setup.startSuffix}`
     : `${text.setup.startPrefix} ${modeTitle}`.trim()
@@ -2145,20 +3262,40 @@ export default function RunningSession({ mode }) {
   const ghostTargetText = formatGhostLabel(ghostTargetRecord)
 
   // Live derived metrics
-  const elapsedMinutesLive = elapsedMs > 0 ? elapsedMs / 60000 : 0
   const avgSpeedKmhLive = elapsedMs > 0 ? (distanceM / 1000) / (elapsedMs / 3600000) : null
   const elapsedClockRun = formatClock(elapsedMs, { showHours: true, showCentiseconds: true })
-  const metLive = (() => {
-    if (!avgSpeedKmhLive) return null
-    if (avgSpeedKmhLive < 8) return 8.0  // 런닝 MET 값
-    if (avgSpeedKmhLive < 10) return 9.8
-    if (avgSpeedKmhLive < 12) return 11.0
-    return 12.5
-  })()
-  const caloriesLive = metLive && elapsedMinutesLive > 0
-    ? metLive * 3.5 * DEFAULT_WEIGHT_KG / 200 * elapsedMinutesLive
-    : null
-  const elevationGainLive = Number.isFinite(elevationGainRef.current) ? elevationGainRef.current : null
+  const caloriesLive = calcCalories({ distanceM, durationMs: elapsedMs, mode: resolvedMode, profile })
+
+	  const [runDistanceTotals, setRunDistanceTotals] = useState({ weekTotalM: 0, monthTotalM: 0 })
+
+	  // 주간/월간 누적 거리는 history store 인덱스(mode + startedAt)로 집계
+	  useEffect(() => {
+	    let cancelled = false
+	    getGoalPeriodTotals({ mode: 'run' })
+	      .then((totals) => {
+	        if (!cancelled) setRunDistanceTotals(totals)
+	      })
+	      .catch((err) => console.warn('[running] failed to aggregate run goals', err))
+	    return () => {
+	      cancelled = true
+	    }
+	  }, [historyRevision])
+
+  // PR 표: 기록 저장 / 삭제 / 가져오기 / 복원 후 다시 계산 (세션 중 자동 저장 때는 건너뜀)
+  useEffect(() => {
+    if (sessionActive) return undefined
+    let cancelled = false
+    refreshPersonalRecords()
+      .then((table) => {
+        if (cancelled) return
+        personalRecordsRef.current = table
+        setPersonalRecords(table)
+      })
+      .catch((err) => console.warn('[running] failed to refresh personal records', err))
+    return () => {
+      cancelled = true
+    }
+  }, [historyRevision, sessionActive])
 
 	  const {
 	    runWeeklyTotalDistanceM,
@@ -2168,29 +3305,8 @@ export default function RunningSession({ mode }) {
 	  } = useMemo(() => {
 	    const weeklyTargetKm = runGoalConfig?.weeklyDistanceKm?.target || RUN_WEEKLY_DISTANCE_GOAL_KM_DEFAULT
 	    const monthlyTargetKm = runGoalConfig?.monthlyDistanceKm?.target || RUN_MONTHLY_DISTANCE_GOAL_KM_DEFAULT
-	    const today = new Date()
-	    const weekStart = new Date(today)
-	    weekStart.setDate(today.getDate() - 6)
-	    let weekTotalM = 0
-	    let monthTotalM = 0
-	    if (Array.isArray(history)) {
-	      for (const entry of history) {
-	        if (!entry || entry.mode !== 'run') continue
-	        const distM = Number(entry.distanceM)
-	        if (!Number.isFinite(distM) || distM <= 0) continue
-	        const ts = entry.startedAt || entry.timestamp
-	        if (!ts) continue
-	        const d = new Date(ts)
-	        if (Number.isNaN(d.getTime())) continue
-	        if (d > today) continue
-	        if (d >= weekStart) {
-	          weekTotalM += distM
-	        }
-	        if (d.getFullYear() === today.getFullYear() && d.getMonth() === today.getMonth()) {
-	          monthTotalM += distM
-	        }
-	      }
-	    }
+	    const weekTotalM = runDistanceTotals.weekTotalM || 0
+	    const monthTotalM = runDistanceTotals.monthTotalM || 0
 	    const clampPct = (v) => {
 	      if (!Number.isFinite(v)) return null
 	      return Math.min(v, 300)
@@ -2205,7 +3321,7 @@ export default function RunningSession({ mode }) {
 	      runMonthlyTotalDistanceM: monthTotalM,
 	      runMonthlyGoalProgress: monthlyPct,
 	    }
-	  }, [history, runGoalConfig])
+	  }, [runDistanceTotals, runGoalConfig])
 
 	  useEffect(() => {
 	    if (runWeeklyGoalProgress == null) return
@@ -2302,7 +3418,7 @@ export default function RunningSession({ mode }) {
             className="flex items-center justify-between rounded-2xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white/80"
           >
             <span className="font-semibold text-white">
-              {language === 'ko' ? `${lap.index}구간` : `Lap ${lap.index}`} · {formatDistanceLabel(lap.distanceM, 2)}
+              {language === 'ko' ? `${lap.index}구간` : `Lap ${lap.index}`} · {formatLapSplitDistance(lap.distanceM, lapDistanceM)}
             </span>
             <span>{formatClock(lap.durationMs)}</span>
             <span className="text-emerald-200">{formatPaceLabel(lap.paceMs)}</span>
@@ -2312,18 +3428,57 @@ export default function RunningSession({ mode }) {
     </div>
   ) : null
 
+  const workoutStatus = sessionActive && workoutStepIndex >= 0
+    ? workoutRunnerRef.current?.getStatus({ distanceM, elapsedMs }) || null
+    : null
+  const workoutStepResults = Array.isArray(summaryMeta?.workoutSteps) ? summaryMeta.workoutSteps : []
+  const workoutSummaryContent = workoutStepResults.length ? (
+    <div className="space-y-2 text-white">
+      <p className="text-xs uppercase tracking-[0.35em] text-white/60">{text.workout.results}</p>
+      <div className="max-h-48 space-y-2 overflow-y-auto pr-1">
+        {workoutStepResults.map((result) => (
+          <div
+            key={result.index}
+            className="flex items-center justify-between gap-2 rounded-2xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white/80"
+          >
+            <span className="font-semibold text-white truncate">
+              {text.workout.steps[result.kind] || result.kind}
+              {result.repeatIndex ? ` ${result.repeatIndex}` : ''} · {formatDistanceLabel(result.distanceM, 2)}
+            </span>
+            <span>{formatClock(result.durationMs)}</span>
+            <span className={result.inTargetRange === false ? 'text-amber-200' : 'text-emerald-200'}>
+              {formatPaceLabel(result.avgPaceMs)}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  ) : null
+  const summaryExtraContent = lapSummaryContent || workoutSummaryContent ? (
+    <div className="space-y-3">
+      {workoutSummaryContent}
+      {lapSummaryContent}
+    </div>
+  ) : null
+
   const runningSectionMarginClass = 'mt-3'
   const stackSpacingClass = capPlatform === 'ios' ? 'space-y-1' : 'space-y-2'
-  const goalDistancePresets = [
-    { value: 0, label: language === 'ko' ? '설정 안 함' : 'No goal' },
-    { value: 1000, label: language === 'ko' ? '1km' : '1 km' },
-    { value: 3000, label: language === 'ko' ? '3km' : '3 km' },
-    { value: 5000, label: language === 'ko' ? '5km' : '5 km' },
-    { value: 8000, label: language === 'ko' ? '8km' : '8 km' },
-    { value: 10000, label: language === 'ko' ? '10km' : '10 km' },
-    { value: 15000, label: language === 'ko' ? '15km' : '15 km' },
-    { value: 20000, label: language === 'ko' ? '20km' : '20 km' },
-  ]
+  const goalDistancePresets = (() => {
+    const unit = unitSystem === 'imperial' ? 'mi' : 'km'
+    const values = unitSystem === 'imperial' ? [1, 2, 3, 5, 10, 13.1, 26.2] : [1, 3, 5, 8, 10, 15, 20]
+    const presets = [
+      { value: 0, label: language === 'ko' ? '설정 안 함' : 'No goal' },
+      ...values.map((value) => ({
+        value: Math.round(value * getDistanceUnitMeters()),
+        label: language === 'ko' ? `${value}${unit}` : `${value} ${unit}`,
+      })),
+    ]
+    // 다른 단위에서 고른 목표도 그대로 보이도록
+    if (goalPreset?.type === 'distance' && !presets.some((preset) => preset.value === goalPreset.value)) {
+      presets.push({ value: goalPreset.value, label: formatDistanceLabel(goalPreset.value, 1) })
+    }
+    return presets
+  })()
   const goalTimePresets = [
     { value: 0, label: language === 'ko' ? '설정 안 함' : 'No goal' },
     { value: 30 * 60 * 1000, label: language === 'ko' ? '30분' : '30 min' },
@@ -2337,14 +3492,76 @@ export default function RunningSession({ mode }) {
     { value: 5 * 60 * 1000, label: language === 'ko' ? '5분마다' : 'Every 5 min' },
     { value: 10 * 60 * 1000, label: language === 'ko' ? '10분마다' : 'Every 10 min' },
   ]
+  // 자동 랩 옵션: 'manual' | 'd:<m>' | 't:<ms>' | 'custom'
+  const lapSettingValue = lapTimeMs > 0 ? `t:${lapTimeMs}` : lapDistanceM > 0 ? `d:${lapDistanceM}` : 'manual'
+  const lapSettingOptions = (() => {
+    const distances = LAP_DISTANCE_PRESETS_M.includes(lapDistanceM) || !(lapDistanceM > 0)
+      ? LAP_DISTANCE_PRESETS_M
+      : [...LAP_DISTANCE_PRESETS_M, lapDistanceM].sort((a, b) => a - b)
+    const times = LAP_TIME_PRESETS_MS.includes(lapTimeMs) || !(lapTimeMs > 0)
+      ? LAP_TIME_PRESETS_MS
+      : [...LAP_TIME_PRESETS_MS, lapTimeMs].sort((a, b) => a - b)
+    return [
+      { value: 'manual', label: text.laps.autoOff },
+      ...distances.map((meters) => ({ value: `d:${meters}`, label: formatLapSettingLabel({ lapDistanceM: meters }, language) })),
+      ...times.map((ms) => ({ value: `t:${ms}`, label: formatLapSettingLabel({ lapTimeMs: ms }, language) })),
+      { value: 'custom', label: text.laps.custom },
+    ]
+  })()
+  const handleLapSettingChange = (value) => {
+    if (value === 'custom') {
+      setCustomLapInput(String(Math.round(lapDistanceM > 0 ? lapDistanceM : 1000)))
+      return
+    }
+    setCustomLapInput(null)
+    if (value === 'manual') {
+      setLapDistanceM(0)
+      setLapTimeMs(0)
+      return
+    }
+    const [kind, raw] = String(value).split(':')
+    if (kind === 't') {
+      setLapTimeMs(normalizeLapTime(raw))
+      setLapDistanceM(0)
+    } else {
+      setLapDistanceM(normalizeLapDistance(raw))
+      setLapTimeMs(0)
+    }
+  }
+  const applyCustomLapDistance = () => {
+    const meters = normalizeLapDistance(customLapInput, null)
+    if (!meters) return
+    setLapDistanceM(meters)
+    setLapTimeMs(0)
+    setCustomLapInput(null)
+  }
   const paceGuideOptions = (() => {
     const opts = [{ value: null, label: language === 'ko' ? '끄기' : 'Off' }]
-    for (let paceMin = 4; paceMin <= 10.0001; paceMin += 0.5) {
-      const paceMs = paceMin * 60 * 1000
+    // 표시 단위 기준 30초 간격 (4:00~10:00 /km, 6:00~16:00 /mi), 값은 ms/km로 저장
+    const [minPace, maxPace] = unitSystem === 'imperial' ? [6, 16] : [4, 10]
+    for (let paceMin = minPace; paceMin <= maxPace + 0.0001; paceMin += 0.5) {
+      const paceMs = Math.round(displayPaceToPace(paceMin * 60 * 1000))
       opts.push({ value: paceMs, label: formatPaceLabel(paceMs) })
     }
     return opts
   })()
+  // 단위 전환: 저장 값(m, ms/km)은 그대로 두고 표시 단위만 바꾼다.
+  // 기본 랩(1km ↔ 1mi)과 목표 페이스는 새 단위의 눈금에 맞춘다.
+  const handleUnitSystemToggle = () => {
+    const next = unitSystem === 'imperial' ? 'metric' : 'imperial'
+    setUnitSystem(next)
+    setUnitSystemState(next)
+    setLapDistanceM((prev) => {
+      if (next === 'imperial' && prev === 1000) return METERS_PER_MILE
+      if (next === 'metric' && prev === METERS_PER_MILE) return 1000
+      return prev
+    })
+    setTargetPaceMs((prev) => {
+      if (!Number.isFinite(prev)) return prev
+      const displayPace = Math.round(paceToDisplayPace(prev) / 30000) * 30000
+      return Math.round(displayPaceToPace(displayPace))
+    })
+  }
 
   const modeHistory = Array.isArray(history)
     ? history.filter((item) => !item.mode || item.mode === resolvedMode)
@@ -2401,6 +3618,11 @@ export default function RunningSession({ mode }) {
             </div>
 
             <div className="mb-3 md:mb-5 flex flex-wrap gap-2 md:gap-3">
+                {autoPaused && (
+                  <span className="rounded-full border border-amber-400/40 bg-amber-500/20 px-3 md:px-4 py-1 md:py-2 text-[0.7rem] md:text-sm lg:text-base font-semibold text-amber-50 animate-pulse">
+                    {text.status.autoPaused}
+                  </span>
+                )}
                 <span className="rounded-full bg-white/10 px-3 md:px-4 py-1 md:py-2 text-[0.7rem] md:text-sm lg:text-base font-semibold text-white/80">
                   {text.setup.timeCue}: {timeCueLabel}
                 </span>
@@ -2433,7 +3655,7 @@ export default function RunningSession({ mode }) {
                   <span className={`text-3xl md:text-5xl lg:text-6xl font-black text-cyan-100 tabular-nums transition-all duration-300 ${!isPaused ? 'animate-pulse' : ''}`}>
                     {formatSpeedLabel(currentPaceMs).split(' ')[0]}
                   </span>
-                  <span className="text-base md:text-xl lg:text-2xl font-bold text-cyan-300/80">km/h</span>
+                  <span className="text-base md:text-xl lg:text-2xl font-bold text-cyan-300/80">{getSpeedUnitLabel()}</span>
                 </div>
               </div>
             </div>
@@ -2444,31 +3666,145 @@ export default function RunningSession({ mode }) {
 	            {/* Stats Grid */}
 	        <div className="grid gap-2 md:gap-4 lg:gap-5 grid-cols-2 sm:grid-cols-2 md:grid-cols-4">
               <StatTile label={text.stats.distance} value={formatDistanceLabel(distanceM, 2)} accent={meta.accentColor} />
-              <StatTile label={text.stats.current} value={currentPaceMs ? formatPaceLabel(currentPaceMs) : '--:-- /km'} accent={meta.accentColor} />
-              <StatTile label={text.stats.average} value={avgPaceMs ? formatPaceLabel(avgPaceMs) : '--:-- /km'} accent={meta.accentColor} />
-              <StatTile label={text.stats.avgSpeed} value={formatSpeedLabel(avgPaceMs)} accent={meta.accentColor} />
+              <StatTile label={text.stats.current} value={formatPaceLabel(currentPaceMs)} accent={meta.accentColor} />
+              <StatTile label={text.stats.average} value={formatPaceLabel(avgPaceMs)} accent={meta.accentColor} />
+              {/* 경사 보정 코칭 중에는 평균 속도 대신 평균 GAP */}
+              {paceCoachBasis === 'gap' ? (
+                <StatTile label={text.stats.averageGap} value={formatPaceLabel(avgGapMs)} accent={meta.accentColor} />
+              ) : (
+                <StatTile label={text.stats.avgSpeed} value={formatSpeedLabel(avgPaceMs)} accent={meta.accentColor} />
+              )}
             </div>
+
+            {/* 도보: 오늘 걸음 / 목표 */}
+            {resolvedMode === 'walk' && (
+              <div className="mt-2 md:mt-4 rounded-2xl border border-amber-400/30 bg-gradient-to-br from-amber-500/10 to-black/20 px-3 md:px-5 py-2 md:py-3 text-white backdrop-blur-sm">
+                <div className="flex items-center justify-center gap-2 md:gap-3">
+                  <span className="text-[0.6rem] md:text-xs lg:text-sm uppercase tracking-[0.2em] text-amber-200/80 font-bold">{text.stats.todaySteps}</span>
+                  <span className="text-xl md:text-3xl lg:text-4xl font-black tabular-nums">{((walkDayBase?.steps || 0) + sessionSteps).toLocaleString()}</span>
+                  <span className="text-[0.65rem] md:text-sm font-bold text-white/70">{`/ ${walkStepGoal.toLocaleString()}`}</span>
+                </div>
+                <div className="mt-1.5 h-1.5 md:h-2 overflow-hidden rounded-full bg-white/10">
+                  <div
+                    className="h-full rounded-full bg-gradient-to-r from-amber-400 to-yellow-300"
+                    style={{ width: `${Math.min(100, (((walkDayBase?.steps || 0) + sessionSteps) / walkStepGoal) * 100)}%` }}
+                  />
+                </div>
+              </div>
+            )}
+
+            {/* 케이던스 / 보폭 (걸음 소스가 있을 때만) */}
+            {cadenceSpm !== null && (
+              <div className="mt-2 md:mt-4 flex items-center justify-center gap-2 md:gap-3 rounded-2xl border border-cyan-400/30 bg-gradient-to-br from-cyan-500/10 to-black/20 px-3 md:px-5 py-2 md:py-3 text-white backdrop-blur-sm">
+                <span className="text-[0.6rem] md:text-xs lg:text-sm uppercase tracking-[0.2em] text-cyan-200/80 font-bold">{text.stats.cadence}</span>
+                <span className="text-xl md:text-3xl lg:text-4xl font-black tabular-nums">{Math.round(cadenceSpm)}</span>
+                <span className="text-[0.65rem] md:text-sm font-bold text-white/70">spm</span>
+                {strideLengthM !== null && (
+                  <span className="text-[0.6rem] md:text-xs text-white/60">{`${text.stats.stride} ${strideLengthM.toFixed(2)} m`}</span>
+                )}
+                {metronomeTempo !== null && (
+                  <span className="text-[0.6rem] md:text-xs text-cyan-100/70">{`${text.stats.metronome} ${metronomeTempo}`}</span>
+                )}
+              </div>
+            )}
+
+            {/* 심박 (센서 / replay가 있을 때만) */}
+            {heartRate !== null && (
+              <div className="mt-2 md:mt-4 flex items-center justify-center gap-2 md:gap-3 rounded-2xl border border-rose-400/30 bg-gradient-to-br from-rose-500/10 to-black/20 px-3 md:px-5 py-2 md:py-3 text-white backdrop-blur-sm">
+                <span className="text-[0.6rem] md:text-xs lg:text-sm uppercase tracking-[0.2em] text-rose-200/80 font-bold">{text.stats.heartRate}</span>
+                <span className="text-xl md:text-3xl lg:text-4xl font-black tabular-nums">{Math.round(heartRate)}</span>
+                <span className="text-[0.65rem] md:text-sm font-bold text-white/70">bpm</span>
+                {liveHeartRateZone && (
+                  <span className={`rounded-lg px-2 py-0.5 text-[0.65rem] md:text-sm font-black text-black/80 ${HR_ZONE_COLORS[liveHeartRateZone - 1]}`}>
+                    {`${text.stats.zone} ${liveHeartRateZone}`}
+                  </span>
+                )}
+                {hrTargetZone > 0 && heartRateZones && (
+                  <span className="text-[0.6rem] md:text-xs text-white/60">{`${text.stats.targetZone} Z${hrTargetZone}`}</span>
+                )}
+              </div>
+            )}
           </section>
 
           {/* Lap Progress and Control Buttons - with custom spacing */}
           <div className="space-y-4 md:space-y-6">
+            {/* Interval workout step */}
+            {workoutStatus && (
+              <div className="rounded-2xl border border-emerald-400/30 bg-gradient-to-br from-emerald-500/10 to-black/20 p-3 md:p-5 lg:p-6 backdrop-blur-sm">
+                <div className="flex items-center justify-between gap-2 mb-2 md:mb-4">
+                  <div className="min-w-0">
+                    <p className="text-[0.6rem] md:text-xs lg:text-sm uppercase tracking-[0.2em] text-emerald-200/80 font-bold">
+                      {`${workoutStatus.index + 1} / ${workoutStatus.total}`}
+                    </p>
+                    <p className="text-sm md:text-lg lg:text-xl font-black text-white truncate">
+                      {text.workout.steps[workoutStatus.step.kind]}
+                      {workoutStatus.step.repeatIndex ? ` ${workoutStatus.step.repeatIndex}/${workoutStatus.step.repeatCount}` : ''}
+                    </p>
+                    {workoutStatus.step.pace && (
+                      <p className="text-[0.65rem] md:text-sm text-emerald-100/80">
+                        {`${formatPaceLabel(workoutStatus.step.pace.minMs, { withUnit: false })} – ${formatPaceLabel(workoutStatus.step.pace.maxMs)}`}
+                      </p>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    <span className="text-base md:text-2xl font-black text-emerald-300 tabular-nums">
+                      {workoutStatus.step.end.type === 'distance'
+                        ? formatStepTargetLabel({ type: 'distance', value: workoutStatus.remaining })
+                        : workoutStatus.step.end.type === 'time'
+                          ? formatClock(workoutStatus.remaining)
+                          : formatClock(workoutStatus.durationMs)}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={handleManualLap}
+                      disabled={isPaused}
+                      className="rounded-xl border border-emerald-400/60 bg-emerald-500/20 px-2.5 md:px-4 py-1.5 md:py-2 text-[0.65rem] md:text-sm font-bold text-emerald-50 active:scale-95 disabled:opacity-40"
+                    >
+                      {text.workout.end.lap}
+                    </button>
+                  </div>
+                </div>
+                {workoutStatus.step.end.type === 'lap' ? (
+                  <p className="text-[0.65rem] md:text-sm text-white/60">{text.workout.lapHint}</p>
+                ) : (
+                  <div className="relative h-2 md:h-3 overflow-hidden rounded-full bg-white/10">
+                    <div
+                      className="h-full rounded-full bg-gradient-to-r from-emerald-400 to-cyan-400 transition-all duration-300"
+                      style={{ width: `${Math.round((workoutStatus.fraction || 0) * 100)}%` }}
+                    />
+                  </div>
+                )}
+              </div>
+            )}
+
             {/* Lap Progress */}
             <div className="rounded-2xl border border-white/15 bg-gradient-to-br from-white/5 to-black/20 p-3 md:p-5 lg:p-6 backdrop-blur-sm">
-              <div className="flex items-center justify-between text-sm md:text-lg lg:text-xl mb-2 md:mb-4">
-                <span className="font-semibold text-white/90">{text.laps.next}</span>
-                <span className="font-bold text-emerald-300">{formatDistanceLabel(nextLapMeters, 2)}</span>
-              </div>
-              <div className="relative h-2.5 md:h-4 lg:h-5 overflow-hidden rounded-full bg-white/10">
-                <div
-                  className="h-full rounded-full bg-gradient-to-r from-emerald-400 via-blue-500 to-cyan-400 transition-all duration-300 relative"
-                  style={{ width: `${Math.min(100, Math.max(0, ((lapDistanceM - nextLapMeters) / lapDistanceM) * 100))}%` }}
-                >
-                  <div className="absolute inset-0 bg-white/30 animate-shimmer"></div>
+              {lapDistanceM > 0 || lapTimeMs > 0 ? (
+                <>
+                  <div className="flex items-center justify-between text-sm md:text-lg lg:text-xl mb-2 md:mb-4">
+                    <span className="font-semibold text-white/90">{lapTimeMs > 0 ? text.laps.nextTime : text.laps.next}</span>
+                    <span className="font-bold text-emerald-300">
+                      {lapTimeMs > 0 ? formatClock(nextLapRemainingMs) : formatLapSplitDistance(nextLapMeters, lapDistanceM)}
+                    </span>
+                  </div>
+                  <div className="relative h-2.5 md:h-4 lg:h-5 overflow-hidden rounded-full bg-white/10">
+                    <div
+                      className="h-full rounded-full bg-gradient-to-r from-emerald-400 via-blue-500 to-cyan-400 transition-all duration-300 relative"
+                      style={{ width: `${Math.min(100, Math.max(0, lapProgressRatio * 100))}%` }}
+                    >
+                      <div className="absolute inset-0 bg-white/30 animate-shimmer"></div>
+                    </div>
+                  </div>
+                </>
+              ) : (
+                <div className="flex items-center justify-between text-sm md:text-lg lg:text-xl">
+                  <span className="font-semibold text-white/90">{`${text.laps.current} ${laps.length + 1}`}</span>
+                  <span className="font-bold text-emerald-300">{formatLapSplitDistance(currentLapMeters, lapDistanceM)}</span>
                 </div>
-              </div>
+              )}
             </div>
 
-	            {/* Control Buttons */}
+            {/* Control Buttons */}
 	            <div className="flex items-center justify-center gap-5 md:gap-8 lg:gap-10 mt-4 md:mt-6">
                   {isPaused ? (
                     <button
@@ -2494,6 +3830,18 @@ export default function RunningSession({ mode }) {
                     </button>
                   )}
 
+                  <button
+                    onClick={handleManualLap}
+                    disabled={isPaused}
+                    className="group relative flex h-20 w-20 md:h-28 md:w-28 lg:h-32 lg:w-32 flex-col items-center justify-center gap-1 rounded-full border-2 border-cyan-400/80 bg-gradient-to-br from-cyan-500/25 to-blue-600/20 text-cyan-50 shadow-2xl shadow-cyan-500/20 transition-all duration-200 active:scale-95 disabled:opacity-40"
+                  >
+                    <div className="absolute inset-0 rounded-full bg-cyan-400/15 blur-lg group-hover:bg-cyan-400/30 transition-all"></div>
+                    <div className="relative flex flex-col items-center justify-center gap-0.5">
+                      <span className="text-3xl md:text-4xl lg:text-5xl">⚑</span>
+                      <span className="text-[0.55rem] md:text-xs lg:text-sm font-bold uppercase tracking-wider text-cyan-50">{text.laps.lap}</span>
+                    </div>
+                  </button>
+
                   <button
                     onClick={handleEndSession}
                     className="group relative flex h-20 w-20 md:h-28 md:w-28 lg:h-32 lg:w-32 flex-col items-center justify-center gap-1 rounded-full border-2 border-rose-400/90 bg-gradient-to-br from-rose-500/30 to-rose-600/20 text-rose-100 shadow-2xl shadow-rose-500/30 transition-all duration-200 active:scale-95"
@@ -2516,8 +3864,40 @@ export default function RunningSession({ mode }) {
                 <h1 className="text-3xl md:text-5xl lg:text-6xl font-black bg-clip-text text-transparent bg-gradient-to-r from-emerald-300 via-blue-300 to-cyan-300">
                   {modeTitle}
                 </h1>
+                {onModeChange && (
+                  <div className="mt-2 md:mt-3 inline-flex rounded-full border border-white/20 bg-black/20 p-0.5 md:p-1">
+                    {Object.keys(MODE_META).map((key) => (
+                      <button
+                        key={key}
+                        type="button"
+                        onClick={() => onModeChange(key)}
+                        className={`rounded-full px-3 md:px-5 py-1 md:py-1.5 text-[0.65rem] md:text-sm font-bold transition-colors ${
+                          key === resolvedMode
+                            ? (key === 'walk' ? 'bg-amber-500/30 text-amber-100' : 'bg-emerald-500/30 text-emerald-100')
+                            : 'text-white/60 hover:text-white/90'
+                        }`}
+                      >
+                        {MODE_LABELS[key]?.[language] || MODE_LABELS[key]?.en || key}
+                      </button>
+                    ))}
+                  </div>
+                )}
               </div>
 
+              {/* 도보: 하루 걸음 목표 (같은 날 나눠 걸어도 누적) */}
+              {resolvedMode === 'walk' && (
+                <button
+                  type="button"
+                  onClick={cycleWalkStepGoal}
+                  className="flex-shrink-0 flex w-full items-center justify-between rounded-xl border border-amber-400/50 bg-amber-500/10 px-2 md:px-4 py-1.5 md:py-2.5 text-[0.65rem] md:text-sm lg:text-base font-bold text-amber-100 transition-all duration-200 active:scale-95"
+                >
+                  <span className="truncate">{text.setup.stepGoal}</span>
+                  <span className="text-[0.6rem] md:text-xs lg:text-sm tabular-nums">
+                    {`${(walkDayBase?.steps || 0).toLocaleString()} / ${walkStepGoal.toLocaleString()}`}
+                  </span>
+                </button>
+              )}
+
               {/* Goal Selection */}
               <div className="flex-shrink-0">
                 <div className="mb-1 md:mb-2 flex items-center gap-1 md:gap-2">
@@ -2570,6 +3950,67 @@ export default function RunningSession({ mode }) {
                 </div>
               </div>
 
+              {/* Interval workout */}
+              <div className="flex-shrink-0 rounded-xl border border-white/15 bg-white/5 px-2 md:px-4 py-1.5 md:py-3">
+                <div className="flex items-center justify-between gap-2">
+                  <p className="text-[0.65rem] md:text-sm lg:text-base font-bold text-white/70 uppercase tracking-wider truncate">
+                    {text.workout.title}
+                  </p>
+                  <button
+                    type="button"
+                    onClick={() => setWorkoutPlan((prev) => ({ ...prev, enabled: !prev.enabled }))}
+                    className={`flex-shrink-0 rounded-lg px-2 md:px-4 py-1 md:py-2 text-[0.6rem] md:text-sm font-bold transition-all duration-200 active:scale-95 ${
+                      workoutPlan.enabled
+                        ? 'bg-emerald-500/20 text-emerald-100 border border-emerald-400/40'
+                        : 'bg-white/10 text-white/80 border border-white/20 hover:border-white/40'
+                    }`}
+                  >
+                    {workoutPlan.enabled ? (language === 'ko' ? '켜짐' : 'On') : (language === 'ko' ? '꺼짐' : 'Off')}
+                  </button>
+                </div>
+                {workoutPlan.enabled && (
+                  <div className="mt-1.5 md:mt-3">
+                    <WorkoutBuilder plan={workoutPlan} language={language} onChange={setWorkoutPlan} />
+                  </div>
+                )}
+              </div>
+
+              {/* Profile */}
+              <div className="flex-shrink-0 rounded-xl border border-white/15 bg-white/5 px-2 md:px-4 py-1.5 md:py-3">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="flex items-center gap-1.5 md:gap-3 min-w-0">
+                    <p className="text-[0.65rem] md:text-sm lg:text-base font-bold text-white/70 uppercase tracking-wider flex-shrink-0">
+                      {text.profile.title}
+                    </p>
+                    <p className="text-[0.6rem] md:text-xs lg:text-sm text-white/50 truncate">{text.profile.hint}</p>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => setProfileOpen((prev) => !prev)}
+                    className="flex-shrink-0 rounded-lg px-2 md:px-4 py-1 md:py-2 text-[0.6rem] md:text-sm font-bold bg-white/10 text-white/80 border border-white/20 hover:border-white/40 transition-all duration-200 active:scale-95"
+                  >
+                    {profileOpen ? '▲' : '▼'}
+                  </button>
+                </div>
+                {profileOpen && (
+                  <div className="mt-1.5 md:mt-3">
+                    <ProfileEditor
+                      profile={profile}
+                      language={language}
+                      onChange={(next) => {
+                        setProfile(next)
+                        setCaloriesRecalcCount(null)
+                      }}
+                      onRecalculate={recalculateHistoryCalories}
+                      recalculating={recalculatingCalories}
+                      recalcCount={caloriesRecalcCount}
+                      zoneMethod={hrZoneMethod}
+                      onZoneMethodChange={setHrZoneMethod}
+                    />
+                  </div>
+                )}
+              </div>
+
               {/* Ghost Mode */}
               <div className="flex-shrink-0">
                 <div className="flex items-center justify-between rounded-xl border border-white/15 bg-white/5 px-2 md:px-4 py-1.5 md:py-3">
@@ -2600,6 +4041,42 @@ export default function RunningSession({ mode }) {
 	                {runGoalsSummary}
 	              </div>
 
+              {/* GPS replay (dev/demo) */}
+              {replayConfig && (
+                <div className="flex-shrink-0 rounded-xl border border-amber-400/40 bg-amber-500/10 px-2 md:px-4 py-1.5 md:py-2.5">
+                  <div className="flex items-center justify-between gap-2">
+                    <p className="text-[0.6rem] md:text-xs lg:text-sm font-bold text-amber-100 truncate">
+                      {`GPS Replay · ${replayConfig.label || `${replayConfig.points.length} pts`}`}
+                    </p>
+                    <button
+                      type="button"
+                      disabled={sessionActive}
+                      onClick={() => setReplayConfig(null)}
+                      className="rounded-lg border border-white/25 bg-white/10 px-2 py-0.5 text-[0.6rem] md:text-xs font-bold text-white/80 disabled:opacity-40"
+                    >
+                      {language === 'ko' ? '해제' : 'Clear'}
+                    </button>
+                  </div>
+                  <div className="mt-1 flex items-center gap-1">
+                    {[1, 5, 10, 30].map((speed) => (
+                      <button
+                        key={speed}
+                        type="button"
+                        disabled={sessionActive}
+                        onClick={() => setReplayConfig((prev) => (prev ? { ...prev, speed } : prev))}
+                        className={`flex-1 rounded-lg border px-1 py-0.5 text-[0.6rem] md:text-xs font-bold disabled:opacity-40 ${
+                          replayConfig.speed === speed
+                            ? 'border-amber-300/70 bg-amber-400/25 text-amber-50'
+                            : 'border-white/20 bg-white/5 text-white/70'
+                        }`}
+                      >
+                        {`${speed}×`}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {/* Settings Row */}
               <div className="flex-shrink-0">
                 <div className="mb-1 md:mb-2 flex items-center gap-1 md:gap-2">
@@ -2617,12 +4094,9 @@ export default function RunningSession({ mode }) {
                 </div>
                 <div className="grid grid-cols-2 gap-1.5 md:gap-3">
                   <CustomDropdown
-                    value={lapDistanceM}
-                    options={[
-                      { value: 500, label: '500m' },
-                      { value: 1000, label: '1km' }
-                    ]}
-                    onChange={setLapDistanceM}
+                    value={lapSettingValue}
+                    options={lapSettingOptions}
+                    onChange={handleLapSettingChange}
                     label={text.setup.lapDistanceLabel}
                     open={lapDistanceDropdownOpen}
                     setOpen={(next) => {
@@ -2677,6 +4151,30 @@ export default function RunningSession({ mode }) {
                   </button>
                 </div>
 
+                {customLapInput !== null && (
+                  <div className="mt-1.5 md:mt-3 flex items-center gap-1.5 md:gap-3">
+                    <input
+                      type="number"
+                      inputMode="numeric"
+                      min={MIN_LAP_DISTANCE_M}
+                      max={MAX_LAP_DISTANCE_M}
+                      value={customLapInput}
+                      onChange={(e) => setCustomLapInput(e.target.value)}
+                      onKeyDown={(e) => { if (e.key === 'Enter') applyCustomLapDistance() }}
+                      className="w-full rounded-xl border border-white/30 bg-white/10 px-2 md:px-4 py-1.5 md:py-2.5 text-[0.7rem] md:text-sm lg:text-base font-semibold text-white"
+                    />
+                    <span className="text-[0.7rem] md:text-sm font-semibold text-white/60">{text.laps.customUnit}</span>
+                    <button
+                      type="button"
+                      onClick={applyCustomLapDistance}
+                      disabled={!normalizeLapDistance(customLapInput, null)}
+                      className="flex-shrink-0 rounded-xl border border-emerald-400/70 bg-emerald-500/20 px-3 md:px-4 py-1.5 md:py-2.5 text-[0.7rem] md:text-sm font-bold text-emerald-100 transition-all duration-200 active:scale-95 disabled:opacity-40"
+                    >
+                      {text.laps.apply}
+                    </button>
+                  </div>
+                )}
+
                 <div className="mt-1.5 md:mt-3 grid grid-cols-2 gap-1.5 md:gap-3">
                   <button
                     type="button"
@@ -2724,6 +4222,111 @@ export default function RunningSession({ mode }) {
                     </span>
                   </button>
                 </div>
+
+                <button
+                  type="button"
+                  onClick={() => {
+                    setAutoPauseMs((prev) => {
+                      const idx = AUTO_PAUSE_DELAY_OPTIONS_MS.indexOf(prev)
+                      return AUTO_PAUSE_DELAY_OPTIONS_MS[(idx + 1) % AUTO_PAUSE_DELAY_OPTIONS_MS.length]
+                    })
+                  }}
+                  className={`mt-1.5 md:mt-3 flex w-full items-center justify-between rounded-xl border px-2 md:px-4 py-1.5 md:py-2.5 text-[0.65rem] md:text-sm lg:text-base font-bold transition-all duration-200 active:scale-95 ${
+                    autoPauseMs > 0
+                      ? 'border-emerald-400/70 bg-emerald-500/20 text-emerald-100'
+                      : 'border-white/30 bg-white/10 text-white/80 hover:border-white/50'
+                  }`}
+                >
+                  <span className="truncate">{language === 'ko' ? '자동 일시정지' : 'Auto-pause'}</span>
+                  <span className="text-[0.6rem] md:text-xs lg:text-sm">
+                    {autoPauseMs > 0
+                      ? (language === 'ko' ? `${autoPauseMs / 1000}초 정지 시` : `after ${autoPauseMs / 1000}s`)
+                      : (language === 'ko' ? '꺼짐' : 'Off')}
+                  </span>
+                </button>
+
+                <button
+                  type="button"
+                  onClick={() => setPaceCoachBasis((prev) => (prev === 'gap' ? 'pace' : 'gap'))}
+                  className={`mt-1.5 md:mt-3 flex w-full items-center justify-between rounded-xl border px-2 md:px-4 py-1.5 md:py-2.5 text-[0.65rem] md:text-sm lg:text-base font-bold transition-all duration-200 active:scale-95 ${
+                    paceCoachBasis === 'gap'
+                      ? 'border-emerald-400/70 bg-emerald-500/20 text-emerald-100'
+                      : 'border-white/30 bg-white/10 text-white/80 hover:border-white/50'
+                  }`}
+                >
+                  <span className="truncate">{text.setup.paceCoachBasis}</span>
+                  <span className="text-[0.6rem] md:text-xs lg:text-sm">
+                    {paceCoachBasis === 'gap' ? text.setup.paceCoachBasisGap : text.setup.paceCoachBasisPace}
+                  </span>
+                </button>
+
+                {/* 심박 존 코칭: 끔 → Z1 … Z5 → 끔 (존 모델이 없으면 비활성) */}
+                <button
+                  type="button"
+                  onClick={() => setHrTargetZone((prev) => (prev >= HR_ZONE_COUNT ? 0 : prev + 1))}
+                  disabled={!heartRateZones}
+                  className={`mt-1.5 md:mt-3 flex w-full items-center justify-between rounded-xl border px-2 md:px-4 py-1.5 md:py-2.5 text-[0.65rem] md:text-sm lg:text-base font-bold transition-all duration-200 active:scale-95 disabled:opacity-40 ${
+                    hrTargetZone > 0 && heartRateZones
+                      ? 'border-emerald-400/70 bg-emerald-500/20 text-emerald-100'
+                      : 'border-white/30 bg-white/10 text-white/80 hover:border-white/50'
+                  }`}
+                >
+                  <span className="truncate">{text.setup.hrTargetZone}</span>
+                  <span className="text-[0.6rem] md:text-xs lg:text-sm">
+                    {hrTargetZone > 0 && heartRateZones
+                      ? `Z${hrTargetZone} · ${heartRateZones.zones[hrTargetZone - 1].minBpm}–${heartRateZones.zones[hrTargetZone - 1].maxBpm} bpm`
+                      : text.setup.hrTargetZoneOff}
+                  </span>
+                </button>
+
+                {/* 메트로놈: 끔 → 170 … 185 spm → 끔 */}
+                <div className="mt-1.5 md:mt-3 grid grid-cols-2 gap-1.5 md:gap-3">
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setMetronomeSpm((prev) => {
+                        const idx = METRONOME_SPM_OPTIONS.indexOf(prev)
+                        return idx === METRONOME_SPM_OPTIONS.length - 1 ? 0 : METRONOME_SPM_OPTIONS[idx + 1]
+                      })
+                    }}
+                    className={`flex w-full items-center justify-between rounded-xl border px-2 md:px-4 py-1.5 md:py-2.5 text-[0.65rem] md:text-sm lg:text-base font-bold transition-all duration-200 active:scale-95 ${
+                      metronomeSpm > 0
+                        ? 'border-emerald-400/70 bg-emerald-500/20 text-emerald-100'
+                        : 'border-white/30 bg-white/10 text-white/80 hover:border-white/50'
+                    }`}
+                  >
+                    <span className="truncate">{text.setup.metronome}</span>
+                    <span className="text-[0.6rem] md:text-xs lg:text-sm">
+                      {metronomeSpm > 0 ? `${metronomeSpm} spm` : text.setup.metronomeOff}
+                    </span>
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setMetronomeAdaptive((prev) => !prev)}
+                    disabled={!(metronomeSpm > 0)}
+                    className={`flex w-full items-center justify-between rounded-xl border px-2 md:px-4 py-1.5 md:py-2.5 text-[0.65rem] md:text-sm lg:text-base font-bold transition-all duration-200 active:scale-95 disabled:opacity-40 ${
+                      metronomeAdaptive && metronomeSpm > 0
+                        ? 'border-emerald-400/70 bg-emerald-500/20 text-emerald-100'
+                        : 'border-white/30 bg-white/10 text-white/80 hover:border-white/50'
+                    }`}
+                  >
+                    <span className="truncate">{text.setup.metronomeAdaptive}</span>
+                    <span className="text-[0.6rem] md:text-xs lg:text-sm">
+                      {metronomeAdaptive ? (language === 'ko' ? '켜짐' : 'On') : (language === 'ko' ? '꺼짐' : 'Off')}
+                    </span>
+                  </button>
+                </div>
+
+                <button
+                  type="button"
+                  onClick={handleUnitSystemToggle}
+                  className="mt-1.5 md:mt-3 flex w-full items-center justify-between rounded-xl border border-white/30 bg-white/10 px-2 md:px-4 py-1.5 md:py-2.5 text-[0.65rem] md:text-sm lg:text-base font-bold text-white/80 transition-all duration-200 hover:border-white/50 active:scale-95"
+                >
+                  <span className="truncate">{text.setup.units}</span>
+                  <span className="text-[0.6rem] md:text-xs lg:text-sm">
+                    {unitSystem === 'imperial' ? text.setup.unitsImperial : text.setup.unitsMetric}
+                  </span>
+                </button>
               </div>
 
               {/* Recent Records Preview */}
@@ -2833,7 +4436,7 @@ export default function RunningSession({ mode }) {
       <RunningHistoryOverlay
         isVisible={showHistory}
         language={language}
-        entries={modeHistory}
+        revision={historyRevision}
         mode={resolvedMode}
         onClose={() => {
           setShowHistory(false)
@@ -2842,8 +4445,18 @@ export default function RunningSession({ mode }) {
         }}
         onDeleteEntry={handleDeleteHistoryEntry}
         onChallengeEntry={handleChallengeRecord}
+        onImportFile={handleImportRouteFile}
+        onReplayEntry={isReplayAvailable() ? handleReplayEntry : undefined}
+        paceBasis={paceBasis}
+        onPaceBasisChange={setPaceBasis}
+        onBackupRestored={handleBackupRestored}
         initialSortBy={historyInitialSort}
         initialExpandedId={historyExpandedId}
+        profile={profile}
+        personalRecords={personalRecords}
+        onApplyPrediction={handleApplyPrediction}
+        stepGoal={walkStepGoal}
+        onStepGoalChange={cycleWalkStepGoal}
       />
 
       <RunningSummaryOverlay
@@ -2853,7 +4466,10 @@ export default function RunningSession({ mode }) {
         stats={workoutStats}
         meta={summaryMeta}
         routePoints={routePoints}
-        extraContent={lapSummaryContent}
+        extraContent={summaryExtraContent}
+        paceBasis={paceBasis}
+        onPaceBasisChange={setPaceBasis}
+        profile={profile}
         onClose={() => setShowStats(false)}
       />
 
@@ -2862,6 +4478,10 @@ export default function RunningSession({ mode }) {
         lapNumber={lapAlert?.lapNumber}
         lapDurationMs={lapAlert?.lapDurationMs}
         lapPaceMs={lapAlert?.lapPaceMs}
+        lapDistanceM={lapAlert?.lapDistanceM}
+        markLabel={lapAlert?.markLabel}
+        splitLabel={lapAlert?.splitLabel}
+        trigger={lapAlert?.trigger}
         avgPaceMs={lapAlert?.avgPaceMs}
         language={language}
         onDismiss={() => setLapAlert(null)}
@@ -2887,8 +4507,8 @@ export default function RunningSession({ mode }) {
                 </p>
                 <p>
                   {language === 'ko'
-                    ? '3km, 5km, 10km 등을 선택하면 해당 거리에 도달했을 때 자동으로 알림을 줍니다.'
-                    : 'Choose 3km, 5km, 10km, etc. We announce when you reach it.'}
+                    ? '3km, 5km, 10km (마일 단위면 1mi, 3mi …) 등을 선택하면 해당 거리에 도달했을 때 자동으로 알림을 줍니다.'
+                    : 'Choose 3km, 5km, 10km (or 1 mi, 3 mi … in miles), etc. We announce when you reach it.'}
                 </p>
               </div>
               <div className="rounded-2xl border border-white/10 bg-white/5 p-3">
@@ -2941,8 +4561,8 @@ export default function RunningSession({ mode }) {
                 </p>
                 <p>
                   {language === 'ko'
-                    ? '500m 또는 1km마다 자동 랩 음성을 듣습니다.'
-                    : 'Hear automatic lap voice cues every 500m or 1km.'}
+                    ? '400m 트랙, 1마일, 직접 입력 거리 또는 일정 시간마다 자동 랩 음성을 듣습니다. 수동 랩만 쓸 수도 있어요.'
+                    : 'Hear automatic lap voice cues at any distance (400m track, 1 mile, custom) or every few minutes, or use manual laps only.'}
                 </p>
               </div>
               <div className="rounded-2xl border border-white/10 bg-white/5 p-3">
@@ -2965,6 +4585,16 @@ export default function RunningSession({ mode }) {
                     : 'Voice coaching plays when you are faster or slower than target pace.'}
                 </p>
               </div>
+              <div className="rounded-2xl border border-white/10 bg-white/5 p-3">
+                <p className="font-semibold mb-1">
+                  {language === 'ko' ? '자동 일시정지' : 'Auto-pause'}
+                </p>
+                <p>
+                  {language === 'ko'
+                    ? '신호등 등에서 멈춰 있으면 기록을 잠시 멈추고, 다시 움직이면 자동으로 이어갑니다.'
+                    : 'Pauses the timer when you stop (e.g. at traffic lights) and resumes when you move again.'}
+                </p>
+              </div>
               <div className="rounded-2xl border border-white/10 bg-white/5 p-3">
                 <p className="font-semibold mb-1">
                   {language === 'ko' ? '음성' : 'Voice'}
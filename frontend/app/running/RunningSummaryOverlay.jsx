@@ -1,7 +1,34 @@
 'use client'
 
-import { useState } from 'react'
-import { formatDistanceLabel } from '../utils/distance'
+import { useMemo, useState } from 'react'
+import {
+  formatClock,
+  formatDistanceLabel,
+  formatElevationLabel,
+  formatPaceLabel,
+  getDistanceUnitLabel,
+  metersToDisplayDistance,
+} from '../utils/distance'
+import { getHistoryEntry } from './history-store'
+import { exportRecordAsGpx } from './gpx-export'
+import { exportRecordAsTcx } from './tcx-export'
+import { exportRecordAsFit } from './fit-export'
+import { resolveRecordPaceMs } from './metrics'
+import { formatLapSettingLabel } from './laps'
+import { calcCalories } from './energy'
+import { getPrDistanceLabel } from './personal-records'
+import { buildRunChartData } from './run-charts'
+import PaceBasisToggle from './PaceBasisToggle'
+import RoutePreview from './RoutePreview'
+import RunCharts from './RunCharts'
+import HeartRateZoneBars from './HeartRateZoneBars'
+
+// 주간 / 월간 목표 진행 (목표는 km로 저장, 표시 단위로 변환)
+const formatGoalProgressLabel = (totalM, targetKm) => {
+  const total = metersToDisplayDistance(totalM).toFixed(1)
+  const target = metersToDisplayDistance(targetKm * 1000).toFixed(0)
+  return `${total} / ${target} ${getDistanceUnitLabel()}`
+}
 
 export default function RunningSummaryOverlay({
   isVisible,
@@ -11,58 +38,108 @@ export default function RunningSummaryOverlay({
   meta,
   routePoints,
   extraContent = null,
+  paceBasis = 'elapsed',
+  onPaceBasisChange,
+  profile = null,
   onClose,
 }) {
   const [helpKey, setHelpKey] = useState(null)
+  const [exportStatus, setExportStatus] = useState(null) // 'busy' | 'failed'
+  const [routeHighlight, setRouteHighlight] = useState(null)
+
+  const chartData = useMemo(() => {
+    if (!meta || !Array.isArray(routePoints) || routePoints.length < 2) return null
+    return buildRunChartData({
+      route: routePoints,
+      laps: meta.laps,
+      distanceM: meta.distanceM,
+      movingTimeMs: meta.movingTimeMs,
+      durationMs: meta.durationMs,
+      targetPaceMs: meta.targetPaceMs,
+      pausedIntervals: meta.pausedIntervals,
+    })
+  }, [meta, routePoints])
 
   if (!isVisible || !stats) return null
 
-  const completedLabel = language === 'ko' ? '러닝 완료!' : 'Run Complete!'
+  // 저장된 기록(route + laps)을 우선 사용하고, 아직 저장 전이면 화면의 route로 대체
+  const resolveExportRecord = async () => {
+    const stored = meta?.historyId ? await getHistoryEntry(meta.historyId) : null
+    if (stored) return stored
+    return {
+      id: meta?.historyId || (meta?.startedAt ? `${meta.startedAt}` : undefined),
+      mode: meta?.mode || 'run',
+      startedAt: meta?.startedAt,
+      route: Array.isArray(routePoints) ? routePoints : [],
+      laps: Array.isArray(meta?.laps) ? meta.laps : [],
+    }
+  }
+
+  const handleExport = async (exporter) => {
+    if (exportStatus === 'busy') return
+    setExportStatus('busy')
+    try {
+      const record = await resolveExportRecord()
+      const result = await exporter(record)
+      setExportStatus(result === false ? 'failed' : null)
+    } catch (err) {
+      console.warn('[summary] export failed', err)
+      setExportStatus('failed')
+    }
+  }
+
+  const completedLabel = meta?.mode === 'walk'
+    ? (language === 'ko' ? '도보 완료!' : 'Walk Complete!')
+    : (language === 'ko' ? '러닝 완료!' : 'Run Complete!')
   const hasRoute = Array.isArray(routePoints) && routePoints.length > 1
   const summaryStats = { ...(stats || {}) }
-  const DEFAULT_WEIGHT_KG = 65
   const caloriesLabel = language === 'ko' ? '칼로리' : 'Calories'
   const elevationLabel = language === 'ko' ? '고도 상승' : 'Elevation Gain'
   const intensityLabel = language === 'ko' ? '강도' : 'Intensity'
   const goalProgressLabel = language === 'ko' ? '목표 달성률' : 'Goal Progress'
   const helpTexts = {
     ko: {
-      totalTime: '운동한 총 시간입니다.',
+      totalTime: '일시정지를 뺀 운동 경과 시간입니다.',
+      movingTime: '신호 대기처럼 멈춰 있던 구간까지 뺀 실제 이동 시간입니다.',
       totalDistance: 'GPS로 기록된 전체 이동 거리입니다.',
-      avgPace: '전체 구간 평균 페이스입니다.',
+      avgPace: '전체 구간 평균 페이스입니다. 아래에서 경과/이동 시간 기준을 고를 수 있습니다.',
       current: '현재 시점 페이스입니다.',
       calories: '속도와 시간으로 추정한 칼로리 소모량입니다.',
       elevation: '오르막으로 얻은 고도 누적값입니다.',
+      elevationLoss: '내리막으로 잃은 고도 누적값입니다.',
+      gap: '오르막 / 내리막을 평지 기준으로 환산한 경사 보정 페이스(GAP)입니다.',
+      avgHeartRate: '심박 센서로 기록된 시간 가중 평균 심박입니다. 훈련 부하 계산에 쓰입니다.',
+      maxHeartRate: '이번 운동에서 기록된 가장 높은 심박입니다.',
+      cadence: '이동 시간 기준 분당 평균 걸음 수입니다.',
+      stride: '거리를 걸음 수로 나눈 평균 보폭입니다.',
+      steps: '이번 도보에서 센 걸음 수입니다.',
+      todaySteps: '오늘 나눠 걸은 도보까지 합친 걸음 수와 하루 목표입니다.',
       laps: '완료한 랩(구간) 수입니다.',
       goalProgress: '설정한 목표 대비 진행률입니다.',
       intensity: '속도 기반의 운동 강도입니다.',
     },
     en: {
-      totalTime: 'Total elapsed workout time.',
+      totalTime: 'Total elapsed workout time, excluding pauses.',
+      movingTime: 'Time actually spent moving, excluding stops such as traffic lights.',
       totalDistance: 'GPS-measured total distance.',
-      avgPace: 'Average pace across the whole session.',
+      avgPace: 'Average pace across the whole session. Choose elapsed or moving time below.',
       current: 'Current pace at this moment.',
       calories: 'Estimated calories burned from speed and time.',
       elevation: 'Total elevation gain from uphill segments.',
+      elevationLoss: 'Total elevation loss from downhill segments.',
+      gap: 'Grade-adjusted pace (GAP): your pace converted to its flat-ground equivalent.',
+      avgHeartRate: 'Time-weighted average from your heart rate sensor. Used for training load.',
+      maxHeartRate: 'Highest heart rate recorded during this workout.',
+      cadence: 'Average steps per minute while moving.',
+      stride: 'Average stride length: distance divided by steps.',
+      steps: 'Steps counted during this walk.',
+      todaySteps: 'Steps from every walk today, against your daily step goal.',
       laps: 'Number of completed laps/segments.',
       goalProgress: 'Progress toward your selected goal.',
       intensity: 'Effort level inferred from speed.',
     },
   }
 
-  const estimateCalories = (distanceM, durationMs) => {
-    if (!Number.isFinite(distanceM) || !Number.isFinite(durationMs) || durationMs <= 0) return 0
-    const speedKmh = (distanceM / 1000) / (durationMs / 3600000)
-    if (!Number.isFinite(speedKmh) || speedKmh <= 0) return 0
-    let met = 2.5
-    if (speedKmh < 3) met = 2.0
-    else if (speedKmh < 4.5) met = 2.8
-    else if (speedKmh < 5.5) met = 3.5
-    else met = 4.3
-    const minutes = durationMs / 60000
-    return met * 3.5 * DEFAULT_WEIGHT_KG / 200 * minutes
-  }
-
   if (!summaryStats.totalDistance && Number.isFinite(meta?.distanceM)) {
     summaryStats.totalDistance = {
       value: formatDistanceLabel(meta.distanceM, 2),
@@ -70,8 +147,20 @@ export default function RunningSummaryOverlay({
     }
   }
 
+  // 이동 시간이 있는 기록은 설정한 기준으로 평균 페이스를 다시 계산
+  const hasMovingTime = Number.isFinite(meta?.movingTimeMs)
+  if (summaryStats.avgPace && hasMovingTime) {
+    const paceMs = resolveRecordPaceMs(meta, paceBasis)
+    summaryStats.avgPace = {
+      ...summaryStats.avgPace,
+      value: formatPaceLabel(paceMs),
+    }
+  }
+
   if (!summaryStats.calories) {
-    const kcal = Number.isFinite(meta?.calories) ? meta.calories : estimateCalories(meta?.distanceM, meta?.durationMs)
+    const kcal = Number.isFinite(meta?.calories)
+      ? meta.calories
+      : calcCalories({ distanceM: meta?.distanceM, durationMs: meta?.durationMs, mode: meta?.mode, profile })
     summaryStats.calories = {
       value: `${Math.max(0, kcal || 0).toFixed(0)} kcal`,
       label: caloriesLabel,
@@ -80,7 +169,7 @@ export default function RunningSummaryOverlay({
 
   if (!summaryStats.elevation && Number.isFinite(meta?.elevationGainM)) {
     summaryStats.elevation = {
-      value: `${Math.max(0, meta.elevationGainM).toFixed(0)} m`,
+      value: formatElevationLabel(Math.max(0, meta.elevationGainM)),
       label: elevationLabel,
     }
   }
@@ -114,7 +203,7 @@ export default function RunningSummaryOverlay({
             {/* Route Preview */}
             <div className="relative overflow-hidden rounded-xl md:rounded-2xl border border-emerald-400/30 bg-gradient-to-br from-emerald-500/10 via-blue-500/5 to-cyan-500/10 shadow-lg">
               {hasRoute ? (
-                <RunningRoutePreview points={routePoints} />
+                <RoutePreview points={routePoints} highlight={routeHighlight} />
               ) : (
                 <div className="flex h-28 md:h-40 lg:h-48 items-center justify-center px-3 py-4 text-center text-[0.65rem] md:text-sm lg:text-base text-white/60">
                   {language === 'ko'
@@ -124,6 +213,11 @@ export default function RunningSummaryOverlay({
               )}
             </div>
 
+            {/* Pace / elevation / split charts */}
+            {chartData && (
+              <RunCharts data={chartData} language={language} onHighlight={setRouteHighlight} />
+            )}
+
             {/* Stats Grid with enhanced design */}
             <div className="grid grid-cols-2 gap-1.5 md:gap-3 lg:gap-4">
               {summaryStats && Object.entries(summaryStats).map(([key, value]) => {
@@ -169,6 +263,47 @@ export default function RunningSummaryOverlay({
               })}
             </div>
 
+            {/* 심박 존별 시간 (심박 센서가 있던 세션만) */}
+            <HeartRateZoneBars
+              zoneTimeMs={meta?.hrZoneTimeMs}
+              title={language === 'ko' ? '존별 시간' : 'Time in Zones'}
+            />
+
+            {hasMovingTime && (
+              <PaceBasisToggle
+                value={paceBasis}
+                language={language}
+                onChange={onPaceBasisChange}
+                className="px-1"
+              />
+            )}
+
+            {/* New personal records (fastest segments inside this run) */}
+            {Array.isArray(meta?.personalRecords) && meta.personalRecords.length > 0 && (
+              <div className="rounded-xl border border-amber-400/40 bg-amber-500/10 px-2 py-1.5 text-sm text-white/90">
+                <p className="text-[0.55rem] uppercase tracking-wider text-amber-200 font-bold mb-1">
+                  {language === 'ko' ? '개인 기록 경신' : 'New personal records'}
+                </p>
+                <div className="grid grid-cols-2 gap-1.5">
+                  {meta.personalRecords.map((pr) => (
+                    <div key={pr.key} className="rounded-lg border border-amber-400/30 bg-black/20 px-2 py-1">
+                      <p className="text-[0.65rem] uppercase tracking-[0.18em] text-amber-100 font-semibold">
+                        {getPrDistanceLabel(pr.key, language)}
+                      </p>
+                      <p className="mt-1 text-sm font-bold tabular-nums">
+                        {formatClock(pr.durationMs, { showHours: pr.durationMs >= 3600000 })}
+                      </p>
+                      <p className="text-[0.7rem] text-amber-100/80 tabular-nums">
+                        {Number.isFinite(pr.previousMs)
+                          ? `-${formatClock(pr.previousMs - pr.durationMs)}`
+                          : (language === 'ko' ? '첫 기록' : 'First effort')}
+                      </p>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Weekly / Monthly running distance goals context (run mode only) */}
             {meta?.mode === 'run' && (Number.isFinite(meta.runWeeklyTotalDistanceM) || Number.isFinite(meta.runMonthlyTotalDistanceM)) && (
               <div className="rounded-xl border border-emerald-400/30 bg-emerald-500/5 px-2 py-1.5 text-sm text-white/90">
@@ -182,7 +317,7 @@ export default function RunningSummaryOverlay({
                         {language === 'ko' ? '이번 주' : 'This week'}
                       </p>
                       <p className="mt-1 text-sm font-bold">
-                        {`${(meta.runWeeklyTotalDistanceM / 1000).toFixed(1)} / ${meta.runWeeklyTargetKm.toFixed(0)} km`}
+                        {formatGoalProgressLabel(meta.runWeeklyTotalDistanceM, meta.runWeeklyTargetKm)}
                       </p>
                       {Number.isFinite(meta.runWeeklyGoalProgress) && (
                         <p className="text-[0.7rem] text-emerald-100/80">
@@ -197,7 +332,7 @@ export default function RunningSummaryOverlay({
                         {language === 'ko' ? '이번 달' : 'This month'}
                       </p>
                       <p className="mt-1 text-sm font-bold">
-                        {`${(meta.runMonthlyTotalDistanceM / 1000).toFixed(1)} / ${meta.runMonthlyTargetKm.toFixed(0)} km`}
+                        {formatGoalProgressLabel(meta.runMonthlyTotalDistanceM, meta.runMonthlyTargetKm)}
                       </p>
                       {Number.isFinite(meta.runMonthlyGoalProgress) && (
                         <p className="text-[0.7rem] text-sky-100/80">
@@ -225,6 +360,30 @@ export default function RunningSummaryOverlay({
 
           {/* Buttons - Fixed at bottom, never scrolls */}
           <div className="flex flex-col gap-2 md:gap-4 flex-shrink-0">
+            {hasRoute && (
+              <div className="flex items-center gap-2">
+                {[
+                  { key: 'gpx', label: 'GPX', exporter: exportRecordAsGpx },
+                  { key: 'tcx', label: 'TCX', exporter: exportRecordAsTcx },
+                  { key: 'fit', label: 'FIT', exporter: exportRecordAsFit },
+                ].map((format) => (
+                  <button
+                    key={format.key}
+                    type="button"
+                    disabled={exportStatus === 'busy'}
+                    onClick={() => handleExport(format.exporter)}
+                    className="flex-1 rounded-xl md:rounded-2xl border border-white/20 bg-white/10 py-2 md:py-3 text-xs md:text-base font-bold text-white/85 transition-all duration-200 active:scale-[0.98] disabled:opacity-50"
+                  >
+                    {language === 'ko' ? `${format.label} 내보내기` : `Export ${format.label}`}
+                  </button>
+                ))}
+              </div>
+            )}
+            {exportStatus === 'failed' && (
+              <p className="text-center text-[0.65rem] md:text-sm text-rose-200">
+                {language === 'ko' ? '내보내기에 실패했어요.' : 'Export failed.'}
+              </p>
+            )}
             {onClose && (
               <button
                 onClick={onClose}
@@ -240,83 +399,6 @@ export default function RunningSummaryOverlay({
   )
 }
 
-function RunningRoutePreview({ points }) {
-  if (!Array.isArray(points) || points.length < 2) {
-    return null
-  }
-
-  const latitudes = points
-    .map((p) => (typeof p.latitude === 'number' ? p.latitude : p.lat))
-    .filter((v) => Number.isFinite(v))
-  const longitudes = points
-    .map((p) => (typeof p.longitude === 'number' ? p.longitude : p.lng))
-    .filter((v) => Number.isFinite(v))
-
-  if (!latitudes.length || !longitudes.length) return null
-
-  const minLat = Math.min(...latitudes)
-  const maxLat = Math.max(...latitudes)
-  const minLng = Math.min(...longitudes)
-  const maxLng = Math.max(...longitudes)
-
-  const spanLat = maxLat - minLat || 1
-  const spanLng = maxLng - minLng || 1
-
-  const padding = 12
-  const width = 300 - padding * 2
-  const height = 180 - padding * 2
-
-  const normalizedPoints = points
-    .map((p) => {
-      const lat = typeof p.latitude === 'number' ? p.latitude : p.lat
-      const lng = typeof p.longitude === 'number' ? p.longitude : p.lng
-      if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null
-      const x = padding + ((lng - minLng) / spanLng) * width
-      const y = padding + ((maxLat - lat) / spanLat) * height
-      return { x, y }
-    })
-    .filter(Boolean)
-
-  if (normalizedPoints.length < 2) return null
-
-  const pathD = normalizedPoints.map((pt) => `${pt.x.toFixed(1)},${pt.y.toFixed(1)}`).join(' ')
-  const start = normalizedPoints[0]
-  const end = normalizedPoints[normalizedPoints.length - 1]
-
-  return (
-    <svg viewBox="0 0 300 180" className="h-40 w-full">
-      <defs>
-        <linearGradient id="routeBg" x1="0" y1="0" x2="1" y2="1">
-          <stop offset="0%" stopColor="#0f172a" />
-          <stop offset="100%" stopColor="#020617" />
-        </linearGradient>
-        <linearGradient id="routeLine" x1="0" y1="0" x2="1" y2="1">
-          <stop offset="0%" stopColor="#22c55e" />
-          <stop offset="100%" stopColor="#38bdf8" />
-        </linearGradient>
-      </defs>
-      <rect x="0" y="0" width="300" height="180" fill="url(#routeBg)" />
-      <g strokeWidth="0.5" stroke="rgba(148,163,184,0.25)">
-        <line x1="0" y1="60" x2="300" y2="60" />
-        <line x1="0" y1="120" x2="300" y2="120" />
-        <line x1="75" y1="0" x2="75" y2="180" />
-        <line x1="150" y1="0" x2="150" y2="180" />
-        <line x1="225" y1="0" x2="225" y2="180" />
-      </g>
-      <polyline
-        points={pathD}
-        fill="none"
-        stroke="url(#routeLine)"
-        strokeWidth="3"
-        strokeLinecap="round"
-        strokeLinejoin="round"
-      />
-      <circle cx={start.x} cy={start.y} r="5" fill="#22c55e" stroke="#bbf7d0" strokeWidth="2" />
-      <circle cx={end.x} cy={end.y} r="5" fill="#38bdf8" stroke="#e0f2fe" strokeWidth="2" />
-    </svg>
-  )
-}
-
 function MetaDetails({ meta, language, modeTitle }) {
   const formatClock = (ms) => {
     if (!Number.isFinite(ms)) return '--:--'
@@ -329,24 +411,16 @@ function MetaDetails({ meta, language, modeTitle }) {
   }
 
   const formatDistance = (m) => {
-    if (!Number.isFinite(m)) return '-- km'
-    return `${(m / 1000).toFixed(2)} km`
+    if (!Number.isFinite(m)) return `-- ${getDistanceUnitLabel()}`
+    return formatDistanceLabel(m, 2)
   }
 
-  const formatPace = (ms) => {
-    if (!Number.isFinite(ms) || ms <= 0) return '--:-- /km'
-    const totalSeconds = Math.round(ms / 1000)
-    const minutes = Math.floor(totalSeconds / 60)
-    const seconds = totalSeconds % 60
-    return `${minutes}:${String(seconds).padStart(2, '0')} /km`
-  }
+  const formatPace = (ms) => formatPaceLabel(ms)
 
   const goalLabel = (() => {
     if (!meta.goal) return language === 'ko' ? '설정 안 함' : 'No goal'
     if (meta.goal.type === 'distance') {
-      return language === 'ko'
-        ? `${(meta.goal.value / 1000).toFixed(1)}km`
-        : `${(meta.goal.value / 1000).toFixed(1)} km`
+      return formatDistanceLabel(meta.goal.value, 1)
     }
     return language === 'ko'
       ? `${formatClock(meta.goal.value)}`
@@ -360,8 +434,9 @@ function MetaDetails({ meta, language, modeTitle }) {
       : 'Off'
   const paceGuideLabel = meta.targetPaceMs ? formatPace(meta.targetPaceMs) : (language === 'ko' ? '끄기' : 'Off')
   const startedAtLabel = meta.startedAt ? new Date(meta.startedAt).toLocaleString(language === 'ko' ? 'ko-KR' : 'en-US') : '--'
+  const lapSettingLabel = formatLapSettingLabel(meta, language) || (language === 'ko' ? '수동 랩만' : 'Manual only')
   const lapVoiceLabel = meta.voiceEnabled
-    ? `${language === 'ko' ? 'TTS 켜짐 · 랩' : 'TTS on · lap'} ${formatDistance(meta.lapDistanceM || 0)}`
+    ? `${language === 'ko' ? 'TTS 켜짐 · 랩' : 'TTS on · lap'} ${lapSettingLabel}`
     : language === 'ko' ? 'TTS 꺼짐' : 'TTS off'
   const ghostResult = meta.ghostResult
   const ghostTarget = meta.ghostTarget
@@ -380,7 +455,7 @@ function MetaDetails({ meta, language, modeTitle }) {
   const items = [
     { label: language === 'ko' ? '시작 시간' : 'Started', value: startedAtLabel },
     { label: language === 'ko' ? '목표' : 'Goal', value: goalLabel },
-    { label: language === 'ko' ? '랩 거리' : 'Lap distance', value: formatDistance(meta.lapDistanceM || 0) },
+    { label: language === 'ko' ? '자동 랩' : 'Auto lap', value: lapSettingLabel },
     { label: language === 'ko' ? '시간 음성' : 'Time voice', value: timeCueLabel },
     { label: language === 'ko' ? '페이스 가이드' : 'Pace guide', value: paceGuideLabel },
   ]
@@ -0,0 +1,157 @@
+'use client'
+
+import { useEffect, useMemo, useState } from 'react'
+import { STEP_DASHBOARD_RANGES, getDailySteps } from './step-history'
+
+const PANEL_TEXT = {
+  en: {
+    title: 'Daily steps',
+    average: 'Daily avg',
+    total: 'Total',
+    goalDays: 'Goal days',
+    best: 'Best day',
+    goal: 'Goal',
+    range: (days) => `${days}D`,
+    noPedometer: 'Only walks you recorded are shown. Step counts from the phone sensor appear in the app.',
+  },
+  ko: {
+    title: '일별 걸음',
+    average: '하루 평균',
+    total: '합계',
+    goalDays: '목표 달성',
+    best: '최고 기록',
+    goal: '목표',
+    range: (days) => `${days}일`,
+    noPedometer: '기록한 도보만 표시됩니다. 앱에서는 휴대폰 만보기 걸음도 함께 보입니다.',
+  },
+}
+
+// viewBox 0~100 기준 여백
+const CHART = { left: 1, right: 99, top: 6, bottom: 96 }
+
+const formatDayLabel = (dateKey, days) => {
+  const [, mm, dd] = dateKey.split('-')
+  return days > 7 ? `${Number(dd)}` : `${Number(mm)}/${Number(dd)}`
+}
+
+/**
+ * 일별 걸음 패널 (기록 화면, 도보 전용)
+ *
+ * 만보기 일별 합계 + 세션 기록을 합친 최근 7 / 30일 걸음 막대와 하루 걸음 목표선
+ */
+export default function StepsDashboard({ language = 'en', stepGoal, onStepGoalChange, revision = 0 }) {
+  const text = PANEL_TEXT[language] || PANEL_TEXT.en
+  const [rangeDays, setRangeDays] = useState(STEP_DASHBOARD_RANGES[0])
+  const [dashboard, setDashboard] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    getDailySteps({ days: rangeDays, stepGoal })
+      .then((result) => {
+        if (!cancelled) setDashboard(result)
+      })
+      .catch((err) => console.warn('[history] failed to load daily steps', err))
+    return () => {
+      cancelled = true
+    }
+  }, [rangeDays, stepGoal, revision])
+
+  const chart = useMemo(() => {
+    const days = dashboard?.days || []
+    if (!days.length) return null
+    const maxSteps = Math.max(stepGoal || 0, ...days.map((day) => day.steps), 1) * 1.1
+    const yOf = (steps) => CHART.bottom - (steps / maxSteps) * (CHART.bottom - CHART.top)
+    const step = (CHART.right - CHART.left) / days.length
+    return {
+      goalY: stepGoal > 0 ? yOf(stepGoal) : null,
+      bars: days.map((day, idx) => ({
+        key: day.dateKey,
+        x: CHART.left + step * idx + step * 0.15,
+        y: yOf(day.steps),
+        width: step * 0.7,
+        height: CHART.bottom - yOf(day.steps),
+        fill: day.goalMet ? 'rgba(251,191,36,0.9)' : 'rgba(255,255,255,0.35)',
+      })),
+    }
+  }, [dashboard, stepGoal])
+
+  if (!dashboard) return null
+  const { summary } = dashboard
+  const labelEvery = rangeDays > 7 ? 5 : 1
+
+  const tiles = [
+    { key: 'average', label: text.average, value: summary.avgSteps.toLocaleString() },
+    { key: 'total', label: text.total, value: summary.totalSteps.toLocaleString() },
+    { key: 'goalDays', label: text.goalDays, value: `${summary.goalDays}/${dashboard.days.length}` },
+    { key: 'best', label: text.best, value: summary.bestDay ? summary.bestDay.steps.toLocaleString() : '--' },
+  ]
+
+  return (
+    <div className="mb-2 md:mb-3 flex-shrink-0 rounded-xl md:rounded-2xl border border-amber-400/25 bg-gradient-to-br from-amber-500/10 via-orange-500/5 to-yellow-500/10 px-2 md:px-4 py-1.5 md:py-2.5">
+      <div className="flex items-center justify-between gap-2">
+        <p className="text-[0.55rem] md:text-xs lg:text-sm font-semibold uppercase tracking-wider text-amber-100">
+          {text.title}
+        </p>
+        <div className="flex items-center gap-1 md:gap-2">
+          {STEP_DASHBOARD_RANGES.map((days) => (
+            <button
+              key={days}
+              type="button"
+              onClick={() => setRangeDays(days)}
+              className={`rounded-full px-2 md:px-3 py-0.5 text-[0.55rem] md:text-xs font-bold transition-colors ${
+                rangeDays === days ? 'bg-amber-500/30 text-amber-100' : 'text-white/50 hover:text-white/80'
+              }`}
+            >
+              {text.range(days)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="mt-1 grid grid-cols-4 gap-1 md:gap-2">
+        {tiles.map((tile) => (
+          <div key={tile.key} className="rounded-lg md:rounded-xl border border-white/10 bg-black/20 px-1.5 md:px-3 py-1">
+            <p className="text-[0.5rem] md:text-xs uppercase tracking-wider text-white/60 font-semibold truncate">{tile.label}</p>
+            <p className="text-xs md:text-sm lg:text-base font-bold tabular-nums text-amber-100">{tile.value}</p>
+          </div>
+        ))}
+      </div>
+
+      {chart && (
+        <>
+          <div className="relative mt-1.5 h-24 md:h-32 lg:h-40">
+            <svg className="absolute inset-0 w-full h-full" viewBox="0 0 100 100" preserveAspectRatio="none">
+              {chart.bars.map((bar) => (
+                <rect key={bar.key} x={bar.x} y={bar.y} width={bar.width} height={bar.height} fill={bar.fill} />
+              ))}
+              {chart.goalY !== null && (
+                <line x1={CHART.left} x2={CHART.right} y1={chart.goalY} y2={chart.goalY} stroke="#fbbf24" strokeWidth="1" strokeDasharray="2 1.5" vectorEffect="non-scaling-stroke" />
+              )}
+            </svg>
+          </div>
+          <div className="mt-0.5 flex text-[0.45rem] md:text-[0.6rem] text-white/50 tabular-nums">
+            {dashboard.days.map((day, idx) => (
+              <span key={day.dateKey} className="flex-1 text-center">
+                {(dashboard.days.length - 1 - idx) % labelEvery === 0 ? formatDayLabel(day.dateKey, rangeDays) : ''}
+              </span>
+            ))}
+          </div>
+        </>
+      )}
+
+      <div className="mt-1 flex flex-wrap items-center gap-x-3 gap-y-0.5 text-[0.5rem] md:text-xs text-white/60">
+        <span className="text-amber-300">┅ {text.goal}</span>
+        {onStepGoalChange ? (
+          <button type="button" onClick={onStepGoalChange} className="font-bold text-amber-100 underline decoration-dotted underline-offset-2">
+            {(stepGoal || 0).toLocaleString()}
+          </button>
+        ) : (
+          <span className="font-bold text-amber-100">{(stepGoal || 0).toLocaleString()}</span>
+        )}
+        {!dashboard.pedometerAvailable && (
+          <span className="basis-full text-white/40">{text.noPedometer}</span>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,177 @@
+'use client'
+
+import { useEffect, useMemo, useState } from 'react'
+import { formatPaceLabel } from '../utils/distance'
+import { ACWR_CAUTION, ACWR_HIGH, getTrainingLoad } from './training-load'
+
+const PANEL_TEXT = {
+  en: {
+    title: 'Training load',
+    fitness: 'Fitness',
+    fatigue: 'Fatigue',
+    form: 'Form',
+    ratio: 'Acute:Chronic',
+    dailyLoad: 'Daily load',
+    threshold: 'Threshold pace',
+    thresholdDefault: 'default',
+    risk: {
+      high: `Load is ramping too fast (over ${ACWR_HIGH}×). Consider an easy week.`,
+      caution: `Weekly load is rising quickly (over ${ACWR_CAUTION}×).`,
+      low: 'Load is below your usual level.',
+      optimal: 'Load is in a steady range.',
+    },
+  },
+  ko: {
+    title: '훈련 부하',
+    fitness: '체력',
+    fatigue: '피로',
+    form: '컨디션',
+    ratio: '급성:만성',
+    dailyLoad: '일별 부하',
+    threshold: '임계 페이스',
+    thresholdDefault: '기본값',
+    risk: {
+      high: `부하가 너무 빠르게 늘고 있습니다 (${ACWR_HIGH}배 초과). 가볍게 쉬어가세요.`,
+      caution: `주간 부하가 빠르게 늘고 있습니다 (${ACWR_CAUTION}배 초과).`,
+      low: '평소보다 부하가 낮습니다.',
+      optimal: '부하가 안정적인 범위입니다.',
+    },
+  },
+}
+
+const RISK_CLASS = {
+  high: 'text-rose-200',
+  caution: 'text-amber-200',
+  low: 'text-sky-200',
+  optimal: 'text-emerald-200',
+}
+
+// viewBox 0~100 기준 여백
+const CHART = { left: 2, right: 98, top: 6, lineBottom: 66, barTop: 74, barBottom: 96 }
+
+const toPolyline = (points, key, yOf) => points
+  .map((point, idx) => {
+    const x = CHART.left + ((CHART.right - CHART.left) * idx) / Math.max(points.length - 1, 1)
+    return `${x.toFixed(2)},${yOf(point[key]).toFixed(2)}`
+  })
+  .join(' ')
+
+/**
+ * 훈련 부하 패널 (기록 화면, 러닝 전용)
+ *
+ * 체력(CTL) / 피로(ATL) / 컨디션(TSB) 곡선과 일별 부하 막대, ACWR 경고
+ */
+export default function TrainingLoadPanel({ language = 'en', profile = null, revision = 0 }) {
+  const text = PANEL_TEXT[language] || PANEL_TEXT.en
+  const [expanded, setExpanded] = useState(false)
+  const [training, setTraining] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    getTrainingLoad({ profile })
+      .then((result) => {
+        if (!cancelled) setTraining(result)
+      })
+      .catch((err) => console.warn('[history] failed to compute training load', err))
+    return () => {
+      cancelled = true
+    }
+  }, [profile, revision])
+
+  const chart = useMemo(() => {
+    const points = training?.points || []
+    if (!points.length) return null
+    const values = points.flatMap((point) => [point.ctl, point.atl, point.tsb])
+    const maxValue = Math.max(10, ...values)
+    const minValue = Math.min(0, ...values)
+    const yOf = (value) => CHART.lineBottom - ((value - minValue) / (maxValue - minValue)) * (CHART.lineBottom - CHART.top)
+    const maxLoad = Math.max(1, ...points.map((point) => point.load))
+    const step = (CHART.right - CHART.left) / points.length
+    return {
+      zeroY: yOf(0),
+      ctl: toPolyline(points, 'ctl', yOf),
+      atl: toPolyline(points, 'atl', yOf),
+      tsb: toPolyline(points, 'tsb', yOf),
+      bars: points.map((point, idx) => {
+        const height = (point.load / maxLoad) * (CHART.barBottom - CHART.barTop)
+        return {
+          key: point.dateKey,
+          x: CHART.left + step * idx + step * 0.15,
+          y: CHART.barBottom - height,
+          width: step * 0.7,
+          height,
+        }
+      }),
+    }
+  }, [training])
+
+  if (!training || !training.points.some((point) => point.load > 0)) return null
+  const { current } = training
+
+  const tiles = [
+    { key: 'fitness', label: text.fitness, value: Math.round(current.ctl), className: 'text-sky-200' },
+    { key: 'fatigue', label: text.fatigue, value: Math.round(current.atl), className: 'text-rose-200' },
+    { key: 'form', label: text.form, value: `${current.tsb > 0 ? '+' : ''}${Math.round(current.tsb)}`, className: 'text-emerald-200' },
+    {
+      key: 'ratio',
+      label: text.ratio,
+      value: Number.isFinite(current.acwr) ? current.acwr.toFixed(2) : '--',
+      className: RISK_CLASS[current.risk] || 'text-white',
+    },
+  ]
+
+  return (
+    <div className="mb-2 md:mb-3 flex-shrink-0 rounded-xl md:rounded-2xl border border-sky-400/25 bg-gradient-to-br from-sky-500/10 via-indigo-500/5 to-rose-500/10 px-2 md:px-4 py-1.5 md:py-2.5">
+      <button
+        type="button"
+        onClick={() => setExpanded((prev) => !prev)}
+        className="w-full flex items-center justify-between gap-2"
+      >
+        <p className="text-[0.55rem] md:text-xs lg:text-sm font-semibold uppercase tracking-wider text-sky-100">
+          {text.title}
+        </p>
+        <span className="text-[0.6rem] md:text-xs text-white/60">{expanded ? '▲' : '▼'}</span>
+      </button>
+
+      <div className="mt-1 grid grid-cols-4 gap-1 md:gap-2">
+        {tiles.map((tile) => (
+          <div key={tile.key} className="rounded-lg md:rounded-xl border border-white/10 bg-black/20 px-1.5 md:px-3 py-1">
+            <p className="text-[0.5rem] md:text-xs uppercase tracking-wider text-white/60 font-semibold truncate">{tile.label}</p>
+            <p className={`text-xs md:text-sm lg:text-base font-bold tabular-nums ${tile.className}`}>{tile.value}</p>
+          </div>
+        ))}
+      </div>
+      {current.risk && current.risk !== 'optimal' && (
+        <p className={`mt-1 text-[0.55rem] md:text-xs font-semibold ${RISK_CLASS[current.risk]}`}>
+          {text.risk[current.risk]}
+        </p>
+      )}
+
+      {expanded && chart && (
+        <>
+          <div className="relative mt-1.5 h-28 md:h-36 lg:h-44">
+            <svg className="absolute inset-0 w-full h-full" viewBox="0 0 100 100" preserveAspectRatio="none">
+              <line x1={CHART.left} x2={CHART.right} y1={chart.zeroY} y2={chart.zeroY} stroke="rgba(255,255,255,0.2)" strokeWidth="0.3" />
+              <polyline points={chart.ctl} fill="none" stroke="#38bdf8" strokeWidth="1.2" vectorEffect="non-scaling-stroke" />
+              <polyline points={chart.atl} fill="none" stroke="#fb7185" strokeWidth="1.2" vectorEffect="non-scaling-stroke" />
+              <polyline points={chart.tsb} fill="none" stroke="#34d399" strokeWidth="1" strokeDasharray="2 1.5" vectorEffect="non-scaling-stroke" />
+              {chart.bars.map((bar) => (
+                <rect key={bar.key} x={bar.x} y={bar.y} width={bar.width} height={bar.height} fill="rgba(165,180,252,0.7)" />
+              ))}
+            </svg>
+          </div>
+          <div className="mt-1 flex flex-wrap items-center gap-x-3 gap-y-0.5 text-[0.5rem] md:text-xs text-white/60">
+            <span className="text-sky-300">━ {text.fitness}</span>
+            <span className="text-rose-300">━ {text.fatigue}</span>
+            <span className="text-emerald-300">┅ {text.form}</span>
+            <span className="text-indigo-200">▮ {text.dailyLoad}</span>
+            <span className="ml-auto">
+              {text.threshold} {formatPaceLabel(training.thresholdPaceMs)}
+              {training.thresholdEstimated ? '' : ` (${text.thresholdDefault})`}
+            </span>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,172 @@
+'use client'
+
+import { displayPaceToPace, formatPaceLabel, isImperialUnits } from '../utils/distance'
+import { SESSION_TEXT } from './locale'
+import {
+  WORKOUT_DISTANCE_PRESETS_M,
+  WORKOUT_END_TYPES,
+  WORKOUT_MAX_REPEATS,
+  WORKOUT_PACE_TOLERANCE_OPTIONS_MS,
+  WORKOUT_TIME_PRESETS_MS,
+  formatStepTargetLabel,
+} from './workout'
+
+// 스텝 목표 페이스: 끄기 + 표시 단위 기준 15초 간격 (3:00 ~ 10:00 /km, 5:00 ~ 16:00 /mi), 값은 ms/km
+const buildPacePresets = () => {
+  const [minSec, maxSec] = isImperialUnits() ? [300, 960] : [180, 600]
+  const list = [null]
+  for (let sec = minSec; sec <= maxSec; sec += 15) list.push(Math.round(displayPaceToPace(sec * 1000)))
+  return list
+}
+
+const PLAN_STEP_KEYS = ['warmup', 'work', 'recovery', 'cooldown']
+
+const cycleOption = (list, current, direction) => {
+  const idx = list.indexOf(current)
+  const base = idx === -1 ? 0 : idx
+  return list[Math.min(list.length - 1, Math.max(0, base + direction))]
+}
+
+// 다른 단위에서 고른 페이스는 가장 가까운 프리셋에서 이어서 움직인다
+const cyclePace = (list, current, direction) => {
+  if (current == null || list.includes(current)) return cycleOption(list, current, direction)
+  let nearest = 1
+  list.forEach((value, idx) => {
+    if (value != null && Math.abs(value - current) < Math.abs(list[nearest] - current)) nearest = idx
+  })
+  return cycleOption(list, list[nearest], direction)
+}
+
+const formatStepValue = (planStep) => formatStepTargetLabel({
+  type: planStep.endType,
+  value: planStep.endType === 'distance' ? planStep.distanceM : planStep.timeMs,
+}) || '--'
+
+function Stepper({ label, onPrev, onNext, disabled }) {
+  return (
+    <div className="flex items-center rounded-lg border border-white/20 bg-white/5">
+      <button
+        type="button"
+        disabled={disabled}
+        onClick={onPrev}
+        className="px-1.5 md:px-2.5 py-0.5 text-[0.7rem] md:text-sm font-bold text-white/70 disabled:opacity-30"
+      >
+        ‹
+      </button>
+      <span className="min-w-[3.2rem] text-center text-[0.6rem] md:text-xs font-semibold text-white tabular-nums">{label}</span>
+      <button
+        type="button"
+        disabled={disabled}
+        onClick={onNext}
+        className="px-1.5 md:px-2.5 py-0.5 text-[0.7rem] md:text-sm font-bold text-white/70 disabled:opacity-30"
+      >
+        ›
+      </button>
+    </div>
+  )
+}
+
+/**
+ * 인터벌 워크아웃 빌더 (세션 설정 화면)
+ *
+ * plan 구조는 workout.js createDefaultWorkoutPlan 참고
+ */
+export default function WorkoutBuilder({ plan, language = 'en', onChange }) {
+  const text = SESSION_TEXT[language]?.workout || SESSION_TEXT.en.workout
+  const pacePresets = buildPacePresets()
+
+  const updatePlan = (patch) => onChange?.({ ...plan, ...patch })
+  const updateStep = (key, patch) => updatePlan({ [key]: { ...plan[key], ...patch } })
+
+  return (
+    <div className="space-y-1 md:space-y-2">
+      {PLAN_STEP_KEYS.map((key) => {
+        const planStep = plan[key]
+        const optional = key !== 'work'
+        const active = !optional || planStep.enabled
+        return (
+          <div key={key}>
+            <div className="flex items-center gap-1 md:gap-2">
+              <button
+                type="button"
+                disabled={!optional}
+                onClick={() => updateStep(key, { enabled: !planStep.enabled })}
+                className={`w-16 md:w-24 flex-shrink-0 truncate rounded-lg border px-1 py-0.5 text-[0.6rem] md:text-xs font-bold text-left ${
+                  active
+                    ? 'border-emerald-400/50 bg-emerald-500/15 text-emerald-100'
+                    : 'border-white/15 bg-white/5 text-white/40 line-through'
+                }`}
+              >
+                {text.steps[key]}
+              </button>
+              <div className="flex rounded-lg border border-white/15 bg-white/5 p-0.5">
+                {WORKOUT_END_TYPES.map((endType) => (
+                  <button
+                    key={endType}
+                    type="button"
+                    disabled={!active}
+                    onClick={() => updateStep(key, { endType })}
+                    className={`rounded-md px-1.5 md:px-2.5 py-0.5 text-[0.6rem] md:text-xs font-bold disabled:opacity-30 ${
+                      planStep.endType === endType ? 'bg-white/20 text-white' : 'text-white/50'
+                    }`}
+                  >
+                    {text.end[endType]}
+                  </button>
+                ))}
+              </div>
+              {planStep.endType !== 'lap' && (
+                <Stepper
+                  label={formatStepValue(planStep)}
+                  disabled={!active}
+                  onPrev={() => (planStep.endType === 'distance'
+                    ? updateStep(key, { distanceM: cycleOption(WORKOUT_DISTANCE_PRESETS_M, planStep.distanceM, -1) })
+                    : updateStep(key, { timeMs: cycleOption(WORKOUT_TIME_PRESETS_MS, planStep.timeMs, -1) }))}
+                  onNext={() => (planStep.endType === 'distance'
+                    ? updateStep(key, { distanceM: cycleOption(WORKOUT_DISTANCE_PRESETS_M, planStep.distanceM, 1) })
+                    : updateStep(key, { timeMs: cycleOption(WORKOUT_TIME_PRESETS_MS, planStep.timeMs, 1) }))}
+                />
+              )}
+            </div>
+            {active && (
+              <div className="mt-0.5 flex justify-end">
+                <Stepper
+                  label={planStep.paceMs ? formatPaceLabel(planStep.paceMs) : text.paceOff}
+                  onPrev={() => updateStep(key, { paceMs: cyclePace(pacePresets, planStep.paceMs ?? null, -1) })}
+                  onNext={() => updateStep(key, { paceMs: cyclePace(pacePresets, planStep.paceMs ?? null, 1) })}
+                />
+              </div>
+            )}
+            {key === 'work' && (
+              <div className="mt-1 flex items-center justify-between gap-1">
+                <span className="text-[0.6rem] md:text-xs font-semibold text-white/60">{text.repeats}</span>
+                <Stepper
+                  label={`${plan.repeats}×`}
+                  onPrev={() => updatePlan({ repeats: Math.max(1, plan.repeats - 1) })}
+                  onNext={() => updatePlan({ repeats: Math.min(WORKOUT_MAX_REPEATS, plan.repeats + 1) })}
+                />
+              </div>
+            )}
+          </div>
+        )
+      })}
+
+      <div className="flex items-center justify-between gap-1">
+        <span className="text-[0.6rem] md:text-xs font-semibold text-white/60">{text.paceRange}</span>
+        <div className="flex rounded-lg border border-white/15 bg-white/5 p-0.5">
+          {WORKOUT_PACE_TOLERANCE_OPTIONS_MS.map((toleranceMs) => (
+            <button
+              key={toleranceMs}
+              type="button"
+              onClick={() => updatePlan({ paceToleranceMs: toleranceMs })}
+              className={`rounded-md px-1.5 md:px-2.5 py-0.5 text-[0.6rem] md:text-xs font-bold ${
+                plan.paceToleranceMs === toleranceMs ? 'bg-white/20 text-white' : 'text-white/50'
+              }`}
+            >
+              {`±${toleranceMs / 1000}s`}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,157 @@
+'use client'
+
+/**
+ * Auto-pause detector (신호등 등에서 멈추면 자동 일시정지 → 다시 움직이면 자동 재개)
+ *
+ * GPS 샘플마다 update()를 호출하면 상태 전이가 있을 때 'pause' / 'resume'을 돌려준다.
+ * 정지 판단에 쓰는 신호 (있는 것만 사용):
+ * - DistanceCalculator 결과 reason ('stationary' / 'below_threshold' / 'accepted')
+ * - GPS speed (m/s)
+ * - metrics.js 가속도 동작 에너지 (motionRms)
+ *
+ * 진행 중에는 사용 가능한 신호가 모두 정지를 가리킬 때만 정지로 본다.
+ * 일시정지 중에는 DistanceCalculator를 거치지 않으므로 GPS speed / 정지 지점 기준 이동 거리로 재개를 판단한다.
+ *
+ * @example
+ * const detector = createAutoPauseDetector({ stopDelayMs: 5000 })
+ * const transition = detector.update({ timestamp, reason, gpsSpeedMps, motionRms, location })
+ * if (transition?.type === 'pause') pauseAt(transition.at)
+ */
+
+import { haversineDistanceMeters } from '../utils/distance'
+import { ACCEL_MOTION_RMS_FLOOR } from './metrics'
+
+export const AUTO_PAUSE_STORAGE_KEY = 'running_auto_pause_ms'
+export const AUTO_PAUSE_DELAY_OPTIONS_MS = [0, 3000, 5000, 10000] // 0 = 꺼짐
+
+const STILL_SPEED_MPS = 0.5 // 이보다 느리면 정지 신호
+const MOVING_SPEED_MPS = { run: 1.2, walk: 0.8 } // 이보다 빠르면 이동 신호
+const RESUME_DELAY_MS = 2000 // 이동 신호가 이만큼 이어져야 재개
+const RESUME_MIN_DISTANCE_M = 10 // 정지 지점에서 이만큼 벗어나면 이동 (accuracy에 비례해 늘어남)
+
+const STILL_REASONS = new Set(['stationary', 'below_threshold', 'below_threshold_after_smoothing'])
+
+const isMotionStill = (motionRms) => Number.isFinite(motionRms) && motionRms < ACCEL_MOTION_RMS_FLOOR
+const isMotionActive = (motionRms) => Number.isFinite(motionRms) && motionRms >= ACCEL_MOTION_RMS_FLOOR
+
+/**
+ * 진행 중 샘플 판정: 사용 가능한 신호가 모두 정지를 가리킬 때만 'still'
+ * @returns {'still'|'moving'|null} 판단할 신호가 없으면 null
+ */
+const classifyActiveSample = ({ reason, gpsSpeedMps, motionRms }) => {
+  const votes = []
+  if (Number.isFinite(gpsSpeedMps)) votes.push(gpsSpeedMps < STILL_SPEED_MPS ? 'still' : 'moving')
+  if (reason === 'accepted') votes.push('moving')
+  else if (STILL_REASONS.has(reason)) votes.push('still')
+  if (isMotionStill(motionRms)) votes.push('still')
+  else if (isMotionActive(motionRms)) votes.push('moving')
+  if (!votes.length) return null
+  return votes.includes('moving') ? 'moving' : 'still'
+}
+
+/**
+ * 일시정지 중 샘플 판정: GPS(속도 또는 정지 지점 이탈)가 이동을 가리켜야 'moving'
+ * 가속도만 흔들리는 경우(폰 만지기)는 재개하지 않고, 가속도가 완전히 조용하면 GPS drift로 본다.
+ */
+const classifyPausedSample = ({ gpsSpeedMps, motionRms, displacementM, resumeDistanceM, movingSpeedMps }) => {
+  const gpsMoving = (Number.isFinite(gpsSpeedMps) && gpsSpeedMps >= movingSpeedMps)
+    || (Number.isFinite(displacementM) && displacementM >= resumeDistanceM)
+  if (!gpsMoving) return 'still'
+  return isMotionStill(motionRms) ? 'still' : 'moving'
+}
+
+/**
+ * @param {Object} options
+ * @param {number} options.stopDelayMs - 정지 상태가 이만큼 이어지면 일시정지
+ * @param {'run'|'walk'} [options.mode='run']
+ */
+export const createAutoPauseDetector = ({ stopDelayMs, mode = 'run' } = {}) => {
+  const movingSpeedMps = MOVING_SPEED_MPS[mode] || MOVING_SPEED_MPS.run
+  let paused = false
+  let stillSince = null
+  let movingSince = null
+  let anchor = null // 일시정지한 위치
+
+  /**
+   * @param {Object} sample
+   * @param {number} sample.timestamp
+   * @param {string} [sample.reason] - DistanceCalculator reason (일시정지 중에는 없음)
+   * @param {number} [sample.gpsSpeedMps]
+   * @param {number} [sample.motionRms]
+   * @param {Object} [sample.location] - { latitude, longitude, accuracy }
+   * @returns {{ type: 'pause'|'resume', at: number }|null}
+   *   at: 정지/이동이 시작된 시각 (pausedIntervals 경계로 사용)
+   */
+  const update = ({ timestamp, reason, gpsSpeedMps, motionRms, location } = {}) => {
+    if (!Number.isFinite(timestamp) || !(stopDelayMs > 0)) return null
+
+    let displacementM = null
+    let resumeDistanceM = RESUME_MIN_DISTANCE_M
+    if (paused && anchor && Number.isFinite(location?.latitude) && Number.isFinite(location?.longitude)) {
+      displacementM = haversineDistanceMeters(anchor, location)
+      const accuracy = Math.max(Number(anchor.accuracy) || 0, Number(location.accuracy) || 0)
+      resumeDistanceM = Math.max(RESUME_MIN_DISTANCE_M, accuracy * 1.5)
+    }
+
+    const state = paused
+      ? classifyPausedSample({ gpsSpeedMps, motionRms, displacementM, resumeDistanceM, movingSpeedMps })
+      : classifyActiveSample({ reason, gpsSpeedMps, motionRms })
+    if (!state) return null
+
+    if (!paused) {
+      if (state === 'moving') {
+        stillSince = null
+        return null
+      }
+      if (stillSince === null) stillSince = timestamp
+      if (timestamp - stillSince < stopDelayMs) return null
+      paused = true
+      movingSince = null
+      anchor = Number.isFinite(location?.latitude) && Number.isFinite(location?.longitude)
+        ? { latitude: location.latitude, longitude: location.longitude, accuracy: location.accuracy }
+        : null
+      return { type: 'pause', at: stillSince }
+    }
+
+    if (state === 'still') {
+      movingSince = null
+      if (!anchor && Number.isFinite(location?.latitude) && Number.isFinite(location?.longitude)) {
+        anchor = { latitude: location.latitude, longitude: location.longitude, accuracy: location.accuracy }
+      }
+      return null
+    }
+    if (movingSince === null) movingSince = timestamp
+    if (timestamp - movingSince < RESUME_DELAY_MS) return null
+    const at = movingSince
+    reset()
+    return { type: 'resume', at }
+  }
+
+  const reset = () => {
+    paused = false
+    stillSince = null
+    movingSince = null
+    anchor = null
+  }
+
+  return {
+    update,
+    reset,
+    get paused() {
+      return paused
+    },
+  }
+}
+
+/**
+ * 저장된 자동 일시정지 지연 시간 (ms, 0 = 꺼짐)
+ */
+export const readAutoPauseDelay = () => {
+  if (typeof window === 'undefined') return 0
+  try {
+    const value = Number(localStorage.getItem(AUTO_PAUSE_STORAGE_KEY))
+    return AUTO_PAUSE_DELAY_OPTIONS_MS.includes(value) ? value : 0
+  } catch {
+    return 0
+  }
+}
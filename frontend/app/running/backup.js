@@ -0,0 +1,261 @@
+'use client'
+
+/**
+ * 전체 백업 / 복원
+ *
+ * - JSON archive: history store 전체(route 포함) + `running_*` / `locale` localStorage 설정
+ * - CSV: 기록 요약 (date, distance, duration, moving time, pace, calories, elevation)
+ *
+ * archive 구조가 바뀌면 BACKUP_SCHEMA_VERSION을 올리고 validateBackupArchive에서 처리한다.
+ */
+
+import { saveExportFile } from '../utils/file-export'
+import {
+  LEGACY_HISTORY_KEY,
+  MIGRATION_FLAG_KEY,
+  clearHistoryEntries,
+  getAllHistoryRecords,
+  listHistoryEntries,
+  saveHistoryEntries,
+} from './history-store'
+import { resolveRecordPaceMs } from './metrics'
+
+export const BACKUP_FORMAT = 'running530-backup'
+export const BACKUP_SCHEMA_VERSION = 1
+
+const SETTINGS_KEY_PREFIX = 'running_'
+const EXTRA_SETTINGS_KEYS = ['locale']
+
+// 기기 상태라서 다른 폰으로 옮기면 안 되는 키
+const EXCLUDED_SETTINGS_KEYS = new Set([
+  LEGACY_HISTORY_KEY, // 기록은 history 배열로 따로 담는다
+  MIGRATION_FLAG_KEY,
+  'running_carryover_v1',
+  'running_personal_records_v1', // PR 표 캐시 (복원한 기록으로 다시 만든다)
+  'running_step_history_v1', // 이 기기 만보기 일별 캐시
+  'running_dev_replay', // 개발용 GPS replay 플래그
+])
+
+const isBackupSettingsKey = (key) => {
+  if (!key || EXCLUDED_SETTINGS_KEYS.has(key)) return false
+  return key.startsWith(SETTINGS_KEY_PREFIX) || EXTRA_SETTINGS_KEYS.includes(key)
+}
+
+const readSettings = () => {
+  const settings = {}
+  if (typeof window === 'undefined') return settings
+  try {
+    for (let i = 0; i < localStorage.length; i += 1) {
+      const key = localStorage.key(i)
+      if (!isBackupSettingsKey(key)) continue
+      const value = localStorage.getItem(key)
+      if (value !== null) settings[key] = value
+    }
+  } catch (err) {
+    console.warn('[Backup] failed to read settings', err)
+  }
+  return settings
+}
+
+const formatDateStamp = (date = new Date()) => {
+  const y = date.getFullYear()
+  const m = String(date.getMonth() + 1).padStart(2, '0')
+  const d = String(date.getDate()).padStart(2, '0')
+  return `${y}${m}${d}`
+}
+
+/**
+ * 현재 기기의 전체 데이터 → archive 객체
+ */
+export const createBackupArchive = async () => {
+  const history = await getAllHistoryRecords()
+  return {
+    format: BACKUP_FORMAT,
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    history,
+    settings: readSettings(),
+  }
+}
+
+/**
+ * @returns {{ ok: true } | { ok: false, reason: 'invalid_format' | 'newer_version' }}
+ */
+export const validateBackupArchive = (archive) => {
+  if (!archive || typeof archive !== 'object') return { ok: false, reason: 'invalid_format' }
+  if (archive.format !== BACKUP_FORMAT) return { ok: false, reason: 'invalid_format' }
+  const version = Number(archive.schemaVersion)
+  if (!Number.isInteger(version) || version < 1) return { ok: false, reason: 'invalid_format' }
+  if (version > BACKUP_SCHEMA_VERSION) return { ok: false, reason: 'newer_version' }
+  if (!Array.isArray(archive.history)) return { ok: false, reason: 'invalid_format' }
+  if (!archive.settings || typeof archive.settings !== 'object' || Array.isArray(archive.settings)) {
+    return { ok: false, reason: 'invalid_format' }
+  }
+  return { ok: true }
+}
+
+/**
+ * archive → 현재 기기
+ *
+ * - merge: 기존 기록/설정은 유지하고 없는 것만 추가 (같은 id 기록은 기존 것 우선)
+ * - replace: 기존 기록과 `running_*` 설정을 지운 뒤 archive 내용으로 교체
+ *
+ * @param {Object} archive
+ * @param {Object} [options]
+ * @param {'merge'|'replace'} [options.strategy='merge']
+ * @returns {Promise<{ ok: true, runs: number, settings: number } | { ok: false, reason: string }>}
+ */
+export const restoreBackupArchive = async (archive, { strategy = 'merge' } = {}) => {
+  const validation = validateBackupArchive(archive)
+  if (!validation.ok) return validation
+
+  const incomingRuns = archive.history.filter((record) => record && record.id !== undefined && record.id !== null)
+  const incomingSettings = Object.entries(archive.settings)
+    .filter(([key, value]) => isBackupSettingsKey(key) && typeof value === 'string')
+
+  let runsToSave = incomingRuns
+  if (strategy === 'replace') {
+    await clearHistoryEntries()
+    try {
+      Object.keys(readSettings()).forEach((key) => localStorage.removeItem(key))
+    } catch {}
+  } else {
+    const existing = await listHistoryEntries()
+    const existingIds = new Set(existing.map((entry) => String(entry.id)))
+    runsToSave = incomingRuns.filter((record) => !existingIds.has(String(record.id)))
+  }
+
+  const savedRuns = await saveHistoryEntries(runsToSave)
+
+  let savedSettings = 0
+  try {
+    incomingSettings.forEach(([key, value]) => {
+      if (strategy !== 'replace' && localStorage.getItem(key) !== null) return
+      localStorage.setItem(key, value)
+      savedSettings += 1
+    })
+  } catch (err) {
+    console.warn('[Backup] failed to restore settings', err)
+  }
+
+  console.log('[Backup] Restored archive:', { strategy, runs: savedRuns, settings: savedSettings })
+  return { ok: true, runs: savedRuns, settings: savedSettings }
+}
+
+/**
+ * 백업 파일 읽기 + 검증
+ *
+ * @param {File} file
+ * @returns {Promise<{ ok: true, archive: Object } | { ok: false, reason: string }>}
+ */
+export const readBackupFile = async (file) => {
+  if (!file) return { ok: false, reason: 'no_file' }
+  let archive
+  try {
+    archive = JSON.parse(await file.text())
+  } catch {
+    return { ok: false, reason: 'invalid_format' }
+  }
+  const validation = validateBackupArchive(archive)
+  if (!validation.ok) return validation
+  return { ok: true, archive }
+}
+
+// ----------------------------------------------------------------------------
+// CSV
+// ----------------------------------------------------------------------------
+
+const CSV_COLUMNS = [
+  'date',
+  'mode',
+  'distance_km',
+  'duration_s',
+  'duration',
+  'moving_time_s',
+  'pace_min_per_km',
+  'moving_pace_min_per_km',
+  'calories_kcal',
+  'elevation_gain_m',
+]
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return ''
+  const str = String(value)
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+}
+
+const formatCsvDuration = (ms) => {
+  if (!Number.isFinite(ms) || ms < 0) return ''
+  const totalSeconds = Math.round(ms / 1000)
+  const h = Math.floor(totalSeconds / 3600)
+  const m = Math.floor((totalSeconds % 3600) / 60)
+  const s = totalSeconds % 60
+  return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`
+}
+
+const formatCsvPace = (msPerKm) => {
+  if (!Number.isFinite(msPerKm) || msPerKm <= 0) return ''
+  const totalSeconds = Math.round(msPerKm / 1000)
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`
+}
+
+const toFiniteOrNull = (value) => {
+  const num = Number(value)
+  return value !== null && value !== undefined && Number.isFinite(num) ? num : null
+}
+
+/**
+ * 기록 목록 → CSV 문자열 (오래된 순)
+ */
+export const buildRunsCsv = (entries) => {
+  const rows = (Array.isArray(entries) ? entries : [])
+    .filter(Boolean)
+    .slice()
+    .sort((a, b) => (Number(a.startedAt) || 0) - (Number(b.startedAt) || 0))
+    .map((entry) => {
+      const startedAt = toFiniteOrNull(entry.startedAt ?? entry.timestamp)
+      const distanceM = toFiniteOrNull(entry.distanceM)
+      const durationMs = toFiniteOrNull(entry.durationMs)
+      const pace = toFiniteOrNull(entry.avgPaceMs)
+        ?? (distanceM > 0 && durationMs > 0 ? durationMs / (distanceM / 1000) : null)
+      const movingTimeMs = toFiniteOrNull(entry.movingTimeMs)
+      const movingPace = movingTimeMs !== null ? resolveRecordPaceMs(entry, 'moving') : null
+      const calories = toFiniteOrNull(entry.calories)
+      const elevation = toFiniteOrNull(entry.elevationGainM)
+      return [
+        startedAt ? new Date(startedAt).toISOString() : '',
+        entry.mode || 'run',
+        distanceM !== null ? (distanceM / 1000).toFixed(3) : '',
+        durationMs !== null ? Math.round(durationMs / 1000) : '',
+        formatCsvDuration(durationMs),
+        movingTimeMs !== null ? Math.round(movingTimeMs / 1000) : '',
+        formatCsvPace(pace),
+        formatCsvPace(movingPace),
+        calories !== null ? Math.round(calories) : '',
+        elevation !== null ? elevation.toFixed(1) : '',
+      ].map(escapeCsv).join(',')
+    })
+  return `${[CSV_COLUMNS.join(','), ...rows].join('\n')}\n`
+}
+
+// ----------------------------------------------------------------------------
+// File helpers
+// ----------------------------------------------------------------------------
+
+export const exportBackupArchive = async () => {
+  const archive = await createBackupArchive()
+  return saveExportFile({
+    filename: `running530_backup_${formatDateStamp()}.json`,
+    mimeType: 'application/json',
+    data: JSON.stringify(archive),
+  })
+}
+
+export const exportRunsCsv = async () => {
+  const entries = await listHistoryEntries()
+  return saveExportFile({
+    filename: `running530_runs_${formatDateStamp()}.csv`,
+    mimeType: 'text/csv',
+    data: buildRunsCsv(entries),
+  })
+}
@@ -0,0 +1,89 @@
+'use client'
+
+/**
+ * 고도 파이프라인
+ *
+ * GPS 고도는 수 m씩 흔들려서 단순히 상승분을 더하면 누적 상승이 크게 부풀려진다.
+ * - 중앙값 필터로 튀는 값을 먼저 걸러내고
+ * - 히스테리시스: 기준 고도에서 임계값 이상 움직였을 때만 상승 / 하강으로 센다
+ * 기압계 고도(상대 고도)가 있으면 그것을 쓰고, 절대 고도는 GPS와의 차이로 맞춘다.
+ * 기압계가 없거나 끊기면 GPS 고도로 돌아간다.
+ */
+
+// 소스별 히스테리시스 임계값 (m)
+// GPS는 σ≈3m 흔들림의 평지에서도 상승이 쌓이지 않도록 넓은 중앙값 창 + 큰 임계값을 쓴다 (실제 오르막은 수 m 늦게 반영될 뿐 총량은 유지)
+export const ELEVATION_HYSTERESIS_M = { barometer: 1, gps: 6 }
+// 소스별 중앙값 필터 샘플 수
+const MEDIAN_WINDOW = { barometer: 3, gps: 15 }
+// 기압계 → 절대 고도 보정에 쓰는 GPS 샘플 수
+const BARO_OFFSET_SAMPLES = 10
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = sorted.length >> 1
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+/**
+ * 세션 고도 추적기
+ *
+ * @returns {{
+ *   addSample: ({ gpsAltitude?: number|null, baroAltitude?: number|null }) => number|null,
+ *   getSnapshot: () => { altitudeM: number|null, gainM: number, lossM: number, maxM: number|null, minM: number|null, source: 'barometer'|'gps'|null },
+ * }} addSample은 보정된 현재 고도를 반환 (고도 없음 → null)
+ */
+export const createElevationTracker = () => {
+  let source = null
+  let recent = []
+  let level = null
+  let gainM = 0
+  let lossM = 0
+  let maxM = null
+  let minM = null
+  let altitudeM = null
+  const offsetSamples = []
+
+  const resolveBaroOffset = () => (offsetSamples.length ? median(offsetSamples) : 0)
+
+  const addSample = ({ gpsAltitude = null, baroAltitude = null } = {}) => {
+    const hasGps = Number.isFinite(gpsAltitude)
+    const hasBaro = Number.isFinite(baroAltitude)
+    if (!hasGps && !hasBaro) return null
+
+    if (hasGps && hasBaro && offsetSamples.length < BARO_OFFSET_SAMPLES) {
+      offsetSamples.push(gpsAltitude - baroAltitude)
+    }
+
+    const nextSource = hasBaro ? 'barometer' : 'gps'
+    // 소스가 바뀌면 기준이 달라지므로 그 사이 차이는 상승 / 하강으로 세지 않는다
+    if (nextSource !== source) {
+      source = nextSource
+      recent = []
+      level = null
+    }
+
+    recent.push(hasBaro ? baroAltitude : gpsAltitude)
+    if (recent.length > MEDIAN_WINDOW[source]) recent.shift()
+    const smoothed = median(recent)
+
+    const threshold = ELEVATION_HYSTERESIS_M[source]
+    if (level === null) {
+      level = smoothed
+    } else if (smoothed - level >= threshold) {
+      gainM += smoothed - level
+      level = smoothed
+    } else if (level - smoothed >= threshold) {
+      lossM += level - smoothed
+      level = smoothed
+    }
+
+    altitudeM = source === 'barometer' ? smoothed + resolveBaroOffset() : smoothed
+    maxM = maxM === null ? altitudeM : Math.max(maxM, altitudeM)
+    minM = minM === null ? altitudeM : Math.min(minM, altitudeM)
+    return altitudeM
+  }
+
+  const getSnapshot = () => ({ altitudeM, gainM, lossM, maxM, minM, source })
+
+  return { addSample, getSnapshot }
+}
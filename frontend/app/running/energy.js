@@ -0,0 +1,80 @@
+'use client'
+
+/**
+ * 칼로리 추정 (세션 / 요약 / 기록 화면 공용)
+ *
+ * metrics.js calcCalories와 같은 MET 방식: kcal = MET × 3.5 × 체중(kg) / 200 × 분
+ * 프로필에 키 / 나이 / 성별이 모두 있으면 1 MET를 표준값(3.5 ml/kg/min) 대신
+ * Harris-Benedict 안정 대사량으로 계산한다.
+ */
+
+import { DEFAULT_WEIGHT_KG } from './profile'
+
+// [속도 상한 km/h, MET]
+const RUN_MET_TABLE = [[7, 5.0], [9, 7.0], [11, 9.0], [Infinity, 11.0]]
+const WALK_MET_TABLE = [[3, 2.0], [4.5, 2.8], [5.5, 3.5], [Infinity, 4.3]]
+
+// 기록은 'run' / 'walk', metrics 누적기는 'running' / 'walking'을 쓴다
+const isWalkMode = (mode) => mode === 'walk' || mode === 'walking'
+
+/**
+ * 평균 속도에 해당하는 MET
+ * @returns {number|null}
+ */
+export const resolveMet = (speedKmh, mode = 'run') => {
+  if (!Number.isFinite(speedKmh) || speedKmh <= 0) return null
+  const table = isWalkMode(mode) ? WALK_MET_TABLE : RUN_MET_TABLE
+  return table.find(([maxKmh]) => speedKmh < maxKmh)[1]
+}
+
+export const resolveWeightKg = (profile) => (
+  Number.isFinite(profile?.weightKg) && profile.weightKg > 0 ? profile.weightKg : DEFAULT_WEIGHT_KG
+)
+
+/**
+ * 1 MET에 해당하는 분당 소모 칼로리
+ * - 키 / 나이 / 성별이 있으면 Harris-Benedict (개정판) 안정 대사량 / 1440
+ * - 없으면 표준 3.5 ml/kg/min 기준 (체중 × 3.5 / 200)
+ */
+const resolveKcalPerMetMinute = (profile) => {
+  const weightKg = resolveWeightKg(profile)
+  const { heightCm, age, sex } = profile || {}
+  if (Number.isFinite(heightCm) && Number.isFinite(age) && (sex === 'male' || sex === 'female')) {
+    const rmrKcalPerDay = sex === 'male'
+      ? 88.362 + 13.397 * weightKg + 4.799 * heightCm - 5.677 * age
+      : 447.593 + 9.247 * weightKg + 3.098 * heightCm - 4.33 * age
+    if (rmrKcalPerDay > 0) return rmrKcalPerDay / 1440
+  }
+  return 3.5 * weightKg / 200
+}
+
+/**
+ * 거리 / 시간으로 칼로리 추정
+ *
+ * @param {Object} params
+ * @param {number} params.distanceM
+ * @param {number} params.durationMs - 일시정지 제외 경과 시간
+ * @param {'run'|'walk'|'running'|'walking'} [params.mode='run']
+ * @param {Object} [params.profile] - profile.js 프로필 (없으면 기본 체중)
+ * @returns {number|null} kcal
+ */
+export const calcCalories = ({ distanceM, durationMs, mode = 'run', profile = null } = {}) => {
+  if (!Number.isFinite(distanceM) || distanceM <= 0 || !Number.isFinite(durationMs) || durationMs <= 0) return null
+  const speedKmh = (distanceM / 1000) / (durationMs / 3600000)
+  const met = resolveMet(speedKmh, mode)
+  if (!met) return null
+  return met * resolveKcalPerMetMinute(profile) * (durationMs / 60000)
+}
+
+/**
+ * 저장된 기록의 칼로리를 현재 프로필로 다시 계산 (체중 변경 시)
+ *
+ * @returns {Object} calories / caloriesWeightKg를 바꾼 새 기록 (계산할 수 없으면 원본)
+ */
+export const recomputeRecordCalories = (record, profile) => {
+  if (!record) return record
+  const durationMs = Number.isFinite(record.elapsedMs) ? record.elapsedMs : record.durationMs
+  const calories = calcCalories({ distanceM: record.distanceM, durationMs, mode: record.mode || 'run', profile })
+  if (!Number.isFinite(calories)) return record
+  return { ...record, calories, caloriesWeightKg: resolveWeightKg(profile) }
+}
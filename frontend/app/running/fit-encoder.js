@@ -0,0 +1,162 @@
+/**
+ * Minimal FIT (Flexible and Interoperable Data Transfer) binary encoder.
+ *
+ * 외부 의존성 없는 순수 JS 모듈 - 같은 입력이면 항상 같은 바이트를 만든다.
+ * - 14-byte file header (header CRC 포함)
+ * - definition / data message (little endian, normal header)
+ * - 파일 끝 2-byte CRC
+ *
+ * @example
+ * const writer = createFitWriter()
+ * writer.define(0, FIT_MESG.FILE_ID, [{ num: 0, type: FIT_TYPES.enum }])
+ * writer.write(0, [4])
+ * const bytes = writer.finish() // Uint8Array
+ */
+
+export const FIT_PROTOCOL_VERSION = 0x20 // 2.0
+export const FIT_PROFILE_VERSION = 2100 // 21.00
+
+// 1989-12-31T00:00:00Z (FIT epoch) in unix ms
+export const FIT_EPOCH_MS = 631065600000
+
+export const FIT_MESG = {
+  FILE_ID: 0,
+  SESSION: 18,
+  LAP: 19,
+  RECORD: 20,
+  EVENT: 21,
+  ACTIVITY: 34,
+}
+
+/**
+ * Base types: size, base type byte, invalid value
+ */
+export const FIT_TYPES = {
+  enum: { size: 1, id: 0x00, invalid: 0xff },
+  sint8: { size: 1, id: 0x01, invalid: 0x7f },
+  uint8: { size: 1, id: 0x02, invalid: 0xff },
+  sint16: { size: 2, id: 0x83, invalid: 0x7fff },
+  uint16: { size: 2, id: 0x84, invalid: 0xffff },
+  sint32: { size: 4, id: 0x85, invalid: 0x7fffffff },
+  uint32: { size: 4, id: 0x86, invalid: 0xffffffff },
+  uint32z: { size: 4, id: 0x8c, invalid: 0x00000000 },
+}
+
+const CRC_TABLE = [
+  0x0000, 0xcc01, 0xd801, 0x1400, 0xf001, 0x3c00, 0x2800, 0xe401,
+  0xa001, 0x6c00, 0x7800, 0xb401, 0x5000, 0x9c01, 0x8801, 0x4400,
+]
+
+/**
+ * FIT CRC-16 (SDK reference 알고리즘, 4-bit 테이블)
+ *
+ * @param {ArrayLike<number>} bytes
+ * @param {number} [crc=0] - 이어서 계산할 때의 초기값
+ * @param {number} [start=0]
+ * @param {number} [end=bytes.length]
+ * @returns {number} uint16
+ */
+export const fitCrc = (bytes, crc = 0, start = 0, end = bytes.length) => {
+  let value = crc & 0xffff
+  for (let i = start; i < end; i += 1) {
+    const byte = bytes[i] & 0xff
+    let tmp = CRC_TABLE[value & 0xf]
+    value = (value >> 4) & 0x0fff
+    value = value ^ tmp ^ CRC_TABLE[byte & 0xf]
+    tmp = CRC_TABLE[value & 0xf]
+    value = (value >> 4) & 0x0fff
+    value = value ^ tmp ^ CRC_TABLE[(byte >> 4) & 0xf]
+  }
+  return value
+}
+
+/**
+ * unix ms → FIT timestamp (seconds since FIT epoch)
+ */
+export const toFitTimestamp = (ms) => {
+  const num = Number(ms)
+  if (!Number.isFinite(num)) return null
+  return Math.max(0, Math.round((num - FIT_EPOCH_MS) / 1000))
+}
+
+/**
+ * degrees → semicircles (sint32)
+ */
+export const toSemicircles = (deg) => {
+  const num = Number(deg)
+  if (!Number.isFinite(num)) return null
+  return Math.round(num * (2 ** 31 / 180))
+}
+
+const pushInt = (out, value, size, signed) => {
+  let v = value
+  if (signed && v < 0) v += 2 ** (size * 8)
+  for (let i = 0; i < size; i += 1) {
+    out.push(v % 256)
+    v = Math.floor(v / 256)
+  }
+}
+
+const encodeFieldValue = (out, type, value) => {
+  const signed = type === FIT_TYPES.sint8 || type === FIT_TYPES.sint16 || type === FIT_TYPES.sint32
+  const max = signed ? 2 ** (type.size * 8 - 1) - 1 : 2 ** (type.size * 8) - 1
+  const min = signed ? -(2 ** (type.size * 8 - 1)) : 0
+  const num = Number(value)
+  // null/NaN/범위 밖 → invalid 값
+  if (value === null || value === undefined || !Number.isFinite(num)) {
+    pushInt(out, type.invalid, type.size, false)
+    return
+  }
+  const rounded = Math.round(num)
+  const clamped = Math.min(max, Math.max(min, rounded))
+  pushInt(out, clamped, type.size, signed)
+}
+
+/**
+ * FIT 파일 writer
+ *
+ * define(local, global, fields) → definition message
+ * write(local, values) → data message (values는 fields 순서)
+ * finish() → header + records + CRC가 붙은 Uint8Array
+ */
+export const createFitWriter = () => {
+  const records = []
+  const definitions = new Map()
+
+  const define = (localNum, globalNum, fields) => {
+    if (localNum < 0 || localNum > 15) throw new RangeError('FIT local message number must be 0-15')
+    records.push(0x40 | localNum, 0, 0) // header, reserved, architecture (little endian)
+    pushInt(records, globalNum, 2, false)
+    records.push(fields.length)
+    fields.forEach(({ num, type }) => {
+      records.push(num, type.size, type.id)
+    })
+    definitions.set(localNum, fields)
+  }
+
+  const write = (localNum, values) => {
+    const fields = definitions.get(localNum)
+    if (!fields) throw new Error(`FIT local message ${localNum} is not defined`)
+    records.push(localNum & 0x0f)
+    fields.forEach((field, idx) => encodeFieldValue(records, field.type, values[idx]))
+  }
+
+  const finish = () => {
+    const header = []
+    header.push(14, FIT_PROTOCOL_VERSION)
+    pushInt(header, FIT_PROFILE_VERSION, 2, false)
+    pushInt(header, records.length, 4, false)
+    header.push(0x2e, 0x46, 0x49, 0x54) // ".FIT"
+    pushInt(header, fitCrc(header), 2, false)
+
+    const bytes = new Uint8Array(header.length + records.length + 2)
+    bytes.set(header, 0)
+    bytes.set(records, header.length)
+    const crc = fitCrc(bytes, 0, 0, header.length + records.length)
+    bytes[bytes.length - 2] = crc & 0xff
+    bytes[bytes.length - 1] = (crc >> 8) & 0xff
+    return bytes
+  }
+
+  return { define, write, finish }
+}
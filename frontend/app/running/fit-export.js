@@ -0,0 +1,221 @@
+'use client'
+
+/**
+ * FIT activity export for history records.
+ *
+ * file_id → event(start) → record × N → lap × N → event(stop) → session → activity
+ * 순서로 메시지를 만든다. 바이트 인코딩은 fit-encoder.js가 담당.
+ */
+
+import { saveExportFile } from '../utils/file-export'
+import { getHistoryEntry } from './history-store'
+import { buildExportFilename } from './gpx-export'
+import { buildExportLaps } from './lap-segments'
+import {
+  FIT_MESG,
+  FIT_TYPES as T,
+  createFitWriter,
+  toFitTimestamp,
+  toSemicircles,
+} from './fit-encoder'
+
+const MANUFACTURER_DEVELOPMENT = 255
+const SPORT = { running: 1, walking: 11 }
+const EVENT = { timer: 0, session: 8, lap: 9, activity: 26 }
+const EVENT_TYPE = { start: 0, stop: 1, stopAll: 4 }
+const LAP_TRIGGER = { manual: 0, time: 1, distance: 2, session_end: 7 }
+
+const LOCAL = {
+  fileId: 0,
+  event: 1,
+  record: 2,
+  lap: 3,
+  session: 4,
+  activity: 5,
+}
+
+const scaled = (value, scale, offset = 0) => {
+  const num = Number(value)
+  if (value === null || value === undefined || !Number.isFinite(num)) return null
+  return (num + offset) * scale
+}
+
+// FIT의 total_cycles는 러닝/워킹에서 stride(두 걸음) 단위
+const stepsToCycles = (steps) => (Number.isFinite(steps) ? Math.round(steps / 2) : null)
+
+/**
+ * 기록 → FIT 바이트
+ *
+ * @param {Object} record - history record (route 포함)
+ * @returns {Uint8Array|null}
+ */
+export const buildFit = (record) => {
+  const laps = buildExportLaps(record)
+  if (!laps.length) return null
+
+  const startTime = laps[0].startTime
+  const endTime = laps[laps.length - 1].endTime
+  const sport = record?.mode === 'walk' ? SPORT.walking : SPORT.running
+  const totalDurationMs = Number.isFinite(Number(record?.durationMs))
+    ? Number(record.durationMs)
+    : Math.max(0, endTime - startTime)
+  const totalDistanceM = Number.isFinite(Number(record?.distanceM))
+    ? Number(record.distanceM)
+    : laps.reduce((sum, lap) => sum + lap.distanceM, 0)
+  const elapsedMs = Math.max(totalDurationMs, endTime - startTime)
+
+  const writer = createFitWriter()
+
+  writer.define(LOCAL.fileId, FIT_MESG.FILE_ID, [
+    { num: 0, type: T.enum }, // type
+    { num: 1, type: T.uint16 }, // manufacturer
+    { num: 2, type: T.uint16 }, // product
+    { num: 3, type: T.uint32z }, // serial_number
+    { num: 4, type: T.uint32 }, // time_created
+  ])
+  writer.write(LOCAL.fileId, [4, MANUFACTURER_DEVELOPMENT, 0, toFitTimestamp(startTime), toFitTimestamp(startTime)])
+
+  writer.define(LOCAL.event, FIT_MESG.EVENT, [
+    { num: 253, type: T.uint32 }, // timestamp
+    { num: 0, type: T.enum }, // event
+    { num: 1, type: T.enum }, // event_type
+  ])
+  writer.write(LOCAL.event, [toFitTimestamp(startTime), EVENT.timer, EVENT_TYPE.start])
+
+  writer.define(LOCAL.record, FIT_MESG.RECORD, [
+    { num: 253, type: T.uint32 }, // timestamp
+    { num: 0, type: T.sint32 }, // position_lat
+    { num: 1, type: T.sint32 }, // position_long
+    { num: 2, type: T.uint16 }, // altitude (scale 5, offset 500)
+    { num: 5, type: T.uint32 }, // distance (scale 100)
+    { num: 6, type: T.uint16 }, // speed (scale 1000)
+  ])
+  laps.forEach((lap) => {
+    lap.points.forEach((point) => {
+      const ts = toFitTimestamp(point.timestamp)
+      if (ts === null) return
+      const altitude = point.altitude === null ? null : scaled(point.altitude, 5, 500)
+      writer.write(LOCAL.record, [
+        ts,
+        toSemicircles(point.latitude),
+        toSemicircles(point.longitude),
+        altitude,
+        scaled(point.cumulativeDistanceM, 100),
+        scaled(point.speed, 1000),
+      ])
+    })
+  })
+
+  writer.define(LOCAL.lap, FIT_MESG.LAP, [
+    { num: 253, type: T.uint32 }, // timestamp
+    { num: 2, type: T.uint32 }, // start_time
+    { num: 3, type: T.sint32 }, // start_position_lat
+    { num: 4, type: T.sint32 }, // start_position_long
+    { num: 5, type: T.sint32 }, // end_position_lat
+    { num: 6, type: T.sint32 }, // end_position_long
+    { num: 7, type: T.uint32 }, // total_elapsed_time (scale 1000)
+    { num: 8, type: T.uint32 }, // total_timer_time (scale 1000)
+    { num: 9, type: T.uint32 }, // total_distance (scale 100)
+    { num: 10, type: T.uint32 }, // total_cycles (strides)
+    { num: 11, type: T.uint16 }, // total_calories
+    { num: 254, type: T.uint16 }, // message_index
+    { num: 0, type: T.enum }, // event
+    { num: 1, type: T.enum }, // event_type
+    { num: 24, type: T.enum }, // lap_trigger
+    { num: 25, type: T.enum }, // sport
+  ])
+  laps.forEach((lap, idx) => {
+    const first = lap.points[0]
+    const last = lap.points[lap.points.length - 1]
+    writer.write(LOCAL.lap, [
+      toFitTimestamp(lap.endTime),
+      toFitTimestamp(lap.startTime),
+      toSemicircles(first?.latitude),
+      toSemicircles(first?.longitude),
+      toSemicircles(last?.latitude),
+      toSemicircles(last?.longitude),
+      // 초 단위 scale 1000 = ms 값 그대로
+      Math.max(lap.durationMs, lap.endTime - lap.startTime),
+      lap.durationMs,
+      scaled(lap.distanceM, 100),
+      stepsToCycles(lap.steps),
+      Number.isFinite(lap.calories) ? lap.calories : null,
+      idx,
+      EVENT.lap,
+      EVENT_TYPE.stop,
+      LAP_TRIGGER[lap.trigger] ?? LAP_TRIGGER.manual,
+      sport,
+    ])
+  })
+
+  writer.write(LOCAL.event, [toFitTimestamp(endTime), EVENT.timer, EVENT_TYPE.stopAll])
+
+  const totalCalories = Number(record?.calories)
+  const totalSteps = Number(record?.steps)
+  writer.define(LOCAL.session, FIT_MESG.SESSION, [
+    { num: 253, type: T.uint32 }, // timestamp
+    { num: 2, type: T.uint32 }, // start_time
+    { num: 7, type: T.uint32 }, // total_elapsed_time (scale 1000)
+    { num: 8, type: T.uint32 }, // total_timer_time (scale 1000)
+    { num: 9, type: T.uint32 }, // total_distance (scale 100)
+    { num: 10, type: T.uint32 }, // total_cycles (strides)
+    { num: 11, type: T.uint16 }, // total_calories
+    { num: 14, type: T.uint16 }, // avg_speed (scale 1000)
+    { num: 22, type: T.uint16 }, // total_ascent
+    { num: 25, type: T.uint16 }, // first_lap_index
+    { num: 26, type: T.uint16 }, // num_laps
+    { num: 254, type: T.uint16 }, // message_index
+    { num: 0, type: T.enum }, // event
+    { num: 1, type: T.enum }, // event_type
+    { num: 5, type: T.enum }, // sport
+    { num: 6, type: T.enum }, // sub_sport
+  ])
+  writer.write(LOCAL.session, [
+    toFitTimestamp(endTime),
+    toFitTimestamp(startTime),
+    elapsedMs,
+    totalDurationMs,
+    scaled(totalDistanceM, 100),
+    stepsToCycles(Number.isFinite(totalSteps) && totalSteps > 0 ? totalSteps : null),
+    Number.isFinite(totalCalories) ? totalCalories : null,
+    totalDurationMs > 0 ? (totalDistanceM / (totalDurationMs / 1000)) * 1000 : null,
+    Number.isFinite(Number(record?.elevationGainM)) ? Number(record.elevationGainM) : null,
+    0,
+    laps.length,
+    0,
+    EVENT.session,
+    EVENT_TYPE.stop,
+    sport,
+    0,
+  ])
+
+  writer.define(LOCAL.activity, FIT_MESG.ACTIVITY, [
+    { num: 253, type: T.uint32 }, // timestamp
+    { num: 0, type: T.uint32 }, // total_timer_time (scale 1000)
+    { num: 1, type: T.uint16 }, // num_sessions
+    { num: 2, type: T.enum }, // type (manual)
+    { num: 3, type: T.enum }, // event
+    { num: 4, type: T.enum }, // event_type
+  ])
+  writer.write(LOCAL.activity, [toFitTimestamp(endTime), totalDurationMs, 1, 0, EVENT.activity, EVENT_TYPE.stop])
+
+  return writer.finish()
+}
+
+/**
+ * 기록을 FIT 파일로 내보내기. route가 없는 요약 레코드면 history store에서 다시 읽는다.
+ */
+export const exportRecordAsFit = async (record) => {
+  if (!record) return false
+  let full = record
+  if (!Array.isArray(record.route) && record.id) {
+    full = (await getHistoryEntry(record.id, { withRoute: true })) || record
+  }
+  const bytes = buildFit(full)
+  if (!bytes) return false
+  return saveExportFile({
+    filename: buildExportFilename(full, 'fit'),
+    mimeType: 'application/vnd.ant.fit',
+    data: bytes,
+  })
+}
@@ -0,0 +1,147 @@
+'use client'
+
+/**
+ * 경사 보정 페이스 (GAP, grade-adjusted pace)
+ *
+ * Minetti(2002) 경사별 러닝 에너지 비용 곡선으로 오르막 / 내리막 구간 거리를
+ * "평지에서 같은 힘을 쓴 거리"(equivalent distance)로 바꾼다.
+ * GAP = 시간 / 평지 환산 거리 → 오르막에서는 실제 페이스보다 빠르게 나온다.
+ *
+ * 고도는 elevation.js로 보정된 값(route 포인트의 elevationM)을 쓴다.
+ * Minetti 곡선은 아래로 볼록해서 경사 노이즈가 +/-로 흔들려도 평지 환산 거리는 늘어나기만 한다 (평지 GAP이 빠르게 나옴).
+ * 그래서 경사는 두 점 차이가 아니라 최근 GRADE_FIT_WINDOW_M 구간의 고도 회귀 기울기로 구하고,
+ * 구간이 다 차기 전에는 평지로 보며, GPS 고도면 GPS_MAX_GRADE로 자른다.
+ */
+
+// 평지 비용 (J/kg/m)
+const FLAT_COST = 3.6
+// Minetti 곡선이 측정된 범위 (±45%)
+const MAX_GRADE = 0.45
+// 이 거리마다 경사를 계산해서 평지 환산 거리에 반영
+export const GRADE_WINDOW_M = 20
+// 경사 회귀에 쓰는 최근 거리 (짧으면 고도 흔들림이 그대로 경사가 된다)
+export const GRADE_FIT_WINDOW_M = 100
+// GPS 고도에서 믿을 수 있는 최대 경사
+const GPS_MAX_GRADE = 0.2
+// 현재 GAP 계산에 쓰는 최근 거리
+const RECENT_FACTOR_WINDOW_M = 100
+
+/**
+ * Minetti 경사별 에너지 비용 (J/kg/m)
+ * @param {number} grade - 상승 / 수평 거리 (0.1 = 10%)
+ */
+export const calcMinettiCost = (grade) => {
+  const i = Math.max(-MAX_GRADE, Math.min(MAX_GRADE, Number(grade) || 0))
+  return 155.4 * i ** 5 - 30.4 * i ** 4 - 43.3 * i ** 3 + 46.3 * i ** 2 + 19.5 * i + FLAT_COST
+}
+
+/**
+ * 평지 대비 비용 배율 (1보다 크면 평지보다 힘든 구간)
+ */
+export const resolveGradeFactor = (grade) => calcMinettiCost(grade) / FLAT_COST
+
+/**
+ * 페이스 + 평지 환산 배율 → GAP (ms/km)
+ */
+export const toGradeAdjustedPace = (paceMs, factor) => {
+  if (!Number.isFinite(paceMs) || paceMs <= 0) return null
+  if (!Number.isFinite(factor) || factor <= 0) return paceMs
+  return paceMs / factor
+}
+
+/**
+ * 시간 / 평지 환산 거리 → GAP (ms/km)
+ */
+export const calcGapMs = (durationMs, equivalentDistanceM) => {
+  if (!Number.isFinite(durationMs) || durationMs <= 0) return null
+  if (!Number.isFinite(equivalentDistanceM) || equivalentDistanceM <= 0) return null
+  return durationMs / (equivalentDistanceM / 1000)
+}
+
+/**
+ * 같은 거리를 평지에서 달렸다면 걸렸을 시간 (고스트 비교용)
+ */
+export const adjustElapsedForGrade = (elapsedMs, distanceM, equivalentDistanceM) => {
+  if (!Number.isFinite(elapsedMs)) return null
+  if (!(distanceM > 0) || !(equivalentDistanceM > 0)) return elapsedMs
+  return elapsedMs * (distanceM / equivalentDistanceM)
+}
+
+// 최소제곱 기울기 (고도 / 거리)
+const fitGrade = (points) => {
+  const n = points.length
+  const meanD = points.reduce((sum, p) => sum + p.d, 0) / n
+  const meanE = points.reduce((sum, p) => sum + p.e, 0) / n
+  let cov = 0
+  let varD = 0
+  points.forEach((p) => {
+    cov += (p.d - meanD) * (p.e - meanE)
+    varD += (p.d - meanD) ** 2
+  })
+  return varD > 0 ? cov / varD : 0
+}
+
+/**
+ * 세션 GAP 추적기 (누적 거리 + 보정 고도 샘플)
+ *
+ * @returns {{
+ *   addSample: ({ distanceM: number, elevationM?: number|null, source?: 'barometer'|'gps'|null }) => void,
+ *   getEquivalentDistanceM: () => number,
+ *   getRecentFactor: () => number|null,
+ * }}
+ */
+export const createGapTracker = () => {
+  let anchor = null // 마지막으로 경사를 계산한 지점 { d }
+  let committedM = 0 // anchor까지의 평지 환산 거리
+  let elevations = [] // 경사 회귀용 최근 고도 { d, e }
+  let lastFactor = 1
+  let lastDistanceM = 0
+  const recent = [] // { d, eq }
+
+  const getEquivalentDistanceM = () => (
+    anchor ? committedM + (lastDistanceM - anchor.d) * lastFactor : lastDistanceM
+  )
+
+  // 최근 GRADE_FIT_WINDOW_M 구간 회귀 기울기 (구간이 덜 찼거나 고도가 끊겼으면 평지)
+  const resolveGrade = (source) => {
+    if (elevations.length < 3) return 0
+    if (elevations[elevations.length - 1].d - elevations[0].d < GRADE_FIT_WINDOW_M) return 0
+    const grade = fitGrade(elevations)
+    return source === 'gps' ? Math.max(-GPS_MAX_GRADE, Math.min(GPS_MAX_GRADE, grade)) : grade
+  }
+
+  const addSample = ({ distanceM, elevationM = null, source = null } = {}) => {
+    if (!Number.isFinite(distanceM) || distanceM < lastDistanceM) return
+    lastDistanceM = distanceM
+    if (Number.isFinite(elevationM)) {
+      elevations.push({ d: distanceM, e: elevationM })
+      // 구간 시작점 하나는 남겨서 회귀 구간이 GRADE_FIT_WINDOW_M 이상이 되게 한다
+      while (elevations.length > 2 && distanceM - elevations[1].d >= GRADE_FIT_WINDOW_M) elevations.shift()
+    } else {
+      elevations = []
+    }
+    if (!anchor) {
+      anchor = { d: distanceM }
+      committedM = distanceM
+    } else if (distanceM - anchor.d >= GRADE_WINDOW_M) {
+      const spanM = distanceM - anchor.d
+      lastFactor = resolveGradeFactor(resolveGrade(source))
+      committedM += spanM * lastFactor
+      anchor = { d: distanceM }
+    }
+    recent.push({ d: distanceM, eq: getEquivalentDistanceM() })
+    while (recent.length > 2 && distanceM - recent[1].d >= RECENT_FACTOR_WINDOW_M) recent.shift()
+  }
+
+  // 최근 구간의 평지 환산 배율 (현재 페이스 → 현재 GAP)
+  const getRecentFactor = () => {
+    if (recent.length < 2) return null
+    const first = recent[0]
+    const last = recent[recent.length - 1]
+    const spanM = last.d - first.d
+    if (spanM < GRADE_WINDOW_M) return null
+    return (last.eq - first.eq) / spanM
+  }
+
+  return { addSample, getEquivalentDistanceM, getRecentFactor }
+}
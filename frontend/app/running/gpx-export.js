@@ -0,0 +1,184 @@
+'use client'
+
+/**
+ * GPX 1.1 export for history records.
+ *
+ * - 트랙 1개(<trk>) 안에서 랩 경계마다 <trkseg>를 나눈다
+ * - 각 랩 종료 지점은 <wpt>로도 남겨서 분석 툴에서 바로 보이도록 함
+ */
+
+import { saveExportFile } from '../utils/file-export'
+import { getHistoryEntry } from './history-store'
+
+const GPX_CREATOR = 'Running 530'
+
+export const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+
+export const toIsoTime = (ts) => {
+  const num = Number(ts)
+  if (!Number.isFinite(num) || num <= 0) return null
+  try {
+    return new Date(num).toISOString()
+  } catch {
+    return null
+  }
+}
+
+const formatCoord = (value) => Number(value).toFixed(7)
+
+/**
+ * 유효한 좌표만 남기고 timestamp 순으로 정렬된 route 반환
+ */
+export const getValidRoutePoints = (route) => {
+  if (!Array.isArray(route)) return []
+  return route
+    .filter((point) => point
+      && Number.isFinite(Number(point.latitude))
+      && Number.isFinite(Number(point.longitude)))
+    .slice()
+    .sort((a, b) => (Number(a.timestamp) || 0) - (Number(b.timestamp) || 0))
+}
+
+/**
+ * 랩 종료 시각 기준으로 route를 구간별로 나눈다.
+ * 다음 구간은 이전 구간의 마지막 포인트로 시작해서 구간 사이 거리가 끊기지 않게 한다.
+ *
+ * @returns {Array<{ lap: Object|null, points: Array<Object> }>}
+ */
+export const splitRouteByLaps = (route, laps) => {
+  const points = getValidRoutePoints(route)
+  if (!points.length) return []
+  const lapList = Array.isArray(laps)
+    ? laps.filter((lap) => Number.isFinite(Number(lap?.timestamp)))
+    : []
+  if (!lapList.length) return [{ lap: null, points }]
+
+  const segments = []
+  let cursor = 0
+  lapList.forEach((lap) => {
+    const endTs = Number(lap.timestamp)
+    const segment = []
+    if (segments.length && cursor > 0) segment.push(points[cursor - 1])
+    while (cursor < points.length && (Number(points[cursor].timestamp) || 0) <= endTs) {
+      segment.push(points[cursor])
+      cursor += 1
+    }
+    if (segment.length) segments.push({ lap, points: segment })
+  })
+  if (cursor < points.length) {
+    const tail = cursor > 0 ? [points[cursor - 1]] : []
+    segments.push({ lap: null, points: tail.concat(points.slice(cursor)) })
+  }
+  return segments
+}
+
+const buildTrackPoint = (point, indent) => {
+  const lines = [`${indent}<trkpt lat="${formatCoord(point.latitude)}" lon="${formatCoord(point.longitude)}">`]
+  if (Number.isFinite(Number(point.altitude)) && point.altitude !== null) {
+    lines.push(`${indent}  <ele>${Number(point.altitude).toFixed(1)}</ele>`)
+  }
+  const time = toIsoTime(point.timestamp)
+  if (time) lines.push(`${indent}  <time>${time}</time>`)
+  lines.push(`${indent}</trkpt>`)
+  return lines.join('\n')
+}
+
+const buildLapWaypoint = (lap, point, indent) => {
+  const lines = [`${indent}<wpt lat="${formatCoord(point.latitude)}" lon="${formatCoord(point.longitude)}">`]
+  if (Number.isFinite(Number(point.altitude)) && point.altitude !== null) {
+    lines.push(`${indent}  <ele>${Number(point.altitude).toFixed(1)}</ele>`)
+  }
+  const time = toIsoTime(lap.timestamp ?? point.timestamp)
+  if (time) lines.push(`${indent}  <time>${time}</time>`)
+  lines.push(`${indent}  <name>${escapeXml(`Lap ${lap.index}`)}</name>`)
+  const desc = []
+  if (Number.isFinite(Number(lap.distanceM))) desc.push(`${Math.round(Number(lap.distanceM))} m`)
+  if (Number.isFinite(Number(lap.durationMs))) desc.push(`${Math.round(Number(lap.durationMs) / 1000)} s`)
+  if (desc.length) lines.push(`${indent}  <desc>${escapeXml(desc.join(', '))}</desc>`)
+  lines.push(`${indent}  <type>lap</type>`)
+  lines.push(`${indent}</wpt>`)
+  return lines.join('\n')
+}
+
+const resolveTrackName = (record) => {
+  const startedAt = Number(record?.startedAt ?? record?.timestamp)
+  const label = record?.mode === 'walk' ? 'Walk' : 'Run'
+  const date = toIsoTime(startedAt)
+  return date ? `${label} ${date.slice(0, 10)}` : label
+}
+
+/**
+ * 기록 → GPX 1.1 문자열
+ *
+ * @param {Object} record - history record (route 포함)
+ * @param {Object} [options]
+ * @param {string} [options.name] - track name
+ * @returns {string|null} route가 없으면 null
+ */
+export const buildGpx = (record, { name } = {}) => {
+  const segments = splitRouteByLaps(record?.route, record?.laps)
+  if (!segments.length) return null
+
+  const trackName = name || resolveTrackName(record)
+  const startTime = toIsoTime(record?.startedAt ?? record?.timestamp)
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${GPX_CREATOR}" xmlns="http://www.topografix.com/GPX/1/1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">`,
+    '  <metadata>',
+    `    <name>${escapeXml(trackName)}</name>`,
+    ...(startTime ? [`    <time>${startTime}</time>`] : []),
+    '  </metadata>',
+  ]
+
+  // GPX 1.1 스키마 순서: metadata → wpt → rte → trk
+  segments.forEach(({ lap, points }) => {
+    if (!lap || !points.length) return
+    lines.push(buildLapWaypoint(lap, points[points.length - 1], '  '))
+  })
+
+  lines.push('  <trk>')
+  lines.push(`    <name>${escapeXml(trackName)}</name>`)
+  lines.push(`    <type>${record?.mode === 'walk' ? 'walking' : 'running'}</type>`)
+  segments.forEach(({ points }) => {
+    lines.push('    <trkseg>')
+    points.forEach((point) => lines.push(buildTrackPoint(point, '      ')))
+    lines.push('    </trkseg>')
+  })
+  lines.push('  </trk>')
+  lines.push('</gpx>')
+  return `${lines.join('\n')}\n`
+}
+
+export const buildExportFilename = (record, extension) => {
+  const startedAt = Number(record?.startedAt ?? record?.timestamp)
+  const iso = toIsoTime(startedAt)
+  const stamp = iso ? iso.slice(0, 16).replace(/[-:]/g, '').replace('T', '_') : `${Date.now()}`
+  const label = record?.mode === 'walk' ? 'walk' : 'run'
+  return `running530_${label}_${stamp}.${extension}`
+}
+
+/**
+ * 기록을 GPX 파일로 내보내기. route가 없는 요약 레코드면 history store에서 다시 읽는다.
+ *
+ * @returns {Promise<'shared'|'downloaded'|'cancelled'|false>}
+ */
+export const exportRecordAsGpx = async (record) => {
+  if (!record) return false
+  let full = record
+  if (!Array.isArray(record.route) && record.id) {
+    full = (await getHistoryEntry(record.id, { withRoute: true })) || record
+  }
+  const gpx = buildGpx(full)
+  if (!gpx) return false
+  return saveExportFile({
+    filename: buildExportFilename(full, 'gpx'),
+    mimeType: 'application/gpx+xml',
+    data: gpx,
+    title: resolveTrackName(full),
+  })
+}
@@ -0,0 +1,68 @@
+'use client'
+
+/**
+ * 심박 존 모델
+ *
+ * 프로필의 최대 / 안정 심박으로 5개 존 경계를 만든다.
+ * - 'karvonen': 안정 심박 + 심박 예비량(HRR) × 비율. 안정 심박이 없으면 %최대 심박으로 대체
+ * - 'max': 최대 심박 × 비율
+ * 최대 심박은 profile.resolveMaxHr (입력값 > 나이 기반 추정)를 쓴다.
+ */
+
+import { resolveMaxHr } from './profile'
+
+export const HR_ZONE_METHODS = ['karvonen', 'max']
+export const HR_ZONE_COUNT = 5
+// 존 하한 비율 (Z1 50% ~ Z5 90%), 마지막 값은 Z5 상한
+const ZONE_BOUNDS = [0.5, 0.6, 0.7, 0.8, 0.9, 1]
+
+/**
+ * 프로필 → 존 모델
+ *
+ * @param {Object} profile - profile.js 프로필
+ * @param {'karvonen'|'max'} [method='karvonen']
+ * @returns {{
+ *   method: 'karvonen'|'max',
+ *   maxHr: number,
+ *   restingHr: number|null,
+ *   zones: Array<{ zone: number, minBpm: number, maxBpm: number }>,
+ * }|null} 최대 심박을 알 수 없으면 null
+ */
+export const buildHeartRateZones = (profile, method = 'karvonen') => {
+  const maxHr = resolveMaxHr(profile)
+  if (!Number.isFinite(maxHr)) return null
+  const restingHr = Number.isFinite(profile?.restingHr) && profile.restingHr < maxHr ? profile.restingHr : null
+  const resolvedMethod = method === 'karvonen' && restingHr !== null ? 'karvonen' : 'max'
+  const toBpm = (ratio) => Math.round(
+    resolvedMethod === 'karvonen' ? restingHr + (maxHr - restingHr) * ratio : maxHr * ratio,
+  )
+  const zones = []
+  for (let i = 0; i < HR_ZONE_COUNT; i += 1) {
+    zones.push({ zone: i + 1, minBpm: toBpm(ZONE_BOUNDS[i]), maxBpm: toBpm(ZONE_BOUNDS[i + 1]) })
+  }
+  return { method: resolvedMethod, maxHr, restingHr, zones }
+}
+
+/**
+ * 심박 → 존 번호 (1 ~ 5). Z1 하한보다 낮으면 1, 최대 심박을 넘으면 5
+ */
+export const resolveHeartRateZone = (bpm, model) => {
+  if (!model || !Number.isFinite(bpm)) return null
+  const found = model.zones.find((zone) => bpm < zone.maxBpm)
+  return found ? found.zone : HR_ZONE_COUNT
+}
+
+/**
+ * 목표 존 대비 위치
+ * @param {number} [toleranceBpm=0] - 경계에서 오락가락할 때 알림이 반복되지 않도록 두는 여유
+ * @returns {'low'|'high'|'in'|null}
+ */
+export const compareToHeartRateZone = (bpm, model, targetZone, toleranceBpm = 0) => {
+  const zone = model?.zones?.[targetZone - 1]
+  if (!zone || !Number.isFinite(bpm)) return null
+  if (bpm < zone.minBpm - toleranceBpm) return 'low'
+  if (bpm > zone.maxBpm + toleranceBpm) return 'high'
+  return 'in'
+}
+
+export const createEmptyZoneTimes = () => new Array(HR_ZONE_COUNT).fill(0)
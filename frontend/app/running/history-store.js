@@ -0,0 +1,409 @@
+'use client'
+
+/**
+ * Run history repository backed by IndexedDB.
+ *
+ * - `runs` store: one record per session (route 제외), indexed by startedAt / mode
+ * - `routes` store: GPS route point list per run id (큰 배열은 따로 보관)
+ *
+ * IndexedDB를 쓸 수 없는 환경(SSR, 오래된 WebView)에서는 기존 localStorage 키를
+ * 그대로 사용하는 fallback으로 동작한다.
+ */
+
+export const LEGACY_HISTORY_KEY = 'running_history_v1'
+
+const DB_NAME = 'running530_history'
+const DB_VERSION = 1
+const RUNS_STORE = 'runs'
+const ROUTES_STORE = 'routes'
+export const MIGRATION_FLAG_KEY = 'running_history_idb_migrated_v1'
+
+let dbPromise = null
+let migrationPromise = null
+
+const hasIndexedDB = () => typeof indexedDB !== 'undefined' && indexedDB !== null
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+const promisifyTransaction = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve()
+  tx.onabort = () => reject(tx.error)
+  tx.onerror = () => reject(tx.error)
+})
+
+export const openHistoryDb = () => {
+  if (!hasIndexedDB()) return Promise.resolve(null)
+  if (dbPromise) return dbPromise
+  dbPromise = new Promise((resolve) => {
+    let request
+    try {
+      request = indexedDB.open(DB_NAME, DB_VERSION)
+    } catch (err) {
+      console.warn('[historyStore] indexedDB.open failed', err)
+      resolve(null)
+      return
+    }
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(RUNS_STORE)) {
+        const runs = db.createObjectStore(RUNS_STORE, { keyPath: 'id' })
+        runs.createIndex('startedAt', 'startedAt')
+        runs.createIndex('mode', 'mode')
+        runs.createIndex('mode_startedAt', ['mode', 'startedAt'])
+      }
+      if (!db.objectStoreNames.contains(ROUTES_STORE)) {
+        db.createObjectStore(ROUTES_STORE, { keyPath: 'id' })
+      }
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => {
+      console.warn('[historyStore] failed to open database', request.error)
+      resolve(null)
+    }
+    request.onblocked = () => {
+      console.warn('[historyStore] database open blocked')
+    }
+  })
+  return dbPromise
+}
+
+// ----------------------------------------------------------------------------
+// Record helpers
+// ----------------------------------------------------------------------------
+
+const resolveStartedAt = (entry) => {
+  const ts = Number(entry?.startedAt ?? entry?.timestamp)
+  return Number.isFinite(ts) ? ts : 0
+}
+
+/**
+ * 저장용 레코드 정규화: id/mode/startedAt 보장, route는 분리해서 반환
+ */
+const splitRecord = (record) => {
+  const startedAt = resolveStartedAt(record)
+  const { route, ...rest } = record
+  const routePoints = Array.isArray(route) ? route : []
+  const summary = {
+    ...rest,
+    id: String(record.id || startedAt || Date.now()),
+    mode: record.mode || 'run',
+    startedAt,
+    routePointCount: Array.isArray(route) ? routePoints.length : (Number(rest.routePointCount) || 0),
+  }
+  return { summary, routePoints }
+}
+
+/**
+ * route를 제외한 요약 레코드 (화면 상태/목록용)
+ */
+export const toHistorySummary = (record) => (record ? splitRecord(record).summary : null)
+
+const isSeedEntry = (entry) => {
+  const id = entry?.id || ''
+  return entry?.seed === true || (typeof id === 'string' && id.startsWith('seed_'))
+}
+
+const matchesQuery = (entry, { mode, since, until } = {}) => {
+  if (!entry) return false
+  if (mode && (entry.mode || 'run') !== mode) return false
+  const ts = resolveStartedAt(entry)
+  if (Number.isFinite(since) && ts < since) return false
+  if (Number.isFinite(until) && ts > until) return false
+  return true
+}
+
+const sortByRecent = (list) => list.sort((a, b) => resolveStartedAt(b) - resolveStartedAt(a))
+
+// ----------------------------------------------------------------------------
+// localStorage fallback (IndexedDB 미지원 환경)
+// ----------------------------------------------------------------------------
+
+const readLegacyHistory = () => {
+  if (typeof window === 'undefined') return []
+  try {
+    const raw = localStorage.getItem(LEGACY_HISTORY_KEY)
+    if (!raw) return []
+    const parsed = JSON.parse(raw)
+    return Array.isArray(parsed) ? parsed : []
+  } catch {
+    return []
+  }
+}
+
+const writeLegacyHistory = (list) => {
+  if (typeof window === 'undefined') return
+  try {
+    if (list.length) {
+      localStorage.setItem(LEGACY_HISTORY_KEY, JSON.stringify(list))
+    } else {
+      localStorage.removeItem(LEGACY_HISTORY_KEY)
+    }
+  } catch {}
+}
+
+// ----------------------------------------------------------------------------
+// Migration
+// ----------------------------------------------------------------------------
+
+/**
+ * localStorage(`running_history_v1`)에 남아있는 기록을 IndexedDB로 한 번만 옮긴다.
+ * 테스트용 seed 기록은 이 단계에서 버린다.
+ */
+export const migrateLegacyHistory = () => {
+  if (migrationPromise) return migrationPromise
+  migrationPromise = (async () => {
+    const db = await openHistoryDb()
+    if (!db || typeof window === 'undefined') return 0
+    try {
+      if (localStorage.getItem(MIGRATION_FLAG_KEY) === 'done') return 0
+    } catch {}
+
+    const legacy = readLegacyHistory().filter((entry) => entry && !isSeedEntry(entry))
+    if (legacy.length) {
+      const tx = db.transaction([RUNS_STORE, ROUTES_STORE], 'readwrite')
+      const runs = tx.objectStore(RUNS_STORE)
+      const routes = tx.objectStore(ROUTES_STORE)
+      legacy.forEach((entry) => {
+        const { summary, routePoints } = splitRecord(entry)
+        runs.put(summary)
+        routes.put({ id: summary.id, points: routePoints })
+      })
+      await promisifyTransaction(tx)
+      console.log('[historyStore] Migrated legacy history entries:', legacy.length)
+    }
+
+    try {
+      localStorage.setItem(MIGRATION_FLAG_KEY, 'done')
+      localStorage.removeItem(LEGACY_HISTORY_KEY)
+    } catch {}
+    return legacy.length
+  })().catch((err) => {
+    console.warn('[historyStore] legacy migration failed', err)
+    migrationPromise = null
+    return 0
+  })
+  return migrationPromise
+}
+
+const getReadyDb = async () => {
+  const db = await openHistoryDb()
+  if (db) await migrateLegacyHistory()
+  return db
+}
+
+// ----------------------------------------------------------------------------
+// Public API
+// ----------------------------------------------------------------------------
+
+/**
+ * 기록 목록 조회 (route 미포함, 최신순)
+ *
+ * @param {Object} [query]
+ * @param {string} [query.mode] - 'run' | 'walk'
+ * @param {number} [query.since] - startedAt 하한 (ms)
+ * @param {number} [query.until] - startedAt 상한 (ms)
+ * @returns {Promise<Array<Object>>}
+ */
+export const listHistoryEntries = async (query = {}) => {
+  const db = await getReadyDb()
+  if (!db) {
+    return sortByRecent(
+      readLegacyHistory()
+        .filter((entry) => matchesQuery(entry, query))
+        .map((entry) => splitRecord(entry).summary),
+    )
+  }
+
+  const { mode, since, until } = query
+  const lower = Number.isFinite(since) ? since : -Infinity
+  const upper = Number.isFinite(until) ? until : Infinity
+  const tx = db.transaction(RUNS_STORE, 'readonly')
+  const store = tx.objectStore(RUNS_STORE)
+  let request
+  if (mode) {
+    const range = IDBKeyRange.bound([mode, lower], [mode, upper])
+    request = store.index('mode_startedAt').getAll(range)
+  } else if (Number.isFinite(since) || Number.isFinite(until)) {
+    request = store.index('startedAt').getAll(IDBKeyRange.bound(lower, upper))
+  } else {
+    request = store.getAll()
+  }
+  const rows = await promisifyRequest(request)
+  return sortByRecent(Array.isArray(rows) ? rows : [])
+}
+
+/**
+ * 단일 기록 조회
+ *
+ * @param {string} id
+ * @param {Object} [options]
+ * @param {boolean} [options.withRoute=true] - route 포인트 포함 여부
+ */
+export const getHistoryEntry = async (id, { withRoute = true } = {}) => {
+  if (!id) return null
+  const key = String(id)
+  const db = await getReadyDb()
+  if (!db) {
+    const entry = readLegacyHistory().find((item) => String(item?.id) === key)
+    if (!entry) return null
+    return withRoute ? entry : splitRecord(entry).summary
+  }
+  const tx = db.transaction([RUNS_STORE, ROUTES_STORE], 'readonly')
+  const summaryRequest = tx.objectStore(RUNS_STORE).get(key)
+  const routeRequest = withRoute ? tx.objectStore(ROUTES_STORE).get(key) : null
+  const summary = await promisifyRequest(summaryRequest)
+  if (!summary) return null
+  if (!routeRequest) return summary
+  const routeRow = await promisifyRequest(routeRequest)
+  return { ...summary, route: Array.isArray(routeRow?.points) ? routeRow.points : [] }
+}
+
+export const getHistoryRoute = async (id) => {
+  const entry = await getHistoryEntry(id, { withRoute: true })
+  return Array.isArray(entry?.route) ? entry.route : []
+}
+
+/**
+ * 기록 저장 (동일 id는 덮어쓰기). route는 routes store에 따로 저장된다.
+ *
+ * @returns {Promise<Object>} route를 제외한 저장된 요약 레코드
+ */
+export const saveHistoryEntry = async (record) => {
+  if (!record) return null
+  const { summary, routePoints } = splitRecord(record)
+  const db = await getReadyDb()
+  if (!db) {
+    const list = readLegacyHistory().filter((item) => String(item?.id) !== summary.id)
+    list.unshift({ ...summary, route: routePoints })
+    writeLegacyHistory(sortByRecent(list))
+    return summary
+  }
+  const tx = db.transaction([RUNS_STORE, ROUTES_STORE], 'readwrite')
+  tx.objectStore(RUNS_STORE).put(summary)
+  // 요약만 갱신하는 경우(route 미포함)에는 기존 route를 보존
+  if (Array.isArray(record.route)) {
+    tx.objectStore(ROUTES_STORE).put({ id: summary.id, points: routePoints })
+  }
+  await promisifyTransaction(tx)
+  return summary
+}
+
+export const deleteHistoryEntry = async (id) => {
+  if (!id) return
+  const key = String(id)
+  const db = await getReadyDb()
+  if (!db) {
+    writeLegacyHistory(readLegacyHistory().filter((item) => String(item?.id) !== key))
+    return
+  }
+  const tx = db.transaction([RUNS_STORE, ROUTES_STORE], 'readwrite')
+  tx.objectStore(RUNS_STORE).delete(key)
+  tx.objectStore(ROUTES_STORE).delete(key)
+  await promisifyTransaction(tx)
+}
+
+/**
+ * 전체 기록 + route (백업용)
+ *
+ * @returns {Promise<Array<Object>>} 최신순
+ */
+export const getAllHistoryRecords = async () => {
+  const db = await getReadyDb()
+  if (!db) return sortByRecent(readLegacyHistory().filter(Boolean))
+  const tx = db.transaction([RUNS_STORE, ROUTES_STORE], 'readonly')
+  const runsRequest = tx.objectStore(RUNS_STORE).getAll()
+  const routesRequest = tx.objectStore(ROUTES_STORE).getAll()
+  const [runs, routes] = await Promise.all([promisifyRequest(runsRequest), promisifyRequest(routesRequest)])
+  const routeById = new Map((routes || []).map((row) => [row.id, row.points]))
+  return sortByRecent((runs || []).map((summary) => ({
+    ...summary,
+    route: Array.isArray(routeById.get(summary.id)) ? routeById.get(summary.id) : [],
+  })))
+}
+
+/**
+ * 여러 기록을 한 트랜잭션으로 저장 (복원/일괄 가져오기용)
+ *
+ * @returns {Promise<number>} 저장한 개수
+ */
+export const saveHistoryEntries = async (records) => {
+  const list = (Array.isArray(records) ? records : []).filter(Boolean)
+  if (!list.length) return 0
+  const db = await getReadyDb()
+  if (!db) {
+    const incomingIds = new Set(list.map((record) => splitRecord(record).summary.id))
+    const legacy = readLegacyHistory()
+    // route 없이 요약만 넘어오면 (칼로리 재계산 등) 기존 경로를 유지
+    const routeById = new Map(legacy.map((item) => [String(item?.id), item?.route]))
+    const kept = legacy.filter((item) => !incomingIds.has(String(item?.id)))
+    const merged = kept.concat(list.map((record) => {
+      const { summary, routePoints } = splitRecord(record)
+      const existingRoute = routeById.get(summary.id)
+      const route = Array.isArray(record.route) ? routePoints : (Array.isArray(existingRoute) ? existingRoute : [])
+      return { ...summary, route }
+    }))
+    writeLegacyHistory(sortByRecent(merged))
+    return list.length
+  }
+  const tx = db.transaction([RUNS_STORE, ROUTES_STORE], 'readwrite')
+  const runs = tx.objectStore(RUNS_STORE)
+  const routes = tx.objectStore(ROUTES_STORE)
+  list.forEach((record) => {
+    const { summary, routePoints } = splitRecord(record)
+    runs.put(summary)
+    if (Array.isArray(record.route)) routes.put({ id: summary.id, points: routePoints })
+  })
+  await promisifyTransaction(tx)
+  return list.length
+}
+
+/**
+ * 모든 기록 삭제 (복원 시 replace 모드)
+ */
+export const clearHistoryEntries = async () => {
+  const db = await getReadyDb()
+  if (!db) {
+    writeLegacyHistory([])
+    return
+  }
+  const tx = db.transaction([RUNS_STORE, ROUTES_STORE], 'readwrite')
+  tx.objectStore(RUNS_STORE).clear()
+  tx.objectStore(ROUTES_STORE).clear()
+  await promisifyTransaction(tx)
+}
+
+/**
+ * 기간 내 누적 거리
+ *
+ * @returns {Promise<number>} meters
+ */
+export const sumHistoryDistance = async (query = {}) => {
+  const entries = await listHistoryEntries(query)
+  return entries.reduce((sum, entry) => {
+    const distM = Number(entry?.distanceM)
+    return Number.isFinite(distM) && distM > 0 ? sum + distM : sum
+  }, 0)
+}
+
+/**
+ * 주간(최근 7일)/월간(이번 달) 누적 거리 - 주간/월간 목표 카드 집계용
+ *
+ * @param {Object} [options]
+ * @param {string} [options.mode='run']
+ * @param {Date} [options.now]
+ * @returns {Promise<{ weekTotalM: number, monthTotalM: number }>}
+ */
+export const getGoalPeriodTotals = async ({ mode = 'run', now = new Date() } = {}) => {
+  const weekStart = new Date(now)
+  weekStart.setDate(now.getDate() - 6)
+  const monthStart = new Date(now.getFullYear(), now.getMonth(), 1)
+  const until = now.getTime()
+  const [weekTotalM, monthTotalM] = await Promise.all([
+    sumHistoryDistance({ mode, since: weekStart.getTime(), until }),
+    sumHistoryDistance({ mode, since: monthStart.getTime(), until }),
+  ])
+  return { weekTotalM, monthTotalM }
+}
@@ -0,0 +1,115 @@
+'use client'
+
+/**
+ * 내보내기용 랩 구간 계산 (TCX / FIT 공용)
+ *
+ * record.laps + record.route → 랩별 시작/종료 시각, 거리, 칼로리, 걸음수,
+ * 그리고 누적 거리(cumulativeDistanceM)가 붙은 트랙 포인트 목록
+ */
+
+import { haversineDistanceMeters } from '../utils/distance'
+import { getValidRoutePoints, splitRouteByLaps } from './gpx-export'
+
+const toFiniteOrNull = (value) => {
+  const num = Number(value)
+  return Number.isFinite(num) ? num : null
+}
+
+/**
+ * route 포인트에 누적 거리를 붙인다.
+ * 원시 haversine 합계를 기록 거리(DistanceCalculator 결과)에 맞춰 비례 보정한다.
+ */
+export const withCumulativeDistance = (route, totalDistanceM) => {
+  const points = getValidRoutePoints(route)
+  let raw = 0
+  const rawCumulative = points.map((point, idx) => {
+    if (idx > 0) raw += haversineDistanceMeters(points[idx - 1], point)
+    return raw
+  })
+  const scale = raw > 0 && Number.isFinite(totalDistanceM) && totalDistanceM > 0
+    ? totalDistanceM / raw
+    : 1
+  return points.map((point, idx) => ({ ...point, cumulativeDistanceM: rawCumulative[idx] * scale }))
+}
+
+const resolveTrigger = (lap) => {
+  if (!lap) return 'session_end'
+  if (lap.trigger === 'manual') return 'manual'
+  if (lap.trigger === 'time') return 'time'
+  return 'distance'
+}
+
+/**
+ * @param {Object} record - history record (route 포함)
+ * @returns {Array<{
+ *   index: number,
+ *   trigger: 'distance'|'time'|'manual'|'session_end',
+ *   startTime: number,
+ *   endTime: number,
+ *   durationMs: number,
+ *   distanceM: number,
+ *   calories: number|null,
+ *   steps: number|null,
+ *   points: Array<Object>,
+ * }>}
+ */
+export const buildExportLaps = (record) => {
+  if (!record) return []
+  const totalDistanceM = toFiniteOrNull(record.distanceM) ?? 0
+  const totalDurationMs = toFiniteOrNull(record.durationMs) ?? 0
+  const totalCalories = toFiniteOrNull(record.calories)
+  const totalSteps = toFiniteOrNull(record.steps)
+  const startedAt = toFiniteOrNull(record.startedAt ?? record.timestamp)
+
+  const points = withCumulativeDistance(record.route, totalDistanceM)
+  const segments = splitRouteByLaps(points, record.laps)
+
+  // route가 없으면 기록 요약만으로 랩 하나를 만든다
+  if (!segments.length) {
+    if (!startedAt) return []
+    return [{
+      index: 1,
+      trigger: 'session_end',
+      startTime: startedAt,
+      endTime: startedAt + totalDurationMs,
+      durationMs: totalDurationMs,
+      distanceM: totalDistanceM,
+      calories: totalCalories,
+      steps: totalSteps,
+      points: [],
+    }]
+  }
+
+  return segments.map(({ lap, points: segmentPoints }, idx) => {
+    // 구간 경계 포인트는 이전 랩에 이미 포함되어 있으므로 제외
+    const ownPoints = idx > 0 ? segmentPoints.slice(1) : segmentPoints
+    const first = segmentPoints[0]
+    const last = segmentPoints[segmentPoints.length - 1]
+    const startTime = idx === 0 && startedAt ? startedAt : Number(first.timestamp)
+    const endTime = toFiniteOrNull(lap?.timestamp) ?? Number(last.timestamp)
+    const durationMs = toFiniteOrNull(lap?.durationMs) ?? Math.max(0, endTime - startTime)
+    const distanceM = toFiniteOrNull(lap?.distanceM)
+      ?? Math.max(0, last.cumulativeDistanceM - first.cumulativeDistanceM)
+
+    let calories = toFiniteOrNull(lap?.calories)
+    if (calories === null && totalCalories !== null && totalDurationMs > 0) {
+      calories = totalCalories * (durationMs / totalDurationMs)
+    }
+    let steps = toFiniteOrNull(lap?.steps)
+    if (steps === null && totalSteps !== null && totalSteps > 0 && totalDistanceM > 0) {
+      steps = totalSteps * (distanceM / totalDistanceM)
+    }
+
+    return {
+      index: idx + 1,
+      trigger: resolveTrigger(lap),
+      startTime,
+      endTime,
+      durationMs,
+      distanceM,
+      calories,
+      steps,
+      points: ownPoints,
+    }
+  })
+}
@@ -0,0 +1,151 @@
+'use client'
+
+/**
+ * 자동 랩 설정 (거리 / 시간)
+ *
+ * - lapDistanceM: 이 거리마다 자동 랩 (0 = 끄기). 400m 트랙, 1마일, 직접 입력 값 모두 허용
+ * - lapTimeMs: 이 시간마다 자동 랩 (0 = 끄기). 켜져 있으면 거리 랩 대신 사용
+ * 둘 다 0이면 수동 랩 버튼으로만 구간을 나눈다.
+ */
+
+import {
+  METERS_PER_MILE,
+  formatClock,
+  formatDistanceLabel,
+  formatSpokenDistance,
+  formatSpokenDuration,
+} from '../utils/distance'
+
+export const LAP_DISTANCE_STORAGE_KEY = 'running_lap_distance_m'
+export const LAP_TIME_STORAGE_KEY = 'running_lap_time_ms'
+
+export const DEFAULT_LAP_DISTANCE_M = 1000
+export const MIN_LAP_DISTANCE_M = 100
+export const MAX_LAP_DISTANCE_M = 50000
+export const MIN_LAP_TIME_MS = 30000
+export const MAX_LAP_TIME_MS = 60 * 60000
+
+export const LAP_DISTANCE_PRESETS_M = [400, 500, 1000, METERS_PER_MILE, 2000, 5000]
+export const LAP_TIME_PRESETS_MS = [60000, 3 * 60000, 5 * 60000, 10 * 60000]
+
+/**
+ * 랩 거리 정규화: 0(끄기) 또는 MIN ~ MAX 범위 (1mm 단위, 마일 값 보존)
+ */
+export const normalizeLapDistance = (value, fallback = DEFAULT_LAP_DISTANCE_M) => {
+  const meters = Number(value)
+  if (meters === 0) return 0
+  if (!Number.isFinite(meters) || meters < MIN_LAP_DISTANCE_M || meters > MAX_LAP_DISTANCE_M) return fallback
+  return Math.round(meters * 1000) / 1000
+}
+
+/**
+ * 랩 시간 정규화: 0(끄기) 또는 MIN ~ MAX 범위 (초 단위)
+ */
+export const normalizeLapTime = (value) => {
+  const ms = Number(value)
+  if (!Number.isFinite(ms) || ms <= 0) return 0
+  return Math.round(Math.min(MAX_LAP_TIME_MS, Math.max(MIN_LAP_TIME_MS, ms)) / 1000) * 1000
+}
+
+// 정수 마일 (1609.344m, 3218.688m ...)이면 마일 수, 아니면 null
+const toWholeMiles = (meters) => {
+  const miles = meters / METERS_PER_MILE
+  const rounded = Math.round(miles)
+  return rounded >= 1 && Math.abs(miles - rounded) < 0.001 ? rounded : null
+}
+
+/**
+ * 랩 거리 표시: 400m / 1km / 1.5km / 1 mi
+ */
+export const formatLapDistanceLabel = (meters) => {
+  if (!Number.isFinite(meters) || meters <= 0) return '--'
+  const miles = toWholeMiles(meters)
+  if (miles !== null) return `${miles} mi`
+  if (meters < 1000) return `${Math.round(meters)}m`
+  return `${Number((meters / 1000).toFixed(2))}km`
+}
+
+/**
+ * 랩 목록의 구간 거리: 설정한 랩 단위를 따른다
+ * - 마일 랩 → "1.01 mi", 1km 미만 랩 → "402m", 그 외 → "1.00 km"
+ */
+export const formatLapSplitDistance = (meters, lapDistanceM = null) => {
+  if (!Number.isFinite(meters)) return '--'
+  if (lapDistanceM > 0 && toWholeMiles(lapDistanceM) !== null) {
+    return `${(meters / METERS_PER_MILE).toFixed(2)} mi`
+  }
+  if (lapDistanceM > 0 && lapDistanceM < 1000) return `${Math.round(meters)}m`
+  return formatDistanceLabel(meters, 2)
+}
+
+/**
+ * 음성 안내용 랩 거리: "400 meters" / "1 mile" / "400미터" / "1마일"
+ */
+export const formatSpokenLapDistance = (meters, language = 'en') => {
+  if (!Number.isFinite(meters) || meters <= 0) return null
+  const miles = toWholeMiles(meters)
+  if (miles !== null) {
+    if (language === 'ko') return `${miles}마일`
+    return `${miles} mile${miles === 1 ? '' : 's'}`
+  }
+  if (meters < 1000) {
+    const rounded = Math.round(meters)
+    return language === 'ko' ? `${rounded}미터` : `${rounded} meters`
+  }
+  const km = meters / 1000
+  return formatSpokenDistance(meters, language, Number.isInteger(km) ? 0 : Number.isInteger(km * 10) ? 1 : 2)
+}
+
+/**
+ * 자동 랩 설정 표시 (설정 / 요약 / 기록 공용)
+ * @returns {string|null} 수동 랩만 쓰는 경우 null
+ */
+export const formatLapSettingLabel = ({ lapDistanceM, lapTimeMs } = {}, language = 'en') => {
+  if (lapTimeMs > 0) {
+    const minutes = lapTimeMs / 60000
+    if (Number.isInteger(minutes)) return language === 'ko' ? `${minutes}분마다` : `Every ${minutes} min`
+    const clock = formatClock(lapTimeMs)
+    return language === 'ko' ? `${clock}마다` : `Every ${clock}`
+  }
+  if (lapDistanceM > 0) return formatLapDistanceLabel(lapDistanceM)
+  return null
+}
+
+/**
+ * 랩 완료 알림 제목에 쓰는 지점 표시
+ * - 거리 랩: 누적 거리 (예: "1.2km", "2 mi")
+ * - 시간 랩: 누적 시간 (예: "10:00")
+ * - 수동 랩: null (랩 번호로 표시)
+ */
+export const formatLapMarkLabel = ({ trigger, distanceMarkM, timeMarkMs } = {}) => {
+  if (trigger === 'distance' && Number.isFinite(distanceMarkM)) return formatLapDistanceLabel(distanceMarkM)
+  if (trigger === 'time' && Number.isFinite(timeMarkMs)) {
+    return formatClock(timeMarkMs, { showHours: timeMarkMs >= 3600000 })
+  }
+  return null
+}
+
+/**
+ * 랩 음성 안내에 쓰는 랩 길이 ("400 meters" / "5 minutes")
+ */
+export const formatSpokenLapLength = ({ trigger, lapDistanceM, lapTimeMs } = {}, language = 'en') => {
+  if (trigger === 'time' && lapTimeMs > 0) return formatSpokenDuration(lapTimeMs, language)
+  if (trigger === 'distance' && lapDistanceM > 0) return formatSpokenLapDistance(lapDistanceM, language)
+  return null
+}
+
+/**
+ * 저장된 자동 랩 설정
+ */
+export const readLapSettings = () => {
+  if (typeof window === 'undefined') return { lapDistanceM: DEFAULT_LAP_DISTANCE_M, lapTimeMs: 0 }
+  try {
+    const rawDistance = localStorage.getItem(LAP_DISTANCE_STORAGE_KEY)
+    return {
+      lapDistanceM: rawDistance === null ? DEFAULT_LAP_DISTANCE_M : normalizeLapDistance(rawDistance),
+      lapTimeMs: normalizeLapTime(localStorage.getItem(LAP_TIME_STORAGE_KEY)),
+    }
+  } catch {
+    return { lapDistanceM: DEFAULT_LAP_DISTANCE_M, lapTimeMs: 0 }
+  }
+}
@@ -15,12 +15,12 @@ export const MODE_LABELS = {
 export const MENU_TEXT = {
   heroStats: {
     en: [
-      { label: 'Lap coaching', value: 'Lap voice alerts (500m / 1km)' },
+      { label: 'Lap coaching', value: 'Lap voice alerts (any distance, time or manual)' },
       { label: 'GPS accuracy', value: 'High precision' },
       { label: 'Supported modes', value: 'Run & Walk' },
     ],
     ko: [
-      { label: '랩 안내', value: '500m/1km 음성 안내' },
+      { label: '랩 안내', value: '거리 / 시간 / 수동 랩 음성 안내' },
       { label: 'GPS 정확도', value: '고정밀 추적' },
       { label: '지원 모드', value: '러닝 · 도보' },
     ],
@@ -52,15 +52,24 @@ export const SESSION_TEXT = {
       ready: 'Ready',
       active: 'Active',
       paused: 'Paused',
+      autoPaused: 'Auto-paused',
     },
     stats: {
       elapsed: 'Elapsed',
       distance: 'Distance',
       current: 'Current Pace',
       average: 'Avg Pace',
+      averageGap: 'Avg GAP',
+      heartRate: 'Heart Rate',
+      zone: 'Zone',
+      targetZone: 'Target',
       currentSpeed: 'Current Speed',
       avgSpeed: 'Avg Speed',
       steps: 'Steps',
+      cadence: 'Cadence',
+      stride: 'Stride',
+      metronome: 'Metronome',
+      todaySteps: 'Today',
     },
     controls: {
       title: 'Controls',
@@ -74,6 +83,13 @@ export const SESSION_TEXT = {
       heading: 'Lap Splits',
       empty: 'No laps completed yet.',
       next: 'Next lap distance',
+      current: 'Current lap',
+      lap: 'Lap',
+      autoOff: 'Manual only',
+      nextTime: 'Next lap in',
+      custom: 'Custom distance…',
+      customUnit: 'm',
+      apply: 'Apply',
     },
     setup: {
       title: 'Session Setup',
@@ -86,6 +102,18 @@ export const SESSION_TEXT = {
       screenLockOff: 'Allow sleep',
       language: 'Language',
       lapDistanceLabel: 'Lap distance for voice alerts',
+      units: 'Units',
+      unitsMetric: 'km · m',
+      unitsImperial: 'mi · ft',
+      paceCoachBasis: 'Coach by',
+      paceCoachBasisPace: 'Pace',
+      paceCoachBasisGap: 'Grade-adjusted',
+      hrTargetZone: 'HR zone coaching',
+      hrTargetZoneOff: 'Off',
+      metronome: 'Metronome',
+      metronomeOff: 'Off',
+      metronomeAdaptive: 'Adaptive tempo',
+      stepGoal: 'Daily step goal',
       startPrefix: 'Start',
       startSuffix: '',
       preparing: 'Preparing...',
@@ -98,6 +126,51 @@ export const SESSION_TEXT = {
       none: 'No goal set',
       reached: 'Goal reached',
     },
+    workout: {
+      title: 'Interval workout',
+      repeats: 'Repeats',
+      paceRange: 'Pace range',
+      paceOff: 'No pace',
+      steps: {
+        warmup: 'Warm-up',
+        work: 'Work',
+        recovery: 'Recovery',
+        cooldown: 'Cool-down',
+      },
+      end: {
+        distance: 'Dist',
+        time: 'Time',
+        lap: 'Lap',
+      },
+      nextStep: 'Next step',
+      lapHint: 'Press Lap when done',
+      complete: 'Workout complete',
+      results: 'Workout Steps',
+      inRange: 'On target',
+      outOfRange: 'Off target',
+    },
+    profile: {
+      title: 'Profile',
+      hint: 'Used for calorie and effort estimates',
+      weight: 'Weight',
+      height: 'Height',
+      age: 'Age',
+      sex: 'Sex',
+      female: 'Female',
+      male: 'Male',
+      restingHr: 'Resting HR',
+      maxHr: 'Max HR',
+      maxHrEstimated: 'Max HR is estimated from age when left blank.',
+      zoneMethod: 'HR zones',
+      zoneMethodKarvonen: 'Karvonen',
+      zoneMethodMax: '% Max HR',
+      zoneMethodNeedsResting: 'Karvonen zones need a resting HR. Using % of max HR for now.',
+      zonesUnavailable: 'Enter your age or max HR to use heart rate zones.',
+      save: 'Save',
+      recalculate: 'Recalculate past runs',
+      recalculating: 'Recalculating...',
+      recalculated: 'Runs updated:',
+    },
     history: {
       title: 'Recent Sessions',
       subtitle: 'History',
@@ -121,17 +194,60 @@ export const SESSION_TEXT = {
       historyFail: 'Ghost missed',
       challengeButton: 'Challenge',
     },
+    export: {
+      title: 'Export',
+      gpx: 'GPX',
+      tcx: 'TCX',
+      fit: 'FIT',
+      exporting: 'Exporting...',
+      noRoute: 'No GPS route to export.',
+      failed: 'Export failed.',
+    },
+    import: {
+      button: 'Import GPX/TCX',
+      importing: 'Importing...',
+      success: 'Run imported.',
+      noPoints: 'No GPS track found in this file.',
+      noTimestamps: 'This track has no timestamps, so pace cannot be rebuilt.',
+      unsupported: 'Only GPX and TCX files are supported.',
+      failed: 'Import failed.',
+    },
+    backup: {
+      json: 'Backup',
+      csv: 'CSV',
+      restore: 'Restore',
+      restorePrompt: 'Restore this backup?',
+      runsLabel: 'runs',
+      merge: 'Merge',
+      replace: 'Replace all',
+      cancel: 'Cancel',
+      working: 'Working...',
+      restored: 'Backup restored. Reloading...',
+      invalid: 'Not a valid backup file.',
+      newer: 'This backup was made by a newer app version.',
+      failed: 'Backup failed.',
+    },
     summary: {
       totalTime: 'Total Time',
+      movingTime: 'Moving Time',
       distance: 'Distance',
       avgPace: 'Avg Pace',
+      paceBasis: 'Avg pace from',
+      paceBasisElapsed: 'Elapsed',
+      paceBasisMoving: 'Moving',
       laps: 'Laps',
       lapList: 'Lap Summary',
       steps: 'Steps',
       calories: 'Calories',
       cadence: 'Cadence',
       stride: 'Stride',
+      todaySteps: 'Steps Today',
       elevation: 'Elevation Gain',
+      elevationLoss: 'Elevation Loss',
+      gap: 'Grade-Adjusted Pace',
+      avgHeartRate: 'Avg Heart Rate',
+      maxHeartRate: 'Max Heart Rate',
+      hrZones: 'Time in Zones',
       intensity: 'Intensity',
       goalProgress: 'Goal Progress',
     },
@@ -146,15 +262,24 @@ export const SESSION_TEXT = {
       ready: '대기 중',
       active: '진행 중',
       paused: '일시정지',
+      autoPaused: '자동 일시정지',
     },
     stats: {
       elapsed: '경과 시간',
       distance: '총 거리',
       current: '현재 페이스',
       average: '평균 페이스',
+      averageGap: '평균 경사 보정',
+      heartRate: '심박',
+      zone: '존',
+      targetZone: '목표',
       currentSpeed: '현재 속도',
       avgSpeed: '평균 속도',
       steps: '걸음수',
+      cadence: '케이던스',
+      stride: '스트라이드',
+      metronome: '메트로놈',
+      todaySteps: '오늘 걸음',
     },
     controls: {
       title: '컨트롤',
@@ -168,6 +293,13 @@ export const SESSION_TEXT = {
       heading: '구간 랩',
       empty: '아직 랩 기록이 없습니다.',
       next: '다음 랩까지 남은 거리',
+      current: '현재 랩',
+      lap: '랩',
+      autoOff: '수동 랩만',
+      nextTime: '다음 랩까지 남은 시간',
+      custom: '거리 직접 입력…',
+      customUnit: 'm',
+      apply: '적용',
     },
     setup: {
       title: '세션 설정',
@@ -180,6 +312,18 @@ export const SESSION_TEXT = {
       screenLockOff: '자동 꺼짐 허용',
       language: '언어',
       lapDistanceLabel: '음성 안내 거리',
+      units: '단위',
+      unitsMetric: 'km · m',
+      unitsImperial: '마일 · 피트',
+      paceCoachBasis: '코칭 기준',
+      paceCoachBasisPace: '실제 페이스',
+      paceCoachBasisGap: '경사 보정',
+      hrTargetZone: '심박 존 코칭',
+      hrTargetZoneOff: '끔',
+      metronome: '메트로놈',
+      metronomeOff: '끔',
+      metronomeAdaptive: '적응형 템포',
+      stepGoal: '하루 걸음 목표',
       startPrefix: '',
       startSuffix: ' 시작하기',
       preparing: '시작 준비 중...',
@@ -192,6 +336,51 @@ export const SESSION_TEXT = {
       none: '설정된 목표 없음',
       reached: '목표 달성',
     },
+    workout: {
+      title: '인터벌 워크아웃',
+      repeats: '반복',
+      paceRange: '페이스 범위',
+      paceOff: '페이스 없음',
+      steps: {
+        warmup: '워밍업',
+        work: '인터벌',
+        recovery: '회복',
+        cooldown: '쿨다운',
+      },
+      end: {
+        distance: '거리',
+        time: '시간',
+        lap: '랩',
+      },
+      nextStep: '다음 스텝',
+      lapHint: '끝나면 랩 버튼을 누르세요',
+      complete: '워크아웃 완료',
+      results: '워크아웃 스텝',
+      inRange: '목표 범위',
+      outOfRange: '범위 밖',
+    },
+    profile: {
+      title: '프로필',
+      hint: '칼로리 / 운동 강도 추정에 사용',
+      weight: '체중',
+      height: '키',
+      age: '나이',
+      sex: '성별',
+      female: '여성',
+      male: '남성',
+      restingHr: '안정 심박',
+      maxHr: '최대 심박',
+      maxHrEstimated: '최대 심박을 비워두면 나이로 추정합니다.',
+      zoneMethod: '심박 존',
+      zoneMethodKarvonen: '카르보넨',
+      zoneMethodMax: '최대 심박 %',
+      zoneMethodNeedsResting: '카르보넨 존은 안정 심박이 필요합니다. 지금은 최대 심박 %로 계산합니다.',
+      zonesUnavailable: '심박 존을 쓰려면 나이나 최대 심박을 입력하세요.',
+      save: '저장',
+      recalculate: '지난 기록 다시 계산',
+      recalculating: '계산 중...',
+      recalculated: '업데이트한 기록:',
+    },
     history: {
       title: '최근 기록',
       subtitle: '히스토리',
@@ -215,17 +404,60 @@ export const SESSION_TEXT = {
       historyFail: '도전 실패',
       challengeButton: '이 기록에 도전',
     },
+    export: {
+      title: '내보내기',
+      gpx: 'GPX',
+      tcx: 'TCX',
+      fit: 'FIT',
+      exporting: '내보내는 중...',
+      noRoute: '내보낼 GPS 경로가 없어요.',
+      failed: '내보내기에 실패했어요.',
+    },
+    import: {
+      button: 'GPX/TCX 가져오기',
+      importing: '가져오는 중...',
+      success: '기록을 가져왔어요.',
+      noPoints: '파일에서 GPS 트랙을 찾지 못했어요.',
+      noTimestamps: '시간 정보가 없는 트랙이라 페이스를 계산할 수 없어요.',
+      unsupported: 'GPX, TCX 파일만 가져올 수 있어요.',
+      failed: '가져오기에 실패했어요.',
+    },
+    backup: {
+      json: '백업',
+      csv: 'CSV',
+      restore: '복원',
+      restorePrompt: '이 백업을 복원할까요?',
+      runsLabel: '개 기록',
+      merge: '합치기',
+      replace: '전체 교체',
+      cancel: '취소',
+      working: '처리 중...',
+      restored: '복원했어요. 다시 불러옵니다...',
+      invalid: '올바른 백업 파일이 아니에요.',
+      newer: '더 새로운 앱 버전에서 만든 백업이에요.',
+      failed: '백업 작업에 실패했어요.',
+    },
     summary: {
       totalTime: '총 시간',
+      movingTime: '이동 시간',
       distance: '총 거리',
       avgPace: '평균 페이스',
+      paceBasis: '평균 페이스 기준',
+      paceBasisElapsed: '경과 시간',
+      paceBasisMoving: '이동 시간',
       laps: '구간 랩',
       lapList: '랩 요약',
       steps: '걸음수',
       calories: '칼로리',
       cadence: '케이던스',
       stride: '스트라이드',
+      todaySteps: '오늘 걸음',
       elevation: '고도 상승',
+      elevationLoss: '고도 하강',
+      gap: '경사 보정 페이스',
+      avgHeartRate: '평균 심박',
+      maxHeartRate: '최대 심박',
+      hrZones: '존별 시간',
       intensity: '강도',
       goalProgress: '목표 달성률',
     },
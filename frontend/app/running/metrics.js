@@ -6,6 +6,9 @@
  */
 
 import { haversineDistanceMeters } from '../utils/distance'
+import { calcCalories as estimateCalories } from './energy'
+import { createElevationTracker } from './elevation'
+import { createEmptyZoneTimes, resolveHeartRateZone } from './heart-rate-zones'
 
 // 기본 상수
 const MIN_DISTANCE_DELTA_M = 0.5       // GPS 흔들림 보정: 기본 최소 이동거리
@@ -14,15 +17,23 @@ const MAX_DISTANCE_THRESHOLD_M = 10    // 정확도 스케일링 상한 (고정
 const MAX_DISTANCE_ACCURACY_M = 1200   // 이보다 크면 샘플 자체를 버림(완전 손상된 데이터)
 const SPEED_WINDOW_MS = 10000     // 현재 속도 추정 윈도우 (10초)
 const CADENCE_WINDOW_MS = 20000   // 케이던스 계산 윈도우 (20초)
-const DEFAULT_WEIGHT_KG = 65
 
 // 가속도 기반 걸음 검출 보정 (센서 없음 전용)
 const ACCEL_STEP_THRESHOLD_G = 1.28 // 피크 임계값 (g 단위) - 과검출 방지
 const ACCEL_MIN_GAP_MS = 380        // 피크 간 최소 간격 (짧은 흔들림 무시)
+// 러닝: 착지 충격이 커서 임계값을 올리고, 케이던스가 높아(최대 ~220 spm) 피크 간격은 줄인다
+const RUN_ACCEL_STEP_THRESHOLD_G = 2.1
+const RUN_ACCEL_MIN_GAP_MS = 270
 const ACCEL_MOTION_WINDOW_MS = 1200 // 최근 동작 에너지 확인 윈도우
-const ACCEL_MOTION_RMS_FLOOR = 0.35 // 윈도우 RMS가 이보다 낮으면 정지로 간주
+export const ACCEL_MOTION_RMS_FLOOR = 0.35 // 윈도우 RMS가 이보다 낮으면 정지로 간주
+const ACCEL_MOTION_STALE_MS = 3000  // 가속도 이벤트가 이보다 오래 끊기면 motionRms = null
 const ACCEL_LPF_ALPHA = 0.08        // LPF 알파 (낮을수록 부드럽게)
 const STEP_SENSOR_STALE_MS = 5000   // 센서 이벤트가 끊겼다고 보는 임계값
+const MOVING_SPEED_MPS = 0.5        // 이동 시간 판정: 이보다 느리면 정지 구간
+const MIN_AVG_PACE_DISTANCE_M = 100 // 평균 페이스를 계산하는 최소 거리
+const HEART_RATE_STALE_MS = 10000   // 심박 이벤트가 이보다 오래 끊기면 그 사이 시간은 집계하지 않음
+const MIN_HEART_RATE_BPM = 30       // 이 범위를 벗어난 심박은 센서 오류로 버림
+const MAX_HEART_RATE_BPM = 240
 
 // ----------------------------------------------------------------------------
 // 보조 함수
@@ -36,6 +47,48 @@ export const computeElapsedTime = (now, sessionStartTime, pausedIntervals = [])
   return Math.max(0, now - sessionStartTime - pausedMs)
 }
 
+// [start, end] 구간 중 일시정지 구간과 겹치는 시간
+const computePausedOverlap = (start, end, pausedIntervals = []) => (pausedIntervals || []).reduce((sum, it) => {
+  if (!it || !it.start) return sum
+  const pauseEnd = it.end || end
+  return sum + Math.max(0, Math.min(end, pauseEnd) - Math.max(start, it.start))
+}, 0)
+
+/**
+ * 평균 페이스 (ms/km)
+ * @returns {number|null} 거리 100m 미만이거나 시간이 없으면 null
+ */
+export const computeAvgPaceMs = (distanceM, durationMs) => {
+  if (!Number.isFinite(distanceM) || distanceM < MIN_AVG_PACE_DISTANCE_M) return null
+  if (!Number.isFinite(durationMs) || durationMs <= 0) return null
+  return durationMs / (distanceM / 1000)
+}
+
+/**
+ * 기록에서 평균 페이스 기준 시간 선택
+ * - 'moving': movingTimeMs (없는 예전 기록은 경과 시간으로 대체)
+ * - 'elapsed': elapsedMs ?? durationMs
+ */
+export const resolveRecordDurationMs = (record, basis = 'elapsed') => {
+  const elapsed = Number(record?.elapsedMs ?? record?.durationMs ?? record?.duration)
+  const moving = Number(record?.movingTimeMs)
+  if (basis === 'moving' && record?.movingTimeMs !== null && record?.movingTimeMs !== undefined && Number.isFinite(moving)) {
+    return moving
+  }
+  return Number.isFinite(elapsed) ? elapsed : null
+}
+
+/**
+ * 기록의 평균 페이스 (ms/km) - basis에 맞는 시간으로 다시 계산
+ */
+export const resolveRecordPaceMs = (record, basis = 'elapsed') => {
+  const distanceM = Number(record?.distanceM ?? record?.distance)
+  const paceMs = computeAvgPaceMs(distanceM, resolveRecordDurationMs(record, basis))
+  if (paceMs !== null) return paceMs
+  const stored = Number(record?.avgPaceMs)
+  return basis === 'elapsed' && Number.isFinite(stored) && stored > 0 ? stored : null
+}
+
 const hasValidLocation = (sample) =>
   Number.isFinite(sample?.latitude) && Number.isFinite(sample?.longitude)
 
@@ -57,35 +110,84 @@ const computeStepsFromCounter = (rawStepsNow, startValue) => {
   return diff >= 0 ? diff : 0
 }
 
-const createAccelStepDetector = (onDebug) => {
-  let lastMagnitude = 0
+// 최근 동작 에너지: LPF로 중력 성분을 뺀 high-pass 값의 윈도우 RMS
+// 걸음 검출(동작 중일 때만 피크 인정)과 자동 일시정지(정지 판정)에서 같이 쓴다.
+const createMotionEnergyWindow = () => {
   let lp = 0
-  let lastStepTs = 0
-  let steps = 0
+  let lastTs = 0
   const motionWindow = [] // {ts, high}
 
-  const addSample = (ts, ax, ay, az) => {
-    if (![ax, ay, az].every(Number.isFinite)) return steps
+  const add = (ts, ax, ay, az) => {
     const mag = Math.sqrt(ax * ax + ay * ay + az * az)
     lp = ACCEL_LPF_ALPHA * mag + (1 - ACCEL_LPF_ALPHA) * lp
     const high = mag - lp
-    const now = ts || Date.now()
-    const gap = now - lastStepTs
+    lastTs = ts
 
-    // 최근 동작 에너지 기록
-    motionWindow.push({ ts: now, high })
-    while (motionWindow.length && now - motionWindow[0].ts > ACCEL_MOTION_WINDOW_MS) motionWindow.shift()
-    const rms = (() => {
-      if (!motionWindow.length) return 0
-      const sumSq = motionWindow.reduce((sum, it) => sum + (it.high * it.high), 0)
-      return Math.sqrt(sumSq / motionWindow.length)
-    })()
+    motionWindow.push({ ts, high })
+    while (motionWindow.length && ts - motionWindow[0].ts > ACCEL_MOTION_WINDOW_MS) motionWindow.shift()
+    return { mag, high, rms: getRms() }
+  }
+
+  const getRms = (now) => {
+    if (!motionWindow.length) return null
+    if (Number.isFinite(now) && now - lastTs > ACCEL_MOTION_STALE_MS) return null
+    const sumSq = motionWindow.reduce((sum, it) => sum + (it.high * it.high), 0)
+    return Math.sqrt(sumSq / motionWindow.length)
+  }
+
+  return { add, getRms }
+}
+
+// 심박: 직전 값이 다음 샘플까지 유지됐다고 보고 시간 가중 평균 / 존별 시간 누적
+// (일시정지 구간과 센서가 끊긴 구간은 빼고)
+const createHeartRateAccumulator = (zoneModel, pausedIntervals) => {
+  let last = null // { ts, bpm }
+  let maxBpm = null
+  let beats = 0 // bpm × 분 = 심장 박동 수
+  let timeMs = 0
+  const zoneTimeMs = createEmptyZoneTimes()
+
+  const add = (ts, bpm) => {
+    if (last && ts > last.ts && ts - last.ts <= HEART_RATE_STALE_MS) {
+      const activeMs = Math.max(0, ts - last.ts - computePausedOverlap(last.ts, ts, pausedIntervals))
+      beats += last.bpm * (activeMs / 60000)
+      timeMs += activeMs
+      const zone = resolveHeartRateZone(last.bpm, zoneModel)
+      if (zone) zoneTimeMs[zone - 1] += activeMs
+    }
+    last = { ts, bpm }
+    maxBpm = maxBpm === null ? bpm : Math.max(maxBpm, bpm)
+  }
+
+  const getSnapshot = (now) => {
+    const current = last && (!Number.isFinite(now) || now - last.ts <= HEART_RATE_STALE_MS) ? last.bpm : null
+    return {
+      heartRate: current,
+      heartRateZone: resolveHeartRateZone(current, zoneModel),
+      avgHeartRate: timeMs > 0 ? beats / (timeMs / 60000) : null,
+      maxHeartRate: maxBpm,
+      heartBeats: beats,
+      heartRateTimeMs: timeMs,
+      hrZoneTimeMs: zoneModel ? [...zoneTimeMs] : null,
+    }
+  }
+
+  return { add, getSnapshot }
+}
+
+const createAccelStepDetector = (onDebug, { thresholdG = ACCEL_STEP_THRESHOLD_G, minGapMs = ACCEL_MIN_GAP_MS } = {}) => {
+  let lastMagnitude = 0
+  let lastStepTs = 0
+  let steps = 0
+
+  const addSample = (now, { high, rms }, ax, ay, az) => {
+    const gap = now - lastStepTs
 
     // 피크 검출: 상승→하강 && threshold 초과 && 최소 간격 && 동작 에너지 충족
     if (
       lastMagnitude > high &&
-      lastMagnitude > ACCEL_STEP_THRESHOLD_G &&
-      gap >= ACCEL_MIN_GAP_MS &&
+      lastMagnitude > thresholdG &&
+      gap >= minGapMs &&
       rms >= ACCEL_MOTION_RMS_FLOOR
     ) {
       steps += 1
@@ -115,7 +217,8 @@ const createAccelStepDetector = (onDebug) => {
 export const createMetricsAccumulator = (params) => {
   const {
     mode = 'running',
-    userWeightKg = DEFAULT_WEIGHT_KG,
+    profile = null, // profile.js 프로필 (칼로리 추정용)
+    heartRateZones = null, // heart-rate-zones.js 존 모델 (없으면 존별 시간은 null)
     userStepGoal = 10000,
     sessionStartTime = Date.now(),
     pausedIntervals = [],
@@ -127,10 +230,16 @@ export const createMetricsAccumulator = (params) => {
   const locationSamples = [] // 위치 기반 샘플만 저장 (가속도 이벤트는 제외)
   const stepWindow = [] // {ts, steps}
   const speedWindow = [] // {ts, distance}
-  const accelDetector = createAccelStepDetector(onDebug)
+  const accelDetector = createAccelStepDetector(onDebug, mode === 'running'
+    ? { thresholdG: RUN_ACCEL_STEP_THRESHOLD_G, minGapMs: RUN_ACCEL_MIN_GAP_MS }
+    : undefined)
+  const motionEnergy = createMotionEnergyWindow()
+
+  const elevation = createElevationTracker()
+  const heartRate = createHeartRateAccumulator(heartRateZones, pausedIntervals)
 
   let totalDistanceM = 0
-  let elevationGainM = 0
+  let movingTimeAccumMs = 0
   let sessionSteps = 0
   let lastLocationSample = null
   let stepCounterStart = Number.isFinite(stepCounterAtStart) ? stepCounterAtStart : null
@@ -167,17 +276,21 @@ export const createMetricsAccumulator = (params) => {
         speedWindow.push({ ts: timestamp, distance: totalDistanceM })
         if (speedWindow.length > 120) speedWindow.shift()
       }
-      if (
-        altitude !== null &&
-        Number.isFinite(altitude) &&
-        lastLocationSample.altitude !== undefined &&
-        lastLocationSample.altitude !== null
-      ) {
-        const deltaAlt = altitude - lastLocationSample.altitude
-        if (deltaAlt > 1) elevationGainM += deltaAlt
+
+      // 이동 시간: 직전 샘플 이후 구간이 이동 중이었으면 (일시정지 구간 제외) 누적
+      const segmentStart = lastLocationSample.timestamp
+      const segmentMs = timestamp - segmentStart
+      if (segmentMs > 0) {
+        const activeMs = Math.max(0, segmentMs - computePausedOverlap(segmentStart, timestamp, pausedIntervals))
+        if (activeMs > 0 && isMovingSegment(sample, dist, activeMs)) movingTimeAccumMs += activeMs
       }
     }
     if (locationUsable) {
+      // 고도: 기압계 값(sample.baroAltitude)이 있으면 우선, 없으면 GPS (elevation.js)
+      elevation.addSample({
+        gpsAltitude: altitude,
+        baroAltitude: Number.isFinite(sample.baroAltitude) ? sample.baroAltitude : null,
+      })
       lastLocationSample = {
         ...sample,
         timestamp,
@@ -187,6 +300,12 @@ export const createMetricsAccumulator = (params) => {
       if (locationSamples.length > 200) locationSamples.shift()
     }
 
+    // 심박: 위치와 별개로 들어오는 채널 (BLE 스트랩 / 워치 / replay 등 어떤 소스든 sample.heartRate로)
+    const bpm = Number(sample.heartRate)
+    if (sample.heartRate !== null && sample.heartRate !== undefined && bpm >= MIN_HEART_RATE_BPM && bpm <= MAX_HEART_RATE_BPM) {
+      heartRate.add(timestamp, bpm)
+    }
+
     // 스텝 카운터 우선 (초기값 자동 설정)
     let stepsNow = null
     if (Number.isFinite(sample.stepCounter)) {
@@ -211,10 +330,12 @@ export const createMetricsAccumulator = (params) => {
       }
     }
 
-    const accelAllowed = mode === 'walking' && enableAccelFallback && (!stepSensorActive || sensorStale)
-    if (accelAllowed) {
+    const hasAccel = [sample.accelX, sample.accelY, sample.accelZ].every(Number.isFinite)
+    const motion = hasAccel ? motionEnergy.add(timestamp, sample.accelX, sample.accelY, sample.accelZ) : null
+    const accelAllowed = enableAccelFallback && (!stepSensorActive || sensorStale)
+    if (accelAllowed && motion) {
       // 가속도 기반 백업 (센서가 없거나 끊긴 경우)
-      const s = accelDetector.addSample(timestamp, sample.accelX, sample.accelY, sample.accelZ)
+      const s = accelDetector.addSample(timestamp, motion, sample.accelX, sample.accelY, sample.accelZ)
       sessionSteps = Math.max(sessionSteps, s)
       if (onDebug) {
         onDebug({
@@ -237,6 +358,13 @@ export const createMetricsAccumulator = (params) => {
     return getSnapshot()
   }
 
+  // sample.moving (DistanceCalculator 판정) > native speed > 구간 평균 속도 순으로 판단
+  const isMovingSegment = (sample, dist, activeMs) => {
+    if (typeof sample.moving === 'boolean') return sample.moving
+    if (Number.isFinite(sample.speed) && sample.speed >= 0) return sample.speed >= MOVING_SPEED_MPS
+    return dist / (activeMs / 1000) >= MOVING_SPEED_MPS
+  }
+
   const calcCurrentSpeed = (nowTs) => {
     // 1) native speed
     const latest = locationSamples[locationSamples.length - 1] || lastLocationSample
@@ -261,9 +389,9 @@ export const createMetricsAccumulator = (params) => {
     return (distDelta / timeDelta) * 3.6
   }
 
-  const calcAvgSpeed = (movingTimeSeconds) => {
-    if (movingTimeSeconds <= 0 || totalDistanceM <= 0) return null
-    return (totalDistanceM / movingTimeSeconds) * 3.6
+  const calcAvgSpeed = (durationSeconds) => {
+    if (durationSeconds <= 0 || totalDistanceM <= 0) return null
+    return (totalDistanceM / durationSeconds) * 3.6
   }
 
   const calcPace = (speedKmh) => {
@@ -271,10 +399,10 @@ export const createMetricsAccumulator = (params) => {
     return 60 / speedKmh
   }
 
-  const calcAvgPace = (movingTimeSeconds) => {
-    if (totalDistanceM < 100 || movingTimeSeconds <= 0) return null
+  const calcAvgPace = (durationSeconds) => {
+    if (totalDistanceM < MIN_AVG_PACE_DISTANCE_M || durationSeconds <= 0) return null
     const km = totalDistanceM / 1000
-    return (movingTimeSeconds / 60) / km
+    return (durationSeconds / 60) / km
   }
 
   const calcCadence = () => {
@@ -287,24 +415,9 @@ export const createMetricsAccumulator = (params) => {
     return stepsDelta / timeDeltaMin
   }
 
-  const calcCalories = (distance, durationMs) => {
-    if (!Number.isFinite(distance) || distance <= 0 || !Number.isFinite(durationMs) || durationMs <= 0) return 0
-    const speedKmh = (distance / 1000) / (durationMs / 3600000)
-    let met
-    if (mode === 'walking') {
-      if (speedKmh < 3) met = 2.0
-      else if (speedKmh < 4.5) met = 2.8
-      else if (speedKmh < 5.5) met = 3.5
-      else met = 4.3
-    } else {
-      if (speedKmh < 7) met = 5.0
-      else if (speedKmh < 9) met = 7.0
-      else if (speedKmh < 11) met = 9.0
-      else met = 11.0
-    }
-    const minutes = durationMs / 60000
-    return met * 3.5 * userWeightKg / 200 * minutes
-  }
+  const calcCalories = (distance, durationMs) => (
+    estimateCalories({ distanceM: distance, durationMs, mode, profile }) ?? 0
+  )
 
   const calcIntensity = (speedKmh) => {
     if (!speedKmh || speedKmh <= 0) return null
@@ -316,39 +429,53 @@ export const createMetricsAccumulator = (params) => {
 
   const getSnapshot = (now = Date.now(), pausedOverride) => {
     const elapsedMs = computeElapsedTime(now, sessionStartTime, pausedOverride || pausedIntervals)
-    // 이동 시간: 일시정지 제외, 정지 주행 제외 등 추가 규칙이 있으면 확장
-    const movingTimeMs = elapsedMs
-    const movingTimeSec = movingTimeMs / 1000
+    // 이동 시간: 일시정지 + 정지 구간(신호 대기 등) 제외
+    const movingTimeMs = Math.min(elapsedMs, movingTimeAccumMs)
 
     const currentSpeedKmh = calcCurrentSpeed(now)
-    const avgSpeedKmh = calcAvgSpeed(movingTimeSec)
+    const avgSpeedKmh = calcAvgSpeed(elapsedMs / 1000)
     const currentPace = calcPace(currentSpeedKmh)
-    const avgPace = calcAvgPace(movingTimeSec)
-    const cadenceSpm = mode === 'walking' ? calcCadence() : null
-    const strideLength = mode === 'walking' && sessionSteps > 0 ? totalDistanceM / sessionSteps : null
+    const avgPace = calcAvgPace(elapsedMs / 1000)
+    const movingAvgPace = calcAvgPace(movingTimeMs / 1000)
+    // 케이던스 / 보폭: 걸음 소스(스텝 카운터 또는 가속도)가 있을 때만 값이 생긴다
+    const cadenceSpm = calcCadence()
+    const strideLength = sessionSteps > 0 && totalDistanceM > 0 ? totalDistanceM / sessionSteps : null
+    const sensorLive = stepSensorActive && !(lastSensorUpdateTs && now - lastSensorUpdateTs > STEP_SENSOR_STALE_MS)
+    const stepSource = sensorLive ? 'sensor' : (sessionSteps > 0 ? 'accel' : null)
     const goalProgress = mode === 'walking' && userStepGoal > 0
       ? (sessionSteps / userStepGoal) * 100
       : null
 
     const calories = calcCalories(totalDistanceM, elapsedMs)
     const intensity = calcIntensity(avgSpeedKmh || currentSpeedKmh)
+    const elevationSnap = elevation.getSnapshot()
+    const heartRateSnap = heartRate.getSnapshot(now)
 
     return {
       elapsedMs,
       movingTimeMs,
       distanceM: totalDistanceM,
       distanceKm: totalDistanceM / 1000,
-      elevationGainM,
+      elevationGainM: elevationSnap.gainM,
+      elevationLossM: elevationSnap.lossM,
+      elevationMaxM: elevationSnap.maxM,
+      elevationMinM: elevationSnap.minM,
+      altitudeM: elevationSnap.altitudeM,
+      altitudeSource: elevationSnap.source,
       currentSpeedKmh,
       avgSpeedKmh,
       currentPaceMinPerKm: mode === 'running' ? currentPace : null,
       avgPaceMinPerKm: avgPace,
+      movingAvgPaceMinPerKm: movingAvgPace,
       steps: sessionSteps,
+      stepSource,
       cadenceSpm,
       strideLengthM: strideLength,
       goalProgress,
       calories,
       intensity,
+      motionRms: motionEnergy.getRms(now),
+      ...heartRateSnap,
     }
   }
 
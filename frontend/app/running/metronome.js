@@ -0,0 +1,158 @@
+'use client'
+
+/**
+ * Cadence metronome (목표 케이던스 클릭)
+ *
+ * bell-audio의 WebAudio 컨텍스트에 lookahead 방식으로 클릭을 예약한다.
+ * - 25ms마다 스케줄러가 돌면서 앞으로 120ms 안에 올 박자를 scheduleClickAt으로 미리 예약
+ * - 박자 시각은 처음부터 오디오 시계(AudioContext.currentTime)로 계산
+ *   → 타이머나 메인 스레드가 조금 밀려도 실제 소리는 정확한 간격 (벽시계는 스케줄러가 멈췄는지 확인할 때만 사용)
+ * - isDucked()가 true인 동안 (TTS 안내 중) 예약하는 클릭은 볼륨을 낮춘다
+ * - 템포 변경은 아직 예약되지 않은 다음 박자부터 적용
+ *
+ * @example
+ * const metronome = createMetronome({ isDucked: isSpeechActive })
+ * metronome.start(180)
+ * metronome.setTempo(176)
+ * metronome.stop()
+ */
+
+import { getAudioTime, scheduleClickAt } from '../utils/bell-audio'
+
+export const METRONOME_SPM_OPTIONS = [170, 175, 180, 185]
+export const METRONOME_MIN_SPM = 120
+export const METRONOME_MAX_SPM = 220
+export const METRONOME_ADAPT_INTERVAL_MS = 10000 // 적응형 템포를 다시 계산하는 간격
+
+const SCHEDULER_INTERVAL_MS = 25
+const LOOKAHEAD_SEC = 0.12
+const START_DELAY_SEC = 0.05
+const DUCK_VOLUME_RATIO = 0.25
+const ACCENT_EVERY = 4 // 4박마다 높은 음
+
+// 적응형 템포
+const ADAPT_DEADBAND_SPM = 3 // 목표와 이만큼 가까우면 목표 템포 그대로
+const ADAPT_LEAD_SPM = 5 // 현재 케이던스보다 이만큼 목표 쪽으로 앞선 템포를 들려준다
+const ADAPT_MAX_STEP_SPM = 2 // 한 번에 바꾸는 최대 폭
+
+const clampSpm = (spm) => Math.min(METRONOME_MAX_SPM, Math.max(METRONOME_MIN_SPM, spm))
+
+/**
+ * 적응형 템포: 케이던스가 목표에서 벗어나 있으면 따라갈 수 있는 템포부터 들려주고 목표 쪽으로 조금씩 옮긴다.
+ *
+ * @param {Object} params
+ * @param {number} params.targetSpm - 설정한 목표 케이던스
+ * @param {number|null} params.liveSpm - 현재 케이던스 (metrics snapshot)
+ * @param {number} [params.currentSpm] - 지금 재생 중인 템포 (없으면 목표)
+ * @returns {number} 다음 템포 (정수 spm)
+ */
+export const resolveAdaptiveMetronomeSpm = ({ targetSpm, liveSpm, currentSpm }) => {
+  const target = clampSpm(targetSpm)
+  const current = Number.isFinite(currentSpm) ? currentSpm : target
+  let desired = target
+  if (Number.isFinite(liveSpm) && liveSpm > 0 && Math.abs(target - liveSpm) > ADAPT_DEADBAND_SPM) {
+    desired = liveSpm + Math.sign(target - liveSpm) * ADAPT_LEAD_SPM
+  }
+  const step = Math.max(-ADAPT_MAX_STEP_SPM, Math.min(ADAPT_MAX_STEP_SPM, desired - current))
+  return Math.round(clampSpm(current + step))
+}
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.volume=0.7]
+ * @param {() => boolean} [options.isDucked] - true면 클릭 볼륨을 DUCK_VOLUME_RATIO로 낮춤
+ * @param {Function} [options.scheduleClick=scheduleClickAt] - (audioSec, { volume, accent }) => cancel
+ * @param {() => number|null} [options.audioNow=getAudioTime] - 오디오 시계 (초), 없으면 null
+ * @param {() => number} [options.now=Date.now] - 스케줄러 멈춤 확인용 벽시계 (ms)
+ */
+export const createMetronome = ({
+  volume = 0.7,
+  isDucked = () => false,
+  scheduleClick = scheduleClickAt,
+  audioNow = getAudioTime,
+  now = Date.now,
+} = {}) => {
+  let spm = null
+  let timer = null
+  let nextBeatAt = null // 오디오 시계 (초)
+  let lastTickAt = null // 벽시계 (ms)
+  let beatIndex = 0
+  let pending = [] // { at, cancel } 예약됐지만 아직 울리지 않은 클릭 (at: 오디오 시계)
+
+  const beatIntervalSec = () => 60 / spm
+
+  const tick = () => {
+    const audioSec = audioNow()
+    if (!Number.isFinite(audioSec)) return
+    const nowMs = now()
+    const stalled = lastTickAt !== null && nowMs - lastTickAt > beatIntervalSec() * 1000
+    lastTickAt = nowMs
+    pending = pending.filter((click) => click.at > audioSec)
+    // 백그라운드 등으로 스케줄러가 크게 밀렸으면 밀린 박자를 몰아서 울리지 않고 다시 맞춘다
+    // 오디오 시계가 멈춰 있던 사이 미리 예약해 둔 클릭은 새 박자와 겹치므로 먼저 취소
+    if (nextBeatAt === null || stalled || nextBeatAt < audioSec) {
+      cancelPending()
+      nextBeatAt = audioSec + START_DELAY_SEC
+    }
+    while (nextBeatAt < audioSec + LOOKAHEAD_SEC) {
+      const ducked = (() => {
+        try {
+          return Boolean(isDucked())
+        } catch {
+          return false
+        }
+      })()
+      const at = nextBeatAt
+      const cancel = scheduleClick(at, {
+        volume: ducked ? volume * DUCK_VOLUME_RATIO : volume,
+        accent: beatIndex % ACCENT_EVERY === 0,
+      })
+      pending.push({ at, cancel })
+      beatIndex += 1
+      nextBeatAt += beatIntervalSec()
+    }
+  }
+
+  const cancelPending = () => {
+    pending.forEach((click) => {
+      try {
+        click.cancel?.()
+      } catch {}
+    })
+    pending = []
+  }
+
+  const stop = () => {
+    if (timer) clearInterval(timer)
+    timer = null
+    cancelPending()
+  }
+
+  const start = (targetSpm) => {
+    if (!Number.isFinite(targetSpm) || targetSpm <= 0) return
+    stop()
+    spm = clampSpm(targetSpm)
+    beatIndex = 0
+    nextBeatAt = null
+    lastTickAt = null
+    tick()
+    timer = setInterval(tick, SCHEDULER_INTERVAL_MS)
+  }
+
+  const setTempo = (nextSpm) => {
+    if (!Number.isFinite(nextSpm) || nextSpm <= 0) return
+    spm = clampSpm(nextSpm)
+  }
+
+  return {
+    start,
+    stop,
+    setTempo,
+    get running() {
+      return timer !== null
+    },
+    get spm() {
+      return spm
+    },
+  }
+}
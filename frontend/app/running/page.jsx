@@ -8,8 +8,11 @@ import RunningSession from './RunningSession'
 import useSafeAreaTop from '../hooks/useSafeAreaTop'
 import { ScreenOrientation } from '@capacitor/screen-orientation'
 
+const PAGE_MODES = ['run', 'walk']
+
 export default function RunningPage() {
-  const mode = 'run' // Fixed to running mode only
+  // ?mode=run | walk (루트 페이지는 ?mode=run으로 들어온다)
+  const [mode, setMode] = useState('run')
 
   const [lang, setLang] = useState('en')
   const [langOpen, setLangOpen] = useState(false)
@@ -27,6 +30,24 @@ export default function RunningPage() {
     }
   }, [])
 
+  useEffect(() => {
+    if (typeof window === 'undefined') return
+    const requested = new URLSearchParams(window.location.search).get('mode')
+    if (PAGE_MODES.includes(requested)) setMode(requested)
+  }, [])
+
+  // 모드 전환: 세션 상태는 모드별로 따로 쓰므로 RunningSession을 새로 마운트하고 URL만 바꾼다
+  const handleModeChange = (next) => {
+    if (!PAGE_MODES.includes(next) || next === mode) return
+    setMode(next)
+    if (typeof window === 'undefined') return
+    try {
+      const url = new URL(window.location.href)
+      url.searchParams.set('mode', next)
+      window.history.replaceState(window.history.state, '', url.toString())
+    } catch {}
+  }
+
   // Close language dropdown when clicking outside
   useEffect(() => {
     if (!langOpen) return
@@ -102,7 +123,7 @@ export default function RunningPage() {
         style={mainStyle}
       >
         <div className="mx-auto max-w-5xl">
-          <RunningSession mode={mode} />
+          <RunningSession key={mode} mode={mode} onModeChange={handleModeChange} />
         </div>
       </main>
     </div>
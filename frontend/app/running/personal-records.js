@@ -0,0 +1,243 @@
+'use client'
+
+/**
+ * 개인 기록 (PR) 엔진
+ *
+ * 각 러닝의 route 타임스탬프 + 누적 거리로 기록 안의 가장 빠른 구간
+ * (400m, 1K, 1마일, 5K, 10K, 하프, 풀)을 찾는다.
+ * - 기록마다 찾은 구간 기록은 run 요약의 `bestEfforts`에 저장
+ * - 전체 PR 표는 요약들의 bestEfforts를 모아 만들고 localStorage에 캐시
+ * - 세션 중에는 createLiveBestEffortTracker로 같은 계산을 이어서 한다
+ */
+
+import { METERS_PER_MILE, formatSpokenDuration } from '../utils/distance'
+import { withCumulativeDistance } from './lap-segments'
+import { getHistoryEntry, listHistoryEntries, saveHistoryEntries } from './history-store'
+
+export const PERSONAL_RECORDS_STORAGE_KEY = 'running_personal_records_v1'
+
+export const PR_DISTANCES = [
+  { key: '400m', distanceM: 400, label: { en: '400m', ko: '400m' } },
+  { key: '1k', distanceM: 1000, label: { en: '1K', ko: '1K' } },
+  { key: '1mi', distanceM: METERS_PER_MILE, label: { en: '1 mile', ko: '1마일' } },
+  { key: '5k', distanceM: 5000, label: { en: '5K', ko: '5K' } },
+  { key: '10k', distanceM: 10000, label: { en: '10K', ko: '10K' } },
+  { key: 'half', distanceM: 21097.5, label: { en: 'Half marathon', ko: '하프 마라톤' } },
+  { key: 'marathon', distanceM: 42195, label: { en: 'Marathon', ko: '풀 마라톤' } },
+]
+
+// GPS 튐으로 생기는 비현실적인 구간 제외 (1:40 /km보다 빠르면 무시)
+const MIN_PLAUSIBLE_PACE_MS_PER_KM = 100000
+
+export const getPrDistanceLabel = (key, language = 'en') => {
+  const item = PR_DISTANCES.find((entry) => entry.key === key)
+  if (!item) return key
+  return item.label[language] || item.label.en
+}
+
+/**
+ * timeline[j]에서 끝나는 targetM 구간의 소요 시간을 구하는 스캐너
+ * timeline: [{ t: 활동 시간(ms), d: 누적 거리(m) }] (t, d 모두 단조 증가)
+ * 시작 지점은 두 샘플 사이를 선형 보간하고, j가 커지는 순서로만 호출한다.
+ */
+const createSegmentScanner = (targetM) => {
+  let cursor = 0
+  return (timeline, j) => {
+    const end = timeline[j]
+    if (!end || end.d - timeline[0].d < targetM) return null
+    const startD = end.d - targetM
+    while (cursor + 1 < j && timeline[cursor + 1].d <= startD) cursor += 1
+    const a = timeline[cursor]
+    const b = timeline[cursor + 1]
+    const span = b.d - a.d
+    const startT = span > 0 ? a.t + (b.t - a.t) * ((startD - a.d) / span) : a.t
+    const durationMs = end.t - startT
+    if (!(durationMs > 0)) return null
+    if (durationMs / (targetM / 1000) < MIN_PLAUSIBLE_PACE_MS_PER_KM) return null
+    return durationMs
+  }
+}
+
+// 일시정지 구간을 뺀 활동 시간
+const toActiveTime = (ts, pauses) => pauses.reduce((acc, pause) => {
+  if (pause.start >= ts) return acc
+  return acc - (Math.min(pause.end, ts) - pause.start)
+}, ts)
+
+/**
+ * 기록(route 포함) → [{ t, d, point }] 타임라인
+ * route 거리는 기록 거리에 맞춰 보정하고, pausedIntervals가 있으면 멈춘 시간을 뺀다.
+ */
+export const buildRecordTimeline = (record) => {
+  const points = withCumulativeDistance(record?.route, Number(record?.distanceM))
+    .filter((point) => Number.isFinite(Number(point.timestamp)))
+  const pauses = (Array.isArray(record?.pausedIntervals) ? record.pausedIntervals : [])
+    .filter((pause) => Number.isFinite(pause?.start) && Number.isFinite(pause?.end) && pause.end > pause.start)
+  return points.map((point) => ({
+    t: toActiveTime(Number(point.timestamp), pauses),
+    d: point.cumulativeDistanceM,
+    point,
+  }))
+}
+
+/**
+ * 타임라인에서 PR 거리별 가장 빠른 구간
+ *
+ * @returns {Object<string, { durationMs: number }>} 거리가 모자란 항목은 빠진다
+ */
+export const findBestEfforts = (timeline) => {
+  const bests = {}
+  if (!Array.isArray(timeline) || timeline.length < 2) return bests
+  const totalM = timeline[timeline.length - 1].d - timeline[0].d
+  PR_DISTANCES.forEach(({ key, distanceM }) => {
+    if (totalM < distanceM) return
+    const scan = createSegmentScanner(distanceM)
+    let best = null
+    for (let j = 1; j < timeline.length; j += 1) {
+      const durationMs = scan(timeline, j)
+      if (durationMs !== null && (best === null || durationMs < best)) best = durationMs
+    }
+    if (best !== null) bests[key] = { durationMs: Math.round(best) }
+  })
+  return bests
+}
+
+/**
+ * 저장 직전 기록에 bestEfforts를 붙인다 (러닝 + route가 있을 때만)
+ */
+export const attachBestEfforts = (record) => {
+  if (!record || (record.mode || 'run') !== 'run' || !Array.isArray(record.route)) return record
+  return { ...record, bestEfforts: findBestEfforts(buildRecordTimeline(record)) }
+}
+
+/**
+ * 요약 목록 → PR 표
+ *
+ * @param {Array<Object>} entries - bestEfforts가 붙은 run 요약
+ * @param {Object} [options]
+ * @param {string} [options.excludeId] - 이 기록은 제외 (진행 중 세션의 자동 저장분)
+ * @returns {Object<string, { durationMs: number, runId: string, startedAt: number }>}
+ */
+export const buildPersonalRecordTable = (entries, { excludeId = null } = {}) => {
+  const table = {}
+  ;(Array.isArray(entries) ? entries : []).forEach((entry) => {
+    if (!entry || (entry.mode || 'run') !== 'run' || !entry.bestEfforts) return
+    if (excludeId && String(entry.id) === String(excludeId)) return
+    Object.entries(entry.bestEfforts).forEach(([key, effort]) => {
+      const durationMs = Number(effort?.durationMs)
+      if (!Number.isFinite(durationMs) || durationMs <= 0) return
+      if (table[key] && table[key].durationMs <= durationMs) return
+      table[key] = { durationMs, runId: String(entry.id), startedAt: Number(entry.startedAt) || null }
+    })
+  })
+  return table
+}
+
+/**
+ * 기존 PR 표와 비교해 새 기록만 골라낸다
+ *
+ * @returns {Array<{ key: string, durationMs: number, previousMs: number|null }>} PR_DISTANCES 순서
+ *   previousMs가 null이면 해당 거리의 첫 기록
+ */
+export const diffPersonalRecords = (table, bestEfforts) => {
+  const result = []
+  PR_DISTANCES.forEach(({ key }) => {
+    const durationMs = Number(bestEfforts?.[key]?.durationMs)
+    if (!Number.isFinite(durationMs)) return
+    const previousMs = Number.isFinite(table?.[key]?.durationMs) ? table[key].durationMs : null
+    if (previousMs === null || durationMs < previousMs) result.push({ key, durationMs, previousMs })
+  })
+  return result
+}
+
+export const readPersonalRecords = () => {
+  if (typeof window === 'undefined') return {}
+  try {
+    const raw = localStorage.getItem(PERSONAL_RECORDS_STORAGE_KEY)
+    const parsed = raw ? JSON.parse(raw) : null
+    return parsed && typeof parsed === 'object' ? parsed : {}
+  } catch {
+    return {}
+  }
+}
+
+const writePersonalRecords = (table) => {
+  if (typeof window === 'undefined') return
+  try {
+    localStorage.setItem(PERSONAL_RECORDS_STORAGE_KEY, JSON.stringify(table))
+  } catch {}
+}
+
+/**
+ * history store 기준으로 PR 표를 다시 만든다 (저장 / 삭제 / 가져오기 / 복원 후 호출)
+ * bestEfforts가 없는 예전 기록은 route를 읽어 한 번 계산해 둔다.
+ *
+ * @returns {Promise<Object>} PR 표
+ */
+export const refreshPersonalRecords = async () => {
+  const entries = await listHistoryEntries({ mode: 'run' })
+  const missing = entries.filter((entry) => !entry.bestEfforts)
+  if (missing.length) {
+    const backfilled = []
+    for (const entry of missing) {
+      const full = await getHistoryEntry(entry.id)
+      const bestEfforts = full ? findBestEfforts(buildRecordTimeline(full)) : {}
+      // route는 넘기지 않아 기존 경로를 그대로 둔다
+      backfilled.push({ ...entry, bestEfforts })
+    }
+    await saveHistoryEntries(backfilled)
+    const byId = new Map(backfilled.map((entry) => [entry.id, entry]))
+    entries.forEach((entry, idx) => {
+      if (byId.has(entry.id)) entries[idx] = byId.get(entry.id)
+    })
+  }
+  const table = buildPersonalRecordTable(entries)
+  writePersonalRecords(table)
+  return table
+}
+
+/**
+ * 세션 중 PR 감지
+ *
+ * @param {Object} baseline - 세션 시작 시점의 PR 표
+ * @returns {{ addSample: ({ elapsedMs: number, distanceM: number }) => Array<{ key, durationMs, previousMs }> }}
+ *   이번 샘플에서 처음 PR을 넘은 거리만 반환 (거리마다 한 번만 알림, 첫 기록은 알리지 않음)
+ */
+export const createLiveBestEffortTracker = (baseline = {}) => {
+  const timeline = []
+  const scanners = PR_DISTANCES
+    .filter(({ key }) => Number.isFinite(baseline?.[key]?.durationMs))
+    .map(({ key, distanceM }) => ({ key, scan: createSegmentScanner(distanceM), announced: false }))
+
+  const addSample = ({ elapsedMs, distanceM }) => {
+    if (!Number.isFinite(elapsedMs) || !Number.isFinite(distanceM)) return []
+    const last = timeline[timeline.length - 1]
+    if (last && (elapsedMs <= last.t || distanceM <= last.d)) return []
+    timeline.push({ t: elapsedMs, d: distanceM })
+    const j = timeline.length - 1
+    const broken = []
+    scanners.forEach((scanner) => {
+      const durationMs = scanner.scan(timeline, j)
+      if (scanner.announced || durationMs === null) return
+      const previousMs = baseline[scanner.key].durationMs
+      if (durationMs < previousMs) {
+        scanner.announced = true
+        broken.push({ key: scanner.key, durationMs: Math.round(durationMs), previousMs })
+      }
+    })
+    return broken
+  }
+
+  return { addSample }
+}
+
+/**
+ * PR 음성 안내 ("New personal record! 5K in 24 minutes, 31 seconds.")
+ */
+export const buildPersonalRecordSpeech = ({ key, durationMs }, language = 'en') => {
+  const label = getPrDistanceLabel(key, language)
+  const time = formatSpokenDuration(durationMs, language)
+  return language === 'ko'
+    ? `개인 기록 경신! ${label} ${time}.`
+    : `New personal record! ${label} in ${time}.`
+}
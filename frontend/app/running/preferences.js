@@ -0,0 +1,111 @@
+'use client'
+
+/**
+ * 러닝 화면 사용자 설정 (localStorage)
+ *
+ * 세션 화면과 요약/기록 오버레이가 같이 쓰는 표시 설정만 모아둔다.
+ */
+
+import { UNIT_SYSTEMS } from '../utils/distance'
+import { HR_ZONE_METHODS } from './heart-rate-zones'
+import { METRONOME_SPM_OPTIONS } from './metronome'
+import { DEFAULT_WALK_STEP_GOAL, WALK_STEP_GOAL_OPTIONS } from './walking'
+
+export const PACE_BASIS_STORAGE_KEY = 'running_pace_basis'
+export const PACE_BASIS_OPTIONS = ['elapsed', 'moving'] // 평균 페이스 기준 시간
+export const UNIT_SYSTEM_STORAGE_KEY = 'running_unit_system'
+export const PACE_COACH_BASIS_STORAGE_KEY = 'running_pace_coach_basis'
+export const PACE_COACH_BASIS_OPTIONS = ['pace', 'gap'] // 목표 페이스 / 고스트 비교 기준
+export const HR_ZONE_METHOD_STORAGE_KEY = 'running_hr_zone_method'
+export const HR_TARGET_ZONE_STORAGE_KEY = 'running_hr_target_zone'
+export const HR_TARGET_ZONE_OPTIONS = ['off', '1', '2', '3', '4', '5'] // 심박 존 코칭 목표
+export const METRONOME_SPM_STORAGE_KEY = 'running_metronome_spm'
+export const METRONOME_ADAPTIVE_STORAGE_KEY = 'running_metronome_adaptive'
+const METRONOME_STORED_OPTIONS = ['off', ...METRONOME_SPM_OPTIONS.map(String)]
+export const WALK_STEP_GOAL_STORAGE_KEY = 'running_walk_step_goal'
+const WALK_STEP_GOAL_STORED_OPTIONS = WALK_STEP_GOAL_OPTIONS.map(String)
+
+const readStoredOption = (key, options, fallback) => {
+  if (typeof window === 'undefined') return fallback
+  try {
+    const value = localStorage.getItem(key)
+    return options.includes(value) ? value : fallback
+  } catch {
+    return fallback
+  }
+}
+
+const writeStoredOption = (key, options, value) => {
+  if (typeof window === 'undefined' || !options.includes(value)) return
+  try {
+    localStorage.setItem(key, value)
+  } catch {}
+}
+
+/**
+ * 평균 페이스 기준: 'elapsed' (일시정지 제외 경과 시간) | 'moving' (정지 구간까지 제외한 이동 시간)
+ */
+export const readPaceBasis = () => readStoredOption(PACE_BASIS_STORAGE_KEY, PACE_BASIS_OPTIONS, 'elapsed')
+
+export const writePaceBasis = (basis) => writeStoredOption(PACE_BASIS_STORAGE_KEY, PACE_BASIS_OPTIONS, basis)
+
+/**
+ * 표시 단위계: 'metric' (km, /km, m) | 'imperial' (mi, /mi, ft)
+ */
+export const readUnitSystem = () => readStoredOption(UNIT_SYSTEM_STORAGE_KEY, UNIT_SYSTEMS, 'metric')
+
+export const writeUnitSystem = (system) => writeStoredOption(UNIT_SYSTEM_STORAGE_KEY, UNIT_SYSTEMS, system)
+
+/**
+ * 목표 페이스 코칭 / 고스트 비교 기준: 'pace' (실제 페이스) | 'gap' (경사 보정 페이스, gap.js)
+ */
+export const readPaceCoachBasis = () => readStoredOption(PACE_COACH_BASIS_STORAGE_KEY, PACE_COACH_BASIS_OPTIONS, 'pace')
+
+export const writePaceCoachBasis = (basis) => writeStoredOption(PACE_COACH_BASIS_STORAGE_KEY, PACE_COACH_BASIS_OPTIONS, basis)
+
+/**
+ * 심박 존 계산 방식: 'karvonen' (심박 예비량, 안정 심박 필요) | 'max' (%최대 심박)
+ */
+export const readHeartRateZoneMethod = () => readStoredOption(HR_ZONE_METHOD_STORAGE_KEY, HR_ZONE_METHODS, 'karvonen')
+
+export const writeHeartRateZoneMethod = (method) => writeStoredOption(HR_ZONE_METHOD_STORAGE_KEY, HR_ZONE_METHODS, method)
+
+/**
+ * 심박 존 코칭 목표: 0 (끔) | 1 ~ 5
+ */
+export const readHeartRateTargetZone = () => {
+  const value = readStoredOption(HR_TARGET_ZONE_STORAGE_KEY, HR_TARGET_ZONE_OPTIONS, 'off')
+  return value === 'off' ? 0 : Number(value)
+}
+
+export const writeHeartRateTargetZone = (zone) => (
+  writeStoredOption(HR_TARGET_ZONE_STORAGE_KEY, HR_TARGET_ZONE_OPTIONS, zone > 0 ? String(zone) : 'off')
+)
+
+/**
+ * 메트로놈 템포: 0 (끔) | METRONOME_SPM_OPTIONS 중 하나 (spm)
+ */
+export const readMetronomeSpm = () => {
+  const value = readStoredOption(METRONOME_SPM_STORAGE_KEY, METRONOME_STORED_OPTIONS, 'off')
+  return value === 'off' ? 0 : Number(value)
+}
+
+export const writeMetronomeSpm = (spm) => (
+  writeStoredOption(METRONOME_SPM_STORAGE_KEY, METRONOME_STORED_OPTIONS, spm > 0 ? String(spm) : 'off')
+)
+
+/**
+ * 적응형 메트로놈: 케이던스가 목표에서 벗어나면 템포를 목표 쪽으로 조금씩 옮김
+ */
+export const readMetronomeAdaptive = () => readStoredOption(METRONOME_ADAPTIVE_STORAGE_KEY, ['on', 'off'], 'off') === 'on'
+
+export const writeMetronomeAdaptive = (enabled) => writeStoredOption(METRONOME_ADAPTIVE_STORAGE_KEY, ['on', 'off'], enabled ? 'on' : 'off')
+
+/**
+ * 도보 하루 걸음 목표 (WALK_STEP_GOAL_OPTIONS 중 하나)
+ */
+export const readWalkStepGoal = () => (
+  Number(readStoredOption(WALK_STEP_GOAL_STORAGE_KEY, WALK_STEP_GOAL_STORED_OPTIONS, String(DEFAULT_WALK_STEP_GOAL)))
+)
+
+export const writeWalkStepGoal = (goal) => writeStoredOption(WALK_STEP_GOAL_STORAGE_KEY, WALK_STEP_GOAL_STORED_OPTIONS, String(goal))
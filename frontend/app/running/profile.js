@@ -0,0 +1,83 @@
+'use client'
+
+/**
+ * 사용자 프로필 (칼로리 / 운동 강도 추정용)
+ *
+ * 설정 화면에서 한 번 입력하고 localStorage에 저장한다.
+ * 값은 모두 SI 단위 (kg, cm, bpm)이고, 입력하지 않은 항목은 null.
+ */
+
+export const PROFILE_STORAGE_KEY = 'running_profile_v1'
+export const PROFILE_SEX_OPTIONS = ['female', 'male']
+
+export const DEFAULT_WEIGHT_KG = 65
+
+// 입력 허용 범위
+export const PROFILE_LIMITS = {
+  weightKg: { min: 25, max: 250 },
+  heightCm: { min: 100, max: 250 },
+  age: { min: 10, max: 100 },
+  restingHr: { min: 30, max: 120 },
+  maxHr: { min: 100, max: 230 },
+}
+
+export const createDefaultProfile = () => ({
+  weightKg: DEFAULT_WEIGHT_KG,
+  heightCm: null,
+  age: null,
+  sex: null,
+  restingHr: null,
+  maxHr: null,
+})
+
+const clampField = (key, value) => {
+  if (value === null || value === undefined || value === '') return null
+  const num = Number(value)
+  const limits = PROFILE_LIMITS[key]
+  if (!Number.isFinite(num) || num < limits.min || num > limits.max) return null
+  return key === 'weightKg' ? Math.round(num * 10) / 10 : Math.round(num)
+}
+
+/**
+ * 저장 / 입력 값 정규화: 범위를 벗어난 값은 null (체중은 기본값)
+ */
+export const normalizeProfile = (raw) => {
+  const source = raw && typeof raw === 'object' ? raw : {}
+  const profile = createDefaultProfile()
+  Object.keys(PROFILE_LIMITS).forEach((key) => {
+    profile[key] = clampField(key, source[key])
+  })
+  if (profile.weightKg === null) profile.weightKg = DEFAULT_WEIGHT_KG
+  profile.sex = PROFILE_SEX_OPTIONS.includes(source.sex) ? source.sex : null
+  // 최대 심박이 안정 심박보다 낮으면 잘못 입력한 값으로 본다
+  if (profile.restingHr !== null && profile.maxHr !== null && profile.maxHr <= profile.restingHr) {
+    profile.maxHr = null
+  }
+  return profile
+}
+
+/**
+ * 최대 심박: 입력값 > 나이 기반 추정 (Tanaka, 208 - 0.7 × 나이) > null
+ */
+export const resolveMaxHr = (profile) => {
+  if (Number.isFinite(profile?.maxHr)) return profile.maxHr
+  if (Number.isFinite(profile?.age)) return Math.round(208 - 0.7 * profile.age)
+  return null
+}
+
+export const readProfile = () => {
+  if (typeof window === 'undefined') return createDefaultProfile()
+  try {
+    const raw = localStorage.getItem(PROFILE_STORAGE_KEY)
+    return normalizeProfile(raw ? JSON.parse(raw) : null)
+  } catch {
+    return createDefaultProfile()
+  }
+}
+
+export const writeProfile = (profile) => {
+  if (typeof window === 'undefined') return
+  try {
+    localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(normalizeProfile(profile)))
+  } catch {}
+}
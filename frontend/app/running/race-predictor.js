@@ -0,0 +1,143 @@
+'use client'
+
+/**
+ * 레이스 기록 예측 (5K / 10K / 하프 / 풀)
+ *
+ * 최근 기록의 전체 거리와 bestEfforts(personal-records.js) 구간 중
+ * VDOT가 가장 높은 노력을 기준으로 Riegel 공식과 VDOT(Daniels-Gilbert) 공식으로 예측한다.
+ * 두 값의 평균을 대표 예측으로 쓰고, 기준 노력이 얼마나 최근이고 긴지로 신뢰도를 매긴다.
+ */
+
+import { PR_DISTANCES } from './personal-records'
+
+export const PREDICTION_LOOKBACK_DAYS = 90
+const DAY_MS = 24 * 60 * 60 * 1000
+export const RIEGEL_EXPONENT = 1.06
+// 너무 짧은 노력은 장거리 예측을 과대평가하므로 1500m 이상만 기준으로 쓴다
+const MIN_SOURCE_DISTANCE_M = 1500
+
+export const RACE_TARGETS = [
+  { key: '5k', distanceM: 5000, label: { en: '5K', ko: '5K' } },
+  { key: '10k', distanceM: 10000, label: { en: '10K', ko: '10K' } },
+  { key: 'half', distanceM: 21097.5, label: { en: 'Half', ko: '하프' } },
+  { key: 'marathon', distanceM: 42195, label: { en: 'Marathon', ko: '풀' } },
+]
+
+/**
+ * Riegel: T2 = T1 × (D2 / D1)^1.06
+ */
+export const predictRiegel = (sourceDistanceM, sourceDurationMs, targetDistanceM) => {
+  if (!(sourceDistanceM > 0) || !(sourceDurationMs > 0) || !(targetDistanceM > 0)) return null
+  return sourceDurationMs * Math.pow(targetDistanceM / sourceDistanceM, RIEGEL_EXPONENT)
+}
+
+// Daniels-Gilbert: 속도(m/min)별 산소 소비량과 시간(min)별 지속 가능한 VO2max 비율
+const oxygenCost = (metersPerMin) => -4.6 + 0.182258 * metersPerMin + 0.000104 * metersPerMin * metersPerMin
+const sustainableFraction = (minutes) => (
+  0.8 + 0.1894393 * Math.exp(-0.012778 * minutes) + 0.2989558 * Math.exp(-0.1932605 * minutes)
+)
+
+/**
+ * 거리 / 시간 → VDOT
+ */
+export const calcVdot = (distanceM, durationMs) => {
+  if (!(distanceM > 0) || !(durationMs > 0)) return null
+  const minutes = durationMs / 60000
+  const vdot = oxygenCost(distanceM / minutes) / sustainableFraction(minutes)
+  return Number.isFinite(vdot) && vdot > 0 ? vdot : null
+}
+
+/**
+ * VDOT로 목표 거리 완주 시간 예측 (시간이 길수록 VDOT가 낮아지므로 이분 탐색)
+ */
+export const predictFromVdot = (vdot, targetDistanceM) => {
+  if (!(vdot > 0) || !(targetDistanceM > 0)) return null
+  let lowMs = 60000
+  let highMs = 24 * 3600000
+  for (let i = 0; i < 60; i += 1) {
+    const mid = (lowMs + highMs) / 2
+    if (calcVdot(targetDistanceM, mid) > vdot) lowMs = mid
+    else highMs = mid
+  }
+  return (lowMs + highMs) / 2
+}
+
+/**
+ * 기록 목록 → 예측 기준 노력 후보
+ * 기록 전체 (거리 / 경과 시간) + bestEfforts 구간
+ */
+const collectEfforts = (entries, since) => {
+  const efforts = []
+  ;(Array.isArray(entries) ? entries : []).forEach((entry) => {
+    if (!entry || (entry.mode || 'run') !== 'run') return
+    const startedAt = Number(entry.startedAt ?? entry.timestamp)
+    if (!Number.isFinite(startedAt) || startedAt < since) return
+    const durationMs = Number(entry.elapsedMs ?? entry.durationMs)
+    const distanceM = Number(entry.distanceM)
+    if (distanceM >= MIN_SOURCE_DISTANCE_M && durationMs > 0) {
+      efforts.push({ runId: String(entry.id), startedAt, distanceM, durationMs, segment: null })
+    }
+    PR_DISTANCES.forEach(({ key, distanceM: segmentM }) => {
+      const segmentMs = Number(entry.bestEfforts?.[key]?.durationMs)
+      if (segmentM < MIN_SOURCE_DISTANCE_M || !(segmentMs > 0)) return
+      efforts.push({ runId: String(entry.id), startedAt, distanceM: segmentM, durationMs: segmentMs, segment: key })
+    })
+  })
+  return efforts
+}
+
+/**
+ * 신뢰도: 기준 노력이 최근일수록, 목표 거리에 가까울수록 높다
+ * @returns {'high'|'medium'|'low'}
+ */
+export const resolveConfidence = ({ ageDays, sourceDistanceM, targetDistanceM }) => {
+  const ratio = targetDistanceM / sourceDistanceM
+  const recency = ageDays <= 21 ? 2 : ageDays <= 45 ? 1 : 0
+  const length = ratio <= 2.5 ? 2 : ratio <= 5 ? 1 : 0
+  const score = Math.min(recency, length)
+  return score === 2 ? 'high' : score === 1 ? 'medium' : 'low'
+}
+
+/**
+ * 최근 기록으로 레이스 기록 예측
+ *
+ * @param {Array<Object>} entries - run 요약 목록 (bestEfforts 포함 가능)
+ * @param {Object} [options]
+ * @param {number} [options.now]
+ * @returns {{
+ *   source: { runId: string, startedAt: number, distanceM: number, durationMs: number, segment: string|null, vdot: number, ageDays: number },
+ *   predictions: Array<{ key: string, distanceM: number, durationMs: number, riegelMs: number, vdotMs: number, paceMs: number, confidence: string }>,
+ * }|null} 기준으로 쓸 노력이 없으면 null
+ */
+export const predictRaceTimes = (entries, { now = Date.now() } = {}) => {
+  const efforts = collectEfforts(entries, now - PREDICTION_LOOKBACK_DAYS * DAY_MS)
+  let source = null
+  efforts.forEach((effort) => {
+    const vdot = calcVdot(effort.distanceM, effort.durationMs)
+    if (vdot && (!source || vdot > source.vdot)) source = { ...effort, vdot }
+  })
+  if (!source) return null
+  source.ageDays = Math.max(0, Math.floor((now - source.startedAt) / DAY_MS))
+
+  const predictions = RACE_TARGETS.map(({ key, distanceM }) => {
+    const riegelMs = predictRiegel(source.distanceM, source.durationMs, distanceM)
+    const vdotMs = predictFromVdot(source.vdot, distanceM)
+    const durationMs = Math.round((riegelMs + vdotMs) / 2)
+    return {
+      key,
+      distanceM,
+      durationMs,
+      riegelMs: Math.round(riegelMs),
+      vdotMs: Math.round(vdotMs),
+      paceMs: durationMs / (distanceM / 1000),
+      confidence: resolveConfidence({ ageDays: source.ageDays, sourceDistanceM: source.distanceM, targetDistanceM: distanceM }),
+    }
+  })
+  return { source, predictions }
+}
+
+export const getRaceTargetLabel = (key, language = 'en') => {
+  const item = RACE_TARGETS.find((entry) => entry.key === key)
+  if (!item) return key
+  return item.label[language] || item.label.en
+}
@@ -0,0 +1,221 @@
+'use client'
+
+/**
+ * GPX / TCX import → history record
+ *
+ * 파일의 트랙 포인트를 DistanceCalculator에 그대로 흘려보내서
+ * 앱에서 기록한 세션과 같은 방식으로 거리/랩을 다시 계산한다.
+ */
+
+import { DistanceCalculator } from '../utils/DistanceCalculator'
+import { createElevationTracker } from './elevation'
+
+const readChildText = (node, localName) => {
+  if (!node) return null
+  const children = node.getElementsByTagNameNS('*', localName)
+  if (!children || !children.length) return null
+  const value = children[0].textContent
+  return value != null ? value.trim() : null
+}
+
+const toNumberOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null
+  const num = Number(value)
+  return Number.isFinite(num) ? num : null
+}
+
+const toTimestampOrNull = (value) => {
+  if (!value) return null
+  const ts = Date.parse(value)
+  return Number.isFinite(ts) ? ts : null
+}
+
+const buildRoutePoint = ({ latitude, longitude, altitude, timestamp }, elevationM = null) => ({
+  latitude,
+  longitude,
+  altitude: Number.isFinite(altitude) ? altitude : null,
+  ...(Number.isFinite(elevationM) ? { elevationM: Math.round(elevationM * 10) / 10 } : {}),
+  timestamp,
+  horizontalAccuracy: null,
+  speed: null,
+})
+
+/**
+ * GPX 1.0/1.1 문자열 파싱 (trkpt 우선, 없으면 rtept)
+ */
+export const parseGpx = (xmlText) => {
+  const doc = new DOMParser().parseFromString(xmlText, 'application/xml')
+  if (doc.getElementsByTagName('parsererror').length) return null
+  let nodes = Array.from(doc.getElementsByTagNameNS('*', 'trkpt'))
+  if (!nodes.length) nodes = Array.from(doc.getElementsByTagNameNS('*', 'rtept'))
+  const points = nodes.map((node) => ({
+    latitude: toNumberOrNull(node.getAttribute('lat')),
+    longitude: toNumberOrNull(node.getAttribute('lon')),
+    altitude: toNumberOrNull(readChildText(node, 'ele')),
+    timestamp: toTimestampOrNull(readChildText(node, 'time')),
+  }))
+  const trk = doc.getElementsByTagNameNS('*', 'trk')[0]
+  return {
+    format: 'gpx',
+    name: readChildText(trk, 'name') || readChildText(doc.documentElement, 'name'),
+    points,
+  }
+}
+
+/**
+ * TCX(Garmin Training Center) 문자열 파싱 - Trackpoint 중 Position이 있는 것만 사용
+ */
+export const parseTcx = (xmlText) => {
+  const doc = new DOMParser().parseFromString(xmlText, 'application/xml')
+  if (doc.getElementsByTagName('parsererror').length) return null
+  const nodes = Array.from(doc.getElementsByTagNameNS('*', 'Trackpoint'))
+  const points = nodes.map((node) => ({
+    latitude: toNumberOrNull(readChildText(node, 'LatitudeDegrees')),
+    longitude: toNumberOrNull(readChildText(node, 'LongitudeDegrees')),
+    altitude: toNumberOrNull(readChildText(node, 'AltitudeMeters')),
+    timestamp: toTimestampOrNull(readChildText(node, 'Time')),
+  }))
+  const activity = doc.getElementsByTagNameNS('*', 'Activity')[0]
+  return {
+    format: 'tcx',
+    name: readChildText(activity, 'Id'),
+    points,
+  }
+}
+
+const detectFormat = (fileName, xmlText) => {
+  const lower = String(fileName || '').toLowerCase()
+  if (lower.endsWith('.gpx')) return 'gpx'
+  if (lower.endsWith('.tcx')) return 'tcx'
+  const head = String(xmlText || '').slice(0, 2000)
+  if (/<gpx[\s>]/i.test(head)) return 'gpx'
+  if (/<TrainingCenterDatabase[\s>]/i.test(head)) return 'tcx'
+  return null
+}
+
+/**
+ * 파싱된 포인트 → history record
+ * DistanceCalculator로 거리를 다시 누적하고, lapDistanceM마다 랩을 새로 만든다.
+ *
+ * @param {Array<Object>} rawPoints - { latitude, longitude, altitude, timestamp }
+ * @param {Object} options
+ * @param {number} options.lapDistanceM - 현재 랩 거리 설정
+ * @param {string} [options.mode='run']
+ * @returns {{ ok: true, record: Object } | { ok: false, reason: string }}
+ */
+export const buildRecordFromPoints = (rawPoints, { lapDistanceM = 1000, mode = 'run', source = null } = {}) => {
+  const withCoords = (Array.isArray(rawPoints) ? rawPoints : []).filter((p) => (
+    p && Number.isFinite(p.latitude) && Number.isFinite(p.longitude)
+  ))
+  if (withCoords.length < 2) return { ok: false, reason: 'no_points' }
+
+  const points = withCoords
+    .filter((p) => Number.isFinite(p.timestamp))
+    .sort((a, b) => a.timestamp - b.timestamp)
+  if (points.length < 2) return { ok: false, reason: 'no_timestamps' }
+
+  let currentTs = points[0].timestamp
+  const calculator = new DistanceCalculator({ mode, now: () => currentTs })
+
+  const startedAt = points[0].timestamp
+  const lapStep = Number.isFinite(lapDistanceM) && lapDistanceM > 0 ? lapDistanceM : 1000
+  const laps = []
+  let lapTarget = lapStep
+  let lapStartTs = startedAt
+  let lapStartDistance = 0
+  // 앱에서 기록한 세션과 같은 고도 보정 (파일 고도는 GPS 고도로 취급)
+  const elevation = createElevationTracker()
+
+  const route = points.map((point) => {
+    currentTs = point.timestamp
+    calculator.onLocationUpdate({
+      latitude: point.latitude,
+      longitude: point.longitude,
+      timestamp: point.timestamp,
+    })
+    const total = calculator.getTotalDistance()
+
+    const elevationM = Number.isFinite(point.altitude) ? elevation.addSample({ gpsAltitude: point.altitude }) : null
+
+    if (total >= lapTarget) {
+      const lapDistance = total - lapStartDistance
+      const lapDuration = point.timestamp - lapStartTs
+      laps.push({
+        index: laps.length + 1,
+        durationMs: lapDuration,
+        paceMs: lapDistance > 0 ? lapDuration / (lapDistance / 1000) : null,
+        distanceM: lapDistance,
+        timestamp: point.timestamp,
+        elapsedMs: point.timestamp - startedAt,
+      })
+      lapStartTs = point.timestamp
+      lapStartDistance = total
+      lapTarget += lapStep
+    }
+
+    return buildRoutePoint(point, elevationM)
+  })
+  const elevationSnap = elevation.getSnapshot()
+
+  const distanceM = calculator.getTotalDistance()
+  const durationMs = points[points.length - 1].timestamp - startedAt
+  const avgPaceMs = distanceM > 0 && durationMs > 0 ? durationMs / (distanceM / 1000) : null
+
+  return {
+    ok: true,
+    record: {
+      id: `import_${startedAt}`,
+      mode,
+      startedAt,
+      durationMs,
+      distanceM,
+      avgPaceMs,
+      laps,
+      route,
+      lapDistanceM: lapStep,
+      goal: null,
+      elevationGainM: elevationSnap.gainM,
+      elevationLossM: elevationSnap.lossM,
+      elevationMaxM: elevationSnap.maxM,
+      elevationMinM: elevationSnap.minM,
+      elevationSource: elevationSnap.source,
+      imported: true,
+      source,
+      autoSaved: false,
+    },
+  }
+}
+
+/**
+ * 기기에서 고른 GPX/TCX 파일 → history record
+ *
+ * @param {File} file
+ * @param {Object} options - buildRecordFromPoints 옵션 (lapDistanceM, mode)
+ * @returns {Promise<{ ok: true, record: Object } | { ok: false, reason: string }>}
+ */
+export const importRouteFile = async (file, options = {}) => {
+  if (!file) return { ok: false, reason: 'no_file' }
+  let text
+  try {
+    text = await file.text()
+  } catch (err) {
+    console.warn('[RouteImport] failed to read file', err)
+    return { ok: false, reason: 'read_error' }
+  }
+
+  const format = detectFormat(file.name, text)
+  if (!format) return { ok: false, reason: 'unsupported_format' }
+
+  let parsed = null
+  try {
+    parsed = format === 'gpx' ? parseGpx(text) : parseTcx(text)
+  } catch (err) {
+    console.warn('[RouteImport] failed to parse file', err)
+  }
+  if (!parsed) return { ok: false, reason: 'parse_error' }
+
+  return buildRecordFromPoints(parsed.points, {
+    ...options,
+    source: { format, name: parsed.name || file.name || null },
+  })
+}
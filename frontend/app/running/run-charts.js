@@ -0,0 +1,185 @@
+'use client'
+
+/**
+ * 러닝 요약 / 기록 상세 차트 데이터
+ *
+ * route(타임스탬프 + 좌표)와 laps로 거리 축 시계열을 만든다.
+ * - 페이스: 뒤쪽 PACE_WINDOW_M 구간 평균으로 GPS 흔들림을 줄인 값 (+ 같은 구간의 GAP, gap.js)
+ * - 고도: 보정된 elevationM (elevation.js), 예전 기록은 GPS altitude
+ * - 케이던스: route 포인트에 cadenceSpm이 있을 때만
+ * - 스플릿: laps + 마지막 자투리 구간, targetPaceMs 대비 빠름 / 목표 / 느림
+ * 각 샘플은 원래 route 포인트를 들고 있어 차트에서 고른 지점을 경로 그림에 표시할 수 있다.
+ */
+
+import { buildRecordTimeline } from './personal-records'
+import { createGapTracker, toGradeAdjustedPace } from './gap'
+
+const PACE_WINDOW_M = 150
+const MAX_CHART_SAMPLES = 240
+// 멈춰 있거나 GPS가 튄 구간은 차트에서 비운다 (2:00 ~ 20:00 /km 밖)
+const MIN_CHART_PACE_MS = 120000
+const MAX_CHART_PACE_MS = 1200000
+// 목표 페이스 ±10초는 "목표 페이스"로 본다
+export const SPLIT_TARGET_TOLERANCE_MS = 10000
+// 이보다 짧은 마지막 자투리 구간은 스플릿에 넣지 않는다
+const MIN_PARTIAL_SPLIT_M = 50
+
+// null / undefined / ''는 Number()로 0이 되므로 먼저 빈 값으로 본다 (고도 없는 포인트가 0m로 그려지지 않게)
+const toFiniteOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null
+  const num = Number(value)
+  return Number.isFinite(num) ? num : null
+}
+
+// 균등 간격으로 최대 maxCount개만 남긴다 (처음 / 마지막 포함)
+const downsample = (items, maxCount) => {
+  if (items.length <= maxCount) return items
+  const step = (items.length - 1) / (maxCount - 1)
+  const result = []
+  for (let i = 0; i < maxCount; i += 1) result.push(items[Math.round(i * step)])
+  return result
+}
+
+/**
+ * targetPaceMs 대비 스플릿 구분
+ * @returns {'fast'|'target'|'slow'|null} 목표가 없으면 null
+ */
+export const resolveSplitStatus = (paceMs, targetPaceMs) => {
+  if (!(targetPaceMs > 0) || !Number.isFinite(paceMs)) return null
+  const diff = paceMs - targetPaceMs
+  if (diff < -SPLIT_TARGET_TOLERANCE_MS) return 'fast'
+  if (diff > SPLIT_TARGET_TOLERANCE_MS) return 'slow'
+  return 'target'
+}
+
+const buildSplits = (record) => {
+  const laps = (Array.isArray(record?.laps) ? record.laps : [])
+    .filter((lap) => Number(lap?.distanceM) > 0 && Number(lap?.durationMs) > 0)
+  const splits = []
+  let startM = 0
+  laps.forEach((lap, idx) => {
+    const distanceM = Number(lap.distanceM)
+    const durationMs = Number(lap.durationMs)
+    splits.push({
+      index: Number.isFinite(lap.index) ? lap.index : idx + 1,
+      startM,
+      distanceM,
+      durationMs,
+      paceMs: durationMs / (distanceM / 1000),
+      partial: false,
+    })
+    startM += distanceM
+  })
+
+  // 마지막 랩 이후 남은 구간
+  // 랩 시간(closeLap)은 신호 대기 같은 정지 시간을 포함하므로 moving time이 아니라 같은 기준(elapsed)에서 뺀다
+  const totalM = Number(record?.distanceM)
+  const totalMs = Number(record?.elapsedMs ?? record?.durationMs)
+  const restM = totalM - startM
+  const restMs = totalMs - laps.reduce((acc, lap) => acc + Number(lap.durationMs), 0)
+  if (splits.length && restM >= MIN_PARTIAL_SPLIT_M && restMs > 0) {
+    splits.push({
+      index: splits[splits.length - 1].index + 1,
+      startM,
+      distanceM: restM,
+      durationMs: restMs,
+      paceMs: restMs / (restM / 1000),
+      partial: true,
+    })
+  }
+
+  const targetPaceMs = Number(record?.targetPaceMs)
+  return splits.map((split) => ({ ...split, status: resolveSplitStatus(split.paceMs, targetPaceMs) }))
+}
+
+/**
+ * 기록(route + laps) → 차트 데이터
+ *
+ * @param {Object} record - route, laps, distanceM, targetPaceMs, pausedIntervals
+ * @returns {{
+ *   samples: Array<{ distanceM: number, paceMs: number|null, gapMs: number|null, altitude: number|null, cadenceSpm: number|null, point: Object }>,
+ *   splits: Array<{ index: number, startM: number, distanceM: number, durationMs: number, paceMs: number, partial: boolean, status: string|null }>,
+ *   totalDistanceM: number,
+ *   targetPaceMs: number|null,
+ *   hasPace: boolean,
+ *   hasGap: boolean,
+ *   hasElevation: boolean,
+ *   hasCadence: boolean,
+ * }}
+ */
+export const buildRunChartData = (record) => {
+  const timeline = buildRecordTimeline(record)
+  const gapTracker = createGapTracker()
+  // 고도 없음(null / undefined / '')은 0m가 아니라 빈 값 → GAP 추적기가 건너뛴다
+  const readElevation = (value) => {
+    if (value === null || value === undefined || value === '') return null
+    const num = Number(value)
+    return Number.isFinite(num) ? num : null
+  }
+  const equivalent = timeline.map((entry) => {
+    const corrected = readElevation(entry.point.elevationM)
+    // 보정 고도가 없는 예전 기록은 GPS 원본 고도
+    const elevationM = corrected ?? readElevation(entry.point.altitude)
+    const source = corrected !== null ? record?.elevationSource || 'gps' : 'gps'
+    gapTracker.addSample({ distanceM: entry.d, elevationM, source })
+    return gapTracker.getEquivalentDistanceM()
+  })
+  const samples = []
+  let windowStart = 0
+  timeline.forEach((entry, idx) => {
+    while (windowStart + 1 < idx && entry.d - timeline[windowStart + 1].d >= PACE_WINDOW_M) windowStart += 1
+    const base = timeline[windowStart]
+    const spanM = entry.d - base.d
+    const spanMs = entry.t - base.t
+    let paceMs = null
+    let gapMs = null
+    if (idx > 0 && spanM >= PACE_WINDOW_M / 3 && spanMs > 0) {
+      const pace = spanMs / (spanM / 1000)
+      if (pace >= MIN_CHART_PACE_MS && pace <= MAX_CHART_PACE_MS) {
+        paceMs = pace
+        gapMs = toGradeAdjustedPace(pace, (equivalent[idx] - equivalent[windowStart]) / spanM)
+      }
+    }
+    const cadence = toFiniteOrNull(entry.point.cadenceSpm)
+    samples.push({
+      distanceM: entry.d,
+      paceMs,
+      gapMs,
+      altitude: toFiniteOrNull(entry.point.elevationM ?? entry.point.altitude),
+      cadenceSpm: cadence !== null && cadence > 0 ? cadence : null,
+      point: entry.point,
+    })
+  })
+
+  const reduced = downsample(samples, MAX_CHART_SAMPLES)
+  const splits = buildSplits(record)
+  const targetPaceMs = Number(record?.targetPaceMs) > 0 ? Number(record.targetPaceMs) : null
+  return {
+    samples: reduced,
+    splits,
+    totalDistanceM: samples.length ? samples[samples.length - 1].distanceM : 0,
+    targetPaceMs,
+    hasPace: reduced.filter((sample) => sample.paceMs !== null).length >= 2,
+    // 평지 코스는 GAP가 페이스와 같으므로 1% 이상 차이 나는 구간이 있을 때만 표시
+    hasGap: reduced.some((sample) => sample.paceMs !== null && Math.abs(sample.gapMs - sample.paceMs) / sample.paceMs > 0.01),
+    hasElevation: reduced.filter((sample) => sample.altitude !== null).length >= 2,
+    hasCadence: reduced.filter((sample) => sample.cadenceSpm !== null).length >= 2,
+  }
+}
+
+/**
+ * 거리 → 가장 가까운 샘플 (samples는 distanceM 오름차순)
+ */
+export const findNearestSample = (samples, distanceM) => {
+  if (!Array.isArray(samples) || !samples.length || !Number.isFinite(distanceM)) return null
+  let low = 0
+  let high = samples.length - 1
+  while (low < high) {
+    const mid = (low + high) >> 1
+    if (samples[mid].distanceM < distanceM) low = mid + 1
+    else high = mid
+  }
+  const prev = samples[low - 1]
+  if (prev && distanceM - prev.distanceM < samples[low].distanceM - distanceM) return prev
+  return samples[low]
+}
@@ -0,0 +1,191 @@
+'use client'
+
+/**
+ * 일별 걸음 대시보드 데이터
+ *
+ * - background pedometer (iOS CMPedometer / Android foreground service)에서 하루 단위 걸음 / 거리를 채워 넣고 localStorage에 캐시
+ *   지난 날짜는 하루가 끝난 뒤 한 번 받아두면 다시 묻지 않고, 오늘은 열 때마다 다시 조회한다.
+ * - 세션 기록(history-store)의 걸음과 합쳐서, 세션을 시작하지 않은 날도 만보기 걸음으로 표시한다.
+ *   만보기 값은 세션 중 걸음까지 포함하므로 같은 날은 더하지 않고 큰 값을 쓴다.
+ *
+ * @example
+ * const dashboard = await getDailySteps({ days: 7, stepGoal: 10000 })
+ * dashboard.days // [{ dateKey, steps, distanceM, pedometerSteps, sessionSteps, sessionCount, goalMet }]
+ */
+
+import { backgroundPedometer } from '../utils/background-pedometer'
+import { listHistoryEntries } from './history-store'
+import { DEFAULT_WALK_STEP_GOAL } from './walking'
+
+export const STEP_HISTORY_STORAGE_KEY = 'running_step_history_v1'
+export const STEP_DASHBOARD_RANGES = [7, 30]
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const CACHE_RETENTION_DAYS = 60
+
+const formatDateKey = (date) => {
+  const yyyy = date.getFullYear()
+  const mm = String(date.getMonth() + 1).padStart(2, '0')
+  const dd = String(date.getDate()).padStart(2, '0')
+  return `${yyyy}-${mm}-${dd}`
+}
+
+/**
+ * 최근 N일 (오래된 날 → 오늘) 로컬 자정 기준 구간
+ * @returns {Array<{ dateKey: string, start: number, end: number }>}
+ */
+const buildDayRanges = (days, now) => {
+  const ranges = []
+  const today = new Date(now)
+  today.setHours(0, 0, 0, 0)
+  for (let offset = days - 1; offset >= 0; offset -= 1) {
+    const startDate = new Date(today)
+    startDate.setDate(today.getDate() - offset)
+    const endDate = new Date(startDate)
+    endDate.setDate(startDate.getDate() + 1) // DST가 있어도 다음 날 자정
+    ranges.push({ dateKey: formatDateKey(startDate), start: startDate.getTime(), end: endDate.getTime() })
+  }
+  return ranges
+}
+
+const readStepCache = () => {
+  if (typeof window === 'undefined') return {}
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STEP_HISTORY_STORAGE_KEY) || '{}')
+    return parsed && typeof parsed === 'object' ? parsed : {}
+  } catch {
+    return {}
+  }
+}
+
+const writeStepCache = (cache, now) => {
+  if (typeof window === 'undefined') return
+  const oldestKey = formatDateKey(new Date(now - CACHE_RETENTION_DAYS * DAY_MS))
+  const pruned = Object.fromEntries(Object.entries(cache).filter(([dateKey]) => dateKey >= oldestKey))
+  try {
+    localStorage.setItem(STEP_HISTORY_STORAGE_KEY, JSON.stringify(pruned))
+  } catch {}
+}
+
+/**
+ * 만보기 일별 합계 채우기 (캐시 우선)
+ *
+ * @param {Object} [options]
+ * @param {number} [options.days=7]
+ * @param {number} [options.now=Date.now()]
+ * @param {Function} [options.query] - (startTime, endTime) => Promise<{ steps, distance }|null>
+ * @returns {Promise<{ days: Object<string, { steps: number, distanceM: number, fetchedAt: number }>, available: boolean }>}
+ */
+export const backfillDailySteps = async ({
+  days = 7,
+  now = Date.now(),
+  query = (start, end) => backgroundPedometer.queryHistoricalData(start, end),
+} = {}) => {
+  const cache = readStepCache()
+  const ranges = buildDayRanges(days, now)
+  let available = ranges.some(({ dateKey }) => cache[dateKey])
+  let changed = false
+
+  // 플러그인 호출은 하루씩 순서대로 (네이티브 쪽 동시 조회를 피함)
+  for (const range of ranges) {
+    const cached = cache[range.dateKey]
+    const complete = cached && cached.fetchedAt >= range.end // 하루가 끝난 뒤 받은 값이면 확정
+    if (complete) continue
+    let result = null
+    try {
+      result = await query(range.start, Math.min(range.end, now))
+    } catch {
+      result = null
+    }
+    if (!result) {
+      // 플러그인이 없으면 (웹 / 미지원 기기) 나머지 날짜도 조회하지 않는다
+      if (!cached) break
+      continue
+    }
+    available = true
+    cache[range.dateKey] = {
+      steps: Math.max(0, Math.round(Number(result.steps) || 0)),
+      distanceM: Math.max(0, Number(result.distance) || 0),
+      fetchedAt: now,
+    }
+    changed = true
+  }
+
+  if (changed) writeStepCache(cache, now)
+  const inRange = Object.fromEntries(ranges.filter(({ dateKey }) => cache[dateKey]).map(({ dateKey }) => [dateKey, cache[dateKey]]))
+  return { days: inRange, available }
+}
+
+/**
+ * 만보기 일별 합계 + 세션 기록 → 일별 걸음 (순수 함수)
+ *
+ * @param {Object} params
+ * @param {Object} params.pedometerDays - backfillDailySteps().days
+ * @param {Array<Object>} params.entries - 기록 목록 (steps / distanceM / startedAt)
+ * @param {number} params.days
+ * @param {number} [params.now=Date.now()]
+ * @param {number} [params.stepGoal=DEFAULT_WALK_STEP_GOAL]
+ */
+export const buildDailySteps = ({ pedometerDays = {}, entries = [], days, now = Date.now(), stepGoal = DEFAULT_WALK_STEP_GOAL }) => {
+  const sessionsByDay = new Map()
+  entries.forEach((entry) => {
+    const startedAt = Number(entry?.startedAt ?? entry?.timestamp)
+    if (!Number.isFinite(startedAt)) return
+    const dateKey = formatDateKey(new Date(startedAt))
+    const bucket = sessionsByDay.get(dateKey) || { steps: 0, distanceM: 0, count: 0 }
+    bucket.steps += Math.max(0, Number(entry.steps) || 0)
+    bucket.distanceM += Math.max(0, Number(entry.distanceM ?? entry.distance) || 0)
+    bucket.count += 1
+    sessionsByDay.set(dateKey, bucket)
+  })
+
+  return buildDayRanges(days, now).map(({ dateKey }) => {
+    const pedometer = pedometerDays[dateKey] || null
+    const session = sessionsByDay.get(dateKey) || null
+    const pedometerSteps = pedometer ? pedometer.steps : null
+    const sessionSteps = session ? session.steps : 0
+    const steps = Math.max(pedometerSteps || 0, sessionSteps)
+    return {
+      dateKey,
+      steps,
+      distanceM: Math.max(pedometer?.distanceM || 0, session?.distanceM || 0),
+      pedometerSteps,
+      sessionSteps,
+      sessionCount: session ? session.count : 0,
+      goalMet: stepGoal > 0 && steps >= stepGoal,
+    }
+  })
+}
+
+/**
+ * 대시보드 요약
+ * @returns {{ totalSteps: number, avgSteps: number, goalDays: number, bestDay: Object|null }}
+ */
+export const summarizeDailySteps = (dailySteps) => {
+  const list = Array.isArray(dailySteps) ? dailySteps : []
+  const totalSteps = list.reduce((sum, day) => sum + day.steps, 0)
+  const bestDay = list.reduce((best, day) => (day.steps > 0 && (!best || day.steps > best.steps) ? day : best), null)
+  return {
+    totalSteps,
+    avgSteps: list.length ? Math.round(totalSteps / list.length) : 0,
+    goalDays: list.filter((day) => day.goalMet).length,
+    bestDay,
+  }
+}
+
+/**
+ * 최근 N일 일별 걸음 (만보기 캐시 채우기 + 세션 기록 병합)
+ */
+export const getDailySteps = async ({ days = 7, now = Date.now(), stepGoal = DEFAULT_WALK_STEP_GOAL } = {}) => {
+  const since = buildDayRanges(days, now)[0].start
+  const [entries, pedometer] = await Promise.all([
+    listHistoryEntries({ since }),
+    backfillDailySteps({ days, now }),
+  ])
+  const dailySteps = buildDailySteps({ pedometerDays: pedometer.days, entries, days, now, stepGoal })
+  return {
+    days: dailySteps,
+    summary: summarizeDailySteps(dailySteps),
+    pedometerAvailable: pedometer.available,
+  }
+}
@@ -0,0 +1,113 @@
+'use client'
+
+/**
+ * Garmin TCX (TrainingCenterDatabase v2) export for history records.
+ *
+ * - laps[] → <Lap> (TotalTimeSeconds, DistanceMeters, Calories, TriggerMethod)
+ * - route → <Trackpoint> with cumulative DistanceMeters
+ * - 걸음수는 ActivityExtension v2 <LX><Steps>로 기록
+ */
+
+import { saveExportFile } from '../utils/file-export'
+import { getHistoryEntry } from './history-store'
+import { buildExportFilename, escapeXml, toIsoTime } from './gpx-export'
+import { buildExportLaps } from './lap-segments'
+
+const TCX_TRIGGER_METHODS = {
+  distance: 'Distance',
+  time: 'Time',
+  manual: 'Manual',
+  session_end: 'Manual',
+}
+
+const buildTrackpoint = (point, indent) => {
+  const lines = [`${indent}<Trackpoint>`]
+  const time = toIsoTime(point.timestamp)
+  if (time) lines.push(`${indent}  <Time>${time}</Time>`)
+  lines.push(`${indent}  <Position>`)
+  lines.push(`${indent}    <LatitudeDegrees>${Number(point.latitude).toFixed(7)}</LatitudeDegrees>`)
+  lines.push(`${indent}    <LongitudeDegrees>${Number(point.longitude).toFixed(7)}</LongitudeDegrees>`)
+  lines.push(`${indent}  </Position>`)
+  if (point.altitude !== null && Number.isFinite(Number(point.altitude))) {
+    lines.push(`${indent}  <AltitudeMeters>${Number(point.altitude).toFixed(1)}</AltitudeMeters>`)
+  }
+  if (Number.isFinite(point.cumulativeDistanceM)) {
+    lines.push(`${indent}  <DistanceMeters>${point.cumulativeDistanceM.toFixed(2)}</DistanceMeters>`)
+  }
+  lines.push(`${indent}</Trackpoint>`)
+  return lines.join('\n')
+}
+
+const buildLap = (lap, indent) => {
+  const lines = [`${indent}<Lap StartTime="${toIsoTime(lap.startTime)}">`]
+  lines.push(`${indent}  <TotalTimeSeconds>${(Math.max(0, lap.durationMs) / 1000).toFixed(1)}</TotalTimeSeconds>`)
+  lines.push(`${indent}  <DistanceMeters>${Math.max(0, lap.distanceM).toFixed(2)}</DistanceMeters>`)
+  // Calories는 스키마상 필수 (unsignedShort)
+  lines.push(`${indent}  <Calories>${Math.min(65535, Math.max(0, Math.round(lap.calories || 0)))}</Calories>`)
+  lines.push(`${indent}  <Intensity>Active</Intensity>`)
+  lines.push(`${indent}  <TriggerMethod>${TCX_TRIGGER_METHODS[lap.trigger] || 'Manual'}</TriggerMethod>`)
+  if (lap.points.length) {
+    lines.push(`${indent}  <Track>`)
+    lap.points.forEach((point) => lines.push(buildTrackpoint(point, `${indent}    `)))
+    lines.push(`${indent}  </Track>`)
+  }
+  const avgSpeed = lap.durationMs > 0 ? lap.distanceM / (lap.durationMs / 1000) : null
+  if (Number.isFinite(avgSpeed) || Number.isFinite(lap.steps)) {
+    lines.push(`${indent}  <Extensions>`)
+    lines.push(`${indent}    <ns3:LX>`)
+    if (Number.isFinite(avgSpeed)) lines.push(`${indent}      <ns3:AvgSpeed>${avgSpeed.toFixed(3)}</ns3:AvgSpeed>`)
+    if (Number.isFinite(lap.steps)) lines.push(`${indent}      <ns3:Steps>${Math.max(0, Math.round(lap.steps))}</ns3:Steps>`)
+    lines.push(`${indent}    </ns3:LX>`)
+    lines.push(`${indent}  </Extensions>`)
+  }
+  lines.push(`${indent}</Lap>`)
+  return lines.join('\n')
+}
+
+/**
+ * 기록 → TCX 문자열
+ *
+ * @param {Object} record - history record (route 포함)
+ * @returns {string|null} 시작 시각을 알 수 없으면 null
+ */
+export const buildTcx = (record) => {
+  const laps = buildExportLaps(record)
+  if (!laps.length) return null
+  const activityId = toIsoTime(laps[0].startTime)
+  if (!activityId) return null
+
+  const sport = record?.mode === 'walk' ? 'Other' : 'Running'
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2" xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2 http://www.garmin.com/xmlschemas/TrainingCenterDatabasev2.xsd">',
+    '  <Activities>',
+    `    <Activity Sport="${sport}">`,
+    `      <Id>${activityId}</Id>`,
+  ]
+  laps.forEach((lap) => lines.push(buildLap(lap, '      ')))
+  if (record?.mode === 'walk') {
+    lines.push(`      <Notes>${escapeXml('Walking')}</Notes>`)
+  }
+  lines.push('    </Activity>')
+  lines.push('  </Activities>')
+  lines.push('</TrainingCenterDatabase>')
+  return `${lines.join('\n')}\n`
+}
+
+/**
+ * 기록을 TCX 파일로 내보내기. route가 없는 요약 레코드면 history store에서 다시 읽는다.
+ */
+export const exportRecordAsTcx = async (record) => {
+  if (!record) return false
+  let full = record
+  if (!Array.isArray(record.route) && record.id) {
+    full = (await getHistoryEntry(record.id, { withRoute: true })) || record
+  }
+  const tcx = buildTcx(full)
+  if (!tcx) return false
+  return saveExportFile({
+    filename: buildExportFilename(full, 'tcx'),
+    mimeType: 'application/vnd.garmin.tcx+xml',
+    data: tcx,
+  })
+}
@@ -0,0 +1,184 @@
+'use client'
+
+/**
+ * 훈련 부하 분석 (fitness / fatigue / form)
+ *
+ * - 기록별 부하: 심박이 있으면 TRIMP 기반 hrTSS, 없으면 임계 페이스 대비 강도(IF)로 rTSS
+ *   (1시간을 임계 강도로 달리면 100)
+ * - 일별 부하 → 만성 부하(CTL, 42일) / 급성 부하(ATL, 7일) 지수 이동 평균, form(TSB) = CTL - ATL
+ * - 급성:만성 비율(ACWR) = 최근 7일 부하 / 최근 28일 주 평균 부하. 1.3 / 1.5를 넘으면 경고
+ *
+ * getGoalPeriodTotals(history-store)가 거리만 합산하던 것을 부하 기준으로 확장한 모듈.
+ */
+
+import { listHistoryEntries } from './history-store'
+import { RIEGEL_EXPONENT, predictRaceTimes } from './race-predictor'
+import { resolveMaxHr } from './profile'
+
+export const CTL_DAYS = 42
+export const ATL_DAYS = 7
+export const ACWR_CAUTION = 1.3
+export const ACWR_HIGH = 1.5
+const ACWR_LOW = 0.8
+// 최근 기록으로 추정할 수 없을 때 쓰는 임계 페이스 (5:30 /km)
+export const DEFAULT_THRESHOLD_PACE_MS = 330000
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const HOUR_MS = 3600000
+// EWMA 초기값이 자리 잡도록 표시 구간보다 앞의 기록까지 읽는다
+const WARMUP_DAYS = CTL_DAYS * 2
+// 젖산 역치 심박 ≈ 심박 예비량의 88%
+const THRESHOLD_HRR = 0.88
+const MAX_INTENSITY_FACTOR = 1.5
+
+/**
+ * 최근 기록으로 임계 페이스(약 1시간 유지 가능한 페이스) 추정
+ * race-predictor의 기준 노력에서 Riegel로 60분 거리를 구한다.
+ *
+ * @returns {number|null} ms/km
+ */
+export const estimateThresholdPaceMs = (entries, { now = Date.now() } = {}) => {
+  const prediction = predictRaceTimes(entries, { now })
+  const source = prediction?.source
+  if (!source) return null
+  // T = T1 × (D / D1)^1.06 → 60분이 되는 D
+  const hourDistanceM = source.distanceM * Math.pow(HOUR_MS / source.durationMs, 1 / RIEGEL_EXPONENT)
+  return hourDistanceM > 0 ? HOUR_MS / (hourDistanceM / 1000) : null
+}
+
+// Banister TRIMP (분 × HRR × 성별 가중치)
+const calcTrimp = (minutes, hrr, sex) => (
+  sex === 'female'
+    ? minutes * hrr * 0.86 * Math.exp(1.67 * hrr)
+    : minutes * hrr * 0.64 * Math.exp(1.92 * hrr)
+)
+
+const resolveRecordDurationMs = (record) => {
+  const durationMs = Number(record?.elapsedMs ?? record?.durationMs)
+  return Number.isFinite(durationMs) && durationMs > 0 ? durationMs : null
+}
+
+/**
+ * 기록 하나의 훈련 부하
+ *
+ * @param {Object} record - history 요약 (avgHeartRate가 있으면 심박 기준)
+ * @param {Object} options
+ * @param {number} options.thresholdPaceMs
+ * @param {Object} [options.profile] - 안정 / 최대 심박, 성별
+ * @returns {{ load: number, method: 'hr'|'pace' }|null}
+ */
+export const calcRecordLoad = (record, { thresholdPaceMs, profile = null }) => {
+  const durationMs = resolveRecordDurationMs(record)
+  if (!durationMs) return null
+
+  const avgHr = Number(record.avgHeartRate)
+  const restingHr = Number(profile?.restingHr)
+  const maxHr = resolveMaxHr(profile)
+  if (Number.isFinite(avgHr) && Number.isFinite(restingHr) && Number.isFinite(maxHr) && maxHr > restingHr) {
+    const hrr = Math.min(1, Math.max(0, (avgHr - restingHr) / (maxHr - restingHr)))
+    const thresholdTrimp = calcTrimp(60, THRESHOLD_HRR, profile?.sex)
+    return { load: (calcTrimp(durationMs / 60000, hrr, profile?.sex) / thresholdTrimp) * 100, method: 'hr' }
+  }
+
+  const distanceM = Number(record.distanceM)
+  if (!(distanceM > 0) || !(thresholdPaceMs > 0)) return null
+  const paceMs = durationMs / (distanceM / 1000)
+  const intensity = Math.min(MAX_INTENSITY_FACTOR, thresholdPaceMs / paceMs)
+  return { load: (durationMs / HOUR_MS) * intensity * intensity * 100, method: 'pace' }
+}
+
+const toDateKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+
+/**
+ * ACWR 구간
+ * @returns {'low'|'optimal'|'caution'|'high'|null}
+ */
+export const resolveAcwrRisk = (acwr) => {
+  if (!Number.isFinite(acwr)) return null
+  if (acwr > ACWR_HIGH) return 'high'
+  if (acwr > ACWR_CAUTION) return 'caution'
+  if (acwr < ACWR_LOW) return 'low'
+  return 'optimal'
+}
+
+/**
+ * 기록 목록 → 일별 부하 / CTL / ATL / TSB 시계열
+ *
+ * @param {Array<Object>} entries - run 요약 목록
+ * @param {Object} [options]
+ * @param {number} [options.now]
+ * @param {number} [options.days=CTL_DAYS] - 반환할 최근 일수
+ * @param {Object} [options.profile]
+ * @returns {{
+ *   points: Array<{ dateKey: string, ts: number, load: number, ctl: number, atl: number, tsb: number }>,
+ *   current: { ctl: number, atl: number, tsb: number, acuteLoad: number, chronicWeeklyLoad: number, acwr: number|null, risk: string|null },
+ *   thresholdPaceMs: number,
+ *   thresholdEstimated: boolean,
+ * }}
+ */
+export const buildTrainingLoad = (entries, { now = Date.now(), days = CTL_DAYS, profile = null } = {}) => {
+  const runs = (Array.isArray(entries) ? entries : []).filter((entry) => (entry?.mode || 'run') === 'run')
+  const estimatedThreshold = estimateThresholdPaceMs(runs, { now })
+  const thresholdPaceMs = estimatedThreshold || DEFAULT_THRESHOLD_PACE_MS
+
+  const loadByDay = new Map()
+  runs.forEach((entry) => {
+    const ts = Number(entry.startedAt ?? entry.timestamp)
+    if (!Number.isFinite(ts) || ts > now) return
+    const result = calcRecordLoad(entry, { thresholdPaceMs, profile })
+    if (!result) return
+    const key = toDateKey(new Date(ts))
+    loadByDay.set(key, (loadByDay.get(key) || 0) + result.load)
+  })
+
+  // 오늘부터 거꾸로 WARMUP + days 만큼의 날짜
+  const totalDays = WARMUP_DAYS + days
+  const dates = []
+  const cursor = new Date(now)
+  cursor.setHours(0, 0, 0, 0)
+  for (let i = 0; i < totalDays; i += 1) {
+    dates.unshift(new Date(cursor))
+    cursor.setDate(cursor.getDate() - 1)
+  }
+
+  let ctl = 0
+  let atl = 0
+  const allPoints = dates.map((date) => {
+    const dateKey = toDateKey(date)
+    const load = loadByDay.get(dateKey) || 0
+    ctl += (load - ctl) / CTL_DAYS
+    atl += (load - atl) / ATL_DAYS
+    return { dateKey, ts: date.getTime(), load, ctl, atl, tsb: ctl - atl }
+  })
+
+  const sumLast = (count) => allPoints.slice(-count).reduce((acc, point) => acc + point.load, 0)
+  const acuteLoad = sumLast(7)
+  const chronicWeeklyLoad = sumLast(28) / 4
+  const acwr = chronicWeeklyLoad > 0 ? acuteLoad / chronicWeeklyLoad : null
+  const last = allPoints[allPoints.length - 1]
+
+  return {
+    points: allPoints.slice(-days),
+    current: {
+      ctl: last.ctl,
+      atl: last.atl,
+      tsb: last.tsb,
+      acuteLoad,
+      chronicWeeklyLoad,
+      acwr,
+      risk: resolveAcwrRisk(acwr),
+    },
+    thresholdPaceMs,
+    thresholdEstimated: Boolean(estimatedThreshold),
+  }
+}
+
+/**
+ * history store에서 러닝 기록을 읽어 훈련 부하 계산
+ *
+ * @returns {Promise<ReturnType<typeof buildTrainingLoad>>}
+ */
+export const getTrainingLoad = async ({ now = Date.now(), days = CTL_DAYS, profile = null } = {}) => {
+  const entries = await listHistoryEntries({ mode: 'run', since: now - (WARMUP_DAYS + days) * DAY_MS })
+  return buildTrainingLoad(entries, { now, days, profile })
+}
@@ -0,0 +1,117 @@
+'use client'
+
+/**
+ * 도보 모드 보조 계산
+ *
+ * - 걸음 기반 거리: GPS가 잡히지 않는 동안 (실내, 고가 아래, 빌딩 숲) 늘어난 걸음 × 보폭으로 거리를 채운다.
+ *   보폭은 GPS가 좋은 구간에서 학습하고, 학습 전에는 키 기반 추정 / 기본값을 쓴다.
+ * - 하루 누적 (carryover): 같은 날 여러 번 나눠 걸어도 걸음 목표와 기록은 하루 단위로 합친다.
+ *
+ * @example
+ * const tracker = createStepDistanceTracker({ fallbackStrideM: estimateWalkStrideM(profile) })
+ * const overlapM = tracker.noteGps(steps, gpsDeltaM) // GPS 거리 반영 (채웠던 거리와 겹친 만큼 돌려줌)
+ * const filledM = tracker.fill(steps) // GPS 공백 구간 거리
+ */
+
+export const WALK_STEP_GOAL_OPTIONS = [5000, 8000, 10000, 12000, 15000]
+export const DEFAULT_WALK_STEP_GOAL = 10000
+export const DEFAULT_WALK_STRIDE_M = 0.7
+export const STEP_DISTANCE_GPS_GAP_MS = 15000 // 마지막 GPS 거리 이후 이만큼 지나면 걸음으로 거리 채움
+
+const STRIDE_HEIGHT_RATIO = 0.415 // 걷기 보폭 ≈ 키 × 0.415
+const MIN_STRIDE_M = 0.4
+const MAX_STRIDE_M = 1.0
+const MIN_LEARN_STEPS = 100 // 이만큼 GPS 구간 걸음이 쌓여야 학습한 보폭을 쓴다
+
+/**
+ * 프로필 키로 걷기 보폭 추정 (키가 없으면 기본값)
+ */
+export const estimateWalkStrideM = (profile) => {
+  const heightCm = Number(profile?.heightCm)
+  if (!Number.isFinite(heightCm) || heightCm <= 0) return DEFAULT_WALK_STRIDE_M
+  return Math.min(MAX_STRIDE_M, Math.max(MIN_STRIDE_M, (heightCm / 100) * STRIDE_HEIGHT_RATIO))
+}
+
+/**
+ * 걸음 기반 거리 보충
+ *
+ * @param {Object} [options]
+ * @param {number} [options.fallbackStrideM=DEFAULT_WALK_STRIDE_M] - 보폭 학습 전 사용
+ */
+export const createStepDistanceTracker = ({ fallbackStrideM = DEFAULT_WALK_STRIDE_M } = {}) => {
+  let anchorSteps = 0 // 마지막으로 거리에 반영한 시점의 세션 걸음
+  let learnedSteps = 0
+  let learnedDistanceM = 0
+  let filledSinceGpsM = 0 // 마지막 GPS 거리 이후 걸음으로 채운 거리
+
+  const resolveStrideM = () => {
+    if (learnedSteps >= MIN_LEARN_STEPS) {
+      const stride = learnedDistanceM / learnedSteps
+      if (stride >= MIN_STRIDE_M && stride <= MAX_STRIDE_M) return stride
+    }
+    return fallbackStrideM
+  }
+
+  /**
+   * GPS 거리가 들어옴: 공백 없이 이어진 구간이면 보폭 학습에 쓰고,
+   * 걸음으로 채운 뒤 GPS가 돌아온 경우에는 같은 구간을 두 번 세지 않도록 겹친 거리를 돌려준다.
+   * @returns {number} 총 거리에서 빼야 하는 겹친 거리 (m)
+   */
+  const noteGps = (steps, deltaM) => {
+    const stepsNow = Number.isFinite(steps) ? steps : anchorSteps
+    const stepDelta = stepsNow - anchorSteps
+    let overlapM = 0
+    if (filledSinceGpsM > 0) {
+      overlapM = Math.min(Math.max(0, deltaM), filledSinceGpsM)
+      filledSinceGpsM = 0
+    } else if (stepDelta > 0 && deltaM > 0) {
+      learnedSteps += stepDelta
+      learnedDistanceM += deltaM
+    }
+    anchorSteps = Math.max(anchorSteps, stepsNow)
+    return overlapM
+  }
+
+  /**
+   * GPS 공백 구간: 늘어난 걸음 × 보폭
+   * @returns {number} 추가할 거리 (m)
+   */
+  const fill = (steps) => {
+    if (!Number.isFinite(steps) || steps <= anchorSteps) return 0
+    const filledM = (steps - anchorSteps) * resolveStrideM()
+    anchorSteps = steps
+    filledSinceGpsM += filledM
+    return filledM
+  }
+
+  return {
+    noteGps,
+    fill,
+    get strideM() {
+      return resolveStrideM()
+    },
+  }
+}
+
+/**
+ * 하루 누적 (carryover) + 이번 세션 → 새 하루 누적
+ *
+ * @param {Object|null} base - 오늘 앞서 걸은 누적 ({ steps, distanceM, elapsedMs, calories, laps })
+ * @param {Object} session - 이번 세션 값
+ * @param {string} dateKey - YYYY-MM-DD
+ */
+export const mergeWalkDayTotals = (base, session, dateKey) => {
+  const num = (value) => (Number.isFinite(Number(value)) ? Math.max(0, Number(value)) : 0)
+  return {
+    dateKey,
+    mode: 'walk',
+    steps: num(base?.steps) + num(session?.steps),
+    distanceM: num(base?.distanceM) + num(session?.distanceM),
+    elapsedMs: num(base?.elapsedMs) + num(session?.elapsedMs),
+    calories: num(base?.calories) + num(session?.calories),
+    laps: [
+      ...(Array.isArray(base?.laps) ? base.laps : []),
+      ...(Array.isArray(session?.laps) ? session.laps : []),
+    ],
+  }
+}
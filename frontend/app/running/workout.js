@@ -0,0 +1,350 @@
+'use client'
+
+/**
+ * Structured interval workout (워밍업 → 반복(인터벌/회복) → 쿨다운)
+ *
+ * - workout: { version, name, steps: [step | { type: 'repeat', count, steps: [step] }] }
+ * - step: { kind, end: { type: 'distance'|'time'|'lap', value }, pace: { minMs, maxMs } | null }
+ *
+ * 빌더 UI는 단순한 plan(워밍업/반복/쿨다운)을 편집하고 buildIntervalWorkout()으로 workout을 만든다.
+ * 세션에서는 createWorkoutRunner()가 누적 거리/경과 시간으로 스텝을 넘기고 스텝별 결과를 모은다.
+ *
+ * @example
+ * const runner = createWorkoutRunner(buildIntervalWorkout(plan))
+ * runner.start({ distanceM: 0, elapsedMs: 0 })
+ * const transition = runner.update({ distanceM, elapsedMs })
+ * if (transition?.type === 'step') announce(transition.step)
+ */
+
+import { formatClock, formatDistanceLabel, isImperialUnits } from '../utils/distance'
+
+export const WORKOUT_PLAN_STORAGE_KEY = 'running_workout_plan'
+export const WORKOUT_STEP_KINDS = ['warmup', 'work', 'recovery', 'cooldown']
+export const WORKOUT_END_TYPES = ['distance', 'time', 'lap']
+
+// 빌더 스텝퍼 값 목록
+export const WORKOUT_DISTANCE_PRESETS_M = [100, 200, 300, 400, 500, 600, 800, 1000, 1200, 1600, 2000, 3000, 5000]
+export const WORKOUT_TIME_PRESETS_MS = [
+  30000, 45000, 60000, 90000, 120000, 180000, 240000, 300000, 600000, 900000, 1200000,
+]
+export const WORKOUT_PACE_TOLERANCE_OPTIONS_MS = [5000, 10000, 15000]
+export const WORKOUT_MAX_REPEATS = 20
+
+const MIN_STEP_PACE_DISTANCE_M = 50 // 이보다 짧으면 스텝 평균 페이스를 내지 않음
+
+const isEndType = (value) => WORKOUT_END_TYPES.includes(value)
+
+const normalizeStep = (step) => {
+  if (!step || !WORKOUT_STEP_KINDS.includes(step.kind)) return null
+  const endType = isEndType(step.end?.type) ? step.end.type : 'lap'
+  const endValue = Number(step.end?.value)
+  if (endType !== 'lap' && !(endValue > 0)) return null
+  const minMs = Number(step.pace?.minMs)
+  const maxMs = Number(step.pace?.maxMs)
+  const pace = minMs > 0 && maxMs >= minMs ? { minMs, maxMs } : null
+  return {
+    kind: step.kind,
+    end: endType === 'lap' ? { type: 'lap', value: null } : { type: endType, value: endValue },
+    pace,
+  }
+}
+
+/**
+ * 저장된 JSON / 기록에서 읽은 workout 검증
+ * @returns {Object|null}
+ */
+export const normalizeWorkout = (raw) => {
+  if (!raw || !Array.isArray(raw.steps)) return null
+  const steps = raw.steps.map((item) => {
+    if (item?.type === 'repeat') {
+      const count = Math.min(WORKOUT_MAX_REPEATS, Math.max(1, Math.round(Number(item.count) || 0)))
+      const inner = (Array.isArray(item.steps) ? item.steps : []).map(normalizeStep).filter(Boolean)
+      return inner.length ? { type: 'repeat', count, steps: inner } : null
+    }
+    return normalizeStep(item)
+  }).filter(Boolean)
+  if (!steps.length) return null
+  return { version: 1, name: typeof raw.name === 'string' ? raw.name : '', steps }
+}
+
+/**
+ * 스텝 종료 조건 표시 (400 m / 1.6 km / 0.99 mi / 01:30). 랩 버튼 종료면 null
+ */
+export const formatStepTargetLabel = (end) => {
+  if (end?.type === 'distance') {
+    if (end.value < 1000) return `${Math.round(end.value)} m`
+    if (isImperialUnits()) return formatDistanceLabel(end.value, 2)
+    return formatDistanceLabel(end.value, end.value % 1000 ? 1 : 0)
+  }
+  if (end?.type === 'time') return formatClock(end.value, { showHours: end.value >= 3600000 })
+  return null
+}
+
+// ----------------------------------------------------------------------------
+// Builder plan
+// ----------------------------------------------------------------------------
+
+/**
+ * 빌더 기본값: 워밍업 10분, 400m × 6 (회복 90초), 쿨다운 10분
+ */
+export const createDefaultWorkoutPlan = () => ({
+  enabled: false,
+  paceToleranceMs: 10000,
+  repeats: 6,
+  warmup: { enabled: true, endType: 'time', distanceM: 1000, timeMs: 600000, paceMs: null },
+  work: { enabled: true, endType: 'distance', distanceM: 400, timeMs: 120000, paceMs: null },
+  recovery: { enabled: true, endType: 'time', distanceM: 200, timeMs: 90000, paceMs: null },
+  cooldown: { enabled: true, endType: 'time', distanceM: 1000, timeMs: 600000, paceMs: null },
+})
+
+/**
+ * localStorage에서 읽은 plan을 기본값 위에 덮어쓴다 (필드가 빠진 예전 값 대비)
+ */
+export const normalizeWorkoutPlan = (raw) => {
+  const base = createDefaultWorkoutPlan()
+  if (!raw || typeof raw !== 'object') return base
+  const mergeStep = (key) => {
+    const src = raw[key] && typeof raw[key] === 'object' ? raw[key] : {}
+    const dst = { ...base[key] }
+    if (typeof src.enabled === 'boolean' && key !== 'work') dst.enabled = src.enabled
+    if (isEndType(src.endType)) dst.endType = src.endType
+    if (WORKOUT_DISTANCE_PRESETS_M.includes(Number(src.distanceM))) dst.distanceM = Number(src.distanceM)
+    if (WORKOUT_TIME_PRESETS_MS.includes(Number(src.timeMs))) dst.timeMs = Number(src.timeMs)
+    dst.paceMs = Number(src.paceMs) > 0 ? Number(src.paceMs) : null
+    return dst
+  }
+  return {
+    enabled: raw.enabled === true,
+    paceToleranceMs: WORKOUT_PACE_TOLERANCE_OPTIONS_MS.includes(Number(raw.paceToleranceMs))
+      ? Number(raw.paceToleranceMs)
+      : base.paceToleranceMs,
+    repeats: Math.min(WORKOUT_MAX_REPEATS, Math.max(1, Math.round(Number(raw.repeats) || base.repeats))),
+    warmup: mergeStep('warmup'),
+    work: mergeStep('work'),
+    recovery: mergeStep('recovery'),
+    cooldown: mergeStep('cooldown'),
+  }
+}
+
+const planStepToStep = (kind, planStep, toleranceMs) => {
+  if (!planStep || (kind !== 'work' && !planStep.enabled)) return null
+  const endType = isEndType(planStep.endType) ? planStep.endType : 'lap'
+  const value = endType === 'distance' ? planStep.distanceM : endType === 'time' ? planStep.timeMs : null
+  const pace = Number(planStep.paceMs) > 0
+    ? { minMs: Math.max(1000, planStep.paceMs - toleranceMs), maxMs: planStep.paceMs + toleranceMs }
+    : null
+  return normalizeStep({ kind, end: { type: endType, value }, pace })
+}
+
+/**
+ * plan → workout
+ */
+export const buildIntervalWorkout = (plan) => {
+  const source = normalizeWorkoutPlan(plan)
+  const tolerance = source.paceToleranceMs
+  const warmup = planStepToStep('warmup', source.warmup, tolerance)
+  const work = planStepToStep('work', source.work, tolerance)
+  const recovery = planStepToStep('recovery', source.recovery, tolerance)
+  const cooldown = planStepToStep('cooldown', source.cooldown, tolerance)
+  const steps = []
+  if (warmup) steps.push(warmup)
+  if (work) steps.push({ type: 'repeat', count: source.repeats, steps: recovery ? [work, recovery] : [work] })
+  if (cooldown) steps.push(cooldown)
+  return normalizeWorkout({ name: '', steps })
+}
+
+/**
+ * 반복 블록을 펼친 실행 순서
+ * @returns {Array<Object>} step + { index, repeatIndex, repeatCount } (repeatIndex는 1부터, 반복 밖이면 null)
+ */
+export const expandWorkoutSteps = (workout) => {
+  const normalized = normalizeWorkout(workout)
+  if (!normalized) return []
+  const flat = []
+  normalized.steps.forEach((item) => {
+    if (item.type === 'repeat') {
+      for (let rep = 1; rep <= item.count; rep += 1) {
+        item.steps.forEach((step) => flat.push({ ...step, repeatIndex: rep, repeatCount: item.count }))
+      }
+      return
+    }
+    flat.push({ ...item, repeatIndex: null, repeatCount: null })
+  })
+  return flat.map((step, index) => ({ ...step, index }))
+}
+
+// ----------------------------------------------------------------------------
+// Runtime
+// ----------------------------------------------------------------------------
+
+const computeStepPace = (distanceM, durationMs) => {
+  if (!(distanceM >= MIN_STEP_PACE_DISTANCE_M) || !(durationMs > 0)) return null
+  return durationMs / (distanceM / 1000)
+}
+
+/**
+ * 세션 안에서 스텝을 진행시키는 runner
+ *
+ * progress는 세션 누적값 { distanceM, elapsedMs } (일시정지 제외 경과 시간)
+ *
+ * @param {Object} workout
+ */
+export const createWorkoutRunner = (workout) => {
+  const steps = expandWorkoutSteps(workout)
+  const results = []
+  let currentIndex = -1
+  let stepStart = null // { distanceM, elapsedMs }
+  let finished = false
+
+  const readProgress = (progress) => ({
+    distanceM: Number.isFinite(progress?.distanceM) ? progress.distanceM : 0,
+    elapsedMs: Number.isFinite(progress?.elapsedMs) ? progress.elapsedMs : 0,
+  })
+
+  const closeStep = (progress, endedBy) => {
+    const step = steps[currentIndex]
+    if (!step || !stepStart) return null
+    const distanceM = Math.max(0, progress.distanceM - stepStart.distanceM)
+    const durationMs = Math.max(0, progress.elapsedMs - stepStart.elapsedMs)
+    const avgPaceMs = computeStepPace(distanceM, durationMs)
+    const result = {
+      index: step.index,
+      kind: step.kind,
+      repeatIndex: step.repeatIndex,
+      end: step.end,
+      pace: step.pace,
+      endedBy,
+      startDistanceM: stepStart.distanceM,
+      startElapsedMs: stepStart.elapsedMs,
+      distanceM,
+      durationMs,
+      avgPaceMs,
+      inTargetRange: step.pace && Number.isFinite(avgPaceMs)
+        ? avgPaceMs >= step.pace.minMs && avgPaceMs <= step.pace.maxMs
+        : null,
+    }
+    results.push(result)
+    return result
+  }
+
+  const advance = (progress, endedBy) => {
+    const completed = closeStep(progress, endedBy)
+    currentIndex += 1
+    if (currentIndex >= steps.length) {
+      finished = true
+      stepStart = null
+      return { type: 'complete', completed, step: null }
+    }
+    stepStart = { ...progress }
+    return { type: 'step', completed, step: steps[currentIndex] }
+  }
+
+  /**
+   * 첫 스텝 시작
+   * @returns {Object|null} 첫 스텝
+   */
+  const start = (progress) => {
+    if (!steps.length) return null
+    results.length = 0
+    currentIndex = 0
+    finished = false
+    stepStart = readProgress(progress)
+    return steps[0]
+  }
+
+  /**
+   * 거리/시간 종료 조건 확인 (세션 루프에서 호출)
+   * @returns {{ type: 'step'|'complete', completed: Object, step: Object|null }|null}
+   */
+  const update = (progress) => {
+    if (finished || currentIndex < 0) return null
+    const now = readProgress(progress)
+    const step = steps[currentIndex]
+    if (step.end.type === 'distance' && now.distanceM - stepStart.distanceM >= step.end.value) {
+      return advance(now, 'distance')
+    }
+    if (step.end.type === 'time' && now.elapsedMs - stepStart.elapsedMs >= step.end.value) {
+      return advance(now, 'time')
+    }
+    return null
+  }
+
+  /**
+   * 랩 버튼: 종료 조건과 상관없이 현재 스텝을 끝낸다
+   */
+  const lap = (progress) => {
+    if (finished || currentIndex < 0) return null
+    return advance(readProgress(progress), 'lap')
+  }
+
+  /**
+   * 세션 종료: 진행 중이던 스텝을 닫고 전체 결과 반환
+   */
+  const finish = (progress) => {
+    if (!finished && currentIndex >= 0) {
+      closeStep(readProgress(progress), 'session_end')
+      finished = true
+      stepStart = null
+    }
+    return results.map((result) => ({ ...result }))
+  }
+
+  /**
+   * 화면 표시용 현재 스텝 진행률
+   */
+  const getStatus = (progress) => {
+    if (finished || currentIndex < 0) return null
+    const now = readProgress(progress)
+    const step = steps[currentIndex]
+    const doneDistanceM = Math.max(0, now.distanceM - stepStart.distanceM)
+    const doneMs = Math.max(0, now.elapsedMs - stepStart.elapsedMs)
+    let fraction = null
+    let remaining = null
+    if (step.end.type === 'distance') {
+      fraction = Math.min(1, doneDistanceM / step.end.value)
+      remaining = Math.max(0, step.end.value - doneDistanceM)
+    } else if (step.end.type === 'time') {
+      fraction = Math.min(1, doneMs / step.end.value)
+      remaining = Math.max(0, step.end.value - doneMs)
+    }
+    return {
+      step,
+      index: currentIndex,
+      total: steps.length,
+      distanceM: doneDistanceM,
+      durationMs: doneMs,
+      remaining,
+      fraction,
+    }
+  }
+
+  return {
+    start,
+    update,
+    lap,
+    finish,
+    getStatus,
+    get currentStep() {
+      return finished || currentIndex < 0 ? null : steps[currentIndex]
+    },
+    get stepCount() {
+      return steps.length
+    },
+    get finished() {
+      return finished
+    },
+  }
+}
+
+/**
+ * 저장된 빌더 plan (모드별)
+ */
+export const readWorkoutPlan = (mode = 'run') => {
+  if (typeof window === 'undefined') return createDefaultWorkoutPlan()
+  try {
+    const raw = localStorage.getItem(`${WORKOUT_PLAN_STORAGE_KEY}_${mode}`)
+    return normalizeWorkoutPlan(raw ? JSON.parse(raw) : null)
+  } catch {
+    return createDefaultWorkoutPlan()
+  }
+}
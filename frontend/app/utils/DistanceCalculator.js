@@ -58,6 +58,53 @@ export class DistanceCalculator {
   static STATIONARY_LOW_SPEED_COUNT = 3
   static STATIONARY_SPEED_THRESHOLD_MPS = 0.5 // m/s
 
+  /**
+   * 좌표 스무딩 방식
+   * - average: 최근 N개 위치의 가중 이동평균 (기존 방식)
+   * - kalman: 등속(constant-velocity) 칼만 필터. accuracy를 측정 노이즈로,
+   *   GPS speed/heading이 있으면 속도 측정으로 같이 사용한다.
+   */
+  static SMOOTHING_MODES = ['average', 'kalman']
+
+  /**
+   * 칼만 필터 프로세스 노이즈: 모드별 가속도 표준편차 (m/s²)
+   * 클수록 코너/속도 변화에 빨리 따라가고, 작을수록 더 매끈해진다.
+   * 크게 잡으면 필터 좌표가 GPS 흔들림을 따라 지그재그가 되어 거리가 길어진다 (GPS speed 없는 3km 시뮬레이션에서 2 → +5~12%)
+   */
+  static KALMAN_ACCEL_NOISE_MPS2 = {
+    run: 0.5,
+    walk: 0.2
+  }
+
+  /**
+   * accuracy 정보가 없을 때 사용할 측정 노이즈 (미터)
+   */
+  static KALMAN_DEFAULT_ACCURACY_M = 10
+
+  /**
+   * GPS speed 측정 노이즈 (m/s)
+   */
+  static KALMAN_SPEED_NOISE_MPS = 1
+
+  /**
+   * 이 시간 이상 샘플이 끊기면 필터 상태를 새 위치로 다시 초기화
+   */
+  static KALMAN_RESET_GAP_MS = 30000
+
+  /**
+   * 측정값 outlier 판정 기준 (정규화 innovation 제곱합, 자유도 2에서 약 4σ)
+   * 이 값을 넘는 측정은 버리고, KALMAN_MAX_GATED_SAMPLES번 연속이면 필터를 재초기화
+   */
+  static KALMAN_GATE_THRESHOLD = 16
+  static KALMAN_MAX_GATED_SAMPLES = 3
+
+  /**
+   * 칼만 모드의 최소 이동 거리 = 필터 추정 오차 × N (MIN_DISTANCE_THRESHOLD_M ~ 최대값 사이)
+   * 앵커를 유지한 채 이동량을 이월하므로 임계값이 커져도 거리가 사라지지 않는다.
+   */
+  static KALMAN_DISTANCE_THRESHOLD_SIGMA = 2
+  static KALMAN_MAX_DISTANCE_THRESHOLD_M = 10
+
   // ==================== 생성자 ====================
 
   /**
@@ -66,11 +113,16 @@ export class DistanceCalculator {
    * @param {Object} options - 설정 옵션
    * @param {string} options.mode - 운동 모드 ('run' | 'walk')
    * @param {boolean} options.enableSmoothing - 좌표 스무딩 활성화 여부 (기본: true)
+   * @param {string} options.smoothing - 스무딩 방식 ('average' | 'kalman', 기본: 'average')
    * @param {number} options.initialDistance - 초기 거리 (미터, 기본: 0)
+   * @param {Function} options.now - 현재 시각 함수 (Stale 체크 기준, 기본: Date.now)
+   *   저장된 파일(GPX/TCX)을 재계산할 때는 포인트 시각을 돌려주도록 넘긴다
    */
-  constructor({ mode = 'run', enableSmoothing = true, initialDistance = 0 } = {}) {
+  constructor({ mode = 'run', enableSmoothing = true, smoothing = 'average', initialDistance = 0, now = Date.now } = {}) {
     this.mode = mode
     this.enableSmoothing = enableSmoothing
+    this.smoothing = DistanceCalculator.SMOOTHING_MODES.includes(smoothing) ? smoothing : 'average'
+    this.now = typeof now === 'function' ? now : Date.now
 
     // 총 누적 거리 (미터)
     this.totalDistance = initialDistance
@@ -84,6 +136,9 @@ export class DistanceCalculator {
     // 정지 감지를 위한 연속 저속 카운터
     this.lowSpeedCounter = 0
 
+    // 칼만 필터 상태 (smoothing: 'kalman'에서만 사용)
+    this.kalman = null
+
     // 통계 (디버깅/분석용)
     this.stats = {
       totalSamples: 0,
@@ -91,7 +146,8 @@ export class DistanceCalculator {
       rejectedBySpeed: 0,
       rejectedByMinDistance: 0,
       rejectedByStale: 0,
-      rejectedByStationary: 0
+      rejectedByStationary: 0,
+      rejectedByKalmanOutlier: 0
     }
   }
 
@@ -106,7 +162,9 @@ export class DistanceCalculator {
    * @param {number} location.timestamp - 타임스탬프 (밀리초)
    * @param {number} [location.accuracy] - 수평 정확도 (미터, 선택)
    * @param {number} [location.speed] - GPS 속도 (m/s, 선택)
-   * @returns {Object} 처리 결과 { accepted, deltaDistance, reason }
+   * @param {number} [location.heading] - GPS 진행 방향 (도, 북=0 시계방향, 선택)
+   * @returns {Object} 처리 결과 { accepted, deltaDistance, reason, filteredLocation? }
+   *   kalman 모드에서는 필터를 거친 좌표를 filteredLocation으로 돌려준다 (route 기록용)
    */
   onLocationUpdate(location) {
     this.stats.totalSamples++
@@ -130,6 +188,12 @@ export class DistanceCalculator {
         return { accepted: false, deltaDistance: 0, reason: 'stale_location' }
       }
 
+      if (this._isKalmanMode()) {
+        const filteredLocation = this._applyKalmanFilter(location)
+        this._updateAnchor(filteredLocation)
+        return { accepted: true, deltaDistance: 0, reason: 'first_location', filteredLocation }
+      }
+
       this._updateAnchor(location)
       return { accepted: true, deltaDistance: 0, reason: 'first_location' }
     }
@@ -155,39 +219,69 @@ export class DistanceCalculator {
       return { accepted: false, deltaDistance: 0, reason: 'invalid_time' }
     }
 
-    const speedMps = rawDistance / timeDeltaSec
+    // 칼만 모드: 이후 단계(속도/정지/최소거리/누적)는 필터를 거친 좌표 기준
+    const kalmanMode = this._isKalmanMode()
+    let candidate = location
+    let filteredLocation = null
+    if (kalmanMode) {
+      filteredLocation = this._applyKalmanFilter(location)
+      if (!filteredLocation) {
+        // 예측 위치에서 너무 멀리 튄 측정값 (GPS glitch) - 속도 제한과 구분해서 센다
+        this.stats.rejectedByKalmanOutlier++
+        return { accepted: false, deltaDistance: 0, reason: 'kalman_outlier' }
+      }
+      candidate = filteredLocation
+    }
+    const withFiltered = (result) => (filteredLocation ? { ...result, filteredLocation } : result)
+    const candidateDistance = kalmanMode
+      ? haversineDistanceMeters(this.lastValidLocation, candidate)
+      : rawDistance
+    const speedMps = candidateDistance / timeDeltaSec
+    // 칼만 모드: 필터 좌표도 진행 방향 옆으로 흔들리므로 좌표 차이를 그대로 더하면 거리가 길어진다.
+    // 앵커 → 현재 이동량 중 필터 속도 방향 성분만 센다 (옆 흔들림 제거, 앞뒤 흔들림은 앵커가 따라가며 상쇄)
+    const trackDistance = kalmanMode ? this._alongTrackDistance(candidate, candidateDistance) : candidateDistance
 
     // 6. 속도 제한 필터링
     if (!this._checkSpeed(speedMps)) {
       this.stats.rejectedBySpeed++
-      return { accepted: false, deltaDistance: 0, reason: 'excessive_speed' }
+      return withFiltered({ accepted: false, deltaDistance: 0, reason: 'excessive_speed' })
     }
 
     // 7. 정지 상태 감지 (연속 저속 체크)
-    if (speedMps < DistanceCalculator.STATIONARY_SPEED_THRESHOLD_MPS) {
+    // 칼만 모드는 좌표 차이보다 덜 흔들리는 필터 속도 추정값을 사용
+    const movingSpeedMps = kalmanMode ? filteredLocation.speed : speedMps
+    if (movingSpeedMps < DistanceCalculator.STATIONARY_SPEED_THRESHOLD_MPS) {
       this.lowSpeedCounter++
       if (this.lowSpeedCounter >= DistanceCalculator.STATIONARY_LOW_SPEED_COUNT) {
         this.stats.rejectedByStationary++
         // 앵커는 업데이트하여 시간 흐름 반영
-        this._updateAnchor(location)
-        return { accepted: false, deltaDistance: 0, reason: 'stationary' }
+        this._updateAnchor(candidate)
+        return withFiltered({ accepted: false, deltaDistance: 0, reason: 'stationary' })
       }
     } else {
       this.lowSpeedCounter = 0 // 리셋
     }
 
     // 8. 최소 거리 임계값 필터링 (Drift 방지)
-    if (rawDistance < DistanceCalculator.MIN_DISTANCE_THRESHOLD_M) {
+    // 칼만 모드는 필터 추정 오차(accuracy)만큼 임계값을 넓혀 제자리 흔들림이 쌓이지 않게 한다
+    const minDistanceM = kalmanMode
+      ? Math.min(
+        DistanceCalculator.KALMAN_MAX_DISTANCE_THRESHOLD_M,
+        Math.max(DistanceCalculator.MIN_DISTANCE_THRESHOLD_M, filteredLocation.accuracy * DistanceCalculator.KALMAN_DISTANCE_THRESHOLD_SIGMA)
+      )
+      : DistanceCalculator.MIN_DISTANCE_THRESHOLD_M
+    if (trackDistance < minDistanceM) {
       this.stats.rejectedByMinDistance++
       // 임계값 이하지만 앵커는 업데이트 (시간 흐름 반영)
-      this._updateAnchor(location)
-      return { accepted: false, deltaDistance: 0, reason: 'below_threshold' }
+      // 칼만 모드는 노이즈가 이미 걸러진 좌표라서 앵커를 유지하고 이동량을 다음 샘플로 이월한다
+      if (!kalmanMode) this._updateAnchor(candidate)
+      return withFiltered({ accepted: false, deltaDistance: 0, reason: 'below_threshold' })
     }
 
-    // 9. 좌표 스무딩 적용 (선택적)
-    let finalDistance = rawDistance
+    // 9. 좌표 스무딩 적용 (average 모드, 선택적)
+    let finalDistance = trackDistance
     let smoothedLocation = null
-    if (this.enableSmoothing) {
+    if (this.enableSmoothing && !kalmanMode) {
       smoothedLocation = this._applySmoothingAndGetDistance(location)
       if (smoothedLocation) {
         finalDistance = haversineDistanceMeters(this.lastValidLocation, smoothedLocation)
@@ -205,20 +299,20 @@ export class DistanceCalculator {
     // 10. 거리 누적
     this.totalDistance += finalDistance
 
-    // 앵커 업데이트: 스무딩을 사용했다면 스무딩된 좌표로, 아니면 원본으로
-    if (this.enableSmoothing && smoothedLocation) {
+    // 앵커 업데이트: 스무딩/필터를 사용했다면 그 좌표로, 아니면 원본으로
+    if (smoothedLocation) {
       this._updateAnchor(smoothedLocation)
     } else {
-      this._updateAnchor(location)
+      this._updateAnchor(candidate)
     }
 
-    return {
+    return withFiltered({
       accepted: true,
       deltaDistance: finalDistance,
       reason: 'accepted',
       speed: speedMps,
       rawDistance
-    }
+    })
   }
 
   /**
@@ -238,6 +332,7 @@ export class DistanceCalculator {
   getStats() {
     return {
       ...this.stats,
+      smoothing: this.enableSmoothing ? this.smoothing : 'none',
       acceptanceRate: this.stats.totalSamples > 0
         ? ((this.stats.totalSamples - this._getRejectedCount()) / this.stats.totalSamples * 100).toFixed(1) + '%'
         : 'N/A'
@@ -252,13 +347,15 @@ export class DistanceCalculator {
     this.lastValidLocation = null
     this.locationBuffer = []
     this.lowSpeedCounter = 0
+    this.kalman = null
     this.stats = {
       totalSamples: 0,
       rejectedByAccuracy: 0,
       rejectedBySpeed: 0,
       rejectedByMinDistance: 0,
       rejectedByStale: 0,
-      rejectedByStationary: 0
+      rejectedByStationary: 0,
+      rejectedByKalmanOutlier: 0
     }
   }
 
@@ -300,7 +397,7 @@ export class DistanceCalculator {
    * 위치 데이터 신선도 체크
    */
   _checkStale(location) {
-    const now = Date.now()
+    const now = this.now()
     const age = now - location.timestamp
 
     return age <= DistanceCalculator.LOCATION_STALE_THRESHOLD_MS
@@ -354,6 +451,189 @@ export class DistanceCalculator {
     }
   }
 
+  _isKalmanMode() {
+    return this.enableSmoothing && this.smoothing === 'kalman'
+  }
+
+  /**
+   * 등속 칼만 필터 (상태: 동/북 위치와 속도, 첫 위치 기준 로컬 평면 좌표계 m)
+   *
+   * predict: x = F·x, P = F·P·Fᵀ + Q (white-noise acceleration)
+   * update: 위치(accuracy²), GPS 속도(speed/heading)를 각각 스칼라 측정으로 순차 반영
+   *
+   * @returns {Object|null} 필터를 거친 위치 { latitude, longitude, timestamp, accuracy, speed }
+   *   측정값이 outlier로 판정되면 null
+   */
+  _applyKalmanFilter(location) {
+    const accuracy = Number.isFinite(location.accuracy) && location.accuracy > 0
+      ? location.accuracy
+      : DistanceCalculator.KALMAN_DEFAULT_ACCURACY_M
+    const positionVariance = accuracy * accuracy
+    const velocity = this._measuredVelocity(location)
+    const state = this.kalman
+    const dtSec = state ? (location.timestamp - state.timestamp) / 1000 : 0
+
+    // 같은 시각(또는 역순) 샘플은 상태를 건드리지 않는다
+    if (state && dtSec <= 0) {
+      return { ...this._fromKalmanState(), timestamp: state.timestamp }
+    }
+
+    if (!state || dtSec * 1000 > DistanceCalculator.KALMAN_RESET_GAP_MS) {
+      // 초기화 (또는 긴 공백 후 재초기화): 측정 위치에서 시작, 속도는 모르면 0 ± 5 m/s
+      this.kalman = {
+        originLat: location.latitude,
+        originLon: location.longitude,
+        timestamp: location.timestamp,
+        x: [0, 0, velocity?.east ?? 0, velocity?.north ?? 0],
+        P: [
+          [positionVariance, 0, 0, 0],
+          [0, positionVariance, 0, 0],
+          [0, 0, 25, 0],
+          [0, 0, 0, 25]
+        ]
+      }
+      return { ...this._fromKalmanState(), timestamp: location.timestamp }
+    }
+
+    const { x, P } = state
+
+    // predict
+    x[0] += x[2] * dtSec
+    x[1] += x[3] * dtSec
+    const accelNoise = DistanceCalculator.KALMAN_ACCEL_NOISE_MPS2[this.mode] || 2
+    const q = accelNoise * accelNoise
+    const dt2 = dtSec * dtSec
+    const qPos = (dt2 * dt2 / 4) * q
+    const qCross = (dt2 * dtSec / 2) * q
+    const qVel = dt2 * q
+    // P = F·P·Fᵀ (F: 위치 += 속도·dt)
+    for (let i = 0; i < 4; i++) {
+      P[0][i] += dtSec * P[2][i]
+      P[1][i] += dtSec * P[3][i]
+    }
+    for (let i = 0; i < 4; i++) {
+      P[i][0] += dtSec * P[i][2]
+      P[i][1] += dtSec * P[i][3]
+    }
+    // + Q (축별 [dt⁴/4, dt³/2; dt³/2, dt²]·q)
+    P[0][0] += qPos
+    P[1][1] += qPos
+    P[0][2] += qCross
+    P[2][0] += qCross
+    P[1][3] += qCross
+    P[3][1] += qCross
+    P[2][2] += qVel
+    P[3][3] += qVel
+
+    // update
+    const measured = this._toLocalMeters(location.latitude, location.longitude)
+
+    // innovation gating: 예측 위치에서 너무 멀면 이번 측정은 버린다 (예측 상태는 유지)
+    // 연속으로 버려지면 필터가 실제 위치를 놓친 것으로 보고 새 위치로 재초기화
+    const dEast = measured.east - x[0]
+    const dNorth = measured.north - x[1]
+    const gate = (dEast * dEast) / (P[0][0] + positionVariance) + (dNorth * dNorth) / (P[1][1] + positionVariance)
+    if (gate > DistanceCalculator.KALMAN_GATE_THRESHOLD) {
+      state.timestamp = location.timestamp
+      state.gatedCount = (state.gatedCount || 0) + 1
+      if (state.gatedCount >= DistanceCalculator.KALMAN_MAX_GATED_SAMPLES) {
+        this.kalman = null
+        return this._applyKalmanFilter(location)
+      }
+      return null
+    }
+    state.gatedCount = 0
+    // 이번 측정 반영 전 속도: 거리 계산의 진행 방향으로 쓴다 (같은 측정의 옆 흔들림에 끌려가지 않게)
+    state.priorVelocity = [x[2], x[3]]
+    this._kalmanScalarUpdate(0, measured.east, positionVariance)
+    this._kalmanScalarUpdate(1, measured.north, positionVariance)
+    if (velocity) {
+      const speedVariance = DistanceCalculator.KALMAN_SPEED_NOISE_MPS ** 2
+      this._kalmanScalarUpdate(2, velocity.east, speedVariance)
+      this._kalmanScalarUpdate(3, velocity.north, speedVariance)
+    }
+
+    state.timestamp = location.timestamp
+    return { ...this._fromKalmanState(), timestamp: location.timestamp }
+  }
+
+  /**
+   * GPS speed/heading → 동/북 속도 성분 (m/s)
+   * heading이 없으면 필터가 추정한 진행 방향에 speed 크기만 반영한다.
+   */
+  _measuredVelocity(location) {
+    const speed = location.speed
+    if (!Number.isFinite(speed) || speed < 0) return null
+    const heading = location.heading
+    if (Number.isFinite(heading) && heading >= 0) {
+      const rad = (heading * Math.PI) / 180
+      return { east: speed * Math.sin(rad), north: speed * Math.cos(rad) }
+    }
+    if (!this.kalman) return null
+    const [, , vEast, vNorth] = this.kalman.x
+    const magnitude = Math.hypot(vEast, vNorth)
+    if (magnitude < DistanceCalculator.STATIONARY_SPEED_THRESHOLD_MPS) return null
+    return { east: (vEast / magnitude) * speed, north: (vNorth / magnitude) * speed }
+  }
+
+  /**
+   * 앵커 → 필터 좌표 이동량의 진행 방향 성분 (m, 0 이상)
+   * 진행 방향은 이번 측정 반영 전 필터 속도. 방향을 모를 만큼 느리면 좌표 차이를 그대로 쓴다 (정지 판정이 따로 걸러냄)
+   */
+  _alongTrackDistance(candidate, candidateDistance) {
+    if (!this.kalman) return candidateDistance
+    const [vEast, vNorth] = this.kalman.priorVelocity || this.kalman.x.slice(2)
+    const speed = Math.hypot(vEast, vNorth)
+    if (speed < DistanceCalculator.STATIONARY_SPEED_THRESHOLD_MPS) return candidateDistance
+    const from = this._toLocalMeters(this.lastValidLocation.latitude, this.lastValidLocation.longitude)
+    const to = this._toLocalMeters(candidate.latitude, candidate.longitude)
+    const along = ((to.east - from.east) * vEast + (to.north - from.north) * vNorth) / speed
+    return Math.min(candidateDistance, Math.max(0, along))
+  }
+
+  /**
+   * 상태 index 하나를 직접 관측하는 스칼라 측정 업데이트 (H = e_index)
+   */
+  _kalmanScalarUpdate(index, measurement, variance) {
+    const { x, P } = this.kalman
+    const innovationVariance = P[index][index] + variance
+    if (!(innovationVariance > 0)) return
+    const gain = P.map((row) => row[index] / innovationVariance)
+    const innovation = measurement - x[index]
+    const pRow = P[index].slice()
+    for (let i = 0; i < 4; i++) {
+      x[i] += gain[i] * innovation
+      for (let j = 0; j < 4; j++) {
+        P[i][j] -= gain[i] * pRow[j]
+      }
+    }
+  }
+
+  _metersPerDegree() {
+    const metersPerDegLat = 111320
+    const metersPerDegLon = metersPerDegLat * Math.cos((this.kalman.originLat * Math.PI) / 180) || metersPerDegLat
+    return { metersPerDegLat, metersPerDegLon }
+  }
+
+  _toLocalMeters(latitude, longitude) {
+    const { metersPerDegLat, metersPerDegLon } = this._metersPerDegree()
+    return {
+      east: (longitude - this.kalman.originLon) * metersPerDegLon,
+      north: (latitude - this.kalman.originLat) * metersPerDegLat
+    }
+  }
+
+  _fromKalmanState() {
+    const { metersPerDegLat, metersPerDegLon } = this._metersPerDegree()
+    const { x, P } = this.kalman
+    return {
+      latitude: this.kalman.originLat + x[1] / metersPerDegLat,
+      longitude: this.kalman.originLon + x[0] / metersPerDegLon,
+      accuracy: Math.sqrt(Math.max(0, (P[0][0] + P[1][1]) / 2)),
+      speed: Math.hypot(x[2], x[3])
+    }
+  }
+
   /**
    * 마지막 유효 위치(앵커) 업데이트
    */
@@ -375,7 +655,8 @@ export class DistanceCalculator {
       this.stats.rejectedBySpeed +
       this.stats.rejectedByMinDistance +
       this.stats.rejectedByStale +
-      this.stats.rejectedByStationary
+      this.stats.rejectedByStationary +
+      this.stats.rejectedByKalmanOutlier
     )
   }
 }
@@ -0,0 +1,122 @@
+'use client'
+
+/**
+ * Barometric altimeter plugin wrapper
+ * - iOS: CMAltimeter (relativeAltitude, pressure in kPa)
+ * - Android: TYPE_PRESSURE sensor (pressure in hPa)
+ * Emits altitude in meters. Relative altitude is preferred; raw pressure is converted
+ * with the standard atmosphere formula. Absolute height is anchored to GPS by the caller.
+ */
+
+let activeStopper = null
+
+const SEA_LEVEL_PRESSURE_HPA = 1013.25
+
+const resolvePlugin = () => {
+  if (typeof window === 'undefined') return null
+  const cap = window.Capacitor || {}
+  const plugins = cap.Plugins || {}
+  return plugins.Barometer || cap.Barometer || plugins.Altimeter || cap.Altimeter || null
+}
+
+// 표준 대기 기준 기압 → 고도 (m)
+export const pressureToAltitude = (pressureHPa) => {
+  if (!Number.isFinite(pressureHPa) || pressureHPa <= 0) return null
+  return 44330 * (1 - Math.pow(pressureHPa / SEA_LEVEL_PRESSURE_HPA, 1 / 5.255))
+}
+
+const normalizeReading = (data) => {
+  if (!data) return null
+  const relative = Number(data.relativeAltitude ?? data.altitude)
+  let pressure = Number(data.pressure ?? data.pressureHPa)
+  // CMAltimeter는 kPa로 준다
+  if (Number.isFinite(pressure) && pressure > 0 && pressure < 200) pressure *= 10
+  const altitude = Number.isFinite(relative) ? relative : pressureToAltitude(pressure)
+  if (!Number.isFinite(altitude)) return null
+  const tsRaw = data.timestamp ?? data.time ?? data.ts
+  return {
+    altitude,
+    pressureHPa: Number.isFinite(pressure) ? pressure : null,
+    timestamp: Number.isFinite(tsRaw) ? Number(tsRaw) : Date.now(),
+    raw: data,
+  }
+}
+
+const stopActive = async () => {
+  const stopper = activeStopper
+  activeStopper = null
+  if (typeof stopper === 'function') {
+    try {
+      await stopper()
+    } catch {}
+  }
+}
+
+export const barometer = {
+  async isAvailable() {
+    const plugin = resolvePlugin()
+    if (!plugin) return false
+    if (typeof plugin.isAvailable !== 'function') return true
+    try {
+      const res = await plugin.isAvailable()
+      if (res === true) return true
+      if (res && typeof res === 'object') {
+        return Boolean(res.available ?? res.isAvailable)
+      }
+      return Boolean(res)
+    } catch {
+      return false
+    }
+  },
+
+  async startUpdates(callback) {
+    const plugin = resolvePlugin()
+    if (!plugin) throw new Error('Barometer plugin is unavailable')
+
+    await stopActive()
+
+    const emit = (payload) => {
+      const reading = normalizeReading(payload)
+      if (!reading) return
+      try {
+        callback?.(reading)
+      } catch (err) {
+        console.warn('[barometer] callback error', err)
+      }
+    }
+
+    // Capacitor event emitter style
+    if (typeof plugin.addListener === 'function' && typeof plugin.startUpdates === 'function') {
+      const listener = await plugin.addListener('altitudeChange', emit)
+      await plugin.startUpdates()
+      activeStopper = async () => {
+        try {
+          await plugin.stopUpdates?.()
+        } catch {}
+        try {
+          await listener?.remove?.()
+        } catch {}
+      }
+      return true
+    }
+
+    // Promise style
+    if (typeof plugin.startUpdates === 'function') {
+      await plugin.startUpdates(emit)
+      activeStopper = async () => {
+        try {
+          await plugin.stopUpdates?.()
+        } catch {}
+      }
+      return true
+    }
+
+    throw new Error('No barometer start method available')
+  },
+
+  async stopUpdates() {
+    await stopActive()
+  },
+}
+
+export default barometer
@@ -167,6 +167,40 @@ export function scheduleBellAt(absMs, type='ding', { volume=0.9 } = {}){
   } catch { return () => {} }
 }
 
+// Current AudioContext clock (seconds), null when WebAudio is unavailable
+// - Sample-accurate scheduling should use this instead of converting from Date.now()
+export function getAudioTime(){
+  const ctx = ensureAudioCtx(); if (!ctx) return null
+  return ctx.currentTime
+}
+
+// Short metronome tick scheduled on the AudioContext clock (seconds, same basis as getAudioTime)
+// - Synthesized (no sample) so it stays crisp at 3+ clicks per second
+// - accent: higher pitch for downbeats
+// Returns a cancel() function like scheduleBellAt.
+export function scheduleClickAt(whenSec, { volume=0.7, accent=false } = {}){
+  if (!canPlayAudio()) return () => {}
+  const ctx = ensureAudioCtx(); if (!ctx || !Number.isFinite(whenSec)) return () => {}
+  const when = Math.max(ctx.currentTime, whenSec)
+  try {
+    const osc = ctx.createOscillator(); osc.type = 'triangle'
+    const g = ctx.createGain()
+    osc.frequency.setValueAtTime(accent ? 2200 : 1600, when)
+    g.gain.setValueAtTime(0.0001, when)
+    g.gain.exponentialRampToValueAtTime(Math.max(0.0002, Math.min(1, volume)), when + 0.002)
+    g.gain.exponentialRampToValueAtTime(0.0001, when + 0.045)
+    osc.connect(g).connect(ctx.destination)
+    osc.start(when); osc.stop(when + 0.05)
+    let cancelled = false
+    return () => {
+      if (cancelled) return; cancelled = true
+      try { g.gain.setValueAtTime(0, ctx.currentTime) } catch {}
+      try { osc.stop(ctx.currentTime) } catch {}
+      try { osc.disconnect() } catch {}
+    }
+  } catch { return () => {} }
+}
+
 export function playBell(type='ding'){
   // CRITICAL: Don't play sounds during phone call or system audio interruption
   if (!canPlayAudio()) {
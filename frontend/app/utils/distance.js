@@ -1,5 +1,51 @@
 const EARTH_RADIUS_M = 6371000
 
+export const METERS_PER_MILE = 1609.344
+export const FEET_PER_METER = 3.28084
+
+/**
+ * 표시 단위계: 'metric' (km, /km, m) | 'imperial' (mi, /mi, ft)
+ * 저장 데이터는 항상 SI 단위(m, ms/km)이고, 아래 format* 함수가 표시할 때만 변환한다.
+ */
+export const UNIT_SYSTEMS = ['metric', 'imperial']
+
+let activeUnitSystem = 'metric'
+
+export const setUnitSystem = (system) => {
+  activeUnitSystem = system === 'imperial' ? 'imperial' : 'metric'
+}
+
+export const getUnitSystem = () => activeUnitSystem
+
+export const isImperialUnits = () => activeUnitSystem === 'imperial'
+
+// 표시 거리 단위 1개의 길이 (1 km 또는 1 mi)
+export const getDistanceUnitMeters = () => (isImperialUnits() ? METERS_PER_MILE : 1000)
+
+export const getDistanceUnitLabel = () => (isImperialUnits() ? 'mi' : 'km')
+
+export const getPaceUnitLabel = () => `/${getDistanceUnitLabel()}`
+
+export const getSpeedUnitLabel = () => (isImperialUnits() ? 'mph' : 'km/h')
+
+export const metersToDisplayDistance = (meters) => {
+  if (!Number.isFinite(meters)) return 0
+  return meters / getDistanceUnitMeters()
+}
+
+export const displayDistanceToMeters = (value) => {
+  if (!Number.isFinite(value)) return 0
+  return value * getDistanceUnitMeters()
+}
+
+// ms/km ↔ 표시 단위 페이스 (ms/km 또는 ms/mi)
+export const paceToDisplayPace = (msPerKm) => (Number.isFinite(msPerKm) ? msPerKm * (getDistanceUnitMeters() / 1000) : msPerKm)
+
+export const displayPaceToPace = (msPerUnit) => (Number.isFinite(msPerUnit) ? msPerUnit / (getDistanceUnitMeters() / 1000) : msPerUnit)
+
+// km/h → 표시 단위 속도 (km/h 또는 mph)
+export const speedToDisplaySpeed = (kmh) => (Number.isFinite(kmh) ? kmh * (1000 / getDistanceUnitMeters()) : kmh)
+
 export const haversineDistanceMeters = (from, to) => {
   if (!from || !to) return 0
   const lat1 = Number(from.latitude)
@@ -24,8 +70,20 @@ export const metersToKilometers = (meters) => {
 }
 
 export const formatDistanceLabel = (meters, precision = 2) => {
-  const km = metersToKilometers(meters)
-  return `${km.toFixed(precision)} km`
+  const value = metersToDisplayDistance(meters)
+  return `${value.toFixed(precision)} ${getDistanceUnitLabel()}`
+}
+
+export const formatElevationLabel = (meters) => {
+  if (!Number.isFinite(meters)) return '--'
+  return isImperialUnits()
+    ? `${Math.round(meters * FEET_PER_METER)} ft`
+    : `${Math.round(meters)} m`
+}
+
+export const formatSpeedKmhLabel = (kmh) => {
+  if (!Number.isFinite(kmh) || kmh < 0) return `--.- ${getSpeedUnitLabel()}`
+  return `${speedToDisplaySpeed(kmh).toFixed(1)} ${getSpeedUnitLabel()}`
 }
 
 export const breakdownDuration = (ms) => {
@@ -48,12 +106,18 @@ export const formatClock = (ms, { showHours = false, showCentiseconds = false }
   return `${hh}${mm}:${ss}${cs}`
 }
 
-export const formatPaceLabel = (msPerKm) => {
-  if (!Number.isFinite(msPerKm) || msPerKm <= 0) return '--:-- /km'
-  const totalSeconds = Math.round(msPerKm / 1000)
+/**
+ * @param {number} msPerKm - 저장 단위 페이스 (ms/km)
+ * @param {Object} [options]
+ * @param {boolean} [options.withUnit=true] - false면 "5:30"처럼 단위 없이
+ */
+export const formatPaceLabel = (msPerKm, { withUnit = true } = {}) => {
+  const unit = withUnit ? ` ${getPaceUnitLabel()}` : ''
+  if (!Number.isFinite(msPerKm) || msPerKm <= 0) return `--:--${unit}`
+  const totalSeconds = Math.round(paceToDisplayPace(msPerKm) / 1000)
   const minutes = Math.floor(totalSeconds / 60)
   const seconds = totalSeconds % 60
-  return `${minutes}:${String(seconds).padStart(2, '0')} /km`
+  return `${minutes}:${String(seconds).padStart(2, '0')}${unit}`
 }
 
 const buildSpokenSegment = (value, unit, locale) => {
@@ -83,7 +147,7 @@ export const formatSpokenPace = (msPerKm, locale = 'en') => {
   if (!Number.isFinite(msPerKm) || msPerKm <= 0) {
     return locale === 'ko' ? '페이스 정보를 알 수 없어요.' : 'pace data unavailable'
   }
-  const totalSeconds = Math.round(msPerKm / 1000)
+  const totalSeconds = Math.round(paceToDisplayPace(msPerKm) / 1000)
   const minutes = Math.floor(totalSeconds / 60)
   const seconds = totalSeconds % 60
   if (locale === 'ko') {
@@ -98,19 +162,27 @@ export const formatSpokenDistance = (meters, locale = 'en', precision = 1) => {
   if (!Number.isFinite(meters) || meters < 0) {
     return locale === 'ko' ? '거리 정보를 알 수 없어요.' : 'distance unavailable'
   }
-  const km = metersToKilometers(meters)
-  const formatted = km.toFixed(precision)
+  const value = metersToDisplayDistance(meters)
+  const formatted = value.toFixed(precision)
+  if (isImperialUnits()) {
+    if (locale === 'ko') return `${formatted}마일`
+    return `${formatted} mile${value >= 1.5 ? 's' : ''}`
+  }
   if (locale === 'ko') {
     return `${formatted}킬로미터`
   }
-  return `${formatted} kilometer${km >= 1.5 ? 's' : ''}`
+  return `${formatted} kilometer${value >= 1.5 ? 's' : ''}`
 }
 
 export const formatSpokenSpeed = (kmh, locale = 'en') => {
   if (!Number.isFinite(kmh) || kmh < 0) {
     return locale === 'ko' ? '속도를 알 수 없어요.' : 'speed unavailable'
   }
-  const rounded = kmh.toFixed(1)
+  const rounded = speedToDisplaySpeed(kmh).toFixed(1)
+  if (isImperialUnits()) {
+    if (locale === 'ko') return `시속 ${rounded}마일`
+    return `${rounded} miles per hour`
+  }
   if (locale === 'ko') return `시속 ${rounded}킬로미터`
   return `${rounded} kilometers per hour`
 }
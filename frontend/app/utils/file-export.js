@@ -0,0 +1,51 @@
+'use client'
+
+/**
+ * Hand a generated file (GPX/TCX/CSV 등) to the user.
+ *
+ * 1. Web Share API with files (Android/iOS WebView 공유 시트)
+ * 2. <a download> fallback (desktop browser)
+ *
+ * @param {Object} params
+ * @param {string} params.filename
+ * @param {string} params.mimeType
+ * @param {string|ArrayBuffer|Uint8Array|Blob} params.data
+ * @param {string} [params.title] - share sheet title
+ * @returns {Promise<'shared'|'downloaded'|'cancelled'|false>}
+ */
+export async function saveExportFile({ filename, mimeType, data, title }) {
+  if (typeof window === 'undefined' || !filename) return false
+
+  const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType || 'application/octet-stream' })
+
+  try {
+    if (typeof File !== 'undefined' && navigator?.canShare && navigator?.share) {
+      const file = new File([blob], filename, { type: blob.type })
+      if (navigator.canShare({ files: [file] })) {
+        await navigator.share({ files: [file], title: title || filename })
+        return 'shared'
+      }
+    }
+  } catch (err) {
+    // 사용자가 공유 시트를 닫은 경우는 다운로드로 넘어가지 않음
+    if (err?.name === 'AbortError') return 'cancelled'
+    console.warn('[FileExport] share failed, falling back to download', err)
+  }
+
+  try {
+    const url = URL.createObjectURL(blob)
+    const anchor = document.createElement('a')
+    anchor.href = url
+    anchor.download = filename
+    anchor.rel = 'noopener'
+    anchor.style.display = 'none'
+    document.body.appendChild(anchor)
+    anchor.click()
+    document.body.removeChild(anchor)
+    setTimeout(() => URL.revokeObjectURL(url), 1000)
+    return 'downloaded'
+  } catch (err) {
+    console.warn('[FileExport] download failed', err)
+    return false
+  }
+}
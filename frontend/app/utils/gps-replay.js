@@ -0,0 +1,217 @@
+'use client'
+
+/**
+ * GPS trace replay - watchLocation 대체 소스 (개발/데모용)
+ *
+ * 기록된 route 배열을 실시간 또는 가속 재생으로 흘려보낸다.
+ * 가속 재생에서도 세션 로직(랩, 타임 큐, 페이스 코칭)이 실외와 똑같이 동작하도록
+ * 재생 속도만큼 빠르게 흐르는 가상 시계(createReplayClock)를 세션에 같이 넘긴다.
+ *
+ * @example
+ * const clock = createReplayClock(10)
+ * const player = createReplayPlayer(route, { clock, speed: 10, noise: { jitterM: 3 } })
+ * const stop = player.watch(handleLocation)
+ */
+
+const METERS_PER_DEG_LAT = 111320
+
+/**
+ * 재생 속도만큼 빠르게 흐르는 시계 (ms)
+ *
+ * @param {number} [speed=1]
+ * @returns {() => number}
+ */
+export const createReplayClock = (speed = 1) => {
+  const factor = Number.isFinite(speed) && speed > 0 ? speed : 1
+  const wallStart = Date.now()
+  return () => wallStart + (Date.now() - wallStart) * factor
+}
+
+// 재현 가능한 노이즈를 위한 seeded PRNG (mulberry32)
+const createRandom = (seed) => {
+  let state = (Number.isFinite(seed) ? seed : Date.now()) >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+const gaussian = (random) => {
+  const u = Math.max(random(), 1e-12)
+  const v = random()
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)
+}
+
+const offsetCoordinate = (latitude, longitude, northM, eastM) => {
+  const metersPerDegLon = METERS_PER_DEG_LAT * Math.cos((latitude * Math.PI) / 180) || METERS_PER_DEG_LAT
+  return {
+    latitude: latitude + northM / METERS_PER_DEG_LAT,
+    longitude: longitude + eastM / metersPerDegLon,
+  }
+}
+
+/**
+ * route 정규화: 좌표/시간이 있는 포인트만, 시간순, 첫 포인트 기준 상대 시각(relMs)
+ * 시간 정보가 없으면 1초 간격으로 간주한다.
+ */
+export const normalizeReplayRoute = (route) => {
+  const points = (Array.isArray(route) ? route : [])
+    .filter((p) => p && Number.isFinite(Number(p.latitude)) && Number.isFinite(Number(p.longitude)))
+  if (!points.length) return []
+  const hasTime = points.every((p) => Number.isFinite(Number(p.timestamp)))
+  const sorted = hasTime
+    ? points.slice().sort((a, b) => Number(a.timestamp) - Number(b.timestamp))
+    : points
+  const firstTs = hasTime ? Number(sorted[0].timestamp) : 0
+  return sorted.map((p, idx) => ({
+    latitude: Number(p.latitude),
+    longitude: Number(p.longitude),
+    altitude: Number.isFinite(Number(p.altitude)) && p.altitude !== null ? Number(p.altitude) : null,
+    accuracy: Number.isFinite(Number(p.horizontalAccuracy ?? p.accuracy)) && (p.horizontalAccuracy ?? p.accuracy) !== null
+      ? Number(p.horizontalAccuracy ?? p.accuracy)
+      : null,
+    speed: Number.isFinite(Number(p.speed)) && p.speed !== null ? Number(p.speed) : null,
+    relMs: hasTime ? Number(p.timestamp) - firstTs : idx * 1000,
+  }))
+}
+
+/**
+ * Replay player
+ *
+ * watch()를 다시 호출하면 (일시정지 후 재개) 멈췄던 포인트부터 이어서 재생한다.
+ *
+ * @param {Array<Object>} route - history route 또는 { latitude, longitude, timestamp } 배열
+ * @param {Object} options
+ * @param {() => number} options.clock - 세션 시계 (createReplayClock)
+ * @param {number} [options.speed=1] - 재생 배속 (clock과 같은 값)
+ * @param {Object} [options.noise]
+ * @param {number} [options.noise.jitterM=0] - 위치 노이즈 표준편차 (m)
+ * @param {number} [options.noise.spikeProbability=0] - 포인트당 accuracy spike 확률 (0~1)
+ * @param {number} [options.noise.spikeAccuracyM=60] - spike 시 accuracy / 위치 튐 크기 (m)
+ * @param {number} [options.noise.baseAccuracyM=5] - route에 accuracy가 없을 때 기본값
+ * @param {number} [options.noise.seed] - 노이즈 재현용 seed
+ * @param {Function} [options.onDone] - 마지막 포인트까지 재생했을 때
+ */
+export const createReplayPlayer = (route, { clock = Date.now, speed = 1, noise = {}, onDone } = {}) => {
+  const points = normalizeReplayRoute(route)
+  const factor = Number.isFinite(speed) && speed > 0 ? speed : 1
+  const random = createRandom(noise.seed)
+  const jitterM = Math.max(0, Number(noise.jitterM) || 0)
+  const spikeProbability = Math.min(1, Math.max(0, Number(noise.spikeProbability) || 0))
+  const spikeAccuracyM = Number(noise.spikeAccuracyM) > 0 ? Number(noise.spikeAccuracyM) : 60
+  const baseAccuracyM = Number(noise.baseAccuracyM) > 0 ? Number(noise.baseAccuracyM) : 5
+
+  let cursor = 0
+  let finished = false
+
+  const buildLocation = (point, timestamp) => {
+    let { latitude, longitude } = point
+    let accuracy = point.accuracy ?? baseAccuracyM
+    if (jitterM > 0) {
+      const moved = offsetCoordinate(latitude, longitude, gaussian(random) * jitterM, gaussian(random) * jitterM)
+      latitude = moved.latitude
+      longitude = moved.longitude
+      accuracy = Math.max(accuracy, jitterM)
+    }
+    if (spikeProbability > 0 && random() < spikeProbability) {
+      const angle = random() * 2 * Math.PI
+      const magnitude = spikeAccuracyM * (0.5 + random() * 0.5)
+      const moved = offsetCoordinate(latitude, longitude, Math.cos(angle) * magnitude, Math.sin(angle) * magnitude)
+      latitude = moved.latitude
+      longitude = moved.longitude
+      accuracy = spikeAccuracyM
+    }
+    // geolocation.normalizeLocation과 같은 모양
+    return {
+      latitude,
+      longitude,
+      accuracy,
+      speed: point.speed,
+      heading: null,
+      altitude: point.altitude,
+      timestamp,
+      stepCounter: null,
+      accelX: null,
+      accelY: null,
+      accelZ: null,
+      raw: { replay: true, index: cursor },
+    }
+  }
+
+  /**
+   * watchLocation과 같은 콜백 규약
+   * @returns {() => void} stop
+   */
+  const watch = (onPosition, onError) => {
+    const handler = typeof onPosition === 'function' ? onPosition : () => {}
+    if (!points.length) {
+      onError?.(new Error('Replay route has no points'))
+      return () => {}
+    }
+    let timer = null
+    let stopped = false
+    const baseVirtual = clock()
+    const baseRel = points[Math.min(cursor, points.length - 1)].relMs
+
+    const scheduleNext = () => {
+      if (stopped) return
+      if (cursor >= points.length) {
+        if (!finished) {
+          finished = true
+          onDone?.()
+        }
+        return
+      }
+      const point = points[cursor]
+      const dueVirtual = baseVirtual + (point.relMs - baseRel)
+      const delayWall = Math.max(0, (dueVirtual - clock()) / factor)
+      timer = setTimeout(() => {
+        timer = null
+        if (stopped) return
+        const location = buildLocation(point, dueVirtual)
+        cursor += 1
+        try {
+          handler(location)
+        } catch (err) {
+          console.warn('[GpsReplay] position handler failed', err)
+        }
+        scheduleNext()
+      }, delayWall)
+    }
+
+    scheduleNext()
+    return () => {
+      stopped = true
+      if (timer) clearTimeout(timer)
+      timer = null
+    }
+  }
+
+  return {
+    watch,
+    get progress() {
+      return points.length ? cursor / points.length : 0
+    },
+    get pointCount() {
+      return points.length
+    },
+  }
+}
+
+/**
+ * 개발 빌드이거나 localStorage 플래그가 켜진 경우에만 replay UI/디버그 훅을 노출
+ */
+export const REPLAY_ENABLED_STORAGE_KEY = 'running_dev_replay'
+
+export const isReplayAvailable = () => {
+  if (process.env.NODE_ENV !== 'production') return true
+  if (typeof window === 'undefined') return false
+  try {
+    return localStorage.getItem(REPLAY_ENABLED_STORAGE_KEY) === 'true'
+  } catch {
+    return false
+  }
+}
@@ -0,0 +1,104 @@
+'use client'
+
+/**
+ * Heart rate series replay - 심박 플러그인 대체 소스 (개발/데모용)
+ *
+ * 기록된 심박 시계열을 세션 시계(gps-replay.createReplayClock)에 맞춰 흘려보낸다.
+ * GPS replay와 같이 쓰면 두 소스가 같은 가상 시계를 따라가므로 존 / 코칭 로직을 가속 재생으로 확인할 수 있다.
+ *
+ * @example
+ * const player = createHeartRateReplayPlayer([120, 128, 135], { clock, speed: 10 })
+ * const stop = player.watch((reading) => metrics.addSample({ timestamp: reading.timestamp, heartRate: reading.bpm }))
+ */
+
+/**
+ * 시계열 정규화: 숫자 배열(1초 간격) 또는 { bpm|heartRate, timestamp } 배열 → 시간순 { bpm, relMs }
+ * history route 포인트도 그대로 넣을 수 있다 (heartRate가 있는 포인트만 사용).
+ */
+export const normalizeHeartRateSeries = (series) => {
+  const items = (Array.isArray(series) ? series : [])
+    .map((item, idx) => {
+      const bpm = Number(typeof item === 'object' && item !== null ? (item.bpm ?? item.heartRate) : item)
+      const ts = typeof item === 'object' && item !== null ? Number(item.timestamp) : NaN
+      return { bpm, ts, idx }
+    })
+    .filter((item) => Number.isFinite(item.bpm) && item.bpm > 0)
+  if (!items.length) return []
+  const hasTime = items.every((item) => Number.isFinite(item.ts))
+  const sorted = hasTime ? items.slice().sort((a, b) => a.ts - b.ts) : items
+  const firstTs = hasTime ? sorted[0].ts : 0
+  return sorted.map((item, idx) => ({
+    bpm: item.bpm,
+    relMs: hasTime ? item.ts - firstTs : idx * 1000,
+  }))
+}
+
+/**
+ * Replay player
+ *
+ * watch()를 다시 호출하면 (일시정지 후 재개) 멈췄던 지점부터 이어서 재생한다.
+ *
+ * @param {Array<number|Object>} series
+ * @param {Object} options
+ * @param {() => number} options.clock - 세션 시계 (createReplayClock)
+ * @param {number} [options.speed=1] - 재생 배속 (clock과 같은 값)
+ * @param {Function} [options.onDone]
+ */
+export const createHeartRateReplayPlayer = (series, { clock = Date.now, speed = 1, onDone } = {}) => {
+  const points = normalizeHeartRateSeries(series)
+  const factor = Number.isFinite(speed) && speed > 0 ? speed : 1
+  let cursor = 0
+  let finished = false
+
+  /**
+   * heartRateMonitor.startUpdates와 같은 reading 모양으로 콜백
+   * @returns {() => void} stop
+   */
+  const watch = (onReading) => {
+    const handler = typeof onReading === 'function' ? onReading : () => {}
+    if (!points.length) return () => {}
+    let timer = null
+    let stopped = false
+    const baseVirtual = clock()
+    const baseRel = points[Math.min(cursor, points.length - 1)].relMs
+
+    const scheduleNext = () => {
+      if (stopped) return
+      if (cursor >= points.length) {
+        if (!finished) {
+          finished = true
+          onDone?.()
+        }
+        return
+      }
+      const point = points[cursor]
+      const dueVirtual = baseVirtual + (point.relMs - baseRel)
+      const delayWall = Math.max(0, (dueVirtual - clock()) / factor)
+      timer = setTimeout(() => {
+        timer = null
+        if (stopped) return
+        cursor += 1
+        try {
+          handler({ bpm: point.bpm, timestamp: dueVirtual, source: 'replay', raw: { replay: true, index: cursor - 1 } })
+        } catch (err) {
+          console.warn('[HeartRateReplay] reading handler failed', err)
+        }
+        scheduleNext()
+      }, delayWall)
+    }
+
+    scheduleNext()
+    return () => {
+      stopped = true
+      if (timer) clearTimeout(timer)
+      timer = null
+    }
+  }
+
+  return {
+    watch,
+    get pointCount() {
+      return points.length
+    },
+  }
+}
@@ -0,0 +1,109 @@
+'use client'
+
+/**
+ * Heart rate plugin wrapper
+ * - BLE heart rate straps (Heart Rate Service 0x180D) or watch bridges expose the same event shape
+ * - Accepts { bpm } / { heartRate } / { value } payloads and emits { bpm, timestamp, source }
+ * The session feeds readings into metricsRef.current.addSample({ heartRate }) regardless of source.
+ */
+
+let activeStopper = null
+
+const resolvePlugin = () => {
+  if (typeof window === 'undefined') return null
+  const cap = window.Capacitor || {}
+  const plugins = cap.Plugins || {}
+  return plugins.HeartRate || cap.HeartRate || plugins.HeartRateMonitor || cap.HeartRateMonitor || null
+}
+
+const normalizeReading = (data) => {
+  if (data === null || data === undefined) return null
+  const bpm = Number(typeof data === 'object' ? (data.bpm ?? data.heartRate ?? data.value) : data)
+  if (!Number.isFinite(bpm) || bpm <= 0) return null
+  const tsRaw = typeof data === 'object' ? (data.timestamp ?? data.time ?? data.ts) : null
+  return {
+    bpm,
+    timestamp: Number.isFinite(tsRaw) ? Number(tsRaw) : Date.now(),
+    source: (typeof data === 'object' && data.source) || 'plugin',
+    raw: data,
+  }
+}
+
+const stopActive = async () => {
+  const stopper = activeStopper
+  activeStopper = null
+  if (typeof stopper === 'function') {
+    try {
+      await stopper()
+    } catch {}
+  }
+}
+
+export const heartRateMonitor = {
+  async isAvailable() {
+    const plugin = resolvePlugin()
+    if (!plugin) return false
+    if (typeof plugin.isAvailable !== 'function') return true
+    try {
+      const res = await plugin.isAvailable()
+      if (res === true) return true
+      if (res && typeof res === 'object') {
+        return Boolean(res.available ?? res.isAvailable)
+      }
+      return Boolean(res)
+    } catch {
+      return false
+    }
+  },
+
+  async startUpdates(callback) {
+    const plugin = resolvePlugin()
+    if (!plugin) throw new Error('Heart rate plugin is unavailable')
+
+    await stopActive()
+
+    const emit = (payload) => {
+      const reading = normalizeReading(payload)
+      if (!reading) return
+      try {
+        callback?.(reading)
+      } catch (err) {
+        console.warn('[heartRate] callback error', err)
+      }
+    }
+
+    // Capacitor event emitter style
+    if (typeof plugin.addListener === 'function' && typeof plugin.startUpdates === 'function') {
+      const listener = await plugin.addListener('heartRateChange', emit)
+      await plugin.startUpdates()
+      activeStopper = async () => {
+        try {
+          await plugin.stopUpdates?.()
+        } catch {}
+        try {
+          await listener?.remove?.()
+        } catch {}
+      }
+      return true
+    }
+
+    // Promise style
+    if (typeof plugin.startUpdates === 'function') {
+      await plugin.startUpdates(emit)
+      activeStopper = async () => {
+        try {
+          await plugin.stopUpdates?.()
+        } catch {}
+      }
+      return true
+    }
+
+    throw new Error('No heart rate start method available')
+  },
+
+  async stopUpdates() {
+    await stopActive()
+  },
+}
+
+export default heartRateMonitor